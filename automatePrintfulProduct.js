@@ -12,8 +12,9 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { Dropbox } = require('dropbox');
-const fetch = require('node-fetch');
+const { createStorage, uploadStored } = require('./storage');
+const { generateListing } = require('./listingGenerator');
+const { enforceEtsyListingRules } = require('./etsyListingRules');
 const { createNewProduct, getStoreCredentials, getAllProductVariants } = require('./createPrintfulProduct');
 
 // Configuration
@@ -22,107 +23,6 @@ const DEFAULT_COLOR = 'black';
 const DEFAULT_VARIANTS = ['S', 'M', 'L', 'XL', '2XL', '3XL'];
 const DEFAULT_PRICE = 39.99;
 
-/**
- * Generates product text using GPT via OpenRouter
- * @param {string} sweatshirtText - The text on the sweatshirt
- * @param {number} [maxRetries=3] - Maximum number of retry attempts
- * @param {number} [retryDelay=2000] - Delay between retries in ms
- * @returns {Promise<Object>} - The generated content
- */
-async function generateProductText(sweatshirtText, maxRetries = 3, retryDelay = 2000) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`⏳ Generating product text for: ${sweatshirtText} (attempt ${attempt}/${maxRetries})`);
-      
-      const prompt = `Generate an SEO-optimized Etsy title, description, and 13 tags for a sweatshirt that says: "${sweatshirtText}". Respond in this format:
----
-Title: ...
-Description: ...
-Tags: tag1, tag2, tag3...
-`;
-
-      const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "gpt-4o",
-          messages: [{ role: "user", content: prompt }],
-        }),
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`OpenRouter API error: ${JSON.stringify(data)}`);
-      }
-      
-      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-        throw new Error(`Invalid response format from OpenRouter: ${JSON.stringify(data)}`);
-      }
-      
-      const content = data.choices[0].message.content;
-      console.log(`✅ Product text generated successfully`);
-      
-      // Parse the content into structured data
-      const result = {
-        title: extractField("Title", content),
-        description: extractField("Description", content),
-        tags: extractTags(content)
-      };
-      
-      // Validate that we got the required fields
-      if (!result.title || !result.description || !result.tags || result.tags.length === 0) {
-        throw new Error(`Generated content is missing required fields: ${JSON.stringify(result)}`);
-      }
-      
-      return result;
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Error generating product text (attempt ${attempt}/${maxRetries}):`, error.message);
-      
-      if (attempt < maxRetries) {
-        console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        // Increase delay for next retry
-        retryDelay *= 1.5;
-      }
-    }
-  }
-  
-  // If we've exhausted all retries, throw the last error
-  throw lastError || new Error('Failed to generate product text after multiple attempts');
-}
-
-/**
- * Extracts a field from the GPT response
- * @param {string} label - The field label
- * @param {string} text - The text to extract from
- * @returns {string} - The extracted field value
- */
-function extractField(label, text) {
-  const regex = new RegExp(`${label}:\\s*(.+?)(?=\\n\\n|\\n[A-Z]|$)`, 's');
-  const match = text.match(regex);
-  return match ? match[1].trim() : "";
-}
-
-/**
- * Extracts tags from the GPT response
- * @param {string} text - The text to extract from
- * @returns {Array<string>} - The extracted tags
- */
-function extractTags(text) {
-  const tagsSection = extractField("Tags", text);
-  return tagsSection
-    .split(',')
-    .map(tag => tag.trim())
-    .filter(tag => tag.length > 0);
-}
-
 /**
  * Uploads a file to Dropbox and returns a shared link
  * @param {string} filePath - Path to the local file
@@ -137,163 +37,13 @@ async function uploadMockupToDropbox(filePath, maxRetries = 3, retryDelay = 2000
     try {
       console.log(`⏳ Uploading mockup to Dropbox (attempt ${attempt}/${maxRetries}): ${filePath}`);
       
-      // Validate environment variables
-      if (!process.env.DROPBOX_ACCESS_TOKEN) {
-        throw new Error('DROPBOX_ACCESS_TOKEN is not set in environment variables');
-      }
-      
-      if (!process.env.DROPBOX_FOLDER_PATH) {
-        throw new Error('DROPBOX_FOLDER_PATH is not set in environment variables');
-      }
-      
-      // Initialize Dropbox client
-      const dropbox = new Dropbox({ accessToken: process.env.DROPBOX_ACCESS_TOKEN });
-      
-      // Read the file as a buffer
-      const fileBuffer = fs.readFileSync(filePath);
-      console.log(`📦 File buffer length: ${fileBuffer.length} bytes`);
-      
-      const fileName = path.basename(filePath);
-      
-      // Ensure the folder path is properly formatted
-      const folderPath = process.env.DROPBOX_FOLDER_PATH.endsWith('/')
-        ? process.env.DROPBOX_FOLDER_PATH.slice(0, -1)
-        : process.env.DROPBOX_FOLDER_PATH;
-      
-      const dropboxFilePath = `${folderPath}/${fileName}`;
-      console.log(`📁 Target Dropbox path: ${dropboxFilePath}`);
-      
-      // Check if the file already exists on Dropbox
-      let isNewUpload = true;
-      try {
-        const existing = await dropbox.filesGetMetadata({ path: dropboxFilePath });
-        if (existing) {
-          isNewUpload = false;
-          console.log(`📂 File already exists on Dropbox: ${dropboxFilePath}`);
-        }
-      } catch (checkErr) {
-        if (checkErr.status === 409) {
-          console.log(`📁 File does not exist on Dropbox. Proceeding with upload.`);
-        } else {
-          console.warn(`⚠️ Could not verify file existence: ${checkErr.message}`);
-        }
-      }
-      
-      // Upload the file to Dropbox
-      const uploadResponse = await dropbox.filesUpload({
-        path: dropboxFilePath,
-        contents: fileBuffer,
-        mode: 'overwrite' // Use string instead of object with .tag
-      });
-      
-      if (isNewUpload) {
-        console.log(`✅ New file uploaded to Dropbox: ${uploadResponse.path_display || dropboxFilePath}`);
-      } else {
-        console.log(`♻️ Re-uploaded existing file to Dropbox: ${uploadResponse.path_display || dropboxFilePath}`);
-      }
-      
-      // Create a shared link
-      let linkResponse;
-      try {
-        linkResponse = await dropbox.sharingCreateSharedLinkWithSettings({
-          path: uploadResponse.path_display || dropboxFilePath,
-          settings: {
-            requested_visibility: 'public' // Use string instead of object with .tag
-          }
-        });
-      } catch (linkError) {
-        // Check if the error is because the link already exists
-        if (linkError.error && linkError.error.error_summary &&
-            linkError.error.error_summary.includes('shared_link_already_exists')) {
-          console.log(`⚠️ Shared link already exists, retrieving existing link...`);
-          
-          // Get ALL shared links without any path filtering
-          const listResponse = await dropbox.sharingListSharedLinks();
-          console.log(`📋 Retrieved ${listResponse?.links?.length || 0} total shared links`);
-          
-          if (listResponse && listResponse.links && listResponse.links.length > 0) {
-            // Try to find a match by comparing paths
-            const exactPath = (uploadResponse.path_display || dropboxFilePath).toLowerCase();
-            const matchedLink = listResponse.links.find(link =>
-              link.path_lower === exactPath ||
-              link.path_lower?.endsWith(exactPath.split('/').pop().toLowerCase())
-            );
-            
-            if (matchedLink) {
-              linkResponse = { url: matchedLink.url };
-              console.log(`✅ Retrieved matching shared link: ${linkResponse.url}`);
-            } else {
-              // If no match, just use the first link
-              linkResponse = { url: listResponse.links[0].url };
-              console.log(`✅ Retrieved first available shared link: ${linkResponse.url}`);
-            }
-          } else {
-            // If no links found, try to create a new one with different settings
-            console.log(`⚠️ No shared links found, attempting to create a new one...`);
-            try {
-              const newLinkResponse = await dropbox.sharingCreateSharedLinkWithSettings({
-                path: uploadResponse.path_display || dropboxFilePath,
-                settings: {
-                  requested_visibility: 'public'
-                }
-              });
-              linkResponse = { url: newLinkResponse.url };
-              console.log(`✅ Created new shared link: ${linkResponse.url}`);
-            } catch (newLinkError) {
-              console.error(`⚠️ Failed to create shared link with settings: ${newLinkError.message}`);
-              console.log(`🔄 Trying legacy shared link creation method...`);
-              
-              try {
-                // Fallback to legacy method without settings
-                const legacyLinkResponse = await dropbox.sharingCreateSharedLink({
-                  path: uploadResponse.path_display || dropboxFilePath
-                });
-                
-                // Check if we got a valid response with URL
-                if (legacyLinkResponse && legacyLinkResponse.url) {
-                  linkResponse = { url: legacyLinkResponse.url };
-                  console.log(`✅ Created legacy shared link: ${linkResponse.url}`);
-                } else {
-                  console.log(`⚠️ Legacy link creation succeeded but returned no URL. Response:`, JSON.stringify(legacyLinkResponse, null, 2));
-                  // Create a direct fallback URL
-                  linkResponse = {
-                    url: `https://dl.dropboxusercontent.com${uploadResponse.path_display || dropboxFilePath}`
-                  };
-                  console.log(`🔄 Using fallback direct URL: ${linkResponse.url}`);
-                }
-              } catch (legacyError) {
-                console.error(`❌ Error details:`, JSON.stringify(legacyError, null, 2));
-                throw new Error(`All shared link creation methods failed: ${legacyError.message}`);
-              }
-            }
-          }
-        } else {
-          throw linkError;
-        }
-      }
-      
-      // Check if we have a valid URL before converting
-      if (!linkResponse || !linkResponse.url) {
-        console.log(`⚠️ No valid URL found in link response. Using direct file path as fallback.`);
-        // Use a fallback URL that includes the file path
-        const fallbackUrl = `https://dl.dropboxusercontent.com${uploadResponse.path_display || dropboxFilePath}`;
-        console.log(`✅ Using fallback Dropbox URL: ${fallbackUrl}`);
-        return fallbackUrl;
-      }
-      
-      // Convert to direct link
-      const directLink = linkResponse.url
-        .replace('www.dropbox.com', 'dl.dropboxusercontent.com')
-        .replace('?dl=0', '');
-      
-      console.log(`✅ Dropbox shared link created: ${directLink}`);
-      return directLink;
-      
+      // Unchanged mockups keep the link from storage-manifest.json (see storage.js)
+      const { url } = await uploadStored(filePath, { storage: createStorage('dropbox') });
+      console.log(`✅ Dropbox shared link: ${url}`);
+      return url;
     } catch (error) {
       lastError = error;
       console.error(`❌ Error uploading to Dropbox (attempt ${attempt}/${maxRetries}):`, error.message);
-      // Log full error object for better debugging
-      console.error(`Error details:`, JSON.stringify(error, null, 2));
       
       if (attempt < maxRetries) {
         console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
@@ -386,7 +136,7 @@ async function automateProductCreation(sweatshirtText, mockupPath, options = {})
     console.log(`⏳ Step 1/3: Generating product text...`);
     let gptOutput;
     if (!isDryRun) {
-      gptOutput = await generateProductText(sweatshirtText);
+      gptOutput = enforceEtsyListingRules(await generateListing(sweatshirtText), { word: sweatshirtText });
     } else {
       console.log(`🔍 [DRY RUN] Skipping GPT text generation`);
       gptOutput = {
@@ -641,6 +391,5 @@ automateProductCreation(sweatshirtText, mockupPath, options)
 // Export for use in other modules
 module.exports = {
   automateProductCreation,
-  generateProductText,
   uploadMockupToDropbox
 };
\ No newline at end of file
@@ -9,191 +9,44 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const { Dropbox } = require('dropbox');
-const fetch = require('node-fetch');
+const { createStorage, uploadStored } = require('./storage');
+const { generateListing } = require('./listingGenerator');
+const { enforceEtsyListingRules } = require('./etsyListingRules');
+const { createPrintfulClient, getStoreCredentials } = require('./printfulClient');
 
 // Configuration
 const TEMPLATE_ID = 88599467; // Updated template ID with product variants
 
-/**
- * Gets the appropriate API key and store ID based on the selected store
- * @param {string} storeType - The type of store to use ('manual' or 'etsy')
- * @returns {Object} - Object containing the API key and store ID
- */
-function getStoreCredentials(storeType = 'manual') {
-  if (storeType === 'etsy') {
-    return {
-      apiKey: process.env.PRINTFUL_ETSY_API_KEY,
-      storeId: process.env.PRINTFUL_ETSY_STORE_ID,
-      name: 'Etsy-linked store'
-    };
-  } else {
-    return {
-      apiKey: process.env.PRINTFUL_API_KEY,
-      storeId: process.env.PRINTFUL_STORE_ID,
-      name: 'Manual/API store'
-    };
-  }
-}
-
 /**
  * Creates a new product from a saved template
  * @param {number} templateId - The ID of the saved template
  * @param {number} [maxRetries=3] - Maximum number of retry attempts
- * @param {number} [retryDelay=2000] - Delay between retries in ms
+ * @param {number} [retryDelay=2000] - Backoff delay after the first failed attempt in ms
  * @param {string} [storeType='manual'] - The type of store to use ('manual' or 'etsy')
  * @returns {Promise<number>} - The ID of the created product
  */
 async function createProductFromTemplate(templateId, maxRetries = 3, retryDelay = 2000, storeType = 'manual') {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`⏳ Creating product from template ID: ${templateId} (attempt ${attempt}/${maxRetries})`);
-      
-      const storeCredentials = getStoreCredentials(storeType);
-      console.log(`🔑 Using ${storeCredentials.name} credentials`);
-      
-      const response = await fetch('https://api.printful.com/store/products', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${storeCredentials.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          template_id: templateId,
-          sync_product: {
-            name: "TEMP - Placeholder",
-            description: "Auto-generated product awaiting final assets.",
-          },
-        }),
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Failed to create product: ${JSON.stringify(data)}`);
-      }
-      
-      const productId = data.result.id;
-      console.log(`✅ Product created with ID: ${productId}`);
-      return productId;
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Error creating product from template (attempt ${attempt}/${maxRetries}):`, error.message);
-      
-      if (attempt < maxRetries) {
-        console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        // Increase delay for next retry
-        retryDelay *= 1.5;
-      }
-    }
-  }
-  
-  // If we've exhausted all retries, throw the last error
-  throw lastError || new Error('Failed to create product after multiple attempts');
-}
-
-/**
- * Generates product text using GPT via OpenRouter
- * @param {string} sweatshirtText - The text on the sweatshirt
- * @param {number} [maxRetries=3] - Maximum number of retry attempts
- * @param {number} [retryDelay=2000] - Delay between retries in ms
- * @returns {Promise<Object>} - The generated content
- */
-async function generateProductText(sweatshirtText, maxRetries = 3, retryDelay = 2000) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`⏳ Generating product text for: ${sweatshirtText} (attempt ${attempt}/${maxRetries})`);
-      
-      const prompt = `Generate an SEO-optimized Etsy title, description, and 13 tags for a sweatshirt that says: "${sweatshirtText}". Respond in this format:
----
-Title: ...
-Description: ...
-Tags: tag1, tag2, tag3...
-`;
-
-      const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "gpt-4o",
-          messages: [{ role: "user", content: prompt }],
-        }),
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`OpenRouter API error: ${JSON.stringify(data)}`);
-      }
-      
-      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-        throw new Error(`Invalid response format from OpenRouter: ${JSON.stringify(data)}`);
-      }
-      
-      const content = data.choices[0].message.content;
-      console.log(`✅ Product text generated successfully`);
-      
-      // Parse the content into structured data
-      const result = {
-        title: extractField("Title", content),
-        description: extractField("Description", content),
-        tags: extractTags(content)
-      };
-      
-      // Validate that we got the required fields
-      if (!result.title || !result.description || !result.tags || result.tags.length === 0) {
-        throw new Error(`Generated content is missing required fields: ${JSON.stringify(result)}`);
-      }
-      
-      return result;
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Error generating product text (attempt ${attempt}/${maxRetries}):`, error.message);
-      
-      if (attempt < maxRetries) {
-        console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        // Increase delay for next retry
-        retryDelay *= 1.5;
-      }
-    }
+  try {
+    console.log(`⏳ Creating product from template ID: ${templateId}`);
+    
+    const storeCredentials = getStoreCredentials(storeType);
+    console.log(`🔑 Using ${storeCredentials.name} credentials`);
+    
+    const client = createPrintfulClient({ storeType, maxRetries, baseDelay: retryDelay });
+    const product = await client.post('/store/products', {
+      template_id: templateId,
+      sync_product: {
+        name: "TEMP - Placeholder",
+        description: "Auto-generated product awaiting final assets.",
+      },
+    });
+    
+    console.log(`✅ Product created with ID: ${product.id}`);
+    return product.id;
+  } catch (error) {
+    console.error(`❌ Error creating product from template:`, error.message);
+    throw error;
   }
-  
-  // If we've exhausted all retries, throw the last error
-  throw lastError || new Error('Failed to generate product text after multiple attempts');
-}
-
-/**
- * Extracts a field from the GPT response
- * @param {string} label - The field label
- * @param {string} text - The text to extract from
- * @returns {string} - The extracted field value
- */
-function extractField(label, text) {
-  const regex = new RegExp(`${label}:\\s*(.+?)(?=\\n\\n|\\n[A-Z]|$)`, 's');
-  const match = text.match(regex);
-  return match ? match[1].trim() : "";
-}
-
-/**
- * Extracts tags from the GPT response
- * @param {string} text - The text to extract from
- * @returns {Array<string>} - The extracted tags
- */
-function extractTags(text) {
-  const tagsSection = extractField("Tags", text);
-  return tagsSection
-    .split(',')
-    .map(tag => tag.trim())
-    .filter(tag => tag.length > 0);
 }
 
 /**
@@ -210,67 +63,10 @@ async function uploadMockupToDropbox(filePath, maxRetries = 3, retryDelay = 2000
     try {
       console.log(`⏳ Uploading mockup to Dropbox (attempt ${attempt}/${maxRetries}): ${filePath}`);
       
-      // Initialize Dropbox client
-      const dropbox = new Dropbox({ accessToken: process.env.DROPBOX_ACCESS_TOKEN });
-      
-      // Read the file as a buffer
-      const fileBuffer = fs.readFileSync(filePath);
-      const fileName = path.basename(filePath);
-      
-      // Ensure the folder path is properly formatted
-      const folderPath = process.env.DROPBOX_FOLDER_PATH.endsWith('/')
-        ? process.env.DROPBOX_FOLDER_PATH.slice(0, -1)
-        : process.env.DROPBOX_FOLDER_PATH;
-      
-      const dropboxFilePath = `${folderPath}/${fileName}`;
-      
-      // Upload the file to Dropbox
-      const uploadResponse = await dropbox.filesUpload({
-        path: dropboxFilePath,
-        contents: fileBuffer,
-        mode: { '.tag': 'overwrite' }
-      });
-      
-      console.log(`✅ File uploaded to Dropbox: ${uploadResponse.path_display}`);
-      
-      // Create a shared link
-      let linkResponse;
-      try {
-        linkResponse = await dropbox.sharingCreateSharedLinkWithSettings({
-          path: uploadResponse.path_display,
-          settings: {
-            requested_visibility: { '.tag': 'public' }
-          }
-        });
-      } catch (linkError) {
-        // Check if the error is because the link already exists
-        if (linkError.error && linkError.error.error_summary &&
-            linkError.error.error_summary.includes('shared_link_already_exists')) {
-          console.log(`⚠️ Shared link already exists, retrieving existing link...`);
-          
-          // Get existing shared links
-          const listResponse = await dropbox.sharingListSharedLinks({
-            path: uploadResponse.path_display
-          });
-          
-          if (listResponse.links && listResponse.links.length > 0) {
-            linkResponse = { url: listResponse.links[0].url };
-          } else {
-            throw new Error('Failed to retrieve existing shared link');
-          }
-        } else {
-          throw linkError;
-        }
-      }
-      
-      // Convert to direct link
-      const directLink = linkResponse.url
-        .replace('www.dropbox.com', 'dl.dropboxusercontent.com')
-        .replace('?dl=0', '');
-      
-      console.log(`✅ Dropbox shared link created: ${directLink}`);
-      return directLink;
-      
+      // Unchanged mockups keep the link from storage-manifest.json (see storage.js)
+      const { url } = await uploadStored(filePath, { storage: createStorage('dropbox') });
+      console.log(`✅ Dropbox shared link: ${url}`);
+      return url;
     } catch (error) {
       lastError = error;
       console.error(`❌ Error uploading to Dropbox (attempt ${attempt}/${maxRetries}):`, error.message);
@@ -295,90 +91,64 @@ async function uploadMockupToDropbox(filePath, maxRetries = 3, retryDelay = 2000
  * @param {string} title - The product title
  * @param {string} description - The product description
  * @param {number} [maxRetries=3] - Maximum number of retry attempts
- * @param {number} [retryDelay=2000] - Delay between retries in ms
+ * @param {number} [retryDelay=2000] - Backoff delay after the first failed attempt in ms
  * @param {string} [storeType='manual'] - The type of store to use ('manual' or 'etsy')
  * @returns {Promise<Object>} - The updated product
  */
 async function updateProductWithAssets(productId, imageUrl, title, description, maxRetries = 3, retryDelay = 2000, storeType = 'manual') {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`⏳ Updating product ${productId} with final assets (attempt ${attempt}/${maxRetries})`);
-      
-      // Define the print area dimensions for Gildan 18000 sweatshirt
-      const areaWidth = 1800;
-      const areaHeight = 2400;
-      
-      // Set design dimensions - full width but proportional height
-      const designWidth = areaWidth;
-      const designHeight = Math.round(areaWidth / 2); // Proportional height (half of width)
-      
-      // Position at middle top - centered horizontally, at the top portion of the print area
-      // For "middle top" positioning, we center horizontally (left = 0 for full width)
-      // but place it at the top portion of the print area (about 20% down from the top)
-      const topPosition = Math.round(areaHeight * 0.2); // 20% down from the top
-      
-      // Define the position object
-      const position = {
-        area_width: areaWidth,
-        area_height: areaHeight,
-        width: designWidth,
-        height: designHeight,
-        top: topPosition,
-        left: 0, // Centered horizontally (since we're using full width)
-        limit_to_print_area: true
-      };
-      
-      console.log(`📐 Using position: top=${position.top}, left=${position.left}, width=${position.width}, height=${position.height}`);
-      
-      const storeCredentials = getStoreCredentials(storeType);
-      console.log(`🔑 Using ${storeCredentials.name} credentials`);
-      
-      const response = await fetch(`https://api.printful.com/store/products/${productId}`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${storeCredentials.apiKey}`,
-          'Content-Type': 'application/json',
+  try {
+    console.log(`⏳ Updating product ${productId} with final assets`);
+    
+    // Define the print area dimensions for Gildan 18000 sweatshirt
+    const areaWidth = 1800;
+    const areaHeight = 2400;
+    
+    // Set design dimensions - full width but proportional height
+    const designWidth = areaWidth;
+    const designHeight = Math.round(areaWidth / 2); // Proportional height (half of width)
+    
+    // Position at middle top - centered horizontally, at the top portion of the print area
+    // For "middle top" positioning, we center horizontally (left = 0 for full width)
+    // but place it at the top portion of the print area (about 20% down from the top)
+    const topPosition = Math.round(areaHeight * 0.2); // 20% down from the top
+    
+    // Define the position object
+    const position = {
+      area_width: areaWidth,
+      area_height: areaHeight,
+      width: designWidth,
+      height: designHeight,
+      top: topPosition,
+      left: 0, // Centered horizontally (since we're using full width)
+      limit_to_print_area: true
+    };
+    
+    console.log(`📐 Using position: top=${position.top}, left=${position.left}, width=${position.width}, height=${position.height}`);
+    
+    const storeCredentials = getStoreCredentials(storeType);
+    console.log(`🔑 Using ${storeCredentials.name} credentials`);
+    
+    const client = createPrintfulClient({ storeType, maxRetries, baseDelay: retryDelay });
+    const product = await client.put(`/store/products/${productId}`, {
+      sync_product: {
+        name: title,
+        description: description,
+      },
+      files: [
+        {
+          placement: "front",
+          url: imageUrl,
+          position: position
         },
-        body: JSON.stringify({
-          sync_product: {
-            name: title,
-            description: description,
-          },
-          files: [
-            {
-              placement: "front",
-              url: imageUrl,
-              position: position
-            },
-          ],
-        }),
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Failed to update product: ${JSON.stringify(data)}`);
-      }
-      
-      console.log(`✅ Product updated successfully`);
-      return data.result;
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Error updating product (attempt ${attempt}/${maxRetries}):`, error.message);
-      
-      if (attempt < maxRetries) {
-        console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        // Increase delay for next retry
-        retryDelay *= 1.5;
-      }
-    }
+      ],
+    });
+    
+    console.log(`✅ Product updated successfully`);
+    return product;
+  } catch (error) {
+    console.error(`❌ Error updating product:`, error.message);
+    throw error;
   }
-  
-  // If we've exhausted all retries, throw the last error
-  throw lastError || new Error('Failed to update product after multiple attempts');
 }
 
 /**
@@ -407,7 +177,7 @@ async function automateProductCreation(sweatshirtText, mockupPath, storeType = '
     
     // Step 2: Generate product text with GPT
     console.log(`⏳ Step 2/4: Generating product text...`);
-    const gptOutput = await generateProductText(sweatshirtText);
+    const gptOutput = enforceEtsyListingRules(await generateListing(sweatshirtText), { word: sweatshirtText });
     
     // Step 3: Upload mockup to Dropbox
     console.log(`⏳ Step 3/4: Uploading mockup to Dropbox...`);
@@ -454,12 +224,21 @@ async function automateProductCreation(sweatshirtText, mockupPath, storeType = '
   }
 }
 
-// Command line arguments
-const args = process.argv.slice(2);
+module.exports = {
+  createProductFromTemplate,
+  updateProductWithAssets,
+  automateProductCreation,
+  TEMPLATE_ID
+};
+
+// If this script is run directly (not imported), create a product from the command line
+if (require.main === module) {
+  // Command line arguments
+  const args = process.argv.slice(2);
 
-// Show help text if requested
-if (args.includes('--help') || args.includes('-h')) {
-  console.log(`
+  // Show help text if requested
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
 📋 automatePrintfulProductFromTemplate.js Help:
 
 This script automates the creation of Printful products from a saved template.
@@ -483,50 +262,51 @@ Store Workflow:
 Examples:
   node automatePrintfulProductFromTemplate.js "PASTA" "./export-mockups/PASTA/PASTA-BLACK.png"
   node automatePrintfulProductFromTemplate.js "PASTA" "./export-mockups/PASTA/PASTA-BLACK.png" --etsy
-  `);
-  process.exit(0);
-}
+    `);
+    process.exit(0);
+  }
 
-// Check for required arguments
-if (args.length < 2) {
-  console.error('❌ Error: Missing required arguments');
-  console.log('Run with --help for usage information');
-  process.exit(1);
-}
+  // Check for required arguments
+  if (args.length < 2) {
+    console.error('❌ Error: Missing required arguments');
+    console.log('Run with --help for usage information');
+    process.exit(1);
+  }
 
-// Parse arguments
-const sweatshirtText = args[0];
-const mockupPath = args[1];
-const isDryRun = args.includes('--dry-run') || args.includes('-d');
-const storeType = args.includes('--etsy') ? 'etsy' : 'manual';
+  // Parse arguments
+  const sweatshirtText = args[0];
+  const mockupPath = args[1];
+  const isDryRun = args.includes('--dry-run') || args.includes('-d');
+  const storeType = args.includes('--etsy') ? 'etsy' : 'manual';
 
-// Run the script
-if (isDryRun) {
-  const storeCredentials = getStoreCredentials(storeType);
-  console.log(`🔍 DRY RUN: Would perform the following actions using ${storeCredentials.name}:`);
-  console.log(`  1. Create a new product from template ID: ${TEMPLATE_ID}`);
-  console.log(`  2. Generate product text for "${sweatshirtText}" using OpenRouter API`);
-  console.log(`  3. Upload mockup image from: ${mockupPath}`);
-  console.log(`  4. Update product with generated text and mockup image`);
-  console.log(`  5. Save product information to a local file`);
+  // Run the script
+  if (isDryRun) {
+    const storeCredentials = getStoreCredentials(storeType);
+    console.log(`🔍 DRY RUN: Would perform the following actions using ${storeCredentials.name}:`);
+    console.log(`  1. Create a new product from template ID: ${TEMPLATE_ID}`);
+    console.log(`  2. Generate product text for "${sweatshirtText}" using the ${process.env.LLM_PROVIDER || 'openrouter'} LLM provider`);
+    console.log(`  3. Upload mockup image from: ${mockupPath}`);
+    console.log(`  4. Update product with generated text and mockup image`);
+    console.log(`  5. Save product information to a local file`);
   
-  // Verify that the mockup file exists
-  if (!fs.existsSync(mockupPath)) {
-    console.error(`❌ ERROR: Mockup file not found: ${mockupPath}`);
-    process.exit(1);
-  } else {
-    console.log(`✅ Mockup file exists: ${mockupPath}`);
-  }
+    // Verify that the mockup file exists
+    if (!fs.existsSync(mockupPath)) {
+      console.error(`❌ ERROR: Mockup file not found: ${mockupPath}`);
+      process.exit(1);
+    } else {
+      console.log(`✅ Mockup file exists: ${mockupPath}`);
+    }
   
-  process.exit(0);
-}
-
-automateProductCreation(sweatshirtText, mockupPath, storeType)
-  .then(product => {
-    console.log(`✅ Product created successfully: ${product.id}`);
     process.exit(0);
-  })
-  .catch(error => {
-    console.error(`❌ Error:`, error.message);
-    process.exit(1);
-  });
\ No newline at end of file
+  }
+
+  automateProductCreation(sweatshirtText, mockupPath, storeType)
+    .then(product => {
+      console.log(`✅ Product created successfully: ${product.id}`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`❌ Error:`, error.message);
+      process.exit(1);
+    });
+}
@@ -1,4 +1,12 @@
 // cloudinaryUploader.js
+//
+// Uploads images to Cloudinary with an upload profile (see README-cloudinary-profiles.md):
+// - overwrite: printful_uploads/<name>, replaced in place by every upload
+// - versioned: printful_uploads/<WORD>/<name>-<content hash>, never replaced (default)
+// - print:     like versioned, plus an eager print-ready version (trimmed, 300 DPI size)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const cloudinary = require('cloudinary').v2;
 require('dotenv').config();
 
@@ -8,25 +16,148 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Upload profiles; CLOUDINARY_PROFILE picks the default
+const CLOUDINARY_PROFILES = {
+  overwrite: { folder: 'printful_uploads', wordFolder: false, versioned: false, printReady: false },
+  versioned: { folder: 'printful_uploads', wordFolder: true, versioned: true, printReady: false },
+  print: { folder: 'printful_uploads', wordFolder: true, versioned: true, printReady: true }
+};
+const DEFAULT_PROFILE = 'versioned';
+
+// Print area the print-ready version is sized for (Gildan 18000 front, 12 x 16 in at 300 DPI)
+const PRINT_AREA = { widthInches: 12, heightInches: 16, dpi: 300 };
+
 /**
- * Uploads an image to Cloudinary and returns the direct secure URL
- * @param {string} filePath
- * @returns {Promise<string>} secure URL
+ * Get an upload profile
+ * @param {string|Object} [profile] - Profile name, or profile settings (missing settings come from
+ *   the profile named in its `extends`, or the default profile)
+ * @returns {Object} Profile settings: { name, folder, wordFolder, versioned, printReady, printArea }
  */
-async function uploadToCloudinary(filePath) {
+function resolveCloudinaryProfile(profile = process.env.CLOUDINARY_PROFILE || DEFAULT_PROFILE) {
+  const settings = typeof profile === 'string' ? { extends: profile } : profile;
+  const baseName = settings.extends || DEFAULT_PROFILE;
+  const base = CLOUDINARY_PROFILES[baseName];
+  if (!base) {
+    throw new Error(`Unknown Cloudinary profile "${baseName}" (use ${Object.keys(CLOUDINARY_PROFILES).join(', ')})`);
+  }
+  const { extends: _extends, ...overrides } = settings;
+  return { name: baseName, printArea: PRINT_AREA, ...base, ...overrides };
+}
+
+/**
+ * Build the uploader.upload() options for a file
+ * @param {string} filePath - Path to the image
+ * @param {Object} [options] - Upload options
+ * @param {string|Object} [options.profile] - Upload profile (see resolveCloudinaryProfile())
+ * @param {string} [options.word] - Design word, for the subfolder, tags and context
+ * @param {string} [options.cuisine] - Cuisine, for the tags and context
+ * @param {string} [options.batchId] - Run the upload belongs to, for the tags and context
+ * @param {Object} [options.context] - Extra context metadata (key/value pairs)
+ * @param {string} [options.publicId] - Public ID to use instead of the profile's
+ * @param {string} [options.sha256] - File's SHA-256, for versioned public IDs (default: hashed from the file)
+ * @returns {Object} Cloudinary upload options
+ */
+function buildUploadOptions(filePath, {
+  profile,
+  word = null,
+  cuisine = null,
+  batchId = null,
+  context = {},
+  publicId = null,
+  sha256 = null
+} = {}) {
+  const settings = resolveCloudinaryProfile(profile);
+  const name = path.basename(filePath, path.extname(filePath));
+  const folder = settings.wordFolder && word ? `${settings.folder}/${word}` : settings.folder;
+  let id = publicId;
+  if (!id) {
+    const hash = settings.versioned
+      ? `-${(sha256 || crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')).slice(0, 16)}`
+      : '';
+    id = `${folder}/${name}${hash}`;
+  }
+
+  const options = {
+    public_id: id,
+    resource_type: 'image',
+    // Versioned assets are never replaced, so URLs live products point at keep working
+    overwrite: !settings.versioned,
+    invalidate: !settings.versioned,
+    tags: [word && `word:${word}`, cuisine && `cuisine:${cuisine}`, batchId && `batch:${batchId}`].filter(Boolean),
+    context: Object.fromEntries(Object.entries({ word, cuisine, batch: batchId, ...context })
+      .filter(([, value]) => value !== null && value !== undefined && value !== ''))
+  };
+
+  if (settings.printReady) {
+    const { widthInches, heightInches, dpi } = settings.printArea;
+    options.eager = [{
+      transformation: [
+        { effect: 'trim' },
+        { width: Math.round(widthInches * dpi), height: Math.round(heightInches * dpi), crop: 'fit' }
+      ],
+      format: 'png'
+    }];
+    options.eager_async = false;
+  }
+
+  return options;
+}
+
+/**
+ * Turn an upload response into an asset record
+ * @param {Object} result - uploader.upload() response
+ * @returns {Object} { public_id, version, secure_url, bytes, width, height, format, tags, context, print_url }
+ */
+function toAssetRecord(result) {
+  const eager = (result.eager || [])[0];
+  return {
+    public_id: result.public_id,
+    version: result.version,
+    secure_url: result.secure_url,
+    bytes: result.bytes,
+    width: result.width,
+    height: result.height,
+    format: result.format,
+    tags: result.tags || [],
+    context: (result.context && result.context.custom) || {},
+    print_url: eager ? eager.secure_url : null
+  };
+}
+
+/**
+ * Uploads an image to Cloudinary with an upload profile
+ * @param {string} filePath - Path to the image
+ * @param {Object} [options] - Upload options (see buildUploadOptions())
+ * @returns {Promise<Object>} Asset record (see toAssetRecord()); print_url is the print-ready
+ *   version with the print profile
+ */
+async function uploadToCloudinary(filePath, options = {}) {
   try {
-    const result = await cloudinary.uploader.upload(filePath, {
-      folder: 'printful_uploads',
-      use_filename: true,
-      unique_filename: false,
-      overwrite: true,
-    });
-    console.log(`✅ Cloudinary upload success: ${result.secure_url}`);
-    return result.secure_url;
+    const uploadOptions = buildUploadOptions(filePath, options);
+    const result = await cloudinary.uploader.upload(filePath, uploadOptions);
+    const asset = toAssetRecord(result);
+    console.log(`✅ Cloudinary upload success: ${asset.secure_url} (${asset.width}x${asset.height}, ${asset.bytes} bytes)`);
+
+    if (uploadOptions.eager) {
+      const { width } = uploadOptions.eager[0].transformation[1];
+      if (asset.width < width) {
+        console.log(`⚠️ ${path.basename(filePath)} is ${asset.width} px wide; the print-ready version is upscaled to ${width} px`);
+      }
+      console.log(`🖨️ Print-ready version: ${asset.print_url}`);
+    }
+    return asset;
   } catch (err) {
-    console.error(`❌ Cloudinary upload failed: ${err.message}`);
-    throw err;
+    const message = (err.error && err.error.message) || err.message;
+    console.error(`❌ Cloudinary upload failed: ${message}`);
+    throw err instanceof Error ? err : new Error(message);
   }
 }
 
-module.exports = { uploadToCloudinary };
\ No newline at end of file
+module.exports = {
+  uploadToCloudinary,
+  buildUploadOptions,
+  resolveCloudinaryProfile,
+  toAssetRecord,
+  cloudinary,
+  CLOUDINARY_PROFILES
+};
@@ -8,27 +8,42 @@
 
 // Import required modules
 require('dotenv').config();
-const fetch = require('node-fetch');
+const { createPrintfulClient, getStoreCredentials } = require('./printfulClient');
+const { getCatalogProduct, resolveVariantId, findVariant } = require('./variantResolver');
+
+// Print area used for standard products (front placement): 12 x 16 in at 150 DPI
+const PRINT_AREA_WIDTH = 1800;
+const PRINT_AREA_HEIGHT = 2400;
+const PRINT_AREA_DPI = 150;
+
+// Named design positions inside the print area (the "placement" column of words.csv)
+// Designs are full width with a proportional height (half of width) unless noted
+const PLACEMENT_POSITIONS = {
+  // Middle top - 20% down from the top of the print area
+  top: { width: 1800, height: 900, top: 480, left: 0 },
+  // Vertically centered in the print area
+  center: { width: 1800, height: 900, top: 750, left: 0 },
+  // Small design on the left chest (wearer's left, so the right side of the print area)
+  'left-chest': { width: 600, height: 300, top: 300, left: 1050 }
+};
 
 /**
- * Gets the appropriate API key and store ID based on the selected store
- * @param {string} storeType - The type of store to use ('manual' or 'etsy')
- * @returns {Object} - Object containing the API key and store ID
+ * Get the Printful position for a named placement
+ * @param {string} [placement='top'] - Placement name (top, center or left-chest)
+ * @returns {Object} Position for the sync variant file
  */
-function getStoreCredentials(storeType = 'manual') {
-  if (storeType === 'etsy') {
-    return {
-      apiKey: process.env.PRINTFUL_ETSY_API_KEY,
-      storeId: process.env.PRINTFUL_ETSY_STORE_ID,
-      name: 'Etsy-linked store'
-    };
-  } else {
-    return {
-      apiKey: process.env.PRINTFUL_API_KEY,
-      storeId: process.env.PRINTFUL_STORE_ID,
-      name: 'Manual/API store'
-    };
+function getPlacementPosition(placement = 'top') {
+  const preset = PLACEMENT_POSITIONS[placement];
+  if (!preset) {
+    throw new Error(`Unknown placement "${placement}". Use one of: ${Object.keys(PLACEMENT_POSITIONS).join(', ')}`);
   }
+  
+  return {
+    area_width: PRINT_AREA_WIDTH,
+    area_height: PRINT_AREA_HEIGHT,
+    ...preset,
+    limit_to_print_area: true
+  };
 }
 
 /**
@@ -42,9 +57,11 @@ function getStoreCredentials(storeType = 'manual') {
  * @param {string} options.description - Product description
  * @param {number} options.price - Product price
  * @param {Object} [options.position] - Optional position settings for the design
+ * @param {string} [options.placement='top'] - Named placement used when no position is given (top, center or left-chest)
+ * @param {Array<string>} [options.colors] - Create products for these colors (e.g. from the colors column of words.csv)
  * @param {string} [options.storeType='manual'] - The type of store to use ('manual' or 'etsy')
  * @param {number} [options.maxRetries=3] - Maximum number of retry attempts
- * @param {number} [options.retryDelay=2000] - Delay between retries in ms
+ * @param {number} [options.retryDelay=2000] - Backoff delay after the first failed attempt in ms
  * @param {boolean} [options.allColors=false] - Whether to create products for all available colors
  * @param {boolean} [options.allSizes=false] - Whether to create products for all available sizes
  * @param {boolean} [options.allVariants=false] - Whether to create products for all combinations of colors and sizes
@@ -60,6 +77,8 @@ async function createNewProduct({
   description,
   price,
   position = null,
+  placement = 'top',
+  colors = null,
   storeType = 'manual',
   maxRetries = 3,
   retryDelay = 2000,
@@ -70,37 +89,18 @@ async function createNewProduct({
 }) {
   // Default position if not provided
   if (!position) {
-    // Define the print area dimensions for standard products
-    const areaWidth = 1800;
-    const areaHeight = 2400;
-    
-    // Set design dimensions - full width but proportional height
-    const designWidth = areaWidth;
-    const designHeight = Math.round(areaWidth / 2); // Proportional height (half of width)
-    
-    // Position at middle top - centered horizontally, at the top portion of the print area
-    const topPosition = Math.round(areaHeight * 0.2); // 20% down from the top
-    
-    position = {
-      area_width: areaWidth,
-      area_height: areaHeight,
-      width: designWidth,
-      height: designHeight,
-      top: topPosition,
-      left: 0, // Centered horizontally (since we're using full width)
-      limit_to_print_area: true
-    };
+    position = getPlacementPosition(placement);
   }
   
-  // If creating all variants, we need to fetch all available variants first
-  if (allColors || allSizes || allVariants) {
+  // If creating all variants or a list of colors, we need to fetch all available variants first
+  if (allColors || allSizes || allVariants || colors) {
     console.log(`🔍 Fetching all available variants for product ID: ${productId}`);
     const { variants: allProductVariants, colors: availableColors, sizes: availableSizes } =
       await getAllProductVariants(productId, storeType);
     
     // Determine which colors and sizes to use
-    const colorsToUse = allColors || allVariants ? availableColors : [color];
-    const sizesToUse = allSizes || allVariants ? availableSizes : variants;
+    const colorsToUse = allColors || allVariants ? availableColors : (colors || [color]);
+    const sizesToUse = allSizes || allVariants || !variants ? availableSizes : variants;
     
     console.log(`🎨 Creating products for colors: ${colorsToUse.join(', ')}`);
     console.log(`📏 Creating products for sizes: ${sizesToUse.join(', ')}`);
@@ -197,167 +197,113 @@ async function createSingleProduct({
   retryDelay = 2000,
   allProductVariants = null
 }) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`⏳ Creating new product: ${title} (attempt ${attempt}/${maxRetries})`);
-      
-      const storeCredentials = getStoreCredentials(storeType);
-      console.log(`🔑 Using ${storeCredentials.name} credentials`);
-      
-      // Validate required parameters
-      if (!productId) throw new Error('Product ID is required');
-      if (!variants || !Array.isArray(variants) || variants.length === 0) {
-        throw new Error('Variants must be a non-empty array');
-      }
-      if (!color) throw new Error('Color is required');
-      if (!designUrl) throw new Error('Design URL is required');
-      if (!title) throw new Error('Title is required');
-      if (!description) throw new Error('Description is required');
-      if (!price || isNaN(price)) throw new Error('Price must be a valid number');
-      
-      console.log(`📐 Using position: top=${position.top}, left=${position.left}, width=${position.width}, height=${position.height}`);
-      
-      // Build the variant data
-      const syncVariants = [];
-      
-      for (const size of variants) {
-        let variantId;
-        
-        // If we have all product variants, use findVariantId to get the correct variant ID
-        if (allProductVariants) {
-          variantId = findVariantId(allProductVariants, size, color);
-          if (!variantId) {
-            console.warn(`⚠️ Could not find variant ID for size ${size}, color ${color}. Skipping this variant.`);
-            continue;
-          }
-        } else {
-          // Otherwise use the getVariantId function
-          try {
-            variantId = getVariantId(productId, size, color);
-          } catch (error) {
-            console.warn(`⚠️ ${error.message}. Skipping this variant.`);
-            continue;
-          }
-        }
-        
-        syncVariants.push({
-          retail_price: price.toString(),
-          variant_id: variantId,
-          files: [
-            {
-              url: designUrl,
-              type: 'front',
-              position
-            }
-          ]
-        });
-      }
-      
-      // If no valid variants were found, throw an error
-      if (syncVariants.length === 0) {
-        throw new Error(`No valid variants found for product ID ${productId}, color ${color}`);
-      }
-      
-      // Create the request payload
-      const payload = {
-        sync_product: {
-          name: title,
-          description: description,
-          thumbnail: designUrl
-        },
-        sync_variants: syncVariants
-      };
-      
-      console.log(`📦 Creating product with ${syncVariants.length} variants`);
-      
-      // Make the API request
-      const response = await fetch('https://api.printful.com/store/products', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${storeCredentials.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Failed to create product: ${JSON.stringify(data)}`);
+  console.log(`⏳ Creating new product: ${title}`);
+
+  const storeCredentials = getStoreCredentials(storeType);
+  console.log(`🔑 Using ${storeCredentials.name} credentials`);
+
+  // Validate required parameters
+  if (!productId) throw new Error('Product ID is required');
+  if (!variants || !Array.isArray(variants) || variants.length === 0) {
+    throw new Error('Variants must be a non-empty array');
+  }
+  if (!color) throw new Error('Color is required');
+  if (!designUrl) throw new Error('Design URL is required');
+  if (!title) throw new Error('Title is required');
+  if (!description) throw new Error('Description is required');
+  if (!price || isNaN(price)) throw new Error('Price must be a valid number');
+
+  console.log(`📐 Using position: top=${position.top}, left=${position.left}, width=${position.width}, height=${position.height}`);
+
+  // Build the variant data
+  const syncVariants = [];
+
+  for (const size of variants) {
+    let variantId;
+
+    // If we have all product variants, use findVariantId to get the correct variant ID
+    if (allProductVariants) {
+      variantId = findVariantId(allProductVariants, size, color);
+      if (!variantId) {
+        console.warn(`⚠️ Could not find variant ID for size ${size}, color ${color}. Skipping this variant.`);
+        continue;
       }
-      
-      console.log(`✅ Product created successfully with ID: ${data.result.id}`);
-      return data.result;
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Error creating product (attempt ${attempt}/${maxRetries}):`, error.message);
-      
-      if (attempt < maxRetries) {
-        console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        // Increase delay for next retry
-        retryDelay *= 1.5;
+    } else {
+      // Otherwise use the getVariantId function
+      try {
+        variantId = await getVariantId(productId, size, color, storeType);
+      } catch (error) {
+        console.warn(`⚠️ ${error.message}. Skipping this variant.`);
+        continue;
       }
     }
+
+    syncVariants.push({
+      retail_price: price.toString(),
+      variant_id: variantId,
+      files: [
+        {
+          url: designUrl,
+          type: 'front',
+          position
+        }
+      ]
+    });
+  }
+
+  // If no valid variants were found, throw an error
+  if (syncVariants.length === 0) {
+    throw new Error(`No valid variants found for product ID ${productId}, color ${color}`);
+  }
+
+  // Create the request payload
+  const payload = {
+    sync_product: {
+      name: title,
+      description: description,
+      thumbnail: designUrl
+    },
+    sync_variants: syncVariants
+  };
+
+  console.log(`📦 Creating product with ${syncVariants.length} variants`);
+
+  // The client retries rate limits and server errors, validation errors are thrown right away
+  const client = createPrintfulClient({ storeType, maxRetries, baseDelay: retryDelay });
+  try {
+    const product = await client.post('/store/products', payload);
+    console.log(`✅ Product created successfully with ID: ${product.id}`);
+    return product;
+  } catch (error) {
+    console.error(`❌ Error creating product:`, error.message);
+    throw error;
   }
-  
-  // If we've exhausted all retries, throw the last error
-  throw lastError || new Error('Failed to create product after multiple attempts');
 }
 
 /**
  * Helper function to get the variant ID for a specific product, size, and color
- * Note: In a production environment, you would want to fetch these dynamically
- * from the Printful API using the catalog endpoints
+ * Uses the cached Printful catalog (see variantResolver.js), so any product works
  * 
  * @param {number} productId - Printful catalog product ID
  * @param {string} size - Size variant (e.g., 'S', 'M', 'L')
- * @param {string} color - Color variant (e.g., 'black', 'white')
- * @returns {number} - The variant ID
+ * @param {string} color - Color variant (e.g., 'black', 'Sport Grey', 'SPORT-GREY')
+ * @param {string} [storeType='manual'] - The type of store whose API key is used to download the catalog
+ * @returns {Promise<number>} - The variant ID
  */
-function getVariantId(productId, size, color) {
-  // This is a simplified example for Gildan 18000 sweatshirt
-  // In a real implementation, you would fetch these from the Printful API
-  // or maintain a mapping of product variants
+async function getVariantId(productId, size, color, storeType = 'manual') {
+  const { apiKey } = getStoreCredentials(storeType);
+  const variantId = await resolveVariantId(productId, color, size, { apiKey });
   
-  // Example mapping for Gildan 18000 (productId: 71)
-  if (productId === 71) {
-    const variantMap = {
-      'black': {
-        'S': 4012,
-        'M': 4013,
-        'L': 4014,
-        'XL': 4015,
-        '2XL': 4017,
-        '3XL': 4018
-      },
-      'white': {
-        'S': 4019,
-        'M': 4020,
-        'L': 4021,
-        'XL': 4022,
-        '2XL': 4023,
-        '3XL': 4024
-      },
-      // Add more colors as needed
-    };
-    
-    // Normalize color to lowercase for case-insensitive matching
-    const normalizedColor = color.toLowerCase();
-    
-    if (variantMap[normalizedColor] && variantMap[normalizedColor][size]) {
-      return variantMap[normalizedColor][size];
-    }
+  if (!variantId) {
+    throw new Error(`Variant not found for product ${productId}, size ${size}, color ${color}`);
   }
   
-  throw new Error(`Variant not found for product ${productId}, size ${size}, color ${color}`);
+  return variantId;
 }
 
 /**
- * Fetches available variants for a product from the Printful API
- * This is useful for getting accurate variant IDs
+ * Fetches available variants for a product from the Printful catalog
+ * The catalog is cached on disk, see variantResolver.js
  *
  * @param {number} productId - Printful catalog product ID
  * @param {string} [storeType='manual'] - The type of store to use
@@ -368,22 +314,10 @@ async function getProductVariants(productId, storeType = 'manual') {
     console.log(`⏳ Fetching variants for product ID: ${productId}`);
     
     const storeCredentials = getStoreCredentials(storeType);
+    const { variants } = await getCatalogProduct(productId, { apiKey: storeCredentials.apiKey });
     
-    const response = await fetch(`https://api.printful.com/products/${productId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${storeCredentials.apiKey}`,
-      },
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch product variants: ${JSON.stringify(data)}`);
-    }
-    
-    console.log(`✅ Retrieved ${data.result.variants.length} variants for product ID: ${productId}`);
-    return data.result.variants;
+    console.log(`✅ Retrieved ${variants.length} variants for product ID: ${productId}`);
+    return variants;
   } catch (error) {
     console.error(`❌ Error fetching product variants:`, error.message);
     throw error;
@@ -472,17 +406,8 @@ async function getAllProductVariants(productId, storeType = 'manual') {
  * @returns {number|null} - The variant ID or null if not found
  */
 function findVariantId(variants, size, color) {
-  // Normalize color to lowercase for case-insensitive matching
-  const normalizedColor = color.toLowerCase();
-  
-  // Find the matching variant
-  const matchingVariant = variants.find(variant => {
-    const variantColor = (variant.color || '').toLowerCase();
-    const variantSize = variant.size || '';
-    
-    return variantColor === normalizedColor && variantSize === size;
-  });
-  
+  // Color and size names are normalized, so 'SPORT-GREY' matches 'Sport Grey'
+  const matchingVariant = findVariant(variants, color, size);
   return matchingVariant ? matchingVariant.id : null;
 }
 
@@ -516,7 +441,10 @@ module.exports = {
   getStoreCredentials,
   extractUniqueColors,
   extractUniqueSizes,
-  findVariantId
+  findVariantId,
+  getPlacementPosition,
+  PLACEMENT_POSITIONS,
+  PRINT_AREA_DPI
 };
 
 // If this script is run directly (not imported), run the example
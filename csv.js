@@ -0,0 +1,103 @@
+/**
+ * csv.js
+ *
+ * This module reads and writes CSV as described in RFC 4180. Every field is quoted on the
+ * way out, and quoted fields may hold commas, quotes ("") and line breaks on the way in, so
+ * listing descriptions survive a round trip.
+ */
+
+/**
+ * Quote a value as a CSV field
+ * @param {*} value - Value (null and undefined become an empty field)
+ * @returns {string} Quoted field
+ */
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Write rows as CSV
+ * @param {Array<Array<*>>} rows - Rows of values (the header row included)
+ * @returns {string} CSV text, with CRLF after every row
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(formatCsvField).join(',') + '\r\n').join('');
+}
+
+/**
+ * Read CSV text into rows
+ * Accepts CRLF and LF line endings, and a byte order mark at the start
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields (the header row included)
+ * @throws {Error} When a quoted field is not closed or has text after its closing quote
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuotes = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+        afterQuotes = true;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === ',') {
+      row.push(field);
+      field = '';
+      afterQuotes = false;
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      afterQuotes = false;
+      line++;
+    } else if (afterQuotes) {
+      throw new Error(`line ${line}: unexpected "${char}" after a closing quote`);
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+      quoteLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`line ${quoteLine}: quoted field is never closed`);
+  }
+  // The last row may not end with a line break
+  if (field !== '' || afterQuotes || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv,
+  formatCsvField
+};
@@ -0,0 +1,127 @@
+/**
+ * dashboardSchema.js
+ *
+ * This module declares the listing dashboard's columns and turns manual-templates/*.json
+ * files into dashboard rows. The CSV dashboard and the Google Sheets upload both use it, so
+ * the column order is the same everywhere and doesn't depend on which template comes first.
+ *
+ * Translated listings (see listingLocalizer.js) add title/description/tags columns per
+ * locale after the declared ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listingSourceHash, SUPPORTED_LOCALES } = require('./listingLocalizer');
+
+// Dashboard columns in order: sheet header -> manual-templates field
+const DASHBOARD_COLUMNS = [
+  { header: 'word', key: 'word' },
+  { header: 'title', key: 'title' },
+  { header: 'description', key: 'description' },
+  { header: 'tags', key: 'tags' },
+  { header: 'price', key: 'price' },
+  { header: 'productId', key: 'productId' },
+  { header: 'syncProductId', key: 'syncProductId' },
+  { header: 'productType', key: 'productType' },
+  { header: 'cuisine', key: 'cuisine' },
+  { header: 'colors', key: 'colors' },
+  { header: 'sizes', key: 'sizes' },
+  { header: 'placement', key: 'placement' },
+  { header: 'position', key: 'position' },
+  { header: 'fileUrl', key: 'fileUrl' },
+  { header: 'dropboxLink', key: 'dropboxLink' },
+  { header: 'localMockups', key: 'localMockups' },
+  { header: 'locked', key: 'locked' },
+  { header: 'createdAt', key: 'createdAt' }
+];
+
+// Translated fields exported per locale, as <field>_<locale> columns
+const TRANSLATED_FIELDS = ['title', 'description', 'tags'];
+
+/**
+ * Format a template value for a dashboard cell
+ * @param {*} value - Value
+ * @returns {string} Cell text (lists joined with ", ", objects as JSON, nothing for null)
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  } else if (Array.isArray(value)) {
+    return value.join(', ');
+  } else if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Get the translation columns of a template
+ * Translations made from different English copy are left out, so the sheet never pairs
+ * new English copy with an old translation.
+ * @param {Object} template - Saved metadata
+ * @returns {Object} Values keyed by <field>_<locale>
+ */
+function translationColumns(template) {
+  const columns = {};
+  const sourceHash = listingSourceHash(template);
+  for (const [locale, translation] of Object.entries(template.translations || {})) {
+    if (translation.sourceHash !== sourceHash) {
+      continue;
+    }
+    for (const field of TRANSLATED_FIELDS) {
+      columns[`${field}_${locale}`] = translation[field];
+    }
+  }
+  return columns;
+}
+
+/**
+ * Get the dashboard columns for a set of templates
+ * @param {Array<Object>} templates - Saved metadata
+ * @returns {Array<{header: string, key: string}>} DASHBOARD_COLUMNS, then the translation
+ *   columns of every locale any template was translated to
+ */
+function dashboardColumns(templates) {
+  const locales = Object.keys(SUPPORTED_LOCALES)
+    .filter(locale => templates.some(template => template.translations && template.translations[locale]));
+  const columns = [...DASHBOARD_COLUMNS];
+  for (const locale of locales) {
+    columns.push(...TRANSLATED_FIELDS.map(field => ({ header: `${field}_${locale}`, key: `${field}_${locale}` })));
+  }
+  return columns;
+}
+
+/**
+ * Read the manual-templates JSON files, in file name order
+ * @param {string} templatesDir - Templates directory
+ * @returns {Array<Object>} Saved metadata
+ */
+function readDashboardTemplates(templatesDir) {
+  const dirPath = path.resolve(templatesDir);
+  return fs.readdirSync(dirPath)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dirPath, file), 'utf8')));
+}
+
+/**
+ * Turn templates into dashboard rows
+ * @param {Array<Object>} templates - Saved metadata
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} Header row and one row of cell text per template
+ */
+function buildDashboardRows(templates) {
+  const columns = dashboardColumns(templates);
+  const rows = templates.map((template) => {
+    const values = { ...template, ...translationColumns(template) };
+    return columns.map(column => formatCell(values[column.key]));
+  });
+  return { headers: columns.map(column => column.header), rows };
+}
+
+module.exports = {
+  buildDashboardRows,
+  readDashboardTemplates,
+  dashboardColumns,
+  formatCell,
+  DASHBOARD_COLUMNS
+};
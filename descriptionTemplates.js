@@ -0,0 +1,203 @@
+/**
+ * descriptionTemplates.js
+ *
+ * This module assembles listing descriptions from the templates in listing-templates/.
+ * There is one template per product type (listing-templates/<type>.txt). A template holds the
+ * full description, including the DETAILS / FAST PROCESSING / SATISFACTION GUARANTEE / FEEDBACK
+ * sections, with placeholders for the parts that change per word:
+ *
+ * - {{WORD}}: the design word
+ * - {{CUISINE}}: the cuisine from words.csv (or the one the model picked)
+ * - {{EMOJIS}}: food emojis written by the model
+ * - {{RELATED_FOODS}}: dishes written by the model, joined with commas
+ * - {{INTRO}}: the opening line written by the model
+ *
+ * The model only writes the placeholder values, so the standard sections always come out word for word.
+ *
+ * Next to each template, listing-templates/<type>.json holds the product type's wording for titles,
+ * Printful product names and padding tags, so a hoodie is never titled as a crewneck.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, 'listing-templates');
+const DEFAULT_PRODUCT_TYPE = 'sweatshirt';
+
+// Placeholders a template may use
+const PLACEHOLDERS = ['WORD', 'CUISINE', 'EMOJIS', 'RELATED_FOODS', 'INTRO'];
+
+// Sections every template must contain
+const REQUIRED_SECTIONS = ['DETAILS', 'FAST PROCESSING', 'SATISFACTION GUARANTEE', 'FEEDBACK'];
+
+// Fields every listing-templates/<type>.json must have
+const PRODUCT_DETAIL_FIELDS = ['label', 'title', 'productName', 'wordTags', 'tags'];
+
+/**
+ * List the product types that have a template
+ * @param {string} [templatesDir] - Templates directory (default: listing-templates/)
+ * @returns {Array<string>} Product types, e.g. ['hoodie', 'sweatshirt', 'tee']
+ */
+function listProductTypes(templatesDir = TEMPLATES_DIR) {
+  if (!fs.existsSync(templatesDir)) {
+    return [];
+  }
+  return fs.readdirSync(templatesDir)
+    .filter(file => file.endsWith('.txt'))
+    .map(file => path.basename(file, '.txt'))
+    .sort();
+}
+
+/**
+ * Load the title and tag wording of a product type from listing-templates/<type>.json
+ * @param {string} [productType='sweatshirt'] - Product type
+ * @param {string} [templatesDir] - Templates directory (default: listing-templates/)
+ * @returns {Object} { label, title, productName, wordTags, tags }
+ * @throws {Error} When the file is missing or lacks a field
+ */
+function loadProductDetails(productType = DEFAULT_PRODUCT_TYPE, templatesDir = TEMPLATES_DIR) {
+  const detailsPath = path.join(templatesDir, `${productType}.json`);
+  if (!fs.existsSync(detailsPath)) {
+    throw new Error(`No product details for product type "${productType}" (add ${detailsPath})`);
+  }
+
+  const details = JSON.parse(fs.readFileSync(detailsPath, 'utf8'));
+  const missing = PRODUCT_DETAIL_FIELDS.filter(field => details[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Invalid product details ${detailsPath}: missing ${missing.join(', ')}`);
+  }
+  return details;
+}
+
+/**
+ * Get the name of a product type as used in titles
+ * @param {string} productType - Product type
+ * @param {string} [templatesDir] - Templates directory (default: listing-templates/)
+ * @returns {string} Label, e.g. 'T-Shirt' for 'tee' (the capitalized type when it has no details file)
+ */
+function getProductLabel(productType, templatesDir = TEMPLATES_DIR) {
+  if (fs.existsSync(path.join(templatesDir, `${productType}.json`))) {
+    return loadProductDetails(productType, templatesDir).label;
+  }
+  return productType.charAt(0).toUpperCase() + productType.slice(1);
+}
+
+/**
+ * Build the Printful product name for a word, e.g. 'TACOS Hoodie - Cozy Oversized Unisex Pullover'
+ * @param {string} word - Design word
+ * @param {string} [productType='sweatshirt'] - Product type
+ * @param {string} [templatesDir] - Templates directory (default: listing-templates/)
+ * @returns {string} Product name
+ */
+function buildProductName(word, productType = DEFAULT_PRODUCT_TYPE, templatesDir = TEMPLATES_DIR) {
+  return renderTemplate(loadProductDetails(productType, templatesDir).productName, { WORD: word });
+}
+
+/**
+ * Check a template for unknown placeholders and missing sections
+ * @param {string} template - Template text
+ * @returns {Array<string>} Problems (empty when the template is usable)
+ */
+function validateTemplate(template) {
+  const errors = [];
+  const used = new Set([...template.matchAll(/\{\{\s*([A-Z_]+)\s*\}\}/g)].map(match => match[1]));
+
+  for (const name of used) {
+    if (!PLACEHOLDERS.includes(name)) {
+      errors.push(`unknown placeholder {{${name}}} (known placeholders: ${PLACEHOLDERS.join(', ')})`);
+    }
+  }
+  for (const section of REQUIRED_SECTIONS) {
+    if (!template.includes(section)) {
+      errors.push(`missing the ${section} section`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load the template for a product type
+ * @param {string} [productType='sweatshirt'] - Product type
+ * @param {string} [templatesDir] - Templates directory (default: listing-templates/)
+ * @returns {string} Template text
+ * @throws {Error} When there is no template for the type or the template is invalid
+ */
+function loadDescriptionTemplate(productType = DEFAULT_PRODUCT_TYPE, templatesDir = TEMPLATES_DIR) {
+  const templatePath = path.join(templatesDir, `${productType}.txt`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`No description template for product type "${productType}" (known types: ${listProductTypes(templatesDir).join(', ')})`);
+  }
+
+  const template = fs.readFileSync(templatePath, 'utf8');
+  const errors = validateTemplate(template);
+  if (errors.length > 0) {
+    throw new Error(`Invalid description template ${templatePath}: ${errors.join('; ')}`);
+  }
+  return template;
+}
+
+/**
+ * Replace the {{PLACEHOLDERS}} in a template
+ * @param {string} template - Template text
+ * @param {Object} values - Value per placeholder name, e.g. { WORD: 'TACOS' }
+ * @returns {string} Filled template
+ * @throws {Error} When a placeholder in the template has no value
+ */
+function renderTemplate(template, values) {
+  const missing = new Set();
+  const text = template.replace(/\{\{\s*([A-Z_]+)\s*\}\}/g, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(value).trim();
+  });
+
+  if (missing.size > 0) {
+    throw new Error(`No value for ${[...missing].map(name => `{{${name}}}`).join(', ')}`);
+  }
+  return text.trim();
+}
+
+/**
+ * Build a listing description from the product type's template
+ * @param {Object} slots - Values for the placeholders
+ * @param {string} slots.word - Design word
+ * @param {string} slots.cuisine - Cuisine
+ * @param {string} slots.emojis - Food emojis
+ * @param {string} slots.intro - Opening line
+ * @param {Array<string>|string} slots.relatedFoods - Related dishes
+ * @param {Object} [options] - Template options
+ * @param {string} [options.productType='sweatshirt'] - Product type
+ * @param {string} [options.templatesDir] - Templates directory (default: listing-templates/)
+ * @returns {string} Description
+ */
+function buildDescription({ word, cuisine, emojis, intro, relatedFoods }, {
+  productType = DEFAULT_PRODUCT_TYPE,
+  templatesDir = TEMPLATES_DIR
+} = {}) {
+  const template = loadDescriptionTemplate(productType, templatesDir);
+  return renderTemplate(template, {
+    WORD: word,
+    CUISINE: cuisine,
+    EMOJIS: emojis,
+    INTRO: intro,
+    RELATED_FOODS: Array.isArray(relatedFoods) ? relatedFoods.join(', ') : relatedFoods
+  });
+}
+
+module.exports = {
+  buildDescription,
+  renderTemplate,
+  loadDescriptionTemplate,
+  validateTemplate,
+  listProductTypes,
+  getProductLabel,
+  loadProductDetails,
+  buildProductName,
+  DEFAULT_PRODUCT_TYPE,
+  PLACEHOLDERS,
+  REQUIRED_SECTIONS,
+  TEMPLATES_DIR
+};
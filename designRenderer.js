@@ -0,0 +1,141 @@
+/**
+ * designRenderer.js
+ *
+ * This module renders a design PNG without Adobe Illustrator.
+ * It draws the word as SVG text with the fill and stroke from words.csv, trims the artboard
+ * to the visible text plus the same padding scripts/baseTemplate.jsx uses, and exports a
+ * transparent PNG 2000px wide. This lets Linux build boxes and CI produce designs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Match the Illustrator template: 2pt stroke, 5pt artboard padding, exported at 2000px wide
+const DEFAULT_WIDTH = 2000;
+const DEFAULT_STROKE_WEIGHT = 2;
+const DEFAULT_PADDING = 5;
+// Reference text size (in points) that the stroke weight and padding are relative to
+const REFERENCE_FONT_SIZE = 72;
+// Render oversized so trimming and downscaling keep the edges smooth
+const OVERSAMPLE = 10;
+const DEFAULT_FONT = process.env.DESIGN_FONT || 'sans-serif';
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Normalize a color from words.csv to a #RRGGBB string
+ * @param {string} color - Hex color with or without a leading #
+ * @returns {string} Normalized hex color
+ */
+function normalizeHex(color) {
+  const cleaned = String(color).trim().replace('#', '');
+  if (!/^[0-9a-fA-F]{6}$/.test(cleaned)) {
+    throw new Error(`Invalid hex color: ${color}`);
+  }
+  return `#${cleaned.toUpperCase()}`;
+}
+
+/**
+ * Build the SVG used to render a word
+ * @param {Object} options - SVG options
+ * @param {string} options.word - Text to render
+ * @param {string} options.fill - Fill color (#RRGGBB)
+ * @param {string} options.stroke - Stroke color (#RRGGBB)
+ * @param {string} options.font - Font family
+ * @param {number} options.strokeWeight - Stroke weight in points
+ * @returns {string} SVG markup
+ */
+function buildSvg({ word, fill, stroke, font, strokeWeight }) {
+  const fontSize = REFERENCE_FONT_SIZE * OVERSAMPLE;
+  // Generous canvas - the result is trimmed to the visible text afterwards
+  const width = Math.ceil(fontSize * (word.length * 1.2 + 2));
+  const height = Math.ceil(fontSize * 2);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <text x="${fontSize}" y="${Math.round(fontSize * 1.4)}"
+        font-family="${escapeXml(font)}" font-size="${fontSize}" font-weight="bold"
+        fill="${fill}" stroke="${stroke}" stroke-width="${strokeWeight * OVERSAMPLE}">${escapeXml(word)}</text>
+</svg>`;
+}
+
+/**
+ * Render a design PNG for a word
+ * @param {Object} options - Render options
+ * @param {string} options.word - Text on the design (e.g. 'TACOS')
+ * @param {string} options.fill - Fill color from words.csv (e.g. '#C8102E')
+ * @param {string} options.stroke - Stroke color from words.csv
+ * @param {string} options.outputPath - Where to write the PNG
+ * @param {number} [options.width=2000] - Output width in pixels
+ * @param {string} [options.font] - Font family (defaults to DESIGN_FONT or sans-serif)
+ * @param {number} [options.strokeWeight=2] - Stroke weight in points
+ * @param {number} [options.padding=5] - Padding around the text in points
+ * @returns {Promise<Object>} Output path and pixel dimensions
+ */
+async function renderDesign({
+  word,
+  fill,
+  stroke,
+  outputPath,
+  width = DEFAULT_WIDTH,
+  font = DEFAULT_FONT,
+  strokeWeight = DEFAULT_STROKE_WEIGHT,
+  padding = DEFAULT_PADDING
+}) {
+  if (!word) throw new Error('Word is required');
+  if (!outputPath) throw new Error('Output path is required');
+
+  const svg = buildSvg({
+    word,
+    fill: normalizeHex(fill),
+    stroke: normalizeHex(stroke),
+    font,
+    strokeWeight
+  });
+
+  // Trim to the visible bounds of the text (like textLayer.visibleBounds)
+  const trimmed = await sharp(Buffer.from(svg))
+    .trim({ threshold: 0 })
+    .png()
+    .toBuffer();
+
+  // Add the artboard padding around the text
+  const pad = Math.round(padding * OVERSAMPLE);
+  const padded = await sharp(trimmed)
+    .extend({
+      top: pad,
+      bottom: pad,
+      left: pad,
+      right: pad,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    })
+    .png()
+    .toBuffer();
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const info = await sharp(padded)
+    .resize({ width })
+    .png()
+    .toFile(outputPath);
+
+  return { outputPath, width: info.width, height: info.height };
+}
+
+module.exports = {
+  renderDesign,
+  buildSvg,
+  normalizeHex
+};
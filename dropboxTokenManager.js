@@ -1,8 +1,13 @@
 /**
  * dropboxTokenManager.js
- * 
+ *
  * This module handles Dropbox OAuth 2.0 authentication with automatic token refresh.
  * It securely stores refresh tokens and automatically refreshes access tokens when they expire.
+ *
+ * The app key comes from DROPBOX_APP_KEY. Authorization uses PKCE, so no app secret is needed.
+ * Tokens are stored per named profile (one per Dropbox account) in .tokens/, and access tokens
+ * are refreshed a few minutes before they expire. Without a terminal, a profile that needs
+ * authorization throws DropboxAuthRequiredError instead of waiting for input.
  */
 
 const fs = require('fs');
@@ -14,28 +19,69 @@ const readline = require('readline');
 
 // Configuration
 require('dotenv').config();
-const DROPBOX_APP_KEY = process.env.DROPBOX_APP_KEY;
-const DROPBOX_APP_SECRET = process.env.DROPBOX_APP_SECRET;
 const TOKEN_STORAGE_PATH = path.join(__dirname, '.tokens');
+const TOKEN_URL = 'https://api.dropboxapi.com/oauth2/token';
+const AUTHORIZE_URL = 'https://www.dropbox.com/oauth2/authorize';
+const DEFAULT_PROFILE = 'default';
+// Refresh access tokens this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// Key tokens were encrypted with before TOKEN_ENCRYPTION_KEY was required, only used for reading
+const LEGACY_ENCRYPTION_KEY = 'default-encryption-key';
+
+/**
+ * Base class for Dropbox authorization errors
+ */
+class DropboxAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * A token profile has no usable tokens and can't be authorized without a terminal
+ */
+class DropboxAuthRequiredError extends DropboxAuthError {
+  constructor(profile, reason) {
+    super(`Dropbox profile "${profile}" needs authorization (${reason}). Run "node dropboxTokenManager.js --login --profile=${profile}" in a terminal`);
+    this.profile = profile;
+  }
+}
+
 // Create a 32-byte key by hashing the original key
 function createKey(key) {
   return crypto.createHash('sha256').update(String(key)).digest();
 }
-const ENCRYPTION_KEY = createKey(process.env.TOKEN_ENCRYPTION_KEY || 'default-encryption-key');
 
-// Ensure token storage directory exists
-if (!fs.existsSync(TOKEN_STORAGE_PATH)) {
-  fs.mkdirSync(TOKEN_STORAGE_PATH, { recursive: true });
+/**
+ * Get the token encryption key
+ * TOKEN_ENCRYPTION_KEY when set, otherwise a random key kept in .tokens/.key
+ * @param {string} [dir] - Token storage folder
+ * @returns {Buffer} 32-byte key
+ */
+function getEncryptionKey(dir = TOKEN_STORAGE_PATH) {
+  const configured = process.env.TOKEN_ENCRYPTION_KEY;
+  if (configured && configured !== 'your_encryption_key' && configured !== 'your_encryption_key_for_token_storage') {
+    return createKey(configured);
+  }
+
+  const keyPath = path.join(dir, '.key');
+  if (!fs.existsSync(keyPath)) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return createKey(fs.readFileSync(keyPath, 'utf8').trim());
 }
 
 /**
  * Encrypt text using AES-256-CBC
  * @param {string} text - Text to encrypt
+ * @param {Buffer} [key] - 32-byte key (default: getEncryptionKey())
  * @returns {string} Encrypted text
  */
-function encrypt(text) {
+function encrypt(text, key = getEncryptionKey()) {
   const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', ENCRYPTION_KEY, iv);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
   let encrypted = cipher.update(text);
   encrypted = Buffer.concat([encrypted, cipher.final()]);
   return iv.toString('hex') + ':' + encrypted.toString('hex');
@@ -44,38 +90,124 @@ function encrypt(text) {
 /**
  * Decrypt text using AES-256-CBC
  * @param {string} text - Text to decrypt
+ * @param {Buffer} [key] - 32-byte key (default: getEncryptionKey())
  * @returns {string} Decrypted text
  */
-function decrypt(text) {
+function decrypt(text, key = getEncryptionKey()) {
   const parts = text.split(':');
   const iv = Buffer.from(parts[0], 'hex');
   const encryptedText = Buffer.from(parts[1], 'hex');
-  const decipher = crypto.createDecipheriv('aes-256-cbc', ENCRYPTION_KEY, iv);
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
   let decrypted = decipher.update(encryptedText);
   decrypted = Buffer.concat([decrypted, decipher.final()]);
   return decrypted.toString();
 }
 
+/**
+ * Get the file a token profile is stored in
+ * The default profile keeps the original file name, so existing tokens still load
+ * @param {string} profile - Profile name
+ * @param {string} [dir] - Token storage folder
+ * @returns {string} File path
+ */
+function tokenFile(profile, dir = TOKEN_STORAGE_PATH) {
+  if (!/^[\w-]+$/.test(profile)) {
+    throw new DropboxAuthError(`Invalid Dropbox profile name "${profile}" (use letters, digits, _ and -)`);
+  }
+  return path.join(dir, profile === DEFAULT_PROFILE ? 'dropbox_tokens.enc' : `dropbox_tokens.${profile}.enc`);
+}
+
 /**
  * Save tokens to encrypted storage
  * @param {Object} tokens - Token object to save
+ * @param {string} [profile='default'] - Profile name
+ * @param {string} [dir] - Token storage folder
  */
-function saveTokens(tokens) {
-  const encryptedTokens = encrypt(JSON.stringify(tokens));
-  fs.writeFileSync(path.join(TOKEN_STORAGE_PATH, 'dropbox_tokens.enc'), encryptedTokens);
+function saveTokens(tokens, profile = DEFAULT_PROFILE, dir = TOKEN_STORAGE_PATH) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(tokenFile(profile, dir), encrypt(JSON.stringify(tokens), getEncryptionKey(dir)), { mode: 0o600 });
 }
 
 /**
  * Load tokens from encrypted storage
+ * Tokens encrypted with the old built-in key are re-encrypted with the current key
+ * @param {string} [profile='default'] - Profile name
+ * @param {string} [dir] - Token storage folder
  * @returns {Object|null} Token object or null if not found
  */
-function loadTokens() {
+function loadTokens(profile = DEFAULT_PROFILE, dir = TOKEN_STORAGE_PATH) {
+  const file = tokenFile(profile, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const encryptedTokens = fs.readFileSync(file, 'utf8');
   try {
-    const encryptedTokens = fs.readFileSync(path.join(TOKEN_STORAGE_PATH, 'dropbox_tokens.enc'), 'utf8');
-    return JSON.parse(decrypt(encryptedTokens));
+    return JSON.parse(decrypt(encryptedTokens, getEncryptionKey(dir)));
   } catch (error) {
-    return null;
+    try {
+      const tokens = JSON.parse(decrypt(encryptedTokens, createKey(LEGACY_ENCRYPTION_KEY)));
+      saveTokens(tokens, profile, dir);
+      console.log(`🔒 Re-encrypted Dropbox profile "${profile}" with the current encryption key`);
+      return tokens;
+    } catch (legacyError) {
+      console.log(`⚠️ Could not decrypt Dropbox profile "${profile}" (was TOKEN_ENCRYPTION_KEY changed?)`);
+      return null;
+    }
+  }
+}
+
+/**
+ * List the stored token profiles
+ * @param {string} [dir] - Token storage folder
+ * @returns {Array<string>} Profile names
+ */
+function listTokenProfiles(dir = TOKEN_STORAGE_PATH) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .map(name => name === 'dropbox_tokens.enc' ? DEFAULT_PROFILE : (/^dropbox_tokens\.([\w-]+)\.enc$/.exec(name) || [])[1])
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Get the Dropbox app key
+ * @returns {string} App key from DROPBOX_APP_KEY
+ */
+function getAppKey() {
+  const appKey = process.env.DROPBOX_APP_KEY;
+  if (!appKey || appKey === 'your_dropbox_app_key') {
+    throw new DropboxAuthError('DROPBOX_APP_KEY is not set (see README-dropbox-token-refresh.md)');
   }
+  return appKey;
+}
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {Object} { verifier, challenge }
+ */
+function createPkcePair() {
+  const verifier = crypto.randomBytes(48).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * Build the URL where the user authorizes the app
+ * @param {string} clientId - App key
+ * @param {string} challenge - PKCE code challenge
+ * @returns {string} Authorization URL
+ */
+function buildAuthorizeUrl(clientId, challenge) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    response_type: 'code',
+    token_access_type: 'offline',
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  });
+  return `${AUTHORIZE_URL}?${params}`;
 }
 
 /**
@@ -91,158 +223,247 @@ async function promptForCode() {
   return new Promise((resolve) => {
     rl.question('Enter the authorization code: ', (code) => {
       rl.close();
-      resolve(code);
+      resolve(code.trim());
     });
   });
 }
 
 /**
  * Initialize OAuth flow
+ * @param {Object} [options] - Flow options
+ * @param {string} [options.profile='default'] - Profile to store the tokens in
+ * @param {boolean} [options.interactive] - Whether the user can be asked (default: stdin is a terminal)
+ * @param {string} [options.reason='no stored tokens'] - Why authorization is needed, for the error
+ * @param {Function} [options.prompt] - Asks for the authorization code (default: on the terminal)
+ * @param {string} [options.dir] - Token storage folder
  * @returns {Promise<Object>} Token object
  */
-async function initializeOAuthFlow() {
-  console.log('Initializing Dropbox OAuth flow...');
+async function initializeOAuthFlow({
+  profile = DEFAULT_PROFILE,
+  interactive = Boolean(process.stdin.isTTY),
+  reason = 'no stored tokens',
+  prompt = promptForCode,
+  dir = TOKEN_STORAGE_PATH
+} = {}) {
+  if (!interactive) {
+    throw new DropboxAuthRequiredError(profile, reason);
+  }
+
+  const clientId = getAppKey();
+  const { verifier, challenge } = createPkcePair();
+  console.log(`Initializing Dropbox OAuth flow for profile "${profile}"...`);
   console.log(`\n1. Visit this URL in your browser:`);
-  // Use the actual app key provided by the user
-  console.log(`\nhttps://www.dropbox.com/oauth2/authorize?client_id=pg8ctv2m70yul5j&response_type=code&token_access_type=offline\n`);
+  console.log(`\n${buildAuthorizeUrl(clientId, challenge)}\n`);
   console.log('2. Click "Allow" (you might need to log in first)');
   console.log('3. Copy the authorization code');
-  
-  const code = await promptForCode();
-  return await exchangeCodeForTokens(code);
+
+  const code = await prompt();
+  return await exchangeCodeForTokens(code, verifier, { profile, clientId, dir });
+}
+
+/**
+ * Turn a token endpoint error into a readable message
+ * @param {Error} error - axios error
+ * @returns {string} Message
+ */
+function tokenErrorMessage(error) {
+  const data = error.response && error.response.data;
+  const detail = data && (data.error_description || data.error);
+  return detail ? `${error.message}: ${detail}` : error.message;
 }
 
 /**
  * Exchange authorization code for tokens
  * @param {string} code - Authorization code
+ * @param {string} verifier - PKCE code verifier the authorization URL was built with
+ * @param {Object} [options] - Exchange options
+ * @param {string} [options.profile='default'] - Profile to store the tokens in
+ * @param {string} [options.clientId] - App key (default: DROPBOX_APP_KEY)
+ * @param {string} [options.dir] - Token storage folder
  * @returns {Promise<Object>} Token object
  */
-async function exchangeCodeForTokens(code) {
+async function exchangeCodeForTokens(code, verifier, { profile = DEFAULT_PROFILE, clientId = getAppKey(), dir = TOKEN_STORAGE_PATH } = {}) {
   try {
     const params = new URLSearchParams();
     params.append('code', code);
     params.append('grant_type', 'authorization_code');
-    params.append('client_id', 'pg8ctv2m70yul5j');
-    params.append('client_secret', DROPBOX_APP_SECRET);
+    params.append('client_id', clientId);
+    params.append('code_verifier', verifier);
+
+    const response = await axios.post(TOKEN_URL, params);
 
-    const response = await axios.post('https://api.dropboxapi.com/oauth2/token', params);
-    
     const tokens = {
       access_token: response.data.access_token,
       refresh_token: response.data.refresh_token,
-      expires_at: Date.now() + (response.data.expires_in * 1000)
+      expires_at: Date.now() + (response.data.expires_in * 1000),
+      client_id: clientId,
+      account_id: response.data.account_id || null,
+      pkce: true
     };
-    
-    saveTokens(tokens);
-    console.log('✅ Successfully obtained and saved tokens');
+
+    saveTokens(tokens, profile, dir);
+    console.log(`✅ Successfully obtained and saved tokens for profile "${profile}"`);
     return tokens;
   } catch (error) {
-    console.error('❌ Error exchanging code for tokens:', error.message);
-    if (error.response) {
-      console.error('Response data:', error.response.data);
-      console.error('Response status:', error.response.status);
-    }
+    console.error('❌ Error exchanging code for tokens:', tokenErrorMessage(error));
     throw error;
   }
 }
 
 /**
  * Refresh access token using refresh token
- * @param {string} refreshToken - Refresh token
+ * Tokens from the PKCE flow refresh with the app key alone; older tokens also need DROPBOX_APP_SECRET.
+ * @param {Object} tokens - Stored tokens
+ * @param {Object} [options] - Refresh options
+ * @param {string} [options.profile='default'] - Profile the tokens belong to
+ * @param {string} [options.dir] - Token storage folder
  * @returns {Promise<Object>} Updated token object
  */
-async function refreshAccessToken(refreshToken) {
+async function refreshAccessToken(tokens, { profile = DEFAULT_PROFILE, dir = TOKEN_STORAGE_PATH } = {}) {
   try {
+    const clientId = tokens.client_id || getAppKey();
     const params = new URLSearchParams();
-    params.append('refresh_token', refreshToken);
+    params.append('refresh_token', tokens.refresh_token);
     params.append('grant_type', 'refresh_token');
-    params.append('client_id', 'pg8ctv2m70yul5j');
-    params.append('client_secret', DROPBOX_APP_SECRET);
+    params.append('client_id', clientId);
+    if (!tokens.pkce && process.env.DROPBOX_APP_SECRET) {
+      params.append('client_secret', process.env.DROPBOX_APP_SECRET);
+    }
 
-    const response = await axios.post('https://api.dropboxapi.com/oauth2/token', params);
-    
-    const tokens = {
+    const response = await axios.post(TOKEN_URL, params);
+
+    const refreshed = {
+      ...tokens,
       access_token: response.data.access_token,
-      refresh_token: refreshToken, // Keep the same refresh token
-      expires_at: Date.now() + (response.data.expires_in * 1000)
+      refresh_token: tokens.refresh_token, // Keep the same refresh token
+      expires_at: Date.now() + (response.data.expires_in * 1000),
+      client_id: clientId
     };
-    
-    saveTokens(tokens);
-    console.log('✅ Successfully refreshed access token');
-    return tokens;
+
+    saveTokens(refreshed, profile, dir);
+    console.log(`✅ Successfully refreshed access token for profile "${profile}"`);
+    return refreshed;
   } catch (error) {
-    console.error('❌ Error refreshing access token:', error.message);
-    if (error.response) {
-      console.error('Response data:', error.response.data);
-      console.error('Response status:', error.response.status);
-    }
+    console.error('❌ Error refreshing access token:', tokenErrorMessage(error));
     throw error;
   }
 }
 
 /**
- * Get a valid Dropbox client with auto-refresh capability
- * @returns {Promise<Dropbox>} Dropbox client
+ * Check whether an access token is expired or about to expire
+ * @param {Object} tokens - Stored tokens
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True when it should be refreshed
  */
-async function getDropboxClient() {
-  let tokens = loadTokens();
-  
+function needsRefresh(tokens, now = Date.now()) {
+  return !tokens.access_token || !tokens.expires_at || now >= tokens.expires_at - REFRESH_MARGIN_MS;
+}
+
+/**
+ * Get valid tokens for a profile: stored, refreshed, or newly authorized
+ * @param {Object} [options] - See getDropboxClient()
+ * @returns {Promise<Object>} Token object
+ */
+async function getValidTokens({
+  profile = process.env.DROPBOX_PROFILE || DEFAULT_PROFILE,
+  interactive = Boolean(process.stdin.isTTY),
+  prompt,
+  dir = TOKEN_STORAGE_PATH
+} = {}) {
+  const tokens = loadTokens(profile, dir);
+
   // If no tokens or refresh token is missing, initialize OAuth flow
   if (!tokens || !tokens.refresh_token) {
-    tokens = await initializeOAuthFlow();
+    return initializeOAuthFlow({ profile, interactive, prompt, dir });
+  }
+
+  if (!needsRefresh(tokens)) {
+    return tokens;
   }
-  
-  // If access token is expired, refresh it
-  if (Date.now() >= tokens.expires_at) {
-    console.log('Access token expired, refreshing...');
-    tokens = await refreshAccessToken(tokens.refresh_token);
+  console.log(`Access token for profile "${profile}" expires soon, refreshing...`);
+  try {
+    return await refreshAccessToken(tokens, { profile, dir });
+  } catch (error) {
+    // A revoked or invalid refresh token can only be replaced by authorizing again
+    const data = error.response && error.response.data;
+    if (data && data.error === 'invalid_grant') {
+      return initializeOAuthFlow({ profile, interactive, prompt, dir, reason: 'the refresh token was revoked' });
+    }
+    throw error;
   }
-  
+}
+
+/**
+ * Get a valid Dropbox client with auto-refresh capability
+ * The access token is refreshed before a request when it is about to expire, and once more
+ * when a request is rejected with 401.
+ * @param {Object} [options] - Client options
+ * @param {string} [options.profile] - Token profile (default: DROPBOX_PROFILE or "default")
+ * @param {boolean} [options.interactive] - Whether the user can be asked to authorize (default: stdin is a terminal)
+ * @param {Function} [options.prompt] - Asks for the authorization code
+ * @param {string} [options.dir] - Token storage folder
+ * @returns {Promise<Dropbox>} Dropbox client
+ */
+async function getDropboxClient(options = {}) {
+  const settings = { ...options, profile: options.profile || process.env.DROPBOX_PROFILE || DEFAULT_PROFILE };
+  let tokens = await getValidTokens(settings);
+  // One refresh at a time, parallel requests wait for it
+  let refreshing = null;
+
+  /**
+   * Refresh the client's tokens
+   * @param {boolean} force - Refresh even when the token looks valid
+   */
+  const refresh = (force) => {
+    if (!refreshing) {
+      refreshing = (force ? refreshAccessToken(tokens, settings) : getValidTokens(settings))
+        .then((refreshed) => {
+          tokens = refreshed;
+          dbx.auth.setAccessToken(tokens.access_token);
+        })
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  };
+
   // Create Dropbox client with the access token
   const dbx = new Dropbox({ accessToken: tokens.access_token });
-  
+
   // Add auto-refresh capability to the client
   const originalRequest = dbx.request;
   dbx.request = async function(...args) {
+    if (needsRefresh(tokens)) {
+      await refresh(false);
+    }
     try {
       return await originalRequest.apply(this, args);
     } catch (error) {
       if (error.status === 401) {
         console.log('Token expired during request, refreshing...');
-        tokens = await refreshAccessToken(tokens.refresh_token);
-        this.setAccessToken(tokens.access_token);
+        await refresh(true);
         return await originalRequest.apply(this, args);
       }
       throw error;
     }
   };
-  
+
   return dbx;
 }
 
 /**
  * Initialize the token manager
  * This function should be called once to set up the OAuth flow
+ * @param {Object} [options] - See getDropboxClient()
+ * @returns {Promise<boolean>} Success status
  */
-async function initializeTokenManager() {
+async function initializeTokenManager(options = {}) {
   try {
-    // Check if we already have tokens
-    const tokens = loadTokens();
-    if (tokens && tokens.refresh_token) {
-      console.log('✅ Existing tokens found');
-      
-      // Check if access token is expired
-      if (Date.now() >= tokens.expires_at) {
-        console.log('Access token expired, refreshing...');
-        await refreshAccessToken(tokens.refresh_token);
-      }
-      
-      return true;
-    } else {
-      // No tokens, start OAuth flow
-      await initializeOAuthFlow();
-      return true;
+    const profile = options.profile || process.env.DROPBOX_PROFILE || DEFAULT_PROFILE;
+    if (loadTokens(profile, options.dir)) {
+      console.log(`✅ Existing tokens found for profile "${profile}"`);
     }
+    await getValidTokens({ ...options, profile });
+    return true;
   } catch (error) {
     console.error('❌ Error initializing token manager:', error.message);
     return false;
@@ -252,15 +473,16 @@ async function initializeTokenManager() {
 /**
  * Migrate from legacy token to OAuth refresh token
  * @param {string} legacyToken - Legacy access token from .env
+ * @param {Object} [options] - See initializeOAuthFlow()
  * @returns {Promise<boolean>} Success status
  */
-async function migrateFromLegacyToken(legacyToken) {
+async function migrateFromLegacyToken(legacyToken, options = {}) {
   try {
     console.log('🔄 Migrating from legacy token to OAuth refresh token...');
-    
+
     // Create a temporary client with the legacy token
     const tempDbx = new Dropbox({ accessToken: legacyToken });
-    
+
     // Check if the token is valid
     try {
       await tempDbx.usersGetCurrentAccount();
@@ -270,13 +492,13 @@ async function migrateFromLegacyToken(legacyToken) {
       console.log('Please start the OAuth flow to get new tokens');
       return false;
     }
-    
+
     // Since we can't convert a legacy token to a refresh token,
     // we need to start the OAuth flow
     console.log('⚠️ Legacy token cannot be converted to a refresh token');
     console.log('Starting OAuth flow to get new tokens...');
-    
-    await initializeOAuthFlow();
+
+    await initializeOAuthFlow(options);
     return true;
   } catch (error) {
     console.error('❌ Error migrating from legacy token:', error.message);
@@ -287,5 +509,74 @@ async function migrateFromLegacyToken(legacyToken) {
 module.exports = {
   getDropboxClient,
   initializeTokenManager,
-  migrateFromLegacyToken
-};
\ No newline at end of file
+  migrateFromLegacyToken,
+  initializeOAuthFlow,
+  refreshAccessToken,
+  loadTokens,
+  saveTokens,
+  listTokenProfiles,
+  buildAuthorizeUrl,
+  createPkcePair,
+  needsRefresh,
+  encrypt,
+  decrypt,
+  DropboxAuthError,
+  DropboxAuthRequiredError
+};
+
+// Run the script
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+📋 dropboxTokenManager.js Help:
+
+Manages Dropbox token profiles, one per Dropbox account (stored encrypted in .tokens/).
+Needs DROPBOX_APP_KEY; DROPBOX_APP_SECRET is not needed.
+
+Usage:
+  node dropboxTokenManager.js --login [--profile=<name>]     Authorize a Dropbox account
+  node dropboxTokenManager.js --refresh [--profile=<name>]   Refresh the access token now
+  node dropboxTokenManager.js --list                         List the stored profiles
+
+Options:
+  --profile=<name>   Token profile (default: DROPBOX_PROFILE or "default")
+  --help, -h         Show this help text
+  `);
+    process.exit(0);
+  }
+
+  const profileArg = args.find(arg => arg.startsWith('--profile='));
+  const profile = profileArg ? profileArg.split('=')[1] : (process.env.DROPBOX_PROFILE || DEFAULT_PROFILE);
+
+  /**
+   * Run the selected command
+   */
+  async function run() {
+    if (args.includes('--list')) {
+      const profiles = listTokenProfiles();
+      if (profiles.length === 0) {
+        console.log('No Dropbox profiles stored yet; run with --login');
+      }
+      for (const name of profiles) {
+        const tokens = loadTokens(name);
+        const expires = tokens && tokens.expires_at ? new Date(tokens.expires_at).toISOString() : 'unknown';
+        console.log(`🗂️ ${name}: account ${(tokens && tokens.account_id) || 'unknown'}, access token expires ${expires}${tokens && tokens.pkce ? '' : ' (needs DROPBOX_APP_SECRET to refresh)'}`);
+      }
+    } else if (args.includes('--login')) {
+      await initializeOAuthFlow({ profile });
+    } else if (args.includes('--refresh')) {
+      const tokens = loadTokens(profile);
+      if (!tokens || !tokens.refresh_token) {
+        throw new DropboxAuthRequiredError(profile, 'no stored tokens');
+      }
+      await refreshAccessToken(tokens, { profile });
+    }
+  }
+
+  run().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
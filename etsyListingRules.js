@@ -0,0 +1,313 @@
+/**
+ * etsyListingRules.js
+ *
+ * This module checks generated listing copy against Etsy's listing rules and fixes what it can:
+ * - Titles are at most 140 characters
+ * - At most 13 tags, each at most 20 characters
+ * - Tags only use letters, numbers, spaces, dashes, apostrophes, ™, © and ®
+ * - No duplicate tags (Etsy compares tags case-insensitively)
+ *
+ * The fixer trims long titles at a word boundary, cleans and splits or shortens long tags,
+ * drops duplicates and pads the list to 13 tags using the word, the cuisine and the product type's
+ * tags in listing-templates/<type>.json.
+ */
+
+const { loadProductDetails, renderTemplate, DEFAULT_PRODUCT_TYPE } = require('./descriptionTemplates');
+
+// Etsy limits
+const ETSY_TITLE_MAX_LENGTH = 140;
+const ETSY_MAX_TAGS = 13;
+const ETSY_TAG_MAX_LENGTH = 20;
+
+// Any character Etsy rejects in a tag
+const BANNED_TAG_CHARACTERS = /[^\p{L}\p{N}\p{Zs}\-'™©®]/gu;
+
+/**
+ * Error thrown when a listing still breaks Etsy's rules after fixing
+ */
+class EtsyListingRulesError extends Error {
+  /**
+   * @param {string} word - Design word
+   * @param {Array<string>} violations - Rules the listing still breaks
+   */
+  constructor(word, violations) {
+    super(`Listing for ${word} breaks Etsy's listing rules: ${violations.join('; ')}`);
+    this.name = 'EtsyListingRulesError';
+    this.word = word;
+    this.violations = violations;
+  }
+}
+
+/**
+ * Get the characters in a tag that Etsy rejects
+ * @param {string} tag - Tag
+ * @returns {Array<string>} Banned characters, each listed once
+ */
+function findBannedCharacters(tag) {
+  return [...new Set(tag.match(BANNED_TAG_CHARACTERS) || [])];
+}
+
+/**
+ * Check whether a single tag can go to Etsy as is
+ * @param {string} tag - Tag
+ * @returns {boolean} True when the tag is non-empty, short enough and has no banned characters
+ */
+function isValidEtsyTag(tag) {
+  return typeof tag === 'string' &&
+    tag.trim().length > 0 &&
+    tag.length <= ETSY_TAG_MAX_LENGTH &&
+    findBannedCharacters(tag).length === 0;
+}
+
+/**
+ * Check a listing against Etsy's title and tag rules
+ * @param {Object} listing - Listing with title and tags
+ * @returns {Array<string>} Rule violations (empty when the listing can go to Etsy)
+ */
+function validateEtsyListing(listing) {
+  const violations = [];
+  const title = listing.title || '';
+  const tags = listing.tags || [];
+
+  if (title.length > ETSY_TITLE_MAX_LENGTH) {
+    violations.push(`title is ${title.length} characters, Etsy allows ${ETSY_TITLE_MAX_LENGTH}`);
+  }
+  if (tags.length > ETSY_MAX_TAGS) {
+    violations.push(`listing has ${tags.length} tags, Etsy allows ${ETSY_MAX_TAGS}`);
+  }
+
+  const seen = new Set();
+  tags.forEach((tag, index) => {
+    if (tag.length > ETSY_TAG_MAX_LENGTH) {
+      violations.push(`tags[${index}] "${tag}" is ${tag.length} characters, Etsy allows ${ETSY_TAG_MAX_LENGTH}`);
+    }
+    const banned = findBannedCharacters(tag);
+    if (banned.length > 0) {
+      violations.push(`tags[${index}] "${tag}" has characters Etsy rejects: ${banned.join(' ')}`);
+    }
+    const key = tag.trim().toLowerCase();
+    if (seen.has(key)) {
+      violations.push(`tags[${index}] "${tag}" is a duplicate`);
+    }
+    seen.add(key);
+  });
+
+  return violations;
+}
+
+/**
+ * Shorten text to a maximum length, cutting at the last word boundary that fits
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text of at most maxLength characters
+ */
+function truncateAtWord(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  const shortened = lastSpace > 0 ? cut.slice(0, lastSpace) : text.slice(0, maxLength);
+  // Don't leave a dangling separator or connector like "Crewneck," "Sweatshirt -" or "Lovers and"
+  return shortened
+    .replace(/(\s+(and|or|for|with|the|a|an|of|to|in))+$/i, '')
+    .replace(/[\s,;:\-–—&]+$/, '');
+}
+
+/**
+ * Trim a title to Etsy's title limit
+ * Prefers cutting after a whole clause (", " or " - ") and falls back to the last whole word
+ * @param {string} title - Title
+ * @returns {string} Title of at most 140 characters
+ */
+function trimTitle(title) {
+  const cleaned = title.replace(/\s+/g, ' ').trim();
+  if (cleaned.length <= ETSY_TITLE_MAX_LENGTH) {
+    return cleaned;
+  }
+
+  const head = cleaned.slice(0, ETSY_TITLE_MAX_LENGTH);
+  const clauseEnd = Math.max(head.lastIndexOf(', '), head.lastIndexOf(' - '));
+  // Only cut at a clause when it keeps most of the title
+  if (clauseEnd >= ETSY_TITLE_MAX_LENGTH / 2) {
+    return head.slice(0, clauseEnd).trim();
+  }
+  return truncateAtWord(cleaned, ETSY_TITLE_MAX_LENGTH);
+}
+
+/**
+ * Remove the characters Etsy rejects from a tag and tidy its spacing
+ * @param {string} tag - Tag
+ * @returns {string} Cleaned tag (may be empty)
+ */
+function cleanTag(tag) {
+  return String(tag)
+    .replace(BANNED_TAG_CHARACTERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a long tag into tags that fit Etsy's tag limit
+ * Words are packed into as few tags as possible; a single word that is too long is shortened
+ * @param {string} tag - Cleaned tag
+ * @returns {Array<string>} Tags of at most 20 characters
+ */
+function splitTag(tag) {
+  if (tag.length <= ETSY_TAG_MAX_LENGTH) {
+    return [tag];
+  }
+
+  const parts = [];
+  let current = '';
+  for (const word of tag.split(' ')) {
+    const piece = word.slice(0, ETSY_TAG_MAX_LENGTH);
+    if (current && `${current} ${piece}`.length <= ETSY_TAG_MAX_LENGTH) {
+      current = `${current} ${piece}`;
+    } else {
+      if (current) parts.push(current);
+      current = piece;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Build the tags used to pad a listing to 13 tags
+ * @param {string} word - Design word
+ * @param {string|null} cuisine - Cuisine from words.csv
+ * @param {string} [productType='sweatshirt'] - Product type, picks the product tags
+ * @returns {Array<string>} Candidate tags, most specific first
+ */
+function buildPaddingTags(word, cuisine, productType = DEFAULT_PRODUCT_TYPE) {
+  const { wordTags, tags: productTags } = loadProductDetails(productType);
+  const tags = [];
+  if (word) {
+    const name = word.toLowerCase();
+    tags.push(name, ...wordTags.map(tag => renderTemplate(tag, { WORD: name })));
+  }
+  if (cuisine) {
+    const food = cuisine.toLowerCase();
+    tags.push(`${food} food`, `${food} cuisine`, `${food} gift`, `${food} food lover`);
+  }
+  return [...tags, ...productTags];
+}
+
+/**
+ * Fix a listing so it meets Etsy's title and tag rules
+ * @param {Object} listing - Listing with title and tags
+ * @param {Object} [options] - Fix options
+ * @param {string} [options.word] - Design word (default: listing.word), used for padding tags
+ * @param {string|null} [options.cuisine] - Cuisine, used for padding tags
+ * @param {string} [options.productType] - Product type (default: listing.productType or sweatshirt), used for padding tags
+ * @param {boolean} [options.pad=true] - Pad to 13 tags (the padding tags are English)
+ * @returns {Object} { listing, fixes, violations } - Fixed copy of the listing, what was changed and any rules it still breaks
+ */
+function fixEtsyListing(listing, {
+  word = listing.word,
+  cuisine = null,
+  productType = listing.productType || DEFAULT_PRODUCT_TYPE,
+  pad = true
+} = {}) {
+  const fixes = [];
+  const fixed = { ...listing };
+
+  // Title
+  const title = trimTitle(listing.title || '');
+  if (title !== listing.title) {
+    fixes.push(`Trimmed title from ${(listing.title || '').length} to ${title.length} characters`);
+  }
+  fixed.title = title;
+
+  // Clean, split and de-duplicate the generated tags, keeping their order
+  const tags = [];
+  const seen = new Set();
+  const addTag = (tag) => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key) || tags.length >= ETSY_MAX_TAGS) {
+      return false;
+    }
+    seen.add(key);
+    tags.push(tag);
+    return true;
+  };
+
+  for (const original of listing.tags || []) {
+    const cleaned = cleanTag(original);
+    if (!cleaned) {
+      fixes.push(`Dropped tag "${original}" (no usable characters)`);
+      continue;
+    }
+    if (cleaned !== original) {
+      fixes.push(`Removed characters Etsy rejects from tag "${original}" → "${cleaned}"`);
+    }
+
+    const parts = splitTag(cleaned);
+    if (parts.length > 1) {
+      fixes.push(`Split tag "${cleaned}" into ${parts.map(part => `"${part}"`).join(', ')}`);
+    } else if (parts[0] !== cleaned) {
+      fixes.push(`Shortened tag "${cleaned}" → "${parts[0]}"`);
+    }
+
+    for (const part of parts) {
+      if (seen.has(part.toLowerCase())) {
+        fixes.push(`Dropped duplicate tag "${part}"`);
+      } else if (!addTag(part)) {
+        fixes.push(`Dropped tag "${part}" (Etsy allows ${ETSY_MAX_TAGS} tags)`);
+      }
+    }
+  }
+
+  // Pad to 13 tags from the word, the cuisine and the generic gift tags
+  const padded = [];
+  for (const candidate of pad ? buildPaddingTags(word, cuisine, productType) : []) {
+    if (tags.length >= ETSY_MAX_TAGS) break;
+    const tag = splitTag(cleanTag(candidate))[0];
+    if (tag && addTag(tag)) {
+      padded.push(tag);
+    }
+  }
+  if (padded.length > 0) {
+    fixes.push(`Added ${padded.length} tag${padded.length === 1 ? '' : 's'} to reach ${tags.length}: ${padded.join(', ')}`);
+  }
+  fixed.tags = tags;
+
+  return { listing: fixed, fixes, violations: validateEtsyListing(fixed) };
+}
+
+/**
+ * Fix a listing and stop if it still breaks Etsy's rules
+ * Logs every fix, so the changes show up in the pipeline output
+ * @param {Object} listing - Listing with title and tags
+ * @param {Object} [options] - Same options as fixEtsyListing
+ * @returns {Object} Fixed listing
+ * @throws {EtsyListingRulesError} When the listing can't be fixed
+ */
+function enforceEtsyListingRules(listing, options = {}) {
+  const word = options.word || listing.word;
+  const { listing: fixed, fixes, violations } = fixEtsyListing(listing, options);
+
+  if (fixes.length > 0) {
+    console.log(`🔧 Fixed ${fixes.length} Etsy rule issue${fixes.length === 1 ? '' : 's'} in the ${word} listing:`);
+    fixes.forEach(fix => console.log(`   - ${fix}`));
+  }
+  if (violations.length > 0) {
+    throw new EtsyListingRulesError(word, violations);
+  }
+  return fixed;
+}
+
+module.exports = {
+  validateEtsyListing,
+  fixEtsyListing,
+  enforceEtsyListingRules,
+  isValidEtsyTag,
+  trimTitle,
+  cleanTag,
+  splitTag,
+  EtsyListingRulesError,
+  ETSY_TITLE_MAX_LENGTH,
+  ETSY_MAX_TAGS,
+  ETSY_TAG_MAX_LENGTH
+};
@@ -1,43 +1,85 @@
 // Create a log file
+// Every line is one JSON event, parsed by mockupLog.js on the Node side
 var logFile = new File("~/Desktop/illustrator-automation/mockup_generation.log");
+logFile.encoding = "UTF-8";
 logFile.open("w");
 
-// Function to write to both console and log file
-function log(message) {
-    $.writeln(message);
-    logFile.writeln(message);
+// Serialize a flat event object (ExtendScript has no JSON.stringify)
+function toJson(event) {
+    var parts = [];
+    for (var key in event) {
+        var value = event[key];
+        var encoded;
+        if (value === null || value === undefined) {
+            encoded = "null";
+        } else if (typeof value === "number" || typeof value === "boolean") {
+            encoded = String(value);
+        } else {
+            encoded = '"' + String(value)
+                .replace(/\\/g, "\\\\")
+                .replace(/"/g, '\\"')
+                .replace(/\n/g, "\\n")
+                .replace(/\r/g, "\\r")
+                .replace(/\t/g, "\\t") + '"';
+        }
+        parts.push('"' + key + '":' + encoded);
+    }
+    return "{" + parts.join(",") + "}";
+}
+
+// Write an event to the log file and a readable line to the console
+function logEvent(event) {
+    event.time = new Date().getTime();
+    $.writeln(event.type + (event.design ? " " + event.design : "") + (event.color ? "-" + event.color : "") + (event.error ? ": " + event.error : ""));
+    logFile.writeln(toJson(event));
 }
 
 // Add a timestamp to the log for tracking
 var startTime = new Date();
-log("🚀 MOCKUP_GENERATION_START: " + startTime.toLocaleString());
+logEvent({ type: "generation_start" });
 
 var exportFolder = Folder("~/Desktop/illustrator-automation/export-mockups/");
 var designFolder = Folder("~/Desktop/illustrator-automation/export/");
 var inputFiles = designFolder.getFiles("*.png");
 
+// When generate.js resumes a run it writes the designs still missing mockups to mockup_queue.txt
+var queueFile = new File("~/Desktop/illustrator-automation/mockup_queue.txt");
+if (queueFile.exists) {
+    var queued = {};
+    queueFile.open("r");
+    while (!queueFile.eof) {
+        var queuedName = queueFile.readln().replace(/^\s+|\s+$/g, "");
+        if (queuedName !== "") queued[queuedName] = true;
+    }
+    queueFile.close();
+
+    var queuedFiles = [];
+    for (var q = 0; q < inputFiles.length; q++) {
+        if (queued[inputFiles[q].name.replace(".png", "")]) queuedFiles.push(inputFiles[q]);
+    }
+    inputFiles = queuedFiles;
+}
+
 // Count variables for summary
 var totalDesigns = inputFiles.length;
 var totalMockups = 0;
 var successfulMockups = 0;
 
 if (totalDesigns === 0) {
-    log("❌ MOCKUP_ERROR: No PNG files found in /export/");
+    logEvent({ type: "generation_error", error: "No PNG files found in /export/" });
 } else {
-    log("📊 MOCKUP_INFO: Found " + totalDesigns + " designs to process");
-    
     var doc = app.activeDocument;
     var backgroundGroup = doc.layerSets.getByName("BACKGROUND");
     var totalColors = backgroundGroup.artLayers.length;
-    
-    log("📊 MOCKUP_INFO: Found " + totalColors + " color variations");
-    log("📊 MOCKUP_INFO: Will generate " + (totalDesigns * totalColors) + " total mockups");
+
+    logEvent({ type: "generation_info", designs: totalDesigns, colors: totalColors, mockups: totalDesigns * totalColors });
 
     for (var f = 0; f < inputFiles.length; f++) {
         var designFile = inputFiles[f];
         var designName = designFile.name.replace(".png", "");
         var designPath = File(designFile);
-        log("▶ MOCKUP_PROCESSING: " + designName + " (" + (f + 1) + " of " + totalDesigns + ")");
+        var designStart = new Date();
+        logEvent({ type: "design_start", design: designName, index: f + 1, total: totalDesigns });
 
         try {
             var designLayer = doc.artLayers.getByName("design-placement");
@@ -61,32 +103,31 @@ if (totalDesigns === 0) {
 
                 var colorName = colorLayer.name.replace("Color - ", "").replace(/\s+/g, "-").toUpperCase();
                 var exportFile = new File(productFolder + "/" + designName + "-" + colorName + ".png");
-
-                var opts = new ExportOptionsSaveForWeb();
-                opts.format = SaveDocumentType.PNG;
-                opts.PNG8 = false;
-                opts.transparency = true;
-                opts.interlaced = false;
-                opts.quality = 100;
-
-                doc.exportDocument(exportFile, ExportType.SAVEFORWEB, opts);
-                successfulMockups++;
-                log("✓ MOCKUP_EXPORTED: " + designName + "-" + colorName);
+                var mockupStart = new Date();
+
+                try {
+                    var opts = new ExportOptionsSaveForWeb();
+                    opts.format = SaveDocumentType.PNG;
+                    opts.PNG8 = false;
+                    opts.transparency = true;
+                    opts.interlaced = false;
+                    opts.quality = 100;
+
+                    doc.exportDocument(exportFile, ExportType.SAVEFORWEB, opts);
+                    successfulMockups++;
+                    logEvent({ type: "mockup_exported", design: designName, color: colorName, output: exportFile.fsName, durationMs: new Date() - mockupStart });
+                } catch (exportError) {
+                    logEvent({ type: "mockup_error", design: designName, color: colorName, output: exportFile.fsName, durationMs: new Date() - mockupStart, error: exportError.message });
+                }
             }
 
-            log("✅ MOCKUP_COMPLETED: " + designName);
+            logEvent({ type: "design_complete", design: designName, durationMs: new Date() - designStart });
         } catch (e) {
-            log("❌ MOCKUP_ERROR: Failed to process " + designName + " - " + e.message);
+            logEvent({ type: "design_error", design: designName, durationMs: new Date() - designStart, error: e.message });
         }
     }
 
-    var endTime = new Date();
-    var duration = (endTime - startTime) / 1000; // in seconds
-    
-    log("📊 MOCKUP_SUMMARY: Generated " + successfulMockups + " of " + totalMockups + " mockups");
-    log("📊 MOCKUP_SUMMARY: Processed " + totalDesigns + " designs");
-    log("📊 MOCKUP_SUMMARY: Time taken: " + duration.toFixed(2) + " seconds");
-    log("🎉 MOCKUP_GENERATION_COMPLETE");
+    logEvent({ type: "generation_complete", exported: successfulMockups, total: totalMockups, designs: totalDesigns, durationMs: new Date() - startTime });
 }
 
 // Close the log file
@@ -1,11 +1,12 @@
 /**
  * fileUploader.js
  * 
- * This module provides a unified file upload strategy using Cloudinary.
- * It uploads files directly to Cloudinary and returns the secure URL.
+ * This module provides a unified file upload strategy through the storage backend in
+ * STORAGE_BACKEND (Cloudinary by default, see storage.js). Files whose content was
+ * already uploaded are not uploaded again.
  */
 
-const { uploadToCloudinary } = require('./cloudinaryUploader');
+const { createStorage, uploadStored } = require('./storage');
 const path = require('path');
 const fs = require('fs');
 
@@ -13,22 +14,24 @@ const fs = require('fs');
  * Upload file with fallback strategy
  * @param {string} filePath - Path to local file
  * @param {boolean} enableDropboxFallback - Deprecated parameter, kept for backward compatibility
- * @returns {Promise<string>} File URL on Cloudinary
+ * @param {Object} [metadata] - Upload metadata ({ word, cuisine, batchId }) for Cloudinary tags and context
+ * @returns {Promise<string>} Public file URL
  */
-async function uploadFileWithFallbackStrategy(filePath, enableDropboxFallback = false) {
+async function uploadFileWithFallbackStrategy(filePath, enableDropboxFallback = false, metadata = {}) {
   const fileName = path.basename(filePath);
   console.log(`🚀 Starting upload process for ${fileName}...`);
   
   try {
-    // Upload to Cloudinary
-    console.log(`⏳ Uploading to Cloudinary...`);
-    return await uploadToCloudinary(filePath);
+    const storage = createStorage();
+    console.log(`⏳ Uploading to ${storage.name}...`);
+    const { url } = await uploadStored(filePath, { storage, metadata });
+    return url;
   } catch (err) {
-    console.error(`❌ Cloudinary upload failed: ${err.message}`);
+    console.error(`❌ Upload failed: ${err.message}`);
     
     // We no longer use Dropbox as fallback, so we just throw the error
     if (enableDropboxFallback) {
-      console.log(`⚠️ Dropbox fallback is no longer supported. Please update your code.`);
+      console.log(`⚠️ Dropbox fallback is no longer supported. Set STORAGE_BACKEND=dropbox to upload to Dropbox instead.`);
     }
     
     throw err;
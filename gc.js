@@ -0,0 +1,460 @@
+/**
+ * gc.js
+ *
+ * This module finds and deletes uploads nothing uses anymore. Every pipeline run uploads designs
+ * to Cloudinary and files to the Printful file library, and replaceMockups.js uploads mockups,
+ * but nothing was ever deleted.
+ *
+ * An asset is still referenced when its URL (or, for Printful files, its ID) appears in:
+ * - manual-templates/*.json
+ * - product-info/*.json
+ * - the live sync products of the Printful stores (their print files and mockup images)
+ *
+ * Everything else under the Cloudinary upload folder and in the file library is an orphan.
+ * Orphans younger than a day are kept, so a run that is still uploading isn't cleaned up under it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+require('dotenv').config();
+const { cloudinary, resolveCloudinaryProfile } = require('./cloudinaryUploader');
+const { createPrintfulClient, getStoreCredentials } = require('./printfulClient');
+const { readStorageManifest, STORAGE_MANIFEST_PATH } = require('./storage');
+
+// Configuration
+const TEMPLATES_DIR = path.join(__dirname, 'manual-templates');
+const PRODUCT_INFO_DIR = path.join(__dirname, 'product-info');
+const DEFAULT_MIN_AGE_DAYS = 1;
+// Cloudinary's limits for one list and one delete request
+const CLOUDINARY_PAGE_SIZE = 500;
+const CLOUDINARY_DELETE_BATCH = 100;
+
+/**
+ * Get the public ID a Cloudinary delivery URL points at
+ * "https://res.cloudinary.com/demo/image/upload/e_trim/v1714564800/printful_uploads/PASTA.png"
+ * becomes "printful_uploads/PASTA"
+ * @param {string} url - URL
+ * @returns {string|null} Public ID, or null for URLs that aren't Cloudinary uploads
+ */
+function cloudinaryPublicId(url) {
+  const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/([^?#]+)/.exec(url);
+  if (!match) {
+    return null;
+  }
+  const segments = match[1].split('/');
+  const version = segments.findIndex(segment => /^v\d+$/.test(segment));
+  // Without a version, drop the transformations in front (e_trim, c_fit,h_4800,w_3600, ...)
+  const rest = version >= 0
+    ? segments.slice(version + 1)
+    : segments.slice(segments.findIndex(segment => !/^[a-z]{1,3}_/.test(segment)));
+  return decodeURIComponent(rest.join('/')).replace(/\.[a-z0-9]+$/i, '');
+}
+
+/**
+ * Collect every URL in a JSON value
+ * @param {*} value - Parsed JSON
+ * @param {Set<string>} urls - Set to add the URLs to
+ */
+function collectUrls(value, urls) {
+  if (typeof value === 'string') {
+    if (/^https?:\/\//.test(value)) {
+      urls.add(value);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectUrls(item, urls));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectUrls(item, urls));
+  }
+}
+
+/**
+ * Build the set of assets that are still referenced
+ * @param {Object} [options] - Where to look
+ * @param {string} [options.templatesDir] - manual-templates/ folder
+ * @param {string} [options.productInfoDir] - product-info/ folder
+ * @param {Array<Object>} [options.clients] - Printful clients, one per store (see printfulClient.js)
+ * @returns {Promise<Object>} { urls: Set, fileIds: Set, publicIds: Set, products, unreadStores } where
+ *   products is the number of live sync products read, and unreadStores lists the stores whose
+ *   products could not be read ([{ store, error }])
+ */
+async function collectReferences({ templatesDir = TEMPLATES_DIR, productInfoDir = PRODUCT_INFO_DIR, clients = [] } = {}) {
+  const urls = new Set();
+  const fileIds = new Set();
+
+  for (const dir of [templatesDir, productInfoDir]) {
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+      try {
+        collectUrls(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), urls);
+      } catch (error) {
+        // An unreadable file could hold references, so don't guess what is safe to delete
+        throw new Error(`Could not read ${path.join(path.basename(dir), file)}: ${error.message}`);
+      }
+    }
+  }
+
+  // A store whose products can't be read is recorded, findOrphans() then deletes nothing it could reference
+  let products = 0;
+  const unreadStores = [];
+  for (const client of clients) {
+    try {
+      for (const summary of await client.paginate('/store/products')) {
+        const { sync_variants: syncVariants = [] } = await client.get(`/store/products/${summary.id}`);
+        for (const syncVariant of syncVariants) {
+          for (const file of syncVariant.files || []) {
+            if (file.id) fileIds.add(Number(file.id));
+            collectUrls([file.url, file.preview_url, file.thumbnail_url], urls);
+          }
+          for (const image of syncVariant.images || []) {
+            if (image.image_id) fileIds.add(Number(image.image_id));
+            collectUrls(image.url, urls);
+          }
+        }
+        collectUrls(summary.thumbnail_url, urls);
+        products++;
+      }
+    } catch (error) {
+      unreadStores.push({ store: client.storeType, error: error.message });
+    }
+  }
+
+  const publicIds = new Set([...urls].map(cloudinaryPublicId).filter(Boolean));
+  return { urls, fileIds, publicIds, products, unreadStores };
+}
+
+/**
+ * List every Cloudinary image in a folder
+ * @param {string} folder - Folder (e.g. printful_uploads)
+ * @returns {Promise<Array<Object>>} Resources ({ public_id, bytes, created_at, secure_url, ... })
+ */
+async function listCloudinaryAssets(folder) {
+  const assets = [];
+  let cursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: 'upload',
+      resource_type: 'image',
+      prefix: `${folder}/`,
+      max_results: CLOUDINARY_PAGE_SIZE,
+      ...(cursor ? { next_cursor: cursor } : {})
+    });
+    assets.push(...(page.resources || []));
+    cursor = page.next_cursor;
+  } while (cursor);
+  return assets;
+}
+
+/**
+ * Find the assets nothing references
+ * @param {Object} references - From collectReferences()
+ * @param {Object} [options] - Search options
+ * @param {string} [options.folder] - Cloudinary folder (default: the upload profile's folder)
+ * @param {Array<Object>} [options.clients] - Printful clients whose file libraries to search
+ * @param {number} [options.minAgeDays=1] - Keep orphans uploaded less than this many days ago
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { cloudinary: [{ public_id, bytes, url, created }], printful: [{ id, store,
+ *   filename, bytes, url, created }], kept: { referenced, recent }, skipped: [{ source, reason }] }
+ *   where skipped lists what was not searched: a store whose products or file library could not
+ *   be read, and Cloudinary while any store's products are unknown
+ */
+async function findOrphans(references, {
+  folder = resolveCloudinaryProfile().folder,
+  clients = [],
+  minAgeDays = DEFAULT_MIN_AGE_DAYS,
+  now = new Date()
+} = {}) {
+  const cutoff = now.getTime() - minAgeDays * 24 * 60 * 60 * 1000;
+  const orphans = { cloudinary: [], printful: [], kept: { referenced: 0, recent: 0 }, skipped: [] };
+  const unreadStores = references.unreadStores || [];
+  /**
+   * Sort an asset into referenced, recent or orphaned
+   */
+  const sort = (list, asset, referenced) => {
+    if (referenced) {
+      orphans.kept.referenced++;
+    } else if (asset.created.getTime() > cutoff) {
+      orphans.kept.recent++;
+    } else {
+      list.push(asset);
+    }
+  };
+
+  // Unread products may point at any Cloudinary design, so nothing there is known to be orphaned
+  if (unreadStores.length > 0) {
+    orphans.skipped.push({ source: 'Cloudinary', reason: `the products of the ${unreadStores.map(entry => entry.store).join(', ')} store could not be read` });
+  } else {
+    for (const resource of await listCloudinaryAssets(folder)) {
+      sort(orphans.cloudinary, {
+        public_id: resource.public_id,
+        bytes: resource.bytes || 0,
+        url: resource.secure_url,
+        created: new Date(resource.created_at)
+      }, references.publicIds.has(resource.public_id));
+    }
+  }
+
+  for (const client of clients) {
+    const unread = unreadStores.find(entry => entry.store === client.storeType);
+    if (unread) {
+      orphans.skipped.push({ source: `${client.storeType} store`, reason: `products not readable (${unread.error})` });
+      continue;
+    }
+    // Printful doesn't document listing the file library, so a store may refuse it
+    let files;
+    try {
+      files = await client.paginate('/files');
+    } catch (error) {
+      orphans.skipped.push({ source: `${client.storeType} store`, reason: `file library not listable (${error.message})` });
+      continue;
+    }
+    for (const file of files) {
+      sort(orphans.printful, {
+        id: file.id,
+        store: client.storeType,
+        filename: file.filename,
+        bytes: file.size || 0,
+        url: file.url,
+        created: new Date(file.created * 1000)
+      }, references.fileIds.has(Number(file.id)) || references.urls.has(file.url) || references.urls.has(file.preview_url));
+    }
+  }
+
+  return orphans;
+}
+
+/**
+ * Format a byte count for people
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "1.4 MB"
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Add up the bytes of a list of orphans
+ * @param {Array<Object>} assets - Orphans
+ * @returns {number} Bytes
+ */
+function totalBytes(assets) {
+  return assets.reduce((sum, asset) => sum + asset.bytes, 0);
+}
+
+/**
+ * Print the orphans and the space deleting them reclaims
+ * @param {Object} orphans - From findOrphans()
+ */
+function printGcReport(orphans) {
+  console.log('\n🗑️ Orphaned Assets:');
+  console.log(`  Cloudinary: ${orphans.cloudinary.length} (${formatBytes(totalBytes(orphans.cloudinary))})`);
+  orphans.cloudinary.forEach(asset => console.log(`     ${asset.public_id} (${formatBytes(asset.bytes)})`));
+  console.log(`  Printful files: ${orphans.printful.length} (${formatBytes(totalBytes(orphans.printful))})`);
+  orphans.printful.forEach(file => console.log(`     ${file.id} ${file.filename} [${file.store}] (${formatBytes(file.bytes)})`));
+  console.log(`  Kept: ${orphans.kept.referenced} referenced, ${orphans.kept.recent} uploaded recently`);
+  (orphans.skipped || []).forEach(({ source, reason }) => console.log(`  ⚠️ Skipped ${source}: ${reason}`));
+  console.log(`  Reclaimable: ${formatBytes(totalBytes(orphans.cloudinary) + totalBytes(orphans.printful))}`);
+}
+
+/**
+ * Delete orphans, and drop their entries from the storage manifest so they aren't reused
+ * @param {Object} orphans - From findOrphans()
+ * @param {Object} [options] - Delete options
+ * @param {Array<Object>} [options.clients] - Printful clients, matched to files by store type
+ * @param {string} [options.manifestPath] - Storage manifest
+ * @returns {Promise<Object>} { deleted: [public IDs and file IDs], failed: [{ asset, error }], bytes }
+ */
+async function deleteOrphans(orphans, { clients = [], manifestPath = STORAGE_MANIFEST_PATH } = {}) {
+  const result = { deleted: [], failed: [], bytes: 0 };
+  // Public IDs and Printful file URLs of the deleted assets
+  const gone = new Set();
+
+  for (let i = 0; i < orphans.cloudinary.length; i += CLOUDINARY_DELETE_BATCH) {
+    const batch = orphans.cloudinary.slice(i, i + CLOUDINARY_DELETE_BATCH);
+    try {
+      const response = await cloudinary.api.delete_resources(batch.map(asset => asset.public_id));
+      for (const asset of batch) {
+        const status = response.deleted && response.deleted[asset.public_id];
+        if (status === 'deleted' || status === 'not_found') {
+          result.deleted.push(asset.public_id);
+          result.bytes += asset.bytes;
+          gone.add(asset.public_id);
+        } else {
+          result.failed.push({ asset: asset.public_id, error: status || 'not deleted' });
+        }
+      }
+    } catch (error) {
+      const message = (error.error && error.error.message) || error.message;
+      batch.forEach(asset => result.failed.push({ asset: asset.public_id, error: message }));
+    }
+  }
+
+  for (const file of orphans.printful) {
+    const client = clients.find(entry => entry.storeType === file.store);
+    try {
+      await client.delete(`/files/${file.id}`);
+      result.deleted.push(file.id);
+      result.bytes += file.bytes;
+      gone.add(file.url);
+    } catch (error) {
+      result.failed.push({ asset: file.id, error: error.message });
+    }
+  }
+
+  const manifest = readStorageManifest(manifestPath);
+  const stale = Object.keys(manifest.files).filter(key =>
+    gone.has(manifest.files[key].url) || gone.has(cloudinaryPublicId(manifest.files[key].url)));
+  if (stale.length > 0) {
+    stale.forEach(key => delete manifest.files[key]);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    console.log(`🗂️ Removed ${stale.length} deleted uploads from ${path.basename(manifestPath)}`);
+  }
+
+  return result;
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question - Question to ask
+ * @returns {Promise<boolean>} True when the answer is yes
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Create a Printful client for every configured store
+ * @returns {Array<Object>} Clients (the manual store, and the Etsy store when its key is set)
+ */
+function createStoreClients() {
+  return ['manual', 'etsy']
+    .filter(storeType => storeType === 'manual' || getStoreCredentials(storeType).apiKey)
+    .map(storeType => createPrintfulClient({ storeType }));
+}
+
+/**
+ * Find orphaned assets and delete them after confirmation
+ * @param {Object} [options] - GC options
+ * @param {boolean} [options.yes=false] - Delete without asking
+ * @param {boolean} [options.dryRun=false] - Only report
+ * @param {number} [options.minAgeDays=1] - Keep orphans uploaded less than this many days ago
+ * @param {Array<Object>} [options.clients] - Printful clients (default: one per configured store)
+ * @param {string} [options.templatesDir] - manual-templates/ folder
+ * @param {string} [options.productInfoDir] - product-info/ folder
+ * @param {string} [options.manifestPath] - Storage manifest
+ * @param {boolean} [options.interactive] - Whether confirmation can be asked (default: stdin is a terminal)
+ * @param {Function} [options.ask] - Asks for confirmation (default: on the terminal)
+ * @returns {Promise<Object>} { orphans, result } where result is null when nothing was deleted
+ */
+async function runGc({
+  yes = false,
+  dryRun = false,
+  minAgeDays = DEFAULT_MIN_AGE_DAYS,
+  clients = createStoreClients(),
+  templatesDir = TEMPLATES_DIR,
+  productInfoDir = PRODUCT_INFO_DIR,
+  manifestPath = STORAGE_MANIFEST_PATH,
+  interactive = Boolean(process.stdin.isTTY),
+  ask = confirm
+} = {}) {
+  console.log('🔍 Collecting references from manual-templates/, product-info/ and live products...');
+  const references = await collectReferences({ templatesDir, productInfoDir, clients });
+  console.log(`✅ ${references.urls.size} URLs and ${references.fileIds.size} Printful files referenced by ${references.products} live products and the local files`);
+
+  const orphans = await findOrphans(references, { clients, minAgeDays });
+  printGcReport(orphans);
+
+  const count = orphans.cloudinary.length + orphans.printful.length;
+  if (count === 0) {
+    console.log('\n✅ Nothing to clean up');
+    return { orphans, result: null };
+  }
+  if (dryRun) {
+    console.log('\n🔍 Dry run: nothing was deleted');
+    return { orphans, result: null };
+  }
+  if (!yes) {
+    if (!interactive) {
+      console.log('\n⚠️ Not deleting without confirmation; run with --yes to delete');
+      return { orphans, result: null };
+    }
+    const bytes = formatBytes(totalBytes(orphans.cloudinary) + totalBytes(orphans.printful));
+    if (!(await ask(`\nDelete ${count} orphaned assets (${bytes})?`))) {
+      console.log('❌ Cancelled, nothing was deleted');
+      return { orphans, result: null };
+    }
+  }
+
+  console.log('⏳ Deleting orphaned assets...');
+  const result = await deleteOrphans(orphans, { clients, manifestPath });
+  console.log(`✅ Deleted ${result.deleted.length} assets, reclaimed ${formatBytes(result.bytes)}`);
+  result.failed.forEach(({ asset, error }) => console.log(`⚠️ Could not delete ${asset}: ${error}`));
+  return { orphans, result };
+}
+
+module.exports = {
+  runGc,
+  collectReferences,
+  findOrphans,
+  deleteOrphans,
+  printGcReport,
+  cloudinaryPublicId,
+  formatBytes
+};
+
+// Run the script
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📋 gc.js Help:
+
+Finds Cloudinary assets and Printful files that no manual-templates/ or product-info/ file and
+no live sync product references, and deletes them after confirmation.
+
+Usage:
+  node gc.js [options]
+
+Options:
+  --dry-run, -d        Only report the orphans and the bytes deleting them reclaims
+  --yes, -y            Delete without asking
+  --min-age=<days>     Keep orphans uploaded less than this many days ago (default: ${DEFAULT_MIN_AGE_DAYS})
+  --help, -h           Show this help text
+  `);
+    process.exit(0);
+  }
+
+  const minAgeArg = args.find(arg => arg.startsWith('--min-age='));
+  const minAgeDays = minAgeArg ? Number(minAgeArg.split('=')[1]) : DEFAULT_MIN_AGE_DAYS;
+  if (!Number.isFinite(minAgeDays) || minAgeDays < 0) {
+    console.error(`❌ Invalid --min-age: ${minAgeArg.split('=')[1]} (use a number of days)`);
+    process.exit(1);
+  }
+
+  runGc({
+    yes: args.includes('--yes') || args.includes('-y'),
+    dryRun: args.includes('--dry-run') || args.includes('-d'),
+    minAgeDays
+  })
+    .then(({ result }) => process.exit(result && result.failed.length > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error(`❌ Garbage collection failed: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -1,18 +1,52 @@
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 const { main: uploadToPrintful } = require('./uploadToPrintful');
+const { createJournal, printJournalSummary } = require('./pipelineJournal');
+const { loadWords } = require('./wordsConfig');
+const { preflightDesigns, printPreflightReport } = require('./printPreflight');
+const { renderDesign } = require('./designRenderer');
+const { generateMockups } = require('./mockupCompositor');
+const { parseMockupLog, archiveMockupLog, printMockupReport, hasFailures } = require('./mockupLog');
 
 // Command line arguments
 const args = process.argv.slice(2);
 const SKIP_MOCKUPS = args.includes('--skip-mockups');
 const SKIP_UPLOAD = args.includes('--skip-upload');
 const DRY_RUN = args.includes('--dry-run') || args.includes('-d');
+const RESUME = args.includes('--resume');
+const SKIP_PREFLIGHT = args.includes('--skip-preflight');
+const STRICT_PREFLIGHT = args.includes('--strict-preflight');
 const SHOW_HELP = args.includes('-help') || args.includes('--help') || args.includes('-h');
 
+// Check for renderer argument (--renderer=node|illustrator)
+const RENDERERS = ['illustrator', 'node'];
+let RENDERER = 'illustrator';
+const rendererArg = args.find(arg => arg.startsWith('--renderer='));
+if (rendererArg) {
+  const rendererValue = rendererArg.split('=')[1];
+  if (RENDERERS.includes(rendererValue)) {
+    RENDERER = rendererValue;
+  } else {
+    console.warn(`⚠️ Unknown renderer "${rendererValue}". Using Illustrator.`);
+  }
+}
+
+// Check for mockup renderer argument (--mockup-renderer=photoshop|node)
+const MOCKUP_RENDERERS = ['photoshop', 'node'];
+let MOCKUP_RENDERER = 'photoshop';
+const mockupRendererArg = args.find(arg => arg.startsWith('--mockup-renderer='));
+if (mockupRendererArg) {
+  const mockupRendererValue = mockupRendererArg.split('=')[1];
+  if (MOCKUP_RENDERERS.includes(mockupRendererValue)) {
+    MOCKUP_RENDERER = mockupRendererValue;
+  } else {
+    console.warn(`⚠️ Unknown mockup renderer "${mockupRendererValue}". Using Photoshop.`);
+  }
+}
+
 // Check for limit argument (--limit=N or -l=N)
 let LIMIT = undefined;
 const limitArg = args.find(arg => arg.startsWith('--limit=') || arg.startsWith('-l='));
@@ -43,6 +77,17 @@ Options:
   --dry-run, -d        Run in dry-run mode (no actual API calls to Printful or Dropbox)
   --limit=N, -l=N      Limit the number of files to process
   --direct-upload      Use direct upload to Printful (no Dropbox)
+  --resume             Skip stages already completed in pipeline-state.json and retry the rest
+  --renderer=NAME      Design renderer: illustrator (default, macOS only) or node (headless)
+  --mockup-renderer=NAME  Mockup renderer: photoshop (default, macOS only) or node (headless)
+  --regenerate-listing[=WORD,...]  Ask for new listing copy (all words, or only these)
+  --keep-listing       Reuse the newest cached copy for words without a saved listing
+  --candidates=N       Generate N listings per word and keep the best one
+  --localize[=de,fr]   Translate the saved listings (LISTING_LOCALES, or only these locales)
+  --sheet-sync         Sync the dashboard sheet both ways instead of overwriting it
+  --skip-preflight     Upload even when a design fails the print preflight
+  --strict-preflight   Do not upload designs with preflight warnings either
+  --format-sheet       Upload the dashboard with thumbnails, a status dropdown and Etsy highlighting
   -help, --help, -h    Show this help menu
 
 Examples:
@@ -52,16 +97,20 @@ Examples:
   node generate.js --dry-run           # Run in dry-run mode
   node generate.js --limit=5           # Process only 5 files
   node generate.js --direct-upload     # Use direct upload to Printful
+  node generate.js --resume            # Continue a failed run where it stopped
+  node generate.js --renderer=node     # Render designs without Illustrator (Linux/CI)
+  node generate.js --renderer=node --mockup-renderer=node  # Run without any Adobe apps
   node generate.js -help               # Show this help menu
 `);
   process.exit(0);
 }
 
-// Show help if requested
-if (SHOW_HELP) {
-  showHelp();
-}
 
+/**
+ * Convert a hex color to RGB components
+ * @param {string} hex - Color as #RRGGBB or RRGGBB
+ * @returns {{r: number, g: number, b: number}} Components from 0 to 255
+ */
 function hexToRgb(hex) {
   const cleaned = hex.replace('#', '');
   return {
@@ -72,77 +121,133 @@ function hexToRgb(hex) {
 }
 
 /**
- * Main function to process words.csv and generate PNG files with Illustrator
- * @returns {Promise<Array>} Results of all Illustrator tasks
+ * Export a design with Illustrator by filling scripts/baseTemplate.jsx
+ * @param {Object} row - Row from words.csv
+ * @param {number} index - Row index (used for the generated script name)
+ * @returns {Promise} Resolves when Illustrator has exported the PNG
  */
-async function main() {
-  return new Promise((resolve, reject) => {
-    const rows = [];
+function exportWithIllustrator(row, index) {
+  // Create and write the script (existing code)
+  const template = fs.readFileSync('scripts/baseTemplate.jsx', 'utf-8');
+  const finalScript = fillScriptTemplate(template, row);
+  
+  const outputPath = `scripts/generated-${index}.jsx`;
+  fs.writeFileSync(outputPath, finalScript);
+  
+  // Run Illustrator via AppleScript (as a promise)
+  const command = `osascript -e 'tell application "Adobe Illustrator" to do javascript POSIX file "${path.resolve(outputPath)}"'`;
+  return execPromise(command);
+}
+
+/**
+ * Fill the {{PLACEHOLDERS}} of scripts/baseTemplate.jsx for one design
+ * @param {string} template - Template script
+ * @param {Object} row - Row from words.csv
+ * @returns {string} Script ready to run in Illustrator
+ */
+function fillScriptTemplate(template, row) {
+  const fill = hexToRgb(row.fill);
+  const stroke = hexToRgb(row.stroke);
+  
+  return template
+    .replace(/{{WORD}}/g, row.word)
+    .replace(/{{FILL_R}}/g, fill.r)
+    .replace(/{{FILL_G}}/g, fill.g)
+    .replace(/{{FILL_B}}/g, fill.b)
+    .replace(/{{STROKE_R}}/g, stroke.r)
+    .replace(/{{STROKE_G}}/g, stroke.g)
+    .replace(/{{STROKE_B}}/g, stroke.b)
+    .replace(/{{STROKE_WEIGHT}}/g, row.strokeWeight)
+    .replace(/{{FONT}}/g, row.font || '');
+}
+
+/**
+ * Export a design with the headless Node renderer
+ * @param {Object} row - Row from words.csv
+ * @returns {Promise} Resolves when the PNG has been written
+ */
+function exportWithNode(row) {
+  const word = row.word;
+  return renderDesign({
+    word,
+    fill: row.fill,
+    stroke: row.stroke,
+    font: row.font || undefined,
+    strokeWeight: row.strokeWeight,
+    outputPath: path.join(__dirname, 'export', `${word}.png`)
+  });
+}
+
+/**
+ * Main function to process words.csv and generate PNG files
+ * Uses Illustrator by default or the headless renderer with --renderer=node
+ * @param {Object} [journal] - Pipeline journal used to skip and record per-word stages
+ * @returns {Promise<Array>} Results of all export tasks
+ */
+async function main(journal = null) {
+  try {
+    const rows = await loadWords();
     const tasks = [];
     
-    fs.createReadStream('words.csv')
-      .pipe(csv())
-      .on('data', (data) => rows.push(data))
-      .on('end', async () => {
-        try {
-          // Process each row and collect promises
-          for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
-            const word = row.word.trim();
-            const fill = hexToRgb(row.fill);
-            const stroke = hexToRgb(row.stroke);
-            
-            // Create and write the script (existing code)
-            const template = fs.readFileSync('scripts/baseTemplate.jsx', 'utf-8');
-            const finalScript = template
-              .replace(/{{WORD}}/g, word)
-              .replace(/{{FILL_R}}/g, fill.r)
-              .replace(/{{FILL_G}}/g, fill.g)
-              .replace(/{{FILL_B}}/g, fill.b)
-              .replace(/{{STROKE_R}}/g, stroke.r)
-              .replace(/{{STROKE_G}}/g, stroke.g)
-              .replace(/{{STROKE_B}}/g, stroke.b);
-            
-            const outputPath = `scripts/generated-${i}.jsx`;
-            fs.writeFileSync(outputPath, finalScript);
-            
-            // Run Illustrator via AppleScript (as a promise)
-            const command = `osascript -e 'tell application "Adobe Illustrator" to do javascript POSIX file "${path.resolve(outputPath)}"'`;
-            const task = execPromise(command)
-              .then(() => {
-                console.log(`✅ Exported: ${word}`);
-                return word;
-              })
-              .catch((err) => {
-                console.error(`❌ Error exporting ${word}: ${err.message}`);
-                throw err;
-              });
-            
-            tasks.push(task);
-          }
-          
-          // Wait for all Illustrator tasks to complete
-          const results = await Promise.allSettled(tasks);
-          const successful = results.filter(r => r.status === 'fulfilled').length;
-          const failed = results.filter(r => r.status === 'rejected').length;
-          
-          console.log(`\n📊 Illustrator Export Summary:`);
-          console.log(`✅ Successfully exported: ${successful}/${rows.length}`);
-          console.log(`❌ Failed: ${failed}/${rows.length}`);
-          
-          resolve(results);
-        } catch (error) {
-          console.error('❌ Error in main process:', error);
-          reject(error);
-        }
-      });
-  });
+    // Process each row and collect promises
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const word = row.word;
+      
+      // Skip designs already exported in a previous run when resuming
+      if (journal && journal.shouldSkip(word, 'design') &&
+          fs.existsSync(path.join(__dirname, 'export', `${word}.png`))) {
+        console.log(`⏭️ Already exported: ${word}`);
+        tasks.push(Promise.resolve(word));
+        continue;
+      }
+      
+      const exportTask = RENDERER === 'node'
+        ? exportWithNode(row)
+        : exportWithIllustrator(row, i);
+      
+      const task = Promise.resolve(exportTask)
+        .then(() => {
+          console.log(`✅ Exported: ${word}`);
+          if (journal) journal.markDone(word, 'design');
+          return word;
+        })
+        .catch((err) => {
+          console.error(`❌ Error exporting ${word}: ${err.message}`);
+          if (journal) journal.markFailed(word, 'design', err);
+          throw err;
+        });
+      
+      tasks.push(task);
+    }
+    
+    // Wait for all Illustrator tasks to complete
+    const results = await Promise.allSettled(tasks);
+    const successful = results.filter(r => r.status === 'fulfilled').length;
+    const failed = results.filter(r => r.status === 'rejected').length;
+    
+    console.log(`\n📊 Design Export Summary (${RENDERER}):`);
+    console.log(`✅ Successfully exported: ${successful}/${rows.length}`);
+    console.log(`❌ Failed: ${failed}/${rows.length}`);
+    
+    return results;
+  } catch (error) {
+    console.error('❌ Error in main process:', error);
+    throw error;
+  }
 }
 
 /**
- * Run exportMockups.jsx in Photoshop to generate mockups
- * @returns {Promise<boolean>} Success status
+ * Check whether mockups exist for a design
+ * @param {string} word - Design word
+ * @returns {boolean} Whether export-mockups/<WORD>/ contains at least one PNG
  */
+function hasMockups(word) {
+  const mockupDir = path.join(__dirname, 'export-mockups', word);
+  return fs.existsSync(mockupDir) &&
+    fs.readdirSync(mockupDir).some(file => file.toLowerCase().endsWith('.png'));
+}
+
 /**
  * Check if Photoshop is installed and get the correct application name
  * @returns {Promise<string|null>} Photoshop application name or null if not found
@@ -180,9 +285,10 @@ async function getPhotoshopAppName() {
 
 /**
  * Run exportMockups.jsx in Photoshop to generate mockups
- * @returns {Promise<boolean>} Success status
+ * @param {Array<string>} [designs] - Only generate mockups for these designs (all designs if omitted)
+ * @returns {Promise<Object|null>} Mockup report (see mockupLog.js), or null if generation could not run
  */
-async function runPhotoshopMockups() {
+async function runPhotoshopMockups(designs = null) {
   console.log('\n🔄 Starting mockup generation in Photoshop...');
   
   try {
@@ -197,7 +303,7 @@ async function runPhotoshopMockups() {
     const photoshopAppName = await getPhotoshopAppName();
     if (!photoshopAppName) {
       console.error("❌ Cannot proceed with mockup generation without Photoshop.");
-      return false;
+      return null;
     }
     
     // Activate Photoshop (assuming the file is already open)
@@ -215,6 +321,13 @@ async function runPhotoshopMockups() {
     const exportMockupsPath = path.resolve(__dirname, 'exportMockups.jsx');
     const logFilePath = path.resolve(__dirname, 'mockup_generation.log');
     
+    // Tell exportMockups.jsx which designs to process (read from mockup_queue.txt)
+    const queueFilePath = path.join(__dirname, 'mockup_queue.txt');
+    if (designs) {
+      fs.writeFileSync(queueFilePath, designs.join('\n'));
+      console.log(`📋 Queued ${designs.length} designs for mockup generation`);
+    }
+    
     // Create a temporary AppleScript file to run the JSX script
     const tempAppleScriptPath = path.join(__dirname, 'temp_run_jsx.scpt');
     const appleScriptContent = `
@@ -230,8 +343,11 @@ end tell
     const runScriptCommand = `osascript "${tempAppleScriptPath}"`;
     const { stdout, stderr } = await execPromise(runScriptCommand);
     
-    // Clean up the temporary file
+    // Clean up the temporary files
     fs.unlinkSync(tempAppleScriptPath);
+    if (fs.existsSync(queueFilePath)) {
+      fs.unlinkSync(queueFilePath);
+    }
     
     if (stderr) {
       console.error(`⚠️ Photoshop stderr: ${stderr}`);
@@ -240,70 +356,78 @@ end tell
     // Wait a moment for the log file to be written
     await new Promise(resolve => setTimeout(resolve, 1000));
     
-    // Read and display the log file
-    try {
-      if (fs.existsSync(logFilePath)) {
-        const logContent = fs.readFileSync(logFilePath, 'utf-8');
-        const logLines = logContent.split('\n').filter(line => line.trim() !== '');
-        
-        // Display formatted log output
-        console.log('\n📋 Mockup Generation Log:');
-        
-        let designCount = 0;
-        let mockupCount = 0;
-        let errorCount = 0;
-        
-        logLines.forEach(line => {
-          if (line.includes('MOCKUP_INFO:')) {
-            console.log(`ℹ️ ${line.replace('MOCKUP_INFO:', '').trim()}`);
-          }
-          else if (line.includes('MOCKUP_PROCESSING:')) {
-            designCount++;
-            const designName = line.replace('MOCKUP_PROCESSING:', '').trim().split(' ')[0];
-            console.log(`\n🔄 Processing design: ${designName}`);
-          }
-          else if (line.includes('MOCKUP_EXPORTED:')) {
-            mockupCount++;
-            const mockupName = line.replace('MOCKUP_EXPORTED:', '').trim();
-            console.log(`  ✓ Generated mockup: ${mockupName}`);
-          }
-          else if (line.includes('MOCKUP_ERROR:')) {
-            errorCount++;
-            console.error(`❌ ${line.replace('MOCKUP_ERROR:', '').trim()}`);
-          }
-          else if (line.includes('MOCKUP_SUMMARY:')) {
-            console.log(`\n📊 ${line.replace('MOCKUP_SUMMARY:', '').trim()}`);
-          }
-          else if (line.includes('MOCKUP_GENERATION_COMPLETE')) {
-            console.log(`\n🎉 Mockup generation complete!`);
-          }
-        });
-        
-        // Display summary if not already shown in the log
-        if (mockupCount > 0 && !logContent.includes('MOCKUP_SUMMARY:')) {
-          console.log(`\n📊 Generated ${mockupCount} mockups for ${designCount} designs`);
-          if (errorCount > 0) {
-            console.log(`⚠️ Encountered ${errorCount} errors during generation`);
-          }
-        }
-        
-        // Clean up the log file
-        fs.unlinkSync(logFilePath);
-      } else {
-        console.log('\n⚠️ No log file found. Mockup generation may have failed.');
-      }
-    } catch (error) {
-      console.error(`❌ Error reading log file: ${error.message}`);
+    // Read the structured log (one JSON event per line) and archive it for this run
+    if (!fs.existsSync(logFilePath)) {
+      console.error('❌ No log file found. Mockup generation may have failed.');
+      return null;
     }
     
-    console.log('✅ Mockup generation complete!');
-    return true;
+    const report = parseMockupLog(fs.readFileSync(logFilePath, 'utf-8'));
+    report.logPath = archiveMockupLog(logFilePath);
+    printMockupReport(report);
+    console.log(`🗄️ Mockup log archived to ${report.logPath}`);
+    
+    return report;
   } catch (error) {
     console.error(`❌ Error generating mockups: ${error.message}`);
-    return false;
+    return null;
   }
 }
 
+/**
+ * Generate mockups with the Node compositor (mockup-blanks/ + mockup-placement.json)
+ * @param {Array<string>} [designs] - Only generate mockups for these designs (all designs if omitted)
+ * @returns {Promise<Object|null>} Mockup report (see mockupLog.js), or null if generation could not run
+ */
+async function runNodeMockups(designs = null) {
+  console.log('\n🔄 Starting mockup generation with the Node compositor...');
+  
+  try {
+    const report = await generateMockups({ designs });
+    console.log(`🗄️ Mockup log archived to ${report.logPath}`);
+    return report;
+  } catch (error) {
+    console.error(`❌ Error generating mockups: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the words whose designs must not be uploaded after the print preflight
+ * @param {Object} report - Preflight report (see printPreflight.js)
+ * @param {boolean} [strict] - Block designs with warnings too
+ * @returns {Array<string>} Blocked words
+ */
+function preflightBlockedWords(report, strict = false) {
+  return strict ? [...report.failed, ...report.warned] : [...report.failed];
+}
+
+/**
+ * Run the print preflight on every word's design and record it in the journal
+ * @param {Array<Object>} rows - Words from words.csv
+ * @param {Object} journal - Pipeline journal
+ * @param {Object} [options] - Preflight options
+ * @param {boolean} [options.strict] - Record designs with warnings as failed too
+ * @param {string} [options.exportDir] - Folder with the designs (default: export/)
+ * @returns {Promise<Object>} Preflight report (see printPreflight.js)
+ */
+async function runPreflight(rows, journal, { strict = false, exportDir } = {}) {
+  console.log('\n📝 Checking designs for printing...');
+  const report = await preflightDesigns(rows, exportDir ? { exportDir } : {});
+  printPreflightReport(report);
+  
+  const blocked = preflightBlockedWords(report, strict);
+  for (const [word, result] of Object.entries(report.designs)) {
+    if (blocked.includes(word)) {
+      const problems = result.checks.filter(check => check.status !== 'pass').map(check => `${check.name}: ${check.message}`);
+      journal.markFailed(word, 'preflight', problems.join('; '));
+    } else {
+      journal.markDone(word, 'preflight');
+    }
+  }
+  return report;
+}
+
 /**
  * Execute the full pipeline
  */
@@ -311,33 +435,98 @@ async function runPipeline() {
   console.log('🚀 Starting Illustrator automation pipeline...');
   
   let illustratorSuccess = false;
+  let preflightStatus = null;
+  let blockedWords = [];
   let mockupSuccess = false;
   let uploadSuccess = false;
   
-  // Step 1: Generate PNGs with Illustrator
+  // Per-word stage journal (loaded from the previous run when resuming)
+  const journal = createJournal({ resume: RESUME });
+  if (RESUME) {
+    console.log(`🔁 Resuming from ${journal.filePath}`);
+  }
+  let rows;
   try {
-    console.log('\n📝 Generating PNGs with Illustrator...');
-    await main();
+    rows = await loadWords();
+    journal.track(rows.map(row => row.word));
+  } catch (error) {
+    // Stop before any design is made - every later step depends on words.csv
+    console.error(`❌ Error reading words.csv: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // Step 1: Generate PNGs with Illustrator (or the headless renderer)
+  try {
+    console.log(`\n📝 Generating PNGs with ${RENDERER === 'node' ? 'the Node renderer' : 'Illustrator'}...`);
+    await main(journal);
     illustratorSuccess = true;
-    console.log('✅ Illustrator generation completed successfully');
+    console.log('✅ Design generation completed successfully');
   } catch (error) {
-    console.error(`❌ Illustrator generation error: ${error.message}`);
-    console.log('⚠️ Continuing with pipeline despite Illustrator errors');
+    console.error(`❌ Design generation error: ${error.message}`);
+    console.log('⚠️ Continuing with pipeline despite design export errors');
+  }
+  
+  // Step 2: Check the designs are printable before anything is uploaded
+  if (SKIP_PREFLIGHT) {
+    console.log('\n⏭️ Skipping print preflight (--skip-preflight flag used)');
+  } else {
+    try {
+      const report = await runPreflight(rows, journal, { strict: STRICT_PREFLIGHT });
+      preflightStatus = report.status;
+      blockedWords = preflightBlockedWords(report, STRICT_PREFLIGHT);
+    } catch (error) {
+      // Without a report no design is known to be printable
+      console.error(`❌ Print preflight error: ${error.message}`);
+      preflightStatus = 'fail';
+      blockedWords = rows.map(row => row.word);
+      blockedWords.forEach(word => journal.markFailed(word, 'preflight', error));
+    }
   }
+  const uploadBlocked = blockedWords.length > 0 && blockedWords.length === rows.length;
   
-  // Step 2: Generate mockups with Photoshop (unless skipped)
+  // Step 3: Generate mockups with Photoshop (unless skipped)
   if (SKIP_MOCKUPS) {
     console.log('\n⏭️ Skipping mockup generation (--skip-mockups flag used)');
     mockupSuccess = true; // Mark as success since we're skipping
   } else {
     try {
-      console.log('\n📝 Generating mockups with Photoshop...');
-      const result = await runPhotoshopMockups();
-      mockupSuccess = result;
-      if (result) {
-        console.log('✅ Mockup generation completed successfully');
+      const pending = journal.words().filter(word => !journal.shouldSkip(word, 'mockups'));
+      
+      if (pending.length === 0) {
+        console.log('\n⏭️ Mockups already generated for every word');
+        mockupSuccess = true;
       } else {
-        console.log('⚠️ Mockup generation completed with warnings');
+        // Only queue specific designs when resuming, otherwise keep processing everything in export/
+        let report;
+        if (MOCKUP_RENDERER === 'node') {
+          console.log('\n📝 Generating mockups with the Node compositor...');
+          report = await runNodeMockups(RESUME ? pending : null);
+        } else {
+          console.log('\n📝 Generating mockups with Photoshop...');
+          report = await runPhotoshopMockups(RESUME ? pending : null);
+        }
+        mockupSuccess = report !== null && !hasFailures(report);
+        
+        for (const word of pending) {
+          const designReport = report && report.designs[word];
+          if (!designReport) {
+            journal.markFailed(word, 'mockups', 'Design was not processed by mockup generation');
+          } else if (designReport.failed.length > 0 || !designReport.completed) {
+            const errors = designReport.failed.map(failure => failure.color ? `${failure.color}: ${failure.error}` : failure.error);
+            journal.markFailed(word, 'mockups', errors.join('; ') || 'Mockup generation did not finish');
+          } else if (!hasMockups(word)) {
+            journal.markFailed(word, 'mockups', 'No mockups found in export-mockups/');
+          } else {
+            journal.markDone(word, 'mockups');
+          }
+        }
+        
+        if (mockupSuccess) {
+          console.log('✅ Mockup generation completed successfully');
+        } else {
+          console.log('❌ Mockup generation failed for one or more mockups');
+        }
       }
     } catch (error) {
       console.error(`❌ Mockup generation error: ${error.message}`);
@@ -345,13 +534,20 @@ async function runPipeline() {
     }
   }
   
-  // Step 3: Upload to Printful (unless skipped)
+  // Step 4: Upload to Printful (unless skipped or blocked by the preflight)
   if (SKIP_UPLOAD) {
     console.log('\n⏭️ Skipping upload to Printful (--skip-upload flag used)');
     uploadSuccess = true; // Mark as success since we're skipping
+  } else if (uploadBlocked) {
+    console.log('\n⛔ Upload blocked: the print preflight blocked every design');
+    console.log('👉 Fix the designs in export/, or use --skip-preflight to upload anyway');
   } else {
     try {
       console.log('\n📝 Uploading to Printful...');
+      if (blockedWords.length > 0) {
+        console.log(`⛔ Not uploading ${blockedWords.join(', ')} (blocked by the print preflight)`);
+        console.log('👉 Fix these designs in export/, or use --skip-preflight to upload them anyway');
+      }
       
       // Prepare arguments to pass to uploadToPrintful
       const uploadOptions = {};
@@ -366,6 +562,9 @@ async function runPipeline() {
         console.log(`🔍 Limiting to ${LIMIT} files`);
       }
       
+      uploadOptions.journal = journal;
+      uploadOptions.skipWords = blockedWords;
+      
       await uploadToPrintful(uploadOptions);
       uploadSuccess = true;
       console.log('✅ Printful upload completed successfully');
@@ -387,16 +586,39 @@ async function runPipeline() {
   
   // Final summary
   console.log('\n📊 Pipeline Summary:');
-  console.log(`Illustrator Generation: ${illustratorSuccess ? '✅ Success' : '❌ Failed'}`);
+  console.log(`Design Generation (${RENDERER}): ${illustratorSuccess ? '✅ Success' : '❌ Failed'}`);
+  console.log(`Print Preflight: ${{ pass: '✅ Passed', warn: '⚠️ Warnings', fail: '❌ Failed' }[preflightStatus] || '⏭️ Skipped'}`);
   console.log(`Mockup Generation: ${SKIP_MOCKUPS ? '⏭️ Skipped' : (mockupSuccess ? '✅ Success' : '❌ Failed')}`);
-  console.log(`Printful Upload: ${SKIP_UPLOAD ? '⏭️ Skipped' : (uploadSuccess ? '✅ Success' : '❌ Failed')}`);
+  const blockedNote = !SKIP_UPLOAD && !uploadBlocked && blockedWords.length > 0 ? ` (${blockedWords.length} blocked)` : '';
+  console.log(`Printful Upload: ${SKIP_UPLOAD ? '⏭️ Skipped' : uploadBlocked ? '⛔ Blocked' : (uploadSuccess ? '✅ Success' : '❌ Failed')}${blockedNote}`);
   
-  if (illustratorSuccess && (SKIP_MOCKUPS || mockupSuccess) && (SKIP_UPLOAD || uploadSuccess)) {
+  printJournalSummary(journal);
+  
+  // Failed mockups or designs blocked from the upload make the whole run fail so CI and wrapper scripts notice
+  if ((!SKIP_MOCKUPS && !mockupSuccess) || (!SKIP_UPLOAD && blockedWords.length > 0)) {
+    process.exitCode = 1;
+  }
+  
+  if (illustratorSuccess && blockedWords.length === 0 && (SKIP_MOCKUPS || mockupSuccess) && (SKIP_UPLOAD || uploadSuccess)) {
     console.log('\n✨ Pipeline completed successfully!');
   } else {
     console.log('\n⚠️ Pipeline completed with some steps failing or being skipped.');
   }
 }
 
-// Run the pipeline
-runPipeline();
+module.exports = {
+  hexToRgb,
+  fillScriptTemplate,
+  preflightBlockedWords,
+  runPreflight
+};
+
+// If this script is run directly (not imported), run the pipeline
+if (require.main === module) {
+  // Show help if requested
+  if (SHOW_HELP) {
+    showHelp();
+  }
+
+  runPipeline();
+}
@@ -0,0 +1,275 @@
+/**
+ * jsonExtractor.js
+ *
+ * This module gets a JSON object out of a model reply. Models wrap JSON in prose or code
+ * fences and break it in a handful of predictable ways, so instead of collapsing the reply
+ * and scraping fields with regexes, the JSON is found with a string-aware scan and only the
+ * broken parts are repaired:
+ *
+ * - code fences and text around the JSON are dropped
+ * - curly quotes used as JSON quotes are straightened (curly quotes inside strings are kept)
+ * - trailing commas are removed
+ * - quotes, line breaks and other control characters inside strings are escaped
+ * - when the reply has several JSON objects, the first usable one is taken
+ *
+ * Valid JSON is never changed. Every result comes with a report of the repairs applied.
+ */
+
+// Repairs that can show up in a report, and what they mean
+const REPAIRS = {
+  'code-fence': 'took the JSON out of a ``` code block',
+  'surrounding-text': 'ignored the text around the JSON',
+  'multiple-objects': 'picked one of several JSON objects',
+  'smart-quotes': 'straightened curly quotes used as JSON quotes',
+  'trailing-commas': 'removed trailing commas',
+  'unescaped-quotes': 'escaped quotes inside strings',
+  'unescaped-newlines': 'escaped line breaks inside strings',
+  'control-characters': 'escaped tabs and other control characters inside strings'
+};
+
+// Curly quotes models use in place of "
+const SMART_QUOTES = ['“', '”'];
+
+// Characters that can follow the closing quote of a JSON string
+const AFTER_STRING = [',', '}', ']', ':'];
+
+/**
+ * Error thrown when a reply holds no JSON object that can be parsed, even after repairs
+ */
+class JsonExtractionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [report] - What was tried
+   * @param {number} [report.candidates] - JSON objects found in the reply
+   * @param {Array<string>} [report.errors] - Why each one was rejected
+   */
+  constructor(message, { candidates = 0, errors = [] } = {}) {
+    super(message);
+    this.name = 'JsonExtractionError';
+    this.candidates = candidates;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check whether a quote at this position closes the string it is in
+ * A quote that is followed by something other than , } ] : or the end is taken as part of the text
+ * @param {string} text - JSON text
+ * @param {number} index - Index right after the quote
+ * @returns {boolean} True when the quote ends the string
+ */
+function closesString(text, index) {
+  let next = index;
+  while (next < text.length && /\s/.test(text[next])) {
+    next++;
+  }
+  return next === text.length || AFTER_STRING.includes(text[next]);
+}
+
+/**
+ * Check whether a character closes a string opened with the given quote
+ * @param {string} char - Character
+ * @param {string} opener - '"' or 'smart'
+ * @returns {boolean} True for the matching kind of quote
+ */
+function isCloser(char, opener) {
+  return opener === '"' ? char === '"' : SMART_QUOTES.includes(char);
+}
+
+/**
+ * Find the top-level {...} blocks in a text
+ * Braces inside strings don't count, and text outside the blocks is skipped
+ * @param {string} text - Text
+ * @returns {Array<{start: number, end: number}>} Blocks in order (end is exclusive)
+ */
+function findObjectSpans(text) {
+  const spans = [];
+  let depth = 0;
+  let start = -1;
+  let opener = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (opener) {
+      if (char === '\\') {
+        i++;
+      } else if (isCloser(char, opener) && closesString(text, i + 1)) {
+        opener = null;
+      }
+      continue;
+    }
+    // Quotes only matter inside a block, prose around it may have unbalanced ones
+    if (depth > 0 && (char === '"' || SMART_QUOTES.includes(char))) {
+      opener = char === '"' ? '"' : 'smart';
+    } else if (char === '{') {
+      if (depth === 0) {
+        start = i;
+      }
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        spans.push({ start, end: i + 1 });
+      }
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Find the JSON blocks in some texts
+ * @param {Array<string>} sources - Texts
+ * @returns {Array<{block: string, trimmed: boolean}>} Blocks, and whether text around them was dropped
+ */
+function findBlocks(sources) {
+  const blocks = [];
+  for (const source of sources) {
+    for (const { start, end } of findObjectSpans(source)) {
+      blocks.push({ block: source.slice(start, end), trimmed: source.trim().length !== end - start });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Repair the usual model mistakes in a JSON block
+ * @param {string} text - JSON block
+ * @returns {{text: string, repairs: Array<string>}} Repaired text and the repairs applied
+ */
+function repairJson(text) {
+  const repairs = new Set();
+  let out = '';
+  let opener = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (!opener) {
+      if (char === '"' || SMART_QUOTES.includes(char)) {
+        opener = char === '"' ? '"' : 'smart';
+        if (opener === 'smart') {
+          repairs.add('smart-quotes');
+        }
+        out += '"';
+      } else if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) {
+        repairs.add('trailing-commas');
+      } else {
+        out += char;
+      }
+      continue;
+    }
+
+    if (char === '\\' && i + 1 < text.length) {
+      out += char + text[++i];
+    } else if (isCloser(char, opener)) {
+      if (closesString(text, i + 1)) {
+        opener = null;
+        out += '"';
+      } else {
+        repairs.add('unescaped-quotes');
+        out += '\\"';
+      }
+    } else if (char === '"') {
+      // A plain quote inside a string that was opened with a curly one
+      out += '\\"';
+    } else if (char === '\n' || char === '\r') {
+      repairs.add('unescaped-newlines');
+      out += char === '\n' ? '\\n' : '\\r';
+    } else if (char < ' ') {
+      repairs.add('control-characters');
+      out += char === '\t' ? '\\t' : `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    } else {
+      out += char;
+    }
+  }
+
+  return { text: out, repairs: [...repairs] };
+}
+
+/**
+ * Parse a JSON block, repairing it if it doesn't parse as is
+ * @param {string} block - JSON block
+ * @returns {{value: *, repairs: Array<string>}} Parsed value and the repairs it needed
+ * @throws {SyntaxError} When it doesn't parse even after repairs
+ */
+function parseBlock(block) {
+  try {
+    return { value: JSON.parse(block), repairs: [] };
+  } catch (error) {
+    const repaired = repairJson(block);
+    return { value: JSON.parse(repaired.text), repairs: repaired.repairs };
+  }
+}
+
+/**
+ * Get a JSON object out of a model reply
+ * @param {string} text - Model reply
+ * @param {Object} [options] - Extraction options
+ * @param {Function} [options.accept] - Returns true for an object that is usable (default: any object);
+ *   with several objects in the reply, the first accepted one is returned
+ * @returns {{value: Object, repairs: Array<string>, candidates: number}} The object, the repairs
+ *   applied (keys of REPAIRS, in the order they were needed) and how many objects the reply had
+ * @throws {JsonExtractionError} When no object can be parsed and accepted
+ */
+function extractJson(text, { accept = () => true } = {}) {
+  const reply = String(text).replace(/^\uFEFF/, '');
+  const repairs = [];
+
+  // Fenced blocks win over the rest of the reply
+  const fences = [...reply.matchAll(/```[\w-]*[ \t]*\r?\n?([\s\S]*?)```/g)].map(match => match[1]);
+  let blocks = findBlocks(fences);
+  if (blocks.length > 0) {
+    repairs.push('code-fence');
+  } else {
+    blocks = findBlocks([reply]);
+  }
+  if (blocks.length === 0) {
+    throw new JsonExtractionError('Reply has no JSON object');
+  }
+
+  const errors = [];
+  for (const { block, trimmed } of blocks) {
+    let parsed;
+    try {
+      parsed = parseBlock(block);
+    } catch (error) {
+      errors.push(error.message);
+      continue;
+    }
+    if (!parsed.value || typeof parsed.value !== 'object' || Array.isArray(parsed.value) || !accept(parsed.value)) {
+      errors.push('JSON object is not usable');
+      continue;
+    }
+
+    if (trimmed) {
+      repairs.push('surrounding-text');
+    }
+    if (blocks.length > 1) {
+      repairs.push('multiple-objects');
+    }
+    return { value: parsed.value, repairs: [...repairs, ...parsed.repairs], candidates: blocks.length };
+  }
+
+  throw new JsonExtractionError(
+    `Reply has ${blocks.length === 1 ? 'a JSON object' : `${blocks.length} JSON objects`} that could not be used: ${errors.join('; ')}`,
+    { candidates: blocks.length, errors }
+  );
+}
+
+/**
+ * Describe repairs for a log line
+ * @param {Array<string>} repairs - Repairs from extractJson()
+ * @returns {string} Comma-separated descriptions
+ */
+function describeRepairs(repairs) {
+  return repairs.map(repair => REPAIRS[repair] || repair).join(', ');
+}
+
+module.exports = {
+  extractJson,
+  repairJson,
+  describeRepairs,
+  JsonExtractionError,
+  REPAIRS
+};
@@ -0,0 +1,277 @@
+/**
+ * listingCache.js
+ *
+ * This module decides where a word's listing copy comes from, so runs don't pay for new copy
+ * every time or overwrite copy that was already reviewed:
+ *
+ * 1. A locked manual-templates/<WORD>.json ("locked": true) is always used as is
+ * 2. The copy already in manual-templates/<WORD>.json (title, description and tags) is reused
+ * 3. Words without saved copy: with keep, the newest cached copy is reused, whatever model made it
+ * 4. Otherwise .listing-cache/ is used when it has copy for the same word, prompt version and
+ *    model (and the same product type and cuisine, which also change the prompt)
+ * 5. Only then is new copy generated (the best of several candidates, see listingCandidates.js),
+ *    and it is added to the cache
+ *
+ * Regenerating skips steps 2 to 4 but never touches a locked listing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { generateListing, resolveListingModel, LISTING_PROMPT_VERSION } = require('./listingGenerator');
+const { DEFAULT_PRODUCT_TYPE } = require('./descriptionTemplates');
+const { generateBestListing, saveListingCandidates, LLM_CANDIDATES } = require('./listingCandidates');
+
+// Configuration
+const LISTING_CACHE_DIR = path.join(__dirname, '.listing-cache');
+const MANUAL_TEMPLATES_DIR = path.join(__dirname, 'manual-templates');
+
+// Listing fields taken from a manual-templates file when it is reused
+const LISTING_FIELDS = ['productType', 'title', 'emojis', 'intro', 'relatedFoods', 'cuisine', 'description', 'tags'];
+
+/**
+ * Build the cache key for a listing request
+ * @param {Object} request - Listing request
+ * @param {string} request.word - Design word
+ * @param {string} request.provider - Provider name
+ * @param {string} request.model - Model
+ * @param {number} [request.promptVersion] - Prompt version (default: LISTING_PROMPT_VERSION)
+ * @param {string} [request.productType] - Product type (default: sweatshirt)
+ * @param {string|null} [request.cuisine] - Cuisine from words.csv
+ * @returns {string} Cache key (16 hex characters)
+ */
+function listingCacheKey({
+  word,
+  provider,
+  model,
+  promptVersion = LISTING_PROMPT_VERSION,
+  productType = DEFAULT_PRODUCT_TYPE,
+  cuisine = null
+}) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([word, promptVersion, provider, model, productType, cuisine]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Get the cache file path for a listing
+ * @param {string} cacheDir - Cache directory
+ * @param {string} word - Design word
+ * @param {string} key - Cache key
+ * @returns {string} File path
+ */
+function cacheFilePath(cacheDir, word, key) {
+  return path.join(cacheDir, `${word}-${key}.json`);
+}
+
+/**
+ * Read a JSON file, or null when it is missing or unreadable
+ * @param {string} filePath - File path
+ * @returns {Object|null} Parsed JSON or null
+ */
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable listing file ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read a cached listing
+ * @param {string} word - Design word
+ * @param {string} key - Cache key
+ * @param {string} [cacheDir] - Cache directory (default: .listing-cache/)
+ * @returns {Object|null} Cache entry ({ word, key, promptVersion, provider, model, cachedAt, listing }) or null
+ */
+function readCachedListing(word, key, cacheDir = LISTING_CACHE_DIR) {
+  const entry = readJsonFile(cacheFilePath(cacheDir, word, key));
+  return entry && entry.listing ? entry : null;
+}
+
+/**
+ * Find the newest cached listing for a word, whatever prompt version or model made it
+ * @param {string} word - Design word
+ * @param {string} [cacheDir] - Cache directory (default: .listing-cache/)
+ * @returns {Object|null} Cache entry or null
+ */
+function findNewestCachedListing(word, cacheDir = LISTING_CACHE_DIR) {
+  if (!fs.existsSync(cacheDir)) {
+    return null;
+  }
+
+  return fs.readdirSync(cacheDir)
+    .filter(file => file.startsWith(`${word}-`) && file.endsWith('.json'))
+    .map(file => readJsonFile(path.join(cacheDir, file)))
+    // "HOT-DOG-<key>.json" also starts with "HOT-", so check the word itself
+    .filter(entry => entry && entry.word === word && entry.listing)
+    .sort((a, b) => String(b.cachedAt).localeCompare(String(a.cachedAt)))[0] || null;
+}
+
+/**
+ * Save a listing to the cache
+ * @param {Object} request - Listing request (see listingCacheKey)
+ * @param {Object} listing - Generated listing
+ * @param {string} [cacheDir] - Cache directory (default: .listing-cache/)
+ * @returns {Object} Cache entry
+ */
+function writeCachedListing(request, listing, cacheDir = LISTING_CACHE_DIR) {
+  const key = listingCacheKey(request);
+  const entry = {
+    word: request.word,
+    key,
+    promptVersion: request.promptVersion || LISTING_PROMPT_VERSION,
+    provider: request.provider,
+    model: request.model,
+    productType: request.productType || DEFAULT_PRODUCT_TYPE,
+    cuisine: request.cuisine || null,
+    cachedAt: new Date().toISOString(),
+    listing
+  };
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(cacheFilePath(cacheDir, request.word, key), JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+/**
+ * Read a word's manual-templates file
+ * @param {string} word - Design word
+ * @param {string} [templatesDir] - Templates directory (default: manual-templates/)
+ * @returns {Object|null} Saved metadata or null
+ */
+function readManualTemplate(word, templatesDir = MANUAL_TEMPLATES_DIR) {
+  return readJsonFile(path.join(templatesDir, `${word}.json`));
+}
+
+/**
+ * Check whether a manual-templates file is locked against pipeline changes
+ * @param {Object|null} template - Saved metadata
+ * @returns {boolean} True when "locked" is true
+ */
+function isListingLocked(template) {
+  return Boolean(template && template.locked === true);
+}
+
+/**
+ * Take the listing fields out of a manual-templates file
+ * @param {string} word - Design word
+ * @param {Object} template - Saved metadata
+ * @returns {Object|null} Listing, or null when the file has no title, description and tags
+ */
+function listingFromTemplate(word, template) {
+  if (!template || !template.title || !template.description || !Array.isArray(template.tags)) {
+    return null;
+  }
+  const listing = { word };
+  for (const field of LISTING_FIELDS) {
+    if (template[field] !== undefined) {
+      listing[field] = template[field];
+    }
+  }
+  return listing;
+}
+
+/**
+ * Get the listing for a word from a locked or saved file, the cache, or the model
+ * A manual-templates file with a title, description and tags is reused unless regenerate is set,
+ * so reviewed copy is never replaced just because the cache has no entry for it.
+ * @param {string} word - Design word
+ * @param {Object} [options] - Listing options
+ * @param {string|null} [options.cuisine] - Cuisine from words.csv
+ * @param {string} [options.productType] - Product type (default: sweatshirt)
+ * @param {boolean} [options.regenerate] - Ask the model for new copy even if some is cached or saved
+ * @param {boolean} [options.keep] - Without saved copy, reuse the newest cached copy, whatever model made it
+ * @param {string|Object} [options.provider] - Provider name or object (default: LLM_PROVIDER or openrouter)
+ * @param {string} [options.model] - Model (default: LLM_MODEL or the provider's default model)
+ * @param {number} [options.candidates] - Candidates to generate and pick the best from (default: LLM_CANDIDATES or 1)
+ * @param {string} [options.cacheDir] - Cache directory (default: .listing-cache/)
+ * @param {string} [options.templatesDir] - Templates directory (default: manual-templates/)
+ * @param {Function} [options.generate] - Listing generator (default: generateListing)
+ * @returns {Promise<{listing: Object, source: string}>} Listing and where it came from: 'locked', 'kept', 'cache' or 'generated'
+ */
+async function getListing(word, {
+  cuisine = null,
+  productType = DEFAULT_PRODUCT_TYPE,
+  regenerate = false,
+  keep = false,
+  provider = undefined,
+  model = undefined,
+  candidates = LLM_CANDIDATES,
+  cacheDir = LISTING_CACHE_DIR,
+  templatesDir = MANUAL_TEMPLATES_DIR,
+  generate = generateListing
+} = {}) {
+  const template = readManualTemplate(word, templatesDir);
+
+  // 1. Locked listings are never replaced
+  if (isListingLocked(template)) {
+    const locked = listingFromTemplate(word, template);
+    if (!locked) {
+      throw new Error(`manual-templates/${word}.json is locked but has no title, description and tags`);
+    }
+    if (regenerate) {
+      console.log(`🔒 ${word} listing is locked, not regenerating it`);
+    } else {
+      console.log(`🔒 Using locked listing from manual-templates/${word}.json`);
+    }
+    return { listing: locked, source: 'locked' };
+  }
+
+  // 2. Reviewed copy already in manual-templates/ is only replaced with --regenerate-listing
+  if (!regenerate) {
+    const saved = listingFromTemplate(word, template);
+    if (saved) {
+      console.log(`📌 Keeping the listing in manual-templates/${word}.json`);
+      return { listing: saved, source: 'kept' };
+    }
+  }
+
+  // 3. No saved copy: with --keep-listing, the newest cached copy, whatever model made it
+  if (keep && !regenerate) {
+    const newest = findNewestCachedListing(word, cacheDir);
+    if (newest) {
+      console.log(`📌 Keeping the cached listing from ${newest.cachedAt} (${newest.provider}/${newest.model})`);
+      return { listing: newest.listing, source: 'kept' };
+    }
+    console.log(`⚠️ No saved listing to keep for ${word}, generating one`);
+  }
+
+  // 4. No saved copy: same word, prompt and model as a previous run
+  const request = { word, ...resolveListingModel(provider, model), productType, cuisine };
+  const key = listingCacheKey(request);
+  if (!regenerate) {
+    const cached = readCachedListing(word, key, cacheDir);
+    if (cached) {
+      console.log(`💾 Using cached listing from ${cached.cachedAt} (${cached.provider}/${cached.model})`);
+      return { listing: cached.listing, source: 'cache' };
+    }
+  }
+
+  // 5. New copy
+  const best = await generateBestListing(word, { count: candidates, generate, cuisine, productType, provider, model });
+  const listing = best.listing;
+  if (best.losers.length > 0) {
+    const candidatesPath = saveListingCandidates(word, best, templatesDir);
+    console.log(`🗂️ Saved ${best.losers.length} other candidate${best.losers.length === 1 ? '' : 's'} to ${path.relative(process.cwd(), candidatesPath)}`);
+  }
+  writeCachedListing(request, listing, cacheDir);
+  return { listing, source: 'generated' };
+}
+
+module.exports = {
+  getListing,
+  listingCacheKey,
+  readCachedListing,
+  writeCachedListing,
+  findNewestCachedListing,
+  readManualTemplate,
+  isListingLocked,
+  listingFromTemplate,
+  LISTING_CACHE_DIR
+};
@@ -0,0 +1,275 @@
+/**
+ * listingCandidates.js
+ *
+ * This module generates several listing candidates for a word, scores them with a local
+ * heuristic and keeps the best one. The heuristic needs no model calls:
+ *
+ * - titleLength: longer titles use more of Etsy's 140 characters (over 140 scores nothing)
+ * - keywordPlacement: the word appears in the first 40 characters of the title
+ * - tagCoverage: how many of Etsy's 13 tag slots hold a usable tag
+ * - tagUniqueness: no tag is repeated
+ * - sections: the description has every standard section
+ *
+ * The losing candidates are saved to manual-templates/candidates/<WORD>.json with their
+ * scores, so a human can swap one in (node listingCandidates.js --swap WORD N).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { generateListing } = require('./listingGenerator');
+const { isValidEtsyTag, ETSY_TITLE_MAX_LENGTH, ETSY_MAX_TAGS } = require('./etsyListingRules');
+const { REQUIRED_SECTIONS } = require('./descriptionTemplates');
+
+// Configuration
+const LLM_CANDIDATES = parseInt(process.env.LLM_CANDIDATES, 10) || 1;
+const MANUAL_TEMPLATES_DIR = path.join(__dirname, 'manual-templates');
+const CANDIDATES_DIR_NAME = 'candidates';
+
+// Characters of the title that count as "near the start" for the word
+const KEYWORD_WINDOW = 40;
+
+// Points per check (adds up to 100)
+const SCORE_WEIGHTS = {
+  titleLength: 20,
+  keywordPlacement: 25,
+  tagCoverage: 20,
+  tagUniqueness: 15,
+  sections: 20
+};
+
+/**
+ * Round to one decimal
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+function roundScore(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Score a listing with the local heuristic
+ * @param {Object} listing - Listing with title, description and tags
+ * @param {string} [word] - Design word (default: listing.word)
+ * @returns {{score: number, breakdown: Object}} Total score out of 100 and the points per check
+ */
+function scoreListing(listing, word = listing.word) {
+  const title = listing.title || '';
+  const description = listing.description || '';
+  const tags = Array.isArray(listing.tags) ? listing.tags : [];
+
+  const position = word ? title.toLowerCase().indexOf(word.toLowerCase()) : -1;
+  const uniqueTags = new Set(tags.map(tag => String(tag).trim().toLowerCase()));
+
+  // Each check is a fraction between 0 and 1
+  const checks = {
+    titleLength: title.length > ETSY_TITLE_MAX_LENGTH ? 0 : title.length / ETSY_TITLE_MAX_LENGTH,
+    keywordPlacement: position < 0 ? 0 : position + word.length <= KEYWORD_WINDOW ? 1 : 0.5,
+    tagCoverage: Math.min(tags.filter(isValidEtsyTag).length, ETSY_MAX_TAGS) / ETSY_MAX_TAGS,
+    tagUniqueness: tags.length === 0 ? 0 : uniqueTags.size / tags.length,
+    sections: REQUIRED_SECTIONS.filter(section => description.includes(section)).length / REQUIRED_SECTIONS.length
+  };
+
+  const breakdown = {};
+  let score = 0;
+  for (const [check, weight] of Object.entries(SCORE_WEIGHTS)) {
+    breakdown[check] = roundScore(checks[check] * weight);
+    score += breakdown[check];
+  }
+  return { score: roundScore(score), breakdown };
+}
+
+/**
+ * Score listings and sort them best first
+ * Equal scores keep their original order, so the first candidate wins a tie
+ * @param {Array<Object>} listings - Listings
+ * @param {string} word - Design word
+ * @returns {Array<Object>} Scored candidates ({ candidate, score, breakdown, listing }), best first
+ */
+function rankListings(listings, word) {
+  return listings
+    .map((listing, index) => ({ candidate: index + 1, ...scoreListing(listing, word), listing }))
+    .sort((a, b) => b.score - a.score || a.candidate - b.candidate);
+}
+
+/**
+ * Generate several listings for a word and keep the best one
+ * Candidates that fail validation are skipped; it only fails when every candidate fails
+ * @param {string} word - Design word
+ * @param {Object} [options] - Options
+ * @param {number} [options.count] - Number of candidates (default: LLM_CANDIDATES or 1)
+ * @param {Function} [options.generate] - Listing generator (default: generateListing)
+ * @param {...*} [options.listingOptions] - Anything else is passed to the generator (cuisine, productType, provider, model...)
+ * @returns {Promise<Object>} { listing, score, breakdown, losers } - The best listing, its score and the other scored candidates
+ */
+async function generateBestListing(word, { count = LLM_CANDIDATES, generate = generateListing, ...listingOptions } = {}) {
+  const listings = [];
+  const errors = [];
+
+  for (let candidate = 1; candidate <= count; candidate++) {
+    if (count > 1) {
+      console.log(`⏳ Generating listing candidate ${candidate}/${count} for ${word}...`);
+    }
+    try {
+      listings.push(await generate(word, listingOptions));
+    } catch (error) {
+      console.warn(`⚠️ Listing candidate ${candidate}/${count} for ${word} failed: ${error.message}`);
+      errors.push(error);
+    }
+  }
+
+  if (listings.length === 0) {
+    throw errors[errors.length - 1];
+  }
+
+  const [best, ...losers] = rankListings(listings, word);
+  if (count > 1) {
+    console.log(`🏆 Picked candidate ${best.candidate}/${count} for ${word} (score ${best.score}, runner-up ${losers.length > 0 ? losers[0].score : 'none'})`);
+  }
+  return { listing: best.listing, score: best.score, breakdown: best.breakdown, losers };
+}
+
+/**
+ * Get the candidates file path for a word
+ * @param {string} word - Design word
+ * @param {string} [templatesDir] - Templates directory (default: manual-templates/)
+ * @returns {string} File path (manual-templates/candidates/<WORD>.json)
+ */
+function candidatesFilePath(word, templatesDir = MANUAL_TEMPLATES_DIR) {
+  return path.join(templatesDir, CANDIDATES_DIR_NAME, `${word}.json`);
+}
+
+/**
+ * Save the losing candidates next to the word's manual-templates file
+ * @param {string} word - Design word
+ * @param {Object} result - Result of generateBestListing()
+ * @param {string} [templatesDir] - Templates directory (default: manual-templates/)
+ * @returns {string} Path of the candidates file
+ */
+function saveListingCandidates(word, { score, breakdown, losers }, templatesDir = MANUAL_TEMPLATES_DIR) {
+  const filePath = candidatesFilePath(word, templatesDir);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    word,
+    generatedAt: new Date().toISOString(),
+    chosen: { score, breakdown },
+    candidates: losers.map(({ score: loserScore, breakdown: loserBreakdown, listing }) => ({
+      score: loserScore,
+      breakdown: loserBreakdown,
+      listing
+    }))
+  }, null, 2));
+  return filePath;
+}
+
+/**
+ * Read the saved candidates for a word
+ * @param {string} word - Design word
+ * @param {string} [templatesDir] - Templates directory (default: manual-templates/)
+ * @returns {Object|null} Candidates file contents or null
+ */
+function readListingCandidates(word, templatesDir = MANUAL_TEMPLATES_DIR) {
+  const filePath = candidatesFilePath(word, templatesDir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Swap a saved candidate into manual-templates/<WORD>.json
+ * The current listing takes the candidate's place in the candidates file, and the word's
+ * listing is locked so the pipeline doesn't replace the pick.
+ * @param {string} word - Design word
+ * @param {number} number - Candidate number (1 = first in the candidates file)
+ * @param {string} [templatesDir] - Templates directory (default: manual-templates/)
+ * @returns {Object} Updated manual-templates metadata
+ */
+function swapListingCandidate(word, number, templatesDir = MANUAL_TEMPLATES_DIR) {
+  const saved = readListingCandidates(word, templatesDir);
+  if (!saved || saved.candidates.length === 0) {
+    throw new Error(`No saved candidates for ${word} in ${candidatesFilePath(word, templatesDir)}`);
+  }
+  const index = number - 1;
+  if (!Number.isInteger(number) || index < 0 || index >= saved.candidates.length) {
+    throw new Error(`Candidate ${number} does not exist for ${word} (choose 1-${saved.candidates.length})`);
+  }
+
+  const templatePath = path.join(templatesDir, `${word}.json`);
+  const template = fs.existsSync(templatePath) ? JSON.parse(fs.readFileSync(templatePath, 'utf8')) : { word };
+  const incoming = saved.candidates[index];
+
+  // Move the current listing fields into the candidate's slot
+  const outgoing = {};
+  for (const field of Object.keys(incoming.listing)) {
+    if (template[field] !== undefined) {
+      outgoing[field] = template[field];
+    }
+  }
+  saved.candidates[index] = { ...scoreListing(outgoing, word), listing: outgoing };
+  saved.chosen = { score: incoming.score, breakdown: incoming.breakdown };
+
+  const updated = { ...template, ...incoming.listing, word, locked: true };
+  fs.writeFileSync(templatePath, JSON.stringify(updated, null, 2));
+  fs.writeFileSync(candidatesFilePath(word, templatesDir), JSON.stringify(saved, null, 2));
+  return updated;
+}
+
+module.exports = {
+  scoreListing,
+  rankListings,
+  generateBestListing,
+  saveListingCandidates,
+  readListingCandidates,
+  swapListingCandidate,
+  candidatesFilePath,
+  SCORE_WEIGHTS,
+  LLM_CANDIDATES
+};
+
+// Run the script
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📋 listingCandidates.js Help:
+
+Shows and swaps the listing candidates saved in manual-templates/candidates/.
+
+Usage:
+  node listingCandidates.js WORD               List the saved candidates and their scores
+  node listingCandidates.js --swap WORD N      Use candidate N for WORD (locks the listing)
+
+Examples:
+  node listingCandidates.js TACOS
+  node listingCandidates.js --swap TACOS 2
+  `);
+    process.exit(0);
+  }
+
+  try {
+    if (args[0] === '--swap') {
+      const [, word, number] = args;
+      const updated = swapListingCandidate(word, parseInt(number, 10));
+      console.log(`✅ manual-templates/${word}.json now uses candidate ${number}: ${updated.title}`);
+      console.log(`🔒 The listing is locked; remove "locked" to let the pipeline replace it again`);
+    } else {
+      const word = args[0];
+      const saved = readListingCandidates(word);
+      if (!saved) {
+        console.log(`⚠️ No saved candidates for ${word}`);
+        process.exit(0);
+      }
+      console.log(`🏆 Chosen listing: score ${saved.chosen.score}`);
+      saved.candidates.forEach((entry, index) => {
+        console.log(`\n${index + 1}. Score ${entry.score} ${JSON.stringify(entry.breakdown)}`);
+        console.log(`   Title: ${entry.listing.title}`);
+        console.log(`   Tags: ${(entry.listing.tags || []).join(', ')}`);
+      });
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
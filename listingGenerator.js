@@ -0,0 +1,312 @@
+/**
+ * listingGenerator.js
+ *
+ * This module generates the Etsy listing copy (title, emojis, description, tags) for a word.
+ * Every script gets its listings from here. The text comes from a swappable provider
+ * (see llmProviders.js), the reply is checked against LISTING_SCHEMA, and when it doesn't
+ * pass the model is asked again with the validation errors.
+ *
+ * The model only writes the parts that change per word (title, emojis, intro, related foods,
+ * cuisine and tags). The description is assembled from the product type's template in
+ * listing-templates/ (see descriptionTemplates.js), so the standard sections never go missing.
+ * The JSON is taken out of the reply by jsonExtractor.js, which repairs the usual model mistakes.
+ */
+
+require('dotenv').config();
+const { createProvider, DEFAULT_MODELS } = require('./llmProviders');
+const { buildDescription, renderTemplate, loadProductDetails, DEFAULT_PRODUCT_TYPE } = require('./descriptionTemplates');
+const { extractJson, describeRepairs, JsonExtractionError } = require('./jsonExtractor');
+
+// Configuration (LLM_PROVIDER picks the provider, see llmProviders.js)
+const LLM_MODEL = process.env.LLM_MODEL || null;
+const LLM_TEMPERATURE = process.env.LLM_TEMPERATURE !== undefined && process.env.LLM_TEMPERATURE !== ''
+  ? parseFloat(process.env.LLM_TEMPERATURE)
+  : 0.85;
+const LLM_MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS, 10) || 3;
+
+// Bump when buildListingPrompt() or LISTING_SCHEMA changes, so cached listings are generated again
+const LISTING_PROMPT_VERSION = 3;
+
+// JSON schema every model reply must match
+const LISTING_SCHEMA = {
+  type: 'object',
+  required: ['title', 'emojis', 'intro', 'relatedFoods', 'cuisine', 'tags'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    emojis: { type: 'string', minLength: 1 },
+    intro: { type: 'string', minLength: 1 },
+    relatedFoods: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    cuisine: { type: 'string', minLength: 1 },
+    tags: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+  }
+};
+
+/**
+ * Get the JSON schema type of a value
+ * @param {*} value - Any value
+ * @returns {string} 'array', 'null', 'object', 'string', 'number' or 'boolean'
+ */
+function schemaType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * Supports the keywords LISTING_SCHEMA uses: type, required, properties, items, minLength, minItems, maxItems
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} [at='listing'] - Path of the value (for error messages)
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, at = 'listing') {
+  const type = schemaType(value);
+  if (schema.type && type !== schema.type) {
+    return [`${at} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${type}`];
+  }
+
+  const errors = [];
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+  if (type === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${at} must not be empty`);
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a parsed model reply against LISTING_SCHEMA
+ * @param {Object} listing - Parsed reply
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateListing(listing) {
+  return validateSchema(listing, LISTING_SCHEMA);
+}
+
+/**
+ * Get the provider and model a listing request would use
+ * @param {string|Object} [provider] - Provider name or provider object (default: LLM_PROVIDER or openrouter)
+ * @param {string} [model] - Model (default: LLM_MODEL or the provider's default model)
+ * @returns {{provider: string, model: string}} Provider name and model
+ */
+function resolveListingModel(provider = undefined, model = LLM_MODEL) {
+  const name = provider && typeof provider === 'object'
+    ? provider.name
+    : provider || process.env.LLM_PROVIDER || 'openrouter';
+  return { provider: name, model: model || DEFAULT_MODELS[name] };
+}
+
+/**
+ * Build the listing prompt for a word
+ * @param {string} word - Design word
+ * @param {string|null} cuisine - Cuisine from words.csv; the model picks one when null
+ * @param {string} [productType='sweatshirt'] - Product type (picks the title wording in listing-templates/<type>.json)
+ * @returns {string} Prompt
+ */
+function buildListingPrompt(word, cuisine = null, productType = DEFAULT_PRODUCT_TYPE) {
+  const { label: product, title } = loadProductDetails(productType);
+  const cuisineHint = cuisine
+    ? `\nThe cuisine is ${cuisine}. Use "${cuisine}" for every [CUISINE] placeholder and as "cuisine".\n`
+    : '';
+  return `
+Write Etsy product copy for a ${product.toLowerCase()} that says "${word}" in bold collegiate font.
+${cuisineHint}
+The description is put together from a fixed template, so only write these parts:
+
+- title: follow this exact format:
+  ${renderTemplate(title, { WORD: word, CUISINE: '[CUISINE]' })}
+- emojis: 2 or 3 food emojis that match "${word}"
+- intro: one short, playful opening sentence, e.g. "Ready to look cute and feel cozy?"
+- relatedFoods: 2 or 3 popular [CUISINE] dishes related to "${word}"
+- cuisine: the cuisine "${word}" belongs to, e.g. "Mexican"
+- tags: 13 Etsy search tags of at most 20 characters each, letters, numbers and spaces only
+
+Output only JSON like:
+{
+  "word": "${word}",
+  "title": "...",
+  "emojis": "...",
+  "intro": "...",
+  "relatedFoods": ["...", "..."],
+  "cuisine": "...",
+  "tags": ["..."]
+}
+`;
+}
+
+/**
+ * Generate Etsy listing copy for a word
+ * @param {string} word - Design word
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.cuisine] - Cuisine from words.csv; the model picks one when omitted
+ * @param {string} [options.productType='sweatshirt'] - Product type; picks the description template in listing-templates/
+ * @param {string|Object} [options.provider] - Provider name or provider object (default: LLM_PROVIDER or openrouter)
+ * @param {string} [options.model] - Model (default: LLM_MODEL or the provider's default model)
+ * @param {number} [options.temperature] - Sampling temperature (default: LLM_TEMPERATURE or 0.85)
+ * @param {number} [options.maxAttempts] - Prompts before giving up on invalid output (default: LLM_MAX_ATTEMPTS or 3)
+ * @returns {Promise<Object>} Listing with title, emojis, description and tags, plus the template values it was built from
+ */
+async function generateListing(word, {
+  cuisine = null,
+  productType = DEFAULT_PRODUCT_TYPE,
+  provider = undefined,
+  model = LLM_MODEL,
+  temperature = LLM_TEMPERATURE,
+  maxAttempts = LLM_MAX_ATTEMPTS
+} = {}) {
+  const llm = provider && typeof provider === 'object' ? provider : createProvider(provider);
+  const messages = [{ role: "user", content: buildListingPrompt(word, cuisine, productType) }];
+  const request = {
+    model: resolveListingModel(llm, model).model,
+    temperature,
+    word,
+    cuisine
+  };
+
+  let errors = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const message = await llm.complete({ ...request, messages });
+    let listing;
+    try {
+      listing = parseListingResponse(message, word);
+      errors = validateListing(listing);
+    } catch (parseError) {
+      if (!(parseError instanceof JsonExtractionError)) {
+        throw parseError;
+      }
+      errors = [`listing is not JSON (${parseError.message})`];
+    }
+
+    if (errors.length === 0) {
+      const listingCuisine = cuisine || listing.cuisine.trim();
+      return {
+        word,
+        productType,
+        title: listing.title,
+        emojis: listing.emojis,
+        intro: listing.intro,
+        relatedFoods: listing.relatedFoods,
+        cuisine: listingCuisine,
+        description: buildDescription({ ...listing, word, cuisine: listingCuisine }, { productType }),
+        tags: listing.tags
+      };
+    }
+
+    console.warn(`⚠️ Listing for ${word} failed validation (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+
+    // Show the model its reply and what was wrong with it, then ask again
+    messages.push(
+      { role: "assistant", content: message },
+      {
+        role: "user",
+        content: `That reply is not valid: ${errors.join('; ')}. ` +
+          `Reply with only the JSON object with "title", "emojis", "intro", "cuisine", "relatedFoods" and "tags" (both arrays of strings), and nothing else.`
+      }
+    );
+  }
+
+  throw new Error(`Listing for ${word} is still invalid after ${maxAttempts} attempts: ${errors.join('; ')}`);
+}
+
+/**
+ * Parse the listing JSON out of a model reply
+ * Uses the first JSON object with a title (repairing it if needed, see jsonExtractor.js),
+ * or the "Title:" style labels when the reply has no JSON
+ * @param {string} message - Model reply
+ * @param {string} word - Design word (used in the log and for labelled replies)
+ * @returns {Object} Listing with title, emojis, intro, relatedFoods, cuisine and tags
+ * @throws {JsonExtractionError} When the reply has neither usable JSON nor labels
+ */
+function parseListingResponse(message, word) {
+  try {
+    const { value, repairs } = extractJson(message, { accept: (candidate) => 'title' in candidate });
+    if (repairs.length > 0) {
+      console.log(`🔧 Repaired the listing JSON for ${word}: ${describeRepairs(repairs)}`);
+    }
+    return value;
+  } catch (error) {
+    // Some models answer in "Title: ... / Intro: ... / Tags: ..." form instead of JSON
+    if (error instanceof JsonExtractionError && /^\s*Title:/im.test(message)) {
+      return {
+        word,
+        title: extractField("Title", message),
+        emojis: extractField("Emojis", message),
+        intro: extractField("Intro", message),
+        relatedFoods: extractList("Related Foods", message),
+        cuisine: extractField("Cuisine", message),
+        tags: extractTags(message)
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extracts a field from a "Label: value" reply
+ * @param {string} label - The field label
+ * @param {string} text - The text to extract from
+ * @returns {string} - The extracted field value
+ */
+function extractField(label, text) {
+  const regex = new RegExp(`${label}:\\s*(.+?)(?=\\n\\n|\\n[A-Z]|$)`, 's');
+  const match = text.match(regex);
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * Extracts a comma-separated list from a "Label: a, b, c" reply
+ * @param {string} label - The field label
+ * @param {string} text - The text to extract from
+ * @returns {Array<string>} - The extracted items
+ */
+function extractList(label, text) {
+  return extractField(label, text)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Extracts tags from a "Tags: a, b, c" reply
+ * @param {string} text - The text to extract from
+ * @returns {Array<string>} - The extracted tags
+ */
+function extractTags(text) {
+  return extractList("Tags", text);
+}
+
+module.exports = {
+  generateListing,
+  parseListingResponse,
+  validateListing,
+  validateSchema,
+  buildListingPrompt,
+  resolveListingModel,
+  extractField,
+  extractList,
+  extractTags,
+  LISTING_SCHEMA,
+  LISTING_PROMPT_VERSION
+};
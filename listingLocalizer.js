@@ -0,0 +1,320 @@
+/**
+ * listingLocalizer.js
+ *
+ * This module translates the finished listing in manual-templates/<WORD>.json for Etsy's
+ * international storefronts. Each locale gets a translated title, description and tags,
+ * checked against the same Etsy rules as the English copy (140-character title, at most
+ * 13 tags of 20 characters), and stored in the template's `translations` map:
+ *
+ *   "translations": { "de": { "title": "...", "description": "...", "tags": [...], ... } }
+ *
+ * Translations use the same provider and model settings as listing generation (LLM_PROVIDER,
+ * LLM_MODEL, see llmProviders.js). A locale is only translated again when the English
+ * listing changed since its translation.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createProvider } = require('./llmProviders');
+const { validateSchema, resolveListingModel } = require('./listingGenerator');
+const { fixEtsyListing, EtsyListingRulesError, ETSY_MAX_TAGS } = require('./etsyListingRules');
+const { extractJson, describeRepairs } = require('./jsonExtractor');
+
+// Configuration
+const MANUAL_TEMPLATES_DIR = path.join(__dirname, 'manual-templates');
+const TRANSLATION_TEMPERATURE = 0.3;
+const TRANSLATION_MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS, 10) || 3;
+
+// Locales Etsy storefronts can be translated to here, and their language names for the prompt
+const SUPPORTED_LOCALES = {
+  de: 'German',
+  fr: 'French',
+  es: 'Spanish',
+  it: 'Italian'
+};
+
+// JSON schema every translation reply must match
+const TRANSLATION_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description', 'tags'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    tags: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+  }
+};
+
+/**
+ * Parse a comma-separated locale list
+ * @param {string|Array<string>} value - e.g. 'de,fr' or ['de', 'fr']
+ * @returns {Array<string>} Locales in the order given
+ * @throws {Error} When a locale is not supported
+ */
+function parseLocales(value) {
+  const locales = (Array.isArray(value) ? value : String(value).split(','))
+    .map(locale => locale.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = locales.filter(locale => !SUPPORTED_LOCALES[locale]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown locale${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} (supported: ${Object.keys(SUPPORTED_LOCALES).join(', ')})`);
+  }
+  return [...new Set(locales)];
+}
+
+// Locales translated by default (LISTING_LOCALES, e.g. "de,fr")
+const LISTING_LOCALES = parseLocales(process.env.LISTING_LOCALES || Object.keys(SUPPORTED_LOCALES).join(','));
+
+/**
+ * Hash the English listing a translation was made from
+ * @param {Object} listing - Listing with title, description and tags
+ * @returns {string} Hash (16 hex characters)
+ */
+function listingSourceHash({ title, description, tags }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([title, description, tags]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Count the paragraphs of a description
+ * @param {string} text - Description
+ * @returns {number} Blocks separated by blank lines
+ */
+function countParagraphs(text) {
+  return text.split(/\n\s*\n/).filter(block => block.trim()).length;
+}
+
+/**
+ * Build the translation prompt for a listing
+ * @param {Object} listing - English listing with title, description and tags
+ * @param {string} locale - Target locale
+ * @returns {string} Prompt
+ */
+function buildTranslationPrompt(listing, locale) {
+  const language = SUPPORTED_LOCALES[locale];
+  return `
+Translate this Etsy listing for a ${language}-speaking Etsy storefront.
+
+Rules:
+- Write natural ${language} that shoppers would search for; keep the design word "${listing.word}" exactly as it is
+- title: at most 140 characters, with "${listing.word}" near the start
+- description: translate every paragraph and section heading, keep the emojis, bullet points and blank lines
+- tags: up to ${ETSY_MAX_TAGS} ${language} search tags of at most 20 characters each, letters, numbers and spaces only
+
+English listing:
+${JSON.stringify(listing, ['title', 'description', 'tags'], 2)}
+
+Output only JSON like:
+{
+  "title": "...",
+  "description": "...",
+  "tags": ["..."]
+}
+`;
+}
+
+/**
+ * Translate a listing to one locale
+ * Replies that are not valid JSON, lose paragraphs or can't be fixed for Etsy are sent back
+ * to the model with the problems, like generateListing() does.
+ * @param {Object} listing - English listing with word, title, description and tags
+ * @param {string} locale - Target locale (de, fr, es or it)
+ * @param {Object} [options] - Translation options
+ * @param {string|Object} [options.provider] - Provider name or object (default: LLM_PROVIDER or openrouter)
+ * @param {string} [options.model] - Model (default: LLM_MODEL or the provider's default model)
+ * @param {number} [options.temperature=0.3] - Sampling temperature
+ * @param {number} [options.maxAttempts] - Prompts before giving up (default: LLM_MAX_ATTEMPTS or 3)
+ * @returns {Promise<Object>} Translation with title, description, tags, sourceHash, provider, model and translatedAt
+ */
+async function translateListing(listing, locale, {
+  provider = undefined,
+  model = undefined,
+  temperature = TRANSLATION_TEMPERATURE,
+  maxAttempts = TRANSLATION_MAX_ATTEMPTS
+} = {}) {
+  parseLocales([locale]);
+  const llm = provider && typeof provider === 'object' ? provider : createProvider(provider);
+  const resolved = resolveListingModel(llm, model);
+  const messages = [{ role: "user", content: buildTranslationPrompt(listing, locale) }];
+  const source = { title: listing.title, description: listing.description, tags: listing.tags };
+
+  let errors = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const message = await llm.complete({
+      messages,
+      model: resolved.model,
+      temperature,
+      word: listing.word,
+      locale,
+      source
+    });
+
+    let translation;
+    try {
+      const { value, repairs } = extractJson(message, { accept: (candidate) => 'title' in candidate });
+      if (repairs.length > 0) {
+        console.log(`🔧 Repaired the ${locale} translation JSON for ${listing.word}: ${describeRepairs(repairs)}`);
+      }
+      translation = value;
+      errors = validateSchema(translation, TRANSLATION_SCHEMA, `translation.${locale}`);
+    } catch (parseError) {
+      errors = [`translation.${locale} is not JSON (${parseError.message})`];
+    }
+
+    if (errors.length === 0) {
+      const expected = countParagraphs(listing.description);
+      const actual = countParagraphs(translation.description);
+      if (actual !== expected) {
+        errors.push(`translation.${locale}.description has ${actual} paragraphs, the English one has ${expected}`);
+      }
+    }
+
+    if (errors.length === 0) {
+      // Same Etsy rules as the English listing, without the English padding tags
+      const { listing: fixed, violations } = fixEtsyListing(translation, { word: listing.word, pad: false });
+      if (violations.length > 0) {
+        throw new EtsyListingRulesError(`${listing.word} (${locale})`, violations);
+      }
+      return {
+        title: fixed.title,
+        description: fixed.description.trim(),
+        tags: fixed.tags,
+        sourceHash: listingSourceHash(listing),
+        provider: resolved.provider,
+        model: resolved.model,
+        translatedAt: new Date().toISOString()
+      };
+    }
+
+    console.warn(`⚠️ ${SUPPORTED_LOCALES[locale]} translation of ${listing.word} failed validation (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+    messages.push(
+      { role: "assistant", content: message },
+      {
+        role: "user",
+        content: `That reply is not valid: ${errors.join('; ')}. ` +
+          `Reply with only the JSON object with "title", "description" and "tags" (an array of strings), and nothing else.`
+      }
+    );
+  }
+
+  throw new Error(`${SUPPORTED_LOCALES[locale]} translation of ${listing.word} is still invalid after ${maxAttempts} attempts: ${errors.join('; ')}`);
+}
+
+/**
+ * Translate a word's manual-templates listing and save the results in its `translations` map
+ * Locales whose translation was made from the current English listing are skipped unless force is set.
+ * The file is saved after every locale, so finished locales survive a failure.
+ * @param {string} word - Design word
+ * @param {Object} [options] - Localization options (plus the translateListing options)
+ * @param {Array<string>} [options.locales] - Locales (default: LISTING_LOCALES or all supported)
+ * @param {boolean} [options.force] - Translate again even if the English listing didn't change
+ * @param {string} [options.templatesDir] - Templates directory (default: manual-templates/)
+ * @returns {Promise<Object>} { translated, skipped, failed } - Locales per outcome (failed holds { locale, error })
+ */
+async function localizeTemplate(word, {
+  locales = LISTING_LOCALES,
+  force = false,
+  templatesDir = MANUAL_TEMPLATES_DIR,
+  ...translateOptions
+} = {}) {
+  const templatePath = path.join(templatesDir, `${word}.json`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`No listing to translate: ${templatePath} does not exist`);
+  }
+
+  const template = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+  if (!template.title || !template.description || !Array.isArray(template.tags)) {
+    throw new Error(`${templatePath} has no title, description and tags to translate`);
+  }
+
+  const listing = { word, title: template.title, description: template.description, tags: template.tags };
+  const sourceHash = listingSourceHash(listing);
+  const result = { translated: [], skipped: [], failed: [] };
+
+  for (const locale of parseLocales(locales)) {
+    const existing = template.translations && template.translations[locale];
+    if (!force && existing && existing.sourceHash === sourceHash) {
+      result.skipped.push(locale);
+      continue;
+    }
+
+    console.log(`⏳ Translating ${word} to ${SUPPORTED_LOCALES[locale]}...`);
+    try {
+      const translation = await translateListing(listing, locale, translateOptions);
+      template.translations = { ...(template.translations || {}), [locale]: translation };
+      fs.writeFileSync(templatePath, JSON.stringify(template, null, 2));
+      result.translated.push(locale);
+      console.log(`✅ ${locale}: ${translation.title}`);
+    } catch (error) {
+      console.error(`❌ Could not translate ${word} to ${SUPPORTED_LOCALES[locale]}: ${error.message}`);
+      result.failed.push({ locale, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  localizeTemplate,
+  translateListing,
+  buildTranslationPrompt,
+  parseLocales,
+  listingSourceHash,
+  SUPPORTED_LOCALES,
+  LISTING_LOCALES
+};
+
+// Run the script
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📋 listingLocalizer.js Help:
+
+Translates the listings in manual-templates/ for international Etsy storefronts.
+Translations are saved in each file's "translations" map.
+
+Usage:
+  node listingLocalizer.js [WORD ...] [options]
+
+Options:
+  --locales=de,fr   Locales to translate to (default: LISTING_LOCALES or ${Object.keys(SUPPORTED_LOCALES).join(',')})
+  --force           Translate again even if the English listing didn't change
+  --help, -h        Show this help text
+
+Examples:
+  node listingLocalizer.js                   # Every listing, every locale
+  node listingLocalizer.js TACOS --locales=de
+  `);
+    process.exit(0);
+  }
+
+  (async () => {
+    try {
+      const localesArg = args.find(arg => arg.startsWith('--locales='));
+      const locales = localesArg ? parseLocales(localesArg.split('=')[1]) : LISTING_LOCALES;
+      const force = args.includes('--force');
+      let words = args.filter(arg => !arg.startsWith('--'));
+      if (words.length === 0) {
+        words = fs.readdirSync(MANUAL_TEMPLATES_DIR)
+          .filter(file => file.endsWith('.json'))
+          .map(file => path.basename(file, '.json'));
+      }
+
+      let failures = 0;
+      for (const word of words) {
+        const { translated, skipped, failed } = await localizeTemplate(word, { locales, force });
+        failures += failed.length;
+        console.log(`📋 ${word}: ${translated.length} translated, ${skipped.length} up to date, ${failed.length} failed`);
+      }
+      process.exit(failures > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,135 @@
+/**
+ * llmProviders.js
+ *
+ * This module holds the chat-completion providers used for listing generation.
+ * Every provider takes the same request ({ messages, model, temperature }) and returns the
+ * reply text, so the listing code doesn't care where the text comes from:
+ *
+ * - openrouter: OpenRouter's hosted models (OPENROUTER_API_KEY)
+ * - local: any OpenAI-compatible endpoint, e.g. Ollama, LM Studio or llama.cpp (LLM_BASE_URL)
+ * - stub: a deterministic offline reply built from the word, for tests and runs without network
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+// Configuration
+const OPENROUTER_ENDPOINT = 'https://openrouter.ai/api/v1/chat/completions';
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+// Model used when LLM_MODEL is not set
+const DEFAULT_MODELS = {
+  openrouter: 'openai/gpt-4',
+  local: 'llama3.1',
+  stub: 'stub'
+};
+
+/**
+ * Send a chat completion request to an OpenAI-compatible endpoint
+ * @param {string} url - Chat completions URL
+ * @param {string|null} apiKey - Bearer token (omitted when empty)
+ * @param {Object} request - Completion request
+ * @returns {Promise<string>} Reply text
+ */
+async function postChatCompletion(url, apiKey, { messages, model, temperature }) {
+  const response = await axios.post(
+    url,
+    { model, messages, temperature },
+    {
+      headers: {
+        ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+        "Content-Type": "application/json"
+      }
+    }
+  );
+
+  const choice = response.data && response.data.choices && response.data.choices[0];
+  if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+    throw new Error(`Invalid chat completion response from ${url}: ${JSON.stringify(response.data)}`);
+  }
+  return choice.message.content;
+}
+
+/**
+ * OpenRouter provider
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.apiKey] - API key (default: OPENROUTER_API_KEY)
+ * @returns {Object} Provider
+ */
+function createOpenRouterProvider({ apiKey = process.env.OPENROUTER_API_KEY } = {}) {
+  return {
+    name: 'openrouter',
+    complete: (request) => postChatCompletion(OPENROUTER_ENDPOINT, apiKey, request)
+  };
+}
+
+/**
+ * OpenAI-compatible local endpoint provider
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.baseURL] - Base URL ending in /v1 (default: LLM_BASE_URL or Ollama's default)
+ * @param {string} [options.apiKey] - API key, if the server wants one (default: LLM_API_KEY)
+ * @returns {Object} Provider
+ */
+function createLocalProvider({
+  baseURL = process.env.LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+  apiKey = process.env.LLM_API_KEY
+} = {}) {
+  const url = `${baseURL.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name: 'local',
+    complete: (request) => postChatCompletion(url, apiKey, request)
+  };
+}
+
+/**
+ * Offline stub provider
+ * Replies with the same listing for the same word, without any network access.
+ * Translation requests get the English listing back with the locale in front of the title.
+ * @returns {Object} Provider
+ */
+function createStubProvider() {
+  return {
+    name: 'stub',
+    complete: async ({ word, cuisine, locale, source }) => {
+      if (locale && source) {
+        return JSON.stringify({ ...source, title: `[${locale}] ${source.title}` });
+      }
+      const food = cuisine || 'American';
+      return JSON.stringify({
+        word,
+        title: `${word} Sweatshirt - Cute Oversized Unisex Crewneck, A Perfect Gift for ${word} Lovers and ${food} Enthusiasts.`,
+        emojis: '🍽️😋✨',
+        intro: 'Ready to look cute and feel cozy?',
+        relatedFoods: [`${food.toLowerCase()} classics`, 'street food'],
+        cuisine: food,
+        tags: [word.toLowerCase(), `${word.toLowerCase()} sweatshirt`, `${food.toLowerCase()} gift`, 'foodie gift', 'cozy sweatshirt']
+      });
+    }
+  };
+}
+
+const PROVIDERS = {
+  openrouter: createOpenRouterProvider,
+  local: createLocalProvider,
+  stub: createStubProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} [name] - Provider name: openrouter, local or stub (default: LLM_PROVIDER or openrouter)
+ * @param {Object} [options] - Provider options (see the create*Provider functions)
+ * @returns {Object} Provider with name and complete({ messages, model, temperature, word, cuisine, locale, source })
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'openrouter', options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (known providers: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createProvider,
+  DEFAULT_MODELS,
+  PROVIDERS
+};
@@ -50,11 +50,10 @@ async function main() {
 
   console.log('✅ Found legacy Dropbox access token in .env file.');
   
-  // Check if we have OAuth credentials
+  // Check if we have the app key (the OAuth flow uses PKCE, so no app secret is needed)
   const appKey = process.env.DROPBOX_APP_KEY;
-  const appSecret = process.env.DROPBOX_APP_SECRET;
   
-  if (!appKey || !appSecret || appKey === 'your_dropbox_app_key' || appSecret === 'your_dropbox_app_secret') {
+  if (!appKey || appKey === 'your_dropbox_app_key') {
     console.log('\n⚠️ Dropbox OAuth credentials not found or not configured.');
     console.log('\nTo set up OAuth, you need to create a Dropbox app:');
     console.log('1. Go to https://www.dropbox.com/developers/apps');
@@ -63,8 +62,7 @@ async function main() {
     console.log('4. Select "Full Dropbox" access');
     console.log('5. Give your app a name (e.g., "Printful Uploader")');
     console.log('6. Click "Create app"');
-    console.log('7. In the settings tab, add "http://localhost:3000/oauth-callback" to the OAuth 2 redirect URIs');
-    console.log('8. Note your App key and App secret\n');
+    console.log('7. Note your App key\n');
 
     const setupNow = await askQuestion('Would you like to set up OAuth credentials now? (y/n): ');
     if (setupNow.toLowerCase() !== 'y') {
@@ -73,14 +71,14 @@ async function main() {
       return;
     }
 
-    // Get OAuth credentials from user
+    // Get the app key from user
     const newAppKey = await askQuestion('\nEnter your Dropbox App key: ');
-    const newAppSecret = await askQuestion('Enter your Dropbox App secret: ');
     
-    // Update .env file with new credentials
+    // Update .env file with the app key
     let envContent = fs.readFileSync('.env', 'utf8');
-    envContent = envContent.replace(/DROPBOX_APP_KEY=.*$/m, `DROPBOX_APP_KEY=${newAppKey}`);
-    envContent = envContent.replace(/DROPBOX_APP_SECRET=.*$/m, `DROPBOX_APP_SECRET=${newAppSecret}`);
+    envContent = /^DROPBOX_APP_KEY=/m.test(envContent)
+      ? envContent.replace(/DROPBOX_APP_KEY=.*$/m, `DROPBOX_APP_KEY=${newAppKey}`)
+      : `${envContent.trimEnd()}\nDROPBOX_APP_KEY=${newAppKey}\n`;
     
     // Generate a random encryption key if not set
     if (!process.env.TOKEN_ENCRYPTION_KEY || process.env.TOKEN_ENCRYPTION_KEY === 'your_encryption_key_for_token_storage') {
@@ -91,7 +89,7 @@ async function main() {
     }
     
     fs.writeFileSync('.env', envContent);
-    console.log('\n✅ Updated .env file with OAuth credentials.');
+    console.log('\n✅ Updated .env file with the Dropbox app key.');
     
     // Reload environment variables
     require('dotenv').config();
@@ -0,0 +1,163 @@
+/**
+ * mockupAttacher.js
+ *
+ * This module attaches the custom mockups from export-mockups/<WORD>/ to a synced Printful
+ * product. Every <WORD>-<COLOR>.png is matched to the product's sync variants through
+ * normalized color names (so FOREST-GREEN matches "Forest Green"), uploaded once, and
+ * attached to every size of that color. The report lists colors that had no mockup and
+ * mockups that had no variant.
+ */
+
+const path = require('path');
+const { normalizeColor } = require('./variantResolver');
+
+/**
+ * @typedef {Object} MockupAttachmentReport
+ * @property {Array<{color: string, file: string, fileId: number, syncVariantIds: Array<number>}>} attached - Mockups attached per color
+ * @property {Array<string>} colorsWithoutMockup - Product colors without a mockup file
+ * @property {Array<{color: string, file: string}>} mockupsWithoutVariant - Mockup files whose color is not on the product
+ * @property {Array<{color: string, file: string, error: string}>} errors - Uploads or attachments that failed
+ */
+
+/**
+ * Get the normalized color of a mockup file
+ * "TACOS-FOREST-GREEN.png" for word "TACOS" becomes "forest green"
+ * @param {string} word - Design word
+ * @param {string} filePath - Mockup file path
+ * @returns {string|null} Normalized color, or null if the file isn't a mockup of this word
+ */
+function colorFromMockupFile(word, filePath) {
+  const fileName = path.basename(filePath, path.extname(filePath));
+  const prefix = `${word}-`;
+  if (!fileName.toUpperCase().startsWith(prefix.toUpperCase()) || fileName.length === prefix.length) {
+    return null;
+  }
+  return normalizeColor(fileName.slice(prefix.length));
+}
+
+/**
+ * Group catalog variant IDs by color
+ * @param {Object} variantIds - Map of "<color>-<size>" to catalog variant ID (see resolveVariants)
+ * @returns {Object<string, Array<number>>} Catalog variant IDs keyed by normalized color
+ */
+function groupVariantsByColor(variantIds) {
+  const byColor = {};
+  for (const [colorSize, variantId] of Object.entries(variantIds)) {
+    // Sizes never contain a dash, so the color is everything before the last one
+    const color = normalizeColor(colorSize.slice(0, colorSize.lastIndexOf('-')));
+    byColor[color] = byColor[color] || [];
+    byColor[color].push(variantId);
+  }
+  return byColor;
+}
+
+/**
+ * Upload a mockup image to Printful
+ * @param {Object} api - Printful API client (see printfulClient.js)
+ * @param {string} filePath - Mockup file path
+ * @returns {Promise<number>} Printful file ID
+ */
+async function uploadMockupFile(api, filePath) {
+  const file = await api.uploadFile(filePath, { type: 'mockup' });
+  return file.id;
+}
+
+/**
+ * Attach mockups to the sync variants of a product
+ * @param {Object} options - Attachment options
+ * @param {Object} options.api - Printful API client (see printfulClient.js)
+ * @param {number} options.syncProductId - ID of the synced product
+ * @param {string} options.word - Design word (mockups are named <WORD>-<COLOR>.png)
+ * @param {Array<string>} options.mockupFiles - Mockup file paths
+ * @param {Object} options.variantIds - Map of "<color>-<size>" to catalog variant ID used for the product
+ * @returns {Promise<MockupAttachmentReport>} Attachment report
+ */
+async function attachMockups({ api, syncProductId, word, mockupFiles, variantIds }) {
+  const report = { attached: [], colorsWithoutMockup: [], mockupsWithoutVariant: [], errors: [] };
+
+  // Map catalog variant IDs to the sync variant IDs Printful gave the product
+  const product = await api.get(`/store/products/${syncProductId}`);
+  const syncVariantIds = {};
+  for (const syncVariant of product.sync_variants || []) {
+    syncVariantIds[syncVariant.variant_id] = syncVariant.id;
+  }
+
+  const variantsByColor = groupVariantsByColor(variantIds);
+  const mockupsByColor = {};
+  for (const file of mockupFiles) {
+    const color = colorFromMockupFile(word, file);
+    if (color && !mockupsByColor[color]) {
+      mockupsByColor[color] = file;
+    }
+  }
+
+  for (const [color, file] of Object.entries(mockupsByColor)) {
+    const targets = (variantsByColor[color] || [])
+      .map(variantId => syncVariantIds[variantId])
+      .filter(Boolean);
+
+    if (targets.length === 0) {
+      report.mockupsWithoutVariant.push({ color, file });
+      continue;
+    }
+
+    // One upload per color, shared by every size
+    let fileId;
+    try {
+      console.log(`⏳ Uploading mockup: ${path.basename(file)} (color: ${color})`);
+      fileId = await uploadMockupFile(api, file);
+    } catch (error) {
+      report.errors.push({ color, file, error: error.message });
+      continue;
+    }
+
+    const attachedTo = [];
+    for (const syncVariantId of targets) {
+      try {
+        await api.post(`/store/products/${syncProductId}/sync-variant/${syncVariantId}/images`, {
+          image_id: fileId,
+          position: 'front'
+        });
+        attachedTo.push(syncVariantId);
+      } catch (error) {
+        report.errors.push({ color, file, error: `Variant ${syncVariantId}: ${error.message}` });
+      }
+    }
+
+    if (attachedTo.length > 0) {
+      report.attached.push({ color, file, fileId, syncVariantIds: attachedTo });
+      console.log(`✅ Attached ${path.basename(file)} to ${attachedTo.length} ${color} variants`);
+    }
+  }
+
+  report.colorsWithoutMockup = Object.keys(variantsByColor).filter(color => !mockupsByColor[color]);
+
+  return report;
+}
+
+/**
+ * Print a mockup attachment report
+ * @param {string} word - Design word
+ * @param {MockupAttachmentReport} report - Attachment report
+ */
+function printMockupAttachmentReport(word, report) {
+  console.log(`\n🖼️ Mockup Attachment Summary for ${word}:`);
+  console.log(`✅ Attached mockups for ${report.attached.length} colors`);
+
+  if (report.colorsWithoutMockup.length > 0) {
+    console.log(`⚠️ No mockup for: ${report.colorsWithoutMockup.join(', ')}`);
+  }
+  for (const { color, file } of report.mockupsWithoutVariant) {
+    console.log(`⚠️ No variant for ${color} (${path.basename(file)})`);
+  }
+  for (const { color, error } of report.errors) {
+    console.error(`❌ ${color}: ${error}`);
+  }
+}
+
+module.exports = {
+  attachMockups,
+  printMockupAttachmentReport,
+  colorFromMockupFile,
+  groupVariantsByColor
+};
@@ -0,0 +1,256 @@
+/**
+ * mockupCompositor.js
+ *
+ * This module generates mockups without Photoshop.
+ * It does what exportMockups.jsx does with the design-placement smart object: every design in
+ * export/ is fitted into the print area of each blank garment photo in mockup-blanks/, and the
+ * result is written to export-mockups/<WORD>/<WORD>-<COLOR>.png with the same naming as the
+ * Photoshop export, so uploadToPrintful.js and replaceMockups.js work unchanged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createMockupReport, writeMockupLog, printMockupReport, hasFailures, MOCKUP_LOG_ARCHIVE_DIR } = require('./mockupLog');
+
+// Configuration
+const EXPORT_DIR = path.join(__dirname, 'export');
+const EXPORT_MOCKUPS_DIR = path.join(__dirname, 'export-mockups');
+const BLANKS_DIR = path.join(__dirname, 'mockup-blanks');
+const PLACEMENT_SPEC_PATH = path.join(__dirname, 'mockup-placement.json');
+const BLANK_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Anchors supported by the placement spec (vertical-horizontal)
+const ANCHORS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right'
+];
+
+/**
+ * Load and validate the placement spec
+ * @param {string} [specPath] - Path to the placement spec JSON
+ * @returns {Object} Placement spec with printArea, maxSize and anchor
+ */
+function loadPlacementSpec(specPath = PLACEMENT_SPEC_PATH) {
+  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+  const { printArea } = spec;
+
+  if (!printArea || ['left', 'top', 'width', 'height'].some(key => typeof printArea[key] !== 'number')) {
+    throw new Error(`Placement spec ${specPath} needs a printArea with numeric left, top, width and height`);
+  }
+
+  return {
+    printArea,
+    maxSize: spec.maxSize || 1800,
+    anchor: spec.anchor || 'center'
+  };
+}
+
+/**
+ * Get the color name for a blank photo, matching exportMockups.jsx
+ * "Color - Forest Green.png" and "Forest Green.png" both become "FOREST-GREEN"
+ * @param {string} fileName - Blank photo file name
+ * @returns {string} Color name used in mockup file names
+ */
+function colorNameFromBlank(fileName) {
+  return path.basename(fileName, path.extname(fileName))
+    .replace('Color - ', '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toUpperCase();
+}
+
+/**
+ * Calculate where the design goes on the blank
+ * The design is scaled to fit maxSize (like resizeAndCenterSmartObject) and the print area,
+ * then positioned inside the print area according to the anchor.
+ * @param {Object} design - Design dimensions ({ width, height })
+ * @param {Object} spec - Placement spec
+ * @returns {Object} Placement ({ left, top, width, height })
+ */
+function calculatePlacement(design, spec) {
+  const { printArea, maxSize, anchor } = spec;
+
+  if (!ANCHORS.includes(anchor)) {
+    throw new Error(`Unknown anchor "${anchor}". Use one of: ${ANCHORS.join(', ')}`);
+  }
+
+  const scale = Math.min(
+    maxSize / design.width,
+    maxSize / design.height,
+    printArea.width / design.width,
+    printArea.height / design.height
+  );
+  const width = Math.round(design.width * scale);
+  const height = Math.round(design.height * scale);
+
+  const freeX = printArea.width - width;
+  const freeY = printArea.height - height;
+  const offsetX = anchor.includes('left') ? 0 : anchor.includes('right') ? freeX : Math.round(freeX / 2);
+  const offsetY = anchor.startsWith('top') ? 0 : anchor.startsWith('bottom') ? freeY : Math.round(freeY / 2);
+
+  return {
+    left: printArea.left + offsetX,
+    top: printArea.top + offsetY,
+    width,
+    height
+  };
+}
+
+/**
+ * Composite one design onto one blank
+ * @param {string} designPath - Path to the design PNG
+ * @param {string} blankPath - Path to the blank garment photo
+ * @param {string} outputPath - Where to write the mockup PNG
+ * @param {Object} spec - Placement spec
+ * @returns {Promise<string>} Output path
+ */
+async function compositeMockup(designPath, blankPath, outputPath, spec) {
+  const metadata = await sharp(designPath).metadata();
+  const placement = calculatePlacement(metadata, spec);
+
+  const design = await sharp(designPath)
+    .resize(placement.width, placement.height)
+    .png()
+    .toBuffer();
+
+  await sharp(blankPath)
+    .composite([{ input: design, left: placement.left, top: placement.top }])
+    .png()
+    .toFile(outputPath);
+
+  return outputPath;
+}
+
+/**
+ * List the blank garment photos
+ * @param {string} blanksDir - Directory with blank photos
+ * @returns {Array<Object>} Blanks with color name and path
+ */
+function listBlanks(blanksDir) {
+  if (!fs.existsSync(blanksDir)) {
+    throw new Error(`Blank garment directory not found: ${blanksDir}`);
+  }
+
+  return fs.readdirSync(blanksDir)
+    .filter(file => BLANK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => ({ color: colorNameFromBlank(file), path: path.join(blanksDir, file) }));
+}
+
+/**
+ * Generate mockups for every design in the export directory
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.designsDir] - Directory with design PNGs (default: export/)
+ * @param {string} [options.blanksDir] - Directory with blank photos (default: mockup-blanks/)
+ * @param {string} [options.outputDir] - Output directory (default: export-mockups/)
+ * @param {Object} [options.spec] - Placement spec (default: mockup-placement.json)
+ * @param {Array<string>} [options.designs] - Only process these design names
+ * @param {string} [options.logDir] - Where the event log is archived (default: logs/mockups/)
+ * @returns {Promise<Object>} Mockup report (see mockupLog.js), with logPath set to the archived event log
+ */
+async function generateMockups({
+  designsDir = EXPORT_DIR,
+  blanksDir = BLANKS_DIR,
+  outputDir = EXPORT_MOCKUPS_DIR,
+  spec = null,
+  designs = null,
+  logDir = MOCKUP_LOG_ARCHIVE_DIR
+} = {}) {
+  const placementSpec = spec || loadPlacementSpec();
+  const blanks = listBlanks(blanksDir);
+  const startTime = Date.now();
+
+  // Same events exportMockups.jsx writes to mockup_generation.log
+  const events = [];
+  const logEvent = (event) => events.push({ ...event, time: Date.now() });
+
+  if (blanks.length === 0) {
+    throw new Error(`No blank garment photos found in ${blanksDir}`);
+  }
+
+  let designFiles = fs.readdirSync(designsDir).filter(file => file.toLowerCase().endsWith('.png'));
+  if (designs) {
+    designFiles = designFiles.filter(file => designs.includes(path.basename(file, '.png')));
+  }
+
+  logEvent({ type: 'generation_start' });
+  if (designFiles.length === 0) {
+    logEvent({ type: 'generation_error', error: `No PNG files found in ${designsDir}` });
+  }
+  logEvent({
+    type: 'generation_info',
+    designs: designFiles.length,
+    colors: blanks.length,
+    mockups: designFiles.length * blanks.length
+  });
+  console.log(`📊 Found ${designFiles.length} designs and ${blanks.length} color variations`);
+
+  let exported = 0;
+  for (const file of designFiles) {
+    const designName = path.basename(file, '.png');
+    const designStart = Date.now();
+    logEvent({ type: 'design_start', design: designName });
+    console.log(`\n🔄 Processing design: ${designName}`);
+
+    try {
+      const productFolder = path.join(outputDir, designName);
+      fs.mkdirSync(productFolder, { recursive: true });
+
+      for (const blank of blanks) {
+        const outputPath = path.join(productFolder, `${designName}-${blank.color}.png`);
+        const mockupStart = Date.now();
+        try {
+          await compositeMockup(path.join(designsDir, file), blank.path, outputPath, placementSpec);
+          exported++;
+          logEvent({ type: 'mockup_exported', design: designName, color: blank.color, output: outputPath, durationMs: Date.now() - mockupStart });
+          console.log(`  ✓ Generated mockup: ${designName}-${blank.color}`);
+        } catch (error) {
+          logEvent({ type: 'mockup_error', design: designName, color: blank.color, output: outputPath, durationMs: Date.now() - mockupStart, error: error.message });
+        }
+      }
+
+      logEvent({ type: 'design_complete', design: designName, durationMs: Date.now() - designStart });
+    } catch (error) {
+      logEvent({ type: 'design_error', design: designName, durationMs: Date.now() - designStart, error: error.message });
+    }
+  }
+
+  logEvent({
+    type: 'generation_complete',
+    exported,
+    total: designFiles.length * blanks.length,
+    designs: designFiles.length,
+    durationMs: Date.now() - startTime
+  });
+
+  const report = createMockupReport(events);
+  report.logPath = writeMockupLog(events, logDir);
+  printMockupReport(report);
+  return report;
+}
+
+module.exports = {
+  generateMockups,
+  compositeMockup,
+  calculatePlacement,
+  colorNameFromBlank,
+  loadPlacementSpec
+};
+
+// If this script is run directly (not imported), generate mockups
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const designArg = args.find(arg => arg.startsWith('--design='));
+  const designs = designArg ? designArg.split('=')[1].split(',').map(d => d.trim()) : null;
+
+  generateMockups({ designs })
+    .then(report => {
+      process.exit(hasFailures(report) ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`❌ Error generating mockups: ${error.message}`);
+      process.exit(1);
+    });
+}
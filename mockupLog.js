@@ -0,0 +1,240 @@
+/**
+ * mockupLog.js
+ *
+ * This module reads the structured mockup log written by exportMockups.jsx (and by the
+ * Node compositor). Every line of the log is one JSON event; the events are turned into a
+ * per-design report so generate.js can tell exactly which mockups failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Archived logs are kept per run in logs/mockups/
+const MOCKUP_LOG_ARCHIVE_DIR = path.join(__dirname, 'logs', 'mockups');
+
+/**
+ * @typedef {Object} MockupEvent
+ * @property {string} type - generation_start, generation_info, design_start, mockup_exported,
+ *   mockup_error, design_complete, design_error, generation_error or generation_complete
+ * @property {number} [time] - Event timestamp in milliseconds
+ * @property {string} [design] - Design name (e.g. 'TACOS')
+ * @property {string} [color] - Color name (e.g. 'FOREST-GREEN')
+ * @property {string} [output] - Path of the exported mockup
+ * @property {number} [durationMs] - How long the mockup or design took
+ * @property {string} [error] - Error message
+ */
+
+/**
+ * @typedef {Object} DesignReport
+ * @property {string} design - Design name
+ * @property {Array<{color: string, output: string, durationMs: number}>} exported - Mockups written
+ * @property {Array<{color: (string|null), error: string}>} failed - Mockups (or the whole design) that failed
+ * @property {boolean} completed - Whether the design finished without a design-level error
+ * @property {number|null} durationMs - Time spent on the design
+ */
+
+/**
+ * @typedef {Object} MockupReport
+ * @property {Object<string, DesignReport>} designs - Reports keyed by design name
+ * @property {Array<string>} errors - Errors not tied to a design
+ * @property {Array<string>} malformedLines - Lines that were not valid JSON events
+ * @property {boolean} complete - Whether the generation_complete event was logged
+ * @property {number|null} durationMs - Total generation time
+ * @property {{designs: number, exported: number, failed: number}} totals - Totals across designs
+ */
+
+/**
+ * Parse the log content into events
+ * @param {string} content - Log file content (one JSON object per line)
+ * @returns {{events: Array<MockupEvent>, malformedLines: Array<string>}} Parsed events
+ */
+function parseMockupEvents(content) {
+  const events = [];
+  const malformedLines = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === '') continue;
+
+    try {
+      const event = JSON.parse(trimmed);
+      if (event && typeof event.type === 'string') {
+        events.push(event);
+      } else {
+        malformedLines.push(trimmed);
+      }
+    } catch (error) {
+      malformedLines.push(trimmed);
+    }
+  }
+
+  return { events, malformedLines };
+}
+
+/**
+ * Build a per-design report from mockup events
+ * @param {Array<MockupEvent>} events - Events in log order
+ * @param {Array<string>} [malformedLines] - Lines that could not be parsed
+ * @returns {MockupReport} Report
+ */
+function createMockupReport(events, malformedLines = []) {
+  const report = {
+    designs: {},
+    errors: [],
+    malformedLines,
+    complete: false,
+    durationMs: null,
+    totals: { designs: 0, exported: 0, failed: 0 }
+  };
+
+  const designFor = (name) => {
+    if (!report.designs[name]) {
+      report.designs[name] = { design: name, exported: [], failed: [], completed: false, durationMs: null };
+    }
+    return report.designs[name];
+  };
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'design_start':
+        designFor(event.design);
+        break;
+      case 'mockup_exported':
+        designFor(event.design).exported.push({
+          color: event.color,
+          output: event.output,
+          durationMs: event.durationMs
+        });
+        break;
+      case 'mockup_error':
+        designFor(event.design).failed.push({ color: event.color || null, error: event.error });
+        break;
+      case 'design_complete':
+        designFor(event.design).completed = true;
+        designFor(event.design).durationMs = event.durationMs;
+        break;
+      case 'design_error':
+        designFor(event.design).failed.push({ color: null, error: event.error });
+        designFor(event.design).durationMs = event.durationMs;
+        break;
+      case 'generation_error':
+        report.errors.push(event.error);
+        break;
+      case 'generation_complete':
+        report.complete = true;
+        report.durationMs = event.durationMs;
+        break;
+      default:
+        // generation_start and generation_info carry no per-design state
+        break;
+    }
+  }
+
+  const designReports = Object.values(report.designs);
+  report.totals.designs = designReports.length;
+  report.totals.exported = designReports.reduce((sum, d) => sum + d.exported.length, 0);
+  report.totals.failed = designReports.reduce((sum, d) => sum + d.failed.length, 0);
+
+  return report;
+}
+
+/**
+ * Parse mockup log content into a report
+ * @param {string} content - Log file content
+ * @returns {MockupReport} Report
+ */
+function parseMockupLog(content) {
+  const { events, malformedLines } = parseMockupEvents(content);
+  return createMockupReport(events, malformedLines);
+}
+
+/**
+ * Check whether a report contains any failure
+ * @param {MockupReport} report - Mockup report
+ * @returns {boolean} Whether any mockup failed or the run did not finish
+ */
+function hasFailures(report) {
+  return report.totals.failed > 0 || report.errors.length > 0 || !report.complete;
+}
+
+/**
+ * Get a new archive path for the current run
+ * @param {string} archiveDir - Archive directory
+ * @returns {string} Archive file path
+ */
+function createArchivePath(archiveDir) {
+  fs.mkdirSync(archiveDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(archiveDir, `mockup-generation-${stamp}.jsonl`);
+}
+
+/**
+ * Move a mockup log into the per-run archive
+ * @param {string} logFilePath - Path to the log file
+ * @param {string} [archiveDir] - Archive directory (default: logs/mockups/)
+ * @returns {string} Path of the archived log
+ */
+function archiveMockupLog(logFilePath, archiveDir = MOCKUP_LOG_ARCHIVE_DIR) {
+  const archivePath = createArchivePath(archiveDir);
+
+  // Copy and remove instead of renaming, the log may be on another volume
+  fs.copyFileSync(logFilePath, archivePath);
+  fs.unlinkSync(logFilePath);
+  return archivePath;
+}
+
+/**
+ * Write mockup events to the per-run archive
+ * Used by the Node compositor, which produces events in memory instead of a log file
+ * @param {Array<MockupEvent>} events - Events to write
+ * @param {string} [archiveDir] - Archive directory (default: logs/mockups/)
+ * @returns {string} Path of the archived log
+ */
+function writeMockupLog(events, archiveDir = MOCKUP_LOG_ARCHIVE_DIR) {
+  const archivePath = createArchivePath(archiveDir);
+  fs.writeFileSync(archivePath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+  return archivePath;
+}
+
+/**
+ * Print a mockup report
+ * @param {MockupReport} report - Mockup report
+ */
+function printMockupReport(report) {
+  console.log('\n📋 Mockup Generation Report:');
+
+  for (const design of Object.values(report.designs)) {
+    const status = design.failed.length === 0 && design.completed ? '✅' : '❌';
+    console.log(`${status} ${design.design}: ${design.exported.length} exported, ${design.failed.length} failed`);
+    for (const failure of design.failed) {
+      console.error(`  ❌ ${failure.color ? `${design.design}-${failure.color}` : design.design}: ${failure.error}`);
+    }
+  }
+
+  for (const error of report.errors) {
+    console.error(`❌ ${error}`);
+  }
+  if (report.malformedLines.length > 0) {
+    console.warn(`⚠️ Skipped ${report.malformedLines.length} unreadable log lines`);
+  }
+  if (!report.complete) {
+    console.warn('⚠️ The log has no generation_complete event - mockup generation did not finish');
+  }
+
+  const seconds = report.durationMs !== null ? ` in ${(report.durationMs / 1000).toFixed(2)}s` : '';
+  console.log(`\n📊 Generated ${report.totals.exported} mockups for ${report.totals.designs} designs${seconds}`);
+  if (report.totals.failed > 0) {
+    console.log(`⚠️ ${report.totals.failed} mockups failed`);
+  }
+}
+
+module.exports = {
+  parseMockupLog,
+  parseMockupEvents,
+  createMockupReport,
+  hasFailures,
+  archiveMockupLog,
+  writeMockupLog,
+  printMockupReport,
+  MOCKUP_LOG_ARCHIVE_DIR
+};
@@ -0,0 +1,228 @@
+/**
+ * pipelineJournal.js
+ *
+ * This module keeps a per-word state journal for generate.js runs.
+ * Every word from words.csv gets an entry recording which pipeline stages it has finished,
+ * so a failed run can be resumed with --resume instead of redoing every word from scratch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default location of the journal file
+const JOURNAL_PATH = path.join(__dirname, 'pipeline-state.json');
+
+// Pipeline stages in the order they run for each word
+const STAGES = [
+  'design',     // export/<WORD>.png exported
+  'preflight',  // export/<WORD>.png checked for printing (printPreflight.js)
+  'mockups',    // export-mockups/<WORD>/ generated
+  'cloudinary', // design uploaded to Cloudinary
+  'listing',    // listing copy generated
+  'product',    // product synced to Printful
+  'dashboard'   // dashboard row written
+];
+
+const STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+/**
+ * Read a journal file from disk
+ * @param {string} filePath - Path to the journal file
+ * @returns {Object} Journal data (empty journal if the file is missing or unreadable)
+ */
+function readJournalFile(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data && typeof data.words === 'object') {
+      return data;
+    }
+    console.warn(`⚠️ Ignoring malformed pipeline journal: ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read pipeline journal ${filePath}: ${error.message}`);
+    }
+  }
+  return { version: 1, words: {} };
+}
+
+/**
+ * Create a pipeline journal
+ * @param {Object} options - Journal options
+ * @param {string} [options.filePath] - Path to the journal file
+ * @param {boolean} [options.resume=false] - Load the existing journal instead of starting a fresh one
+ * @returns {Object} Journal with methods to query and record stage state
+ */
+function createJournal({ filePath = JOURNAL_PATH, resume = false } = {}) {
+  const data = resume ? readJournalFile(filePath) : { version: 1, words: {} };
+  data.startedAt = data.startedAt || new Date().toISOString();
+
+  /**
+   * Write the journal to disk
+   * Called after every change so an interrupted run leaves an accurate journal behind
+   */
+  function save() {
+    data.updatedAt = new Date().toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Get (and create if needed) the entry for a word
+   * @param {string} word - Design word
+   * @returns {Object} Stage map for the word
+   */
+  function entryFor(word) {
+    if (!data.words[word]) {
+      data.words[word] = {};
+      for (const stage of STAGES) {
+        data.words[word][stage] = { status: STATUS.PENDING };
+      }
+    }
+    return data.words[word];
+  }
+
+  /**
+   * Record the state of a stage for a word
+   * @param {string} word - Design word
+   * @param {string} stage - Stage name (one of STAGES)
+   * @param {Object} state - Stage state to store
+   */
+  function setStage(word, stage, state) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown pipeline stage: ${stage}`);
+    }
+    entryFor(word)[stage] = { ...state, updatedAt: new Date().toISOString() };
+    save();
+  }
+
+  return {
+    filePath,
+    resume,
+
+    /**
+     * Make sure the journal has entries for the given words
+     * @param {Array<string>} words - Words to track
+     */
+    track(words) {
+      words.forEach(entryFor);
+      save();
+    },
+
+    /**
+     * Get the status of a stage for a word
+     * @param {string} word - Design word
+     * @param {string} stage - Stage name
+     * @returns {string} Stage status
+     */
+    getStatus(word, stage) {
+      const entry = data.words[word];
+      return entry && entry[stage] ? entry[stage].status : STATUS.PENDING;
+    },
+
+    /**
+     * Get data stored with a completed stage (e.g. the uploaded file URL)
+     * @param {string} word - Design word
+     * @param {string} stage - Stage name
+     * @returns {Object|null} Stored stage data
+     */
+    getData(word, stage) {
+      const entry = data.words[word];
+      return entry && entry[stage] && entry[stage].data ? entry[stage].data : null;
+    },
+
+    /**
+     * Check whether a stage can be skipped for a word
+     * Only true in resume mode, so a normal run always redoes every stage
+     * @param {string} word - Design word
+     * @param {string} stage - Stage name
+     * @returns {boolean} Whether the stage was already completed
+     */
+    shouldSkip(word, stage) {
+      return resume && this.getStatus(word, stage) === STATUS.DONE;
+    },
+
+    /**
+     * Mark a stage as completed for a word
+     * @param {string} word - Design word
+     * @param {string} stage - Stage name
+     * @param {Object} [stageData] - Data needed to resume later stages
+     */
+    markDone(word, stage, stageData) {
+      const state = { status: STATUS.DONE };
+      if (stageData !== undefined) {
+        state.data = stageData;
+      }
+      setStage(word, stage, state);
+    },
+
+    /**
+     * Mark a stage as failed for a word
+     * @param {string} word - Design word
+     * @param {string} stage - Stage name
+     * @param {Error|string} error - The error that caused the failure
+     */
+    markFailed(word, stage, error) {
+      setStage(word, stage, {
+        status: STATUS.FAILED,
+        error: error && error.message ? error.message : String(error)
+      });
+    },
+
+    /**
+     * List the words tracked by the journal
+     * @returns {Array<string>} Words
+     */
+    words() {
+      return Object.keys(data.words);
+    },
+
+    /**
+     * Summarize the journal per word
+     * @returns {Array<Object>} One entry per word with done, failed and pending stage names
+     */
+    summary() {
+      return Object.keys(data.words).map(word => {
+        const entry = data.words[word];
+        const byStatus = { word, done: [], failed: [], pending: [] };
+        for (const stage of STAGES) {
+          const status = entry[stage] ? entry[stage].status : STATUS.PENDING;
+          byStatus[status === STATUS.DONE ? 'done' : status === STATUS.FAILED ? 'failed' : 'pending'].push(stage);
+        }
+        return byStatus;
+      });
+    },
+
+    save
+  };
+}
+
+/**
+ * Print a per-word summary of the journal
+ * @param {Object} journal - Journal created with createJournal()
+ */
+function printJournalSummary(journal) {
+  const summary = journal.summary();
+  if (summary.length === 0) {
+    return;
+  }
+
+  console.log('\n📒 Per-word Stage Summary:');
+  for (const { word, done, failed, pending } of summary) {
+    const parts = [`✅ ${done.length}/${STAGES.length} done`];
+    if (failed.length > 0) parts.push(`❌ failed: ${failed.join(', ')}`);
+    if (pending.length > 0) parts.push(`⏳ pending: ${pending.join(', ')}`);
+    console.log(`  ${word}: ${parts.join(' | ')}`);
+  }
+  console.log(`📒 Journal saved to: ${journal.filePath}`);
+}
+
+module.exports = {
+  createJournal,
+  printJournalSummary,
+  STAGES,
+  STATUS,
+  JOURNAL_PATH
+};
@@ -0,0 +1,271 @@
+/**
+ * printPreflight.js
+ *
+ * This module checks that export/<WORD>.png is printable before anything is uploaded:
+ * - The file is a PNG
+ * - It has enough pixels for its position box in the print area (1800x2400 at 150 DPI for the
+ *   front, see createPrintfulProduct.js), and the same shape as the box so it isn't stretched
+ * - Its background is transparent and it isn't empty
+ * - It has no stray semi-transparent "halo" pixels around the stroke, which DTG prints as a haze
+ *
+ * Every check passes, warns or fails; a design's status is its worst check. generate.js
+ * blocks the upload when any design fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getPlacementPosition, PRINT_AREA_DPI } = require('./createPrintfulProduct');
+
+// Configuration
+const EXPORT_DIR = path.join(__dirname, 'export');
+
+// Below this share of the print area's resolution a design fails; below the full resolution it warns
+const MIN_DPI_RATIO = 0.5;
+// Largest difference between the design's and the box's width/height ratio before it warns
+const ASPECT_TOLERANCE = 0.02;
+// Alpha levels: pixels at least this opaque are solid; fainter visible pixels may be halo
+const SOLID_ALPHA = 128;
+const FAINT_ALPHA = 64;
+// Faint pixels further than this (in pixels) from any solid pixel are halo
+const HALO_DISTANCE = 2;
+// Share of the visible pixels that may be halo before it warns
+const HALO_WARN_RATIO = 0.005;
+
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * Get the worse of two statuses
+ * @param {string} a - pass, warn or fail
+ * @param {string} b - pass, warn or fail
+ * @returns {string} The worse status
+ */
+function worstStatus(a, b) {
+  return STATUS_RANK[b] > STATUS_RANK[a] ? b : a;
+}
+
+/**
+ * Mark the pixels within a distance of a solid pixel
+ * @param {Uint8Array} solid - 1 for solid pixels, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} distance - Distance in pixels (a square around each solid pixel)
+ * @returns {Uint8Array} 1 for pixels near a solid pixel
+ */
+function dilate(solid, width, height, distance) {
+  const rows = new Uint8Array(solid.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (solid[y * width + x]) {
+        for (let dx = Math.max(0, x - distance); dx <= Math.min(width - 1, x + distance); dx++) {
+          rows[y * width + dx] = 1;
+        }
+      }
+    }
+  }
+  const near = new Uint8Array(solid.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (rows[y * width + x]) {
+        for (let dy = Math.max(0, y - distance); dy <= Math.min(height - 1, y + distance); dy++) {
+          near[dy * width + x] = 1;
+        }
+      }
+    }
+  }
+  return near;
+}
+
+/**
+ * Count a design's transparent, visible and halo pixels
+ * @param {Buffer} pixels - RGBA pixels, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} { transparent, visible, halo } pixel counts
+ */
+function analyzeAlpha(pixels, width, height) {
+  const count = width * height;
+  const solid = new Uint8Array(count);
+  let transparent = 0;
+  let visible = 0;
+  for (let i = 0; i < count; i++) {
+    const alpha = pixels[i * 4 + 3];
+    if (alpha === 0) {
+      transparent++;
+    } else {
+      visible++;
+      if (alpha >= SOLID_ALPHA) {
+        solid[i] = 1;
+      }
+    }
+  }
+
+  const near = dilate(solid, width, height, HALO_DISTANCE);
+  let halo = 0;
+  for (let i = 0; i < count; i++) {
+    const alpha = pixels[i * 4 + 3];
+    if (alpha > 0 && alpha < FAINT_ALPHA && !near[i]) {
+      halo++;
+    }
+  }
+  return { transparent, visible, halo };
+}
+
+/**
+ * Check one design file
+ * @param {string} filePath - Path to the design PNG
+ * @param {Object} [options] - Check options
+ * @param {string} [options.placement='top'] - Named placement (see createPrintfulProduct.js)
+ * @param {Object} [options.position] - Position to check against instead of the placement's
+ * @param {number} [options.dpi] - Resolution of the print area's pixels (default: 150)
+ * @returns {Promise<Object>} { file, status, width, height, effectiveDpi, checks: [{ name, status, message }] }
+ */
+async function preflightDesign(filePath, { placement = 'top', position = null, dpi = PRINT_AREA_DPI } = {}) {
+  const box = position || getPlacementPosition(placement);
+  const result = { file: filePath, status: 'pass', width: null, height: null, effectiveDpi: null, checks: [] };
+  const check = (name, status, message) => {
+    result.checks.push({ name, status, message });
+    result.status = worstStatus(result.status, status);
+  };
+
+  if (!fs.existsSync(filePath)) {
+    check('file', 'fail', `${path.basename(filePath)} does not exist`);
+    return result;
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    check('file', 'fail', `${path.basename(filePath)} is not a readable image: ${error.message}`);
+    return result;
+  }
+  result.width = metadata.width;
+  result.height = metadata.height;
+
+  if (metadata.format !== 'png') {
+    check('format', 'fail', `is ${metadata.format.toUpperCase()}, not PNG`);
+  } else {
+    check('format', 'pass', 'PNG');
+  }
+
+  // Size: the design is printed at the position box's size
+  const needed = `${box.width}x${box.height} px for the ${box.width / dpi}x${box.height / dpi} in box at ${dpi} DPI`;
+  result.effectiveDpi = Math.round(Math.min(metadata.width / box.width, metadata.height / box.height) * dpi);
+  if (result.effectiveDpi < dpi * MIN_DPI_RATIO) {
+    check('size', 'fail', `${metadata.width}x${metadata.height} px prints at ${result.effectiveDpi} DPI; needs ${needed}`);
+  } else if (result.effectiveDpi < dpi) {
+    check('size', 'warn', `${metadata.width}x${metadata.height} px is too small for the position box and prints at ${result.effectiveDpi} DPI; needs ${needed}`);
+  } else {
+    check('size', 'pass', `${metadata.width}x${metadata.height} px prints at ${result.effectiveDpi} DPI or more`);
+  }
+
+  // Shape: Printful scales the design to the box, so another shape is stretched
+  const designRatio = metadata.width / metadata.height;
+  const boxRatio = box.width / box.height;
+  const difference = Math.abs(designRatio - boxRatio) / boxRatio;
+  if (difference > ASPECT_TOLERANCE) {
+    check('aspect', 'warn', `is ${designRatio.toFixed(2)}:1 but the position box is ${boxRatio.toFixed(2)}:1, so it is stretched by ${Math.round(difference * 100)}%`);
+  } else {
+    check('aspect', 'pass', `matches the position box (${boxRatio.toFixed(2)}:1)`);
+  }
+
+  // Transparency and halo
+  if (!metadata.hasAlpha) {
+    check('transparency', 'fail', 'has no alpha channel, so the background prints as a solid box');
+    return result;
+  }
+  const { data, info } = await sharp(filePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { transparent, visible, halo } = analyzeAlpha(data, info.width, info.height);
+  if (visible === 0) {
+    check('transparency', 'fail', 'is completely transparent');
+  } else if (transparent === 0) {
+    check('transparency', 'fail', 'has no transparent pixels, so the background prints as a solid box');
+  } else {
+    check('transparency', 'pass', `transparent background (${Math.round((transparent / (info.width * info.height)) * 100)}%)`);
+  }
+  if (visible > 0 && halo / visible > HALO_WARN_RATIO) {
+    check('halo', 'warn', `${halo} faint semi-transparent pixels (${((halo / visible) * 100).toFixed(1)}% of the design) sit away from the artwork and print as a haze`);
+  } else if (visible > 0) {
+    check('halo', 'pass', halo > 0 ? `${halo} stray faint pixels` : 'no stray faint pixels');
+  }
+
+  return result;
+}
+
+/**
+ * Check the designs of several words
+ * @param {Array<Object>} words - Words to check: { word, placement }
+ * @param {Object} [options] - Check options
+ * @param {string} [options.exportDir] - Folder with the <WORD>.png designs (default: export/)
+ * @returns {Promise<Object>} Report: { status, designs: { WORD: result }, passed, warned, failed }
+ */
+async function preflightDesigns(words, { exportDir = EXPORT_DIR } = {}) {
+  const report = { status: 'pass', designs: {}, passed: [], warned: [], failed: [] };
+  for (const { word, placement } of words) {
+    const result = await preflightDesign(path.join(exportDir, `${word}.png`), { placement });
+    report.designs[word] = result;
+    report.status = worstStatus(report.status, result.status);
+    report[{ pass: 'passed', warn: 'warned', fail: 'failed' }[result.status]].push(word);
+  }
+  return report;
+}
+
+/**
+ * Print a preflight report
+ * @param {Object} report - Report from preflightDesigns()
+ */
+function printPreflightReport(report) {
+  const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+  console.log('\n🖨️ Print Preflight:');
+  for (const [word, result] of Object.entries(report.designs)) {
+    console.log(`  ${icons[result.status]} ${word}`);
+    result.checks
+      .filter(check => check.status !== 'pass')
+      .forEach(check => console.log(`     ${icons[check.status]} ${check.name}: ${check.message}`));
+  }
+  console.log(`  ${report.passed.length} passed, ${report.warned.length} with warnings, ${report.failed.length} failed`);
+}
+
+module.exports = {
+  preflightDesign,
+  preflightDesigns,
+  printPreflightReport,
+  analyzeAlpha
+};
+
+// Run the script
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📋 printPreflight.js Help:
+
+Checks that the designs in export/ are printable: PNG, big enough for their position box,
+the same shape as the box, a transparent background and no stray halo pixels.
+
+Usage:
+  node printPreflight.js [WORD...]   Check these words (default: every word in words.csv)
+
+Options:
+  --strict           Exit with an error on warnings too
+  --help, -h         Show this help text
+  `);
+    process.exit(0);
+  }
+
+  const { loadWords } = require('./wordsConfig');
+  const selected = args.filter(arg => !arg.startsWith('--')).map(word => word.toUpperCase());
+  loadWords()
+    .then(rows => preflightDesigns(rows.filter(row => selected.length === 0 || selected.includes(row.word))))
+    .then((report) => {
+      printPreflightReport(report);
+      const blocked = report.status === 'fail' || (args.includes('--strict') && report.status === 'warn');
+      process.exit(blocked ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error(`❌ Preflight failed: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,354 @@
+/**
+ * printfulClient.js
+ *
+ * This module is the one Printful API client shared by every script.
+ * It picks the store credentials (Manual/API or Etsy-linked store) and sends the
+ * X-PF-Store-Id header, retries rate-limited (429) requests after their Retry-After delay,
+ * retries server and network errors with exponential backoff and jitter, follows paging
+ * on list endpoints, and turns failed requests into typed errors.
+ *
+ * POST requests (new products, files, images) are not idempotent: a 5xx or a dropped connection
+ * may come after Printful already created the item, so they are only retried on 429 and on
+ * connection errors raised before anything was sent.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Configuration
+const PRINTFUL_API_BASE_URL = 'https://api.printful.com';
+// Point every script at another server, e.g. the local simulator (see printfulSimulator.js)
+const PRINTFUL_API_BASE_URL_ENV = 'PRINTFUL_API_BASE_URL';
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 30000;
+const DEFAULT_PAGE_SIZE = 100;
+
+// Methods that can be sent twice without creating anything twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Network errors raised before the request reached Printful
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Printful answers this when a platform store (Etsy, Shopify...) tries to create products
+const PLATFORM_STORE_MESSAGE = 'Manual Order / API platform';
+
+/**
+ * Base class for failed Printful requests
+ */
+class PrintfulError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Request details
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.method] - HTTP method
+   * @param {string} [details.url] - Request path
+   * @param {Object} [details.data] - Response body
+   * @param {string} [details.code] - Network error code when there was no response (e.g. 'ECONNREFUSED')
+   */
+  constructor(message, { status = null, method = null, url = null, data = null, code = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.method = method;
+    this.url = url;
+    this.data = data;
+    this.code = code;
+  }
+}
+
+/**
+ * The API key is missing, invalid or has no access to the store (401/403)
+ */
+class PrintfulAuthError extends PrintfulError {}
+
+/**
+ * Still rate limited (429) after all retries
+ */
+class PrintfulRateLimitError extends PrintfulError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter || null;
+  }
+}
+
+/**
+ * Printful rejected the request body or parameters (400/404/422)
+ */
+class PrintfulValidationError extends PrintfulError {}
+
+/**
+ * The store is platform-based (e.g. Etsy) and products can't be created through the API
+ */
+class PrintfulPlatformStoreError extends PrintfulError {}
+
+/**
+ * Gets the appropriate API key and store ID based on the selected store
+ * @param {string} storeType - The type of store to use ('manual' or 'etsy')
+ * @returns {Object} - Object containing the API key and store ID
+ */
+function getStoreCredentials(storeType = 'manual') {
+  if (storeType === 'etsy') {
+    return {
+      apiKey: process.env.PRINTFUL_ETSY_API_KEY,
+      storeId: process.env.PRINTFUL_ETSY_STORE_ID,
+      name: 'Etsy-linked store'
+    };
+  } else {
+    return {
+      apiKey: process.env.PRINTFUL_API_KEY,
+      storeId: process.env.PRINTFUL_STORE_ID,
+      name: 'Manual/API store'
+    };
+  }
+}
+
+/**
+ * Get the error message from a Printful response body
+ * @param {Object} data - Response body
+ * @param {string} fallback - Message to use when the body has none
+ * @returns {string} Error message
+ */
+function getErrorMessage(data, fallback) {
+  if (data && data.error && data.error.message) return data.error.message;
+  if (data && typeof data.result === 'string') return data.result;
+  return fallback;
+}
+
+/**
+ * Turn a failed axios request into a typed Printful error
+ * @param {Error} error - Axios error
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path
+ * @returns {PrintfulError} Typed error
+ */
+function toPrintfulError(error, method, url) {
+  if (!error.response) {
+    return new PrintfulError(`${method} ${url} failed: ${error.message}`, { method, url, code: error.code || null });
+  }
+
+  const { status, data, headers } = error.response;
+  const message = getErrorMessage(data, error.message);
+  const details = { status, method, url, data };
+
+  if (status === 401 || status === 403) {
+    return new PrintfulAuthError(`Printful authentication failed (${status}): ${message}`, details);
+  }
+  if (status === 429) {
+    return new PrintfulRateLimitError(`Printful rate limit reached: ${message}`, {
+      ...details,
+      retryAfter: parseRetryAfter(headers && headers['retry-after'])
+    });
+  }
+  if (message.includes(PLATFORM_STORE_MESSAGE)) {
+    return new PrintfulPlatformStoreError(`Store is platform-based: ${message}`, details);
+  }
+  if (status >= 400 && status < 500) {
+    return new PrintfulValidationError(`Printful rejected ${method} ${url} (${status}): ${message}`, details);
+  }
+  return new PrintfulError(`Printful error on ${method} ${url} (${status}): ${message}`, details);
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string} value - Header value (seconds or an HTTP date)
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the backoff delay for a retry
+ * Exponential backoff with jitter: a random delay between half and all of baseDelay * 2^(attempt - 1)
+ * @param {number} attempt - Attempt that failed (1-based)
+ * @param {number} baseDelay - Delay after the first failure in ms
+ * @param {number} maxDelay - Upper limit in ms
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * Rate limits are always retried. Server and network errors are retried for idempotent methods;
+ * other methods (POST) only when the connection failed before the request was sent.
+ * @param {PrintfulError} error - Typed error
+ * @param {string} method - HTTP method
+ * @returns {boolean} True when sending the request again is safe and may succeed
+ */
+function isRetryable(error, method) {
+  if (error instanceof PrintfulRateLimitError) {
+    return true;
+  }
+  if (error instanceof PrintfulAuthError ||
+      error instanceof PrintfulValidationError ||
+      error instanceof PrintfulPlatformStoreError) {
+    return false;
+  }
+  return IDEMPOTENT_METHODS.includes(method.toUpperCase()) || NOT_SENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Create a Printful API client
+ * @param {Object} [options] - Client options
+ * @param {string} [options.storeType='manual'] - Which store's credentials to use ('manual' or 'etsy')
+ * @param {string} [options.apiKey] - API key (default: from the store credentials)
+ * @param {string|number} [options.storeId] - Store ID sent as X-PF-Store-Id (default: from the store credentials)
+ * @param {string} [options.baseURL] - API base URL (default: PRINTFUL_API_BASE_URL env var or https://api.printful.com)
+ * @param {number} [options.maxRetries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelay=1000] - Backoff delay after the first failure in ms
+ * @param {number} [options.maxDelay=30000] - Upper limit for backoff and Retry-After delays in ms
+ * @returns {Object} Client with request, get, post, put, delete, paginate and uploadFile
+ */
+function createPrintfulClient({
+  storeType = 'manual',
+  apiKey = null,
+  storeId = null,
+  baseURL = process.env[PRINTFUL_API_BASE_URL_ENV] || PRINTFUL_API_BASE_URL,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelay = DEFAULT_BASE_DELAY,
+  maxDelay = DEFAULT_MAX_DELAY
+} = {}) {
+  const http = axios.create({ baseURL });
+
+  /**
+   * Send a request, retrying rate limits, and server and network errors where that is safe (see isRetryable)
+   * @param {string} method - HTTP method
+   * @param {string} url - Path (e.g. '/store/products')
+   * @param {Object} [requestOptions] - Request options
+   * @param {Object|Function} [requestOptions.data] - Body, or a function returning a fresh body per attempt (for streams)
+   * @param {Object} [requestOptions.params] - Query parameters
+   * @param {Object} [requestOptions.headers] - Extra headers
+   * @returns {Promise<Object>} Full response body ({ code, result, paging })
+   */
+  async function requestRaw(method, url, { data, params, headers = {} } = {}) {
+    // Read credentials per request - scripts may set PRINTFUL_STORE_ID after startup
+    const credentials = getStoreCredentials(storeType);
+    const key = apiKey || credentials.apiKey;
+    const store = storeId || credentials.storeId;
+
+    for (let attempt = 1; ; attempt++) {
+      const body = typeof data === 'function' ? data() : data;
+      try {
+        const response = await http.request({
+          method,
+          url,
+          params,
+          data: body,
+          headers: {
+            'Authorization': `Bearer ${key}`,
+            ...(store ? { 'X-PF-Store-Id': String(store) } : {}),
+            ...(body instanceof FormData ? body.getHeaders() : {}),
+            ...headers
+          }
+        });
+        return response.data;
+      } catch (axiosError) {
+        const error = toPrintfulError(axiosError, method.toUpperCase(), url);
+
+        if (!isRetryable(error, method) || attempt > maxRetries) {
+          throw error;
+        }
+
+        const delay = error instanceof PrintfulRateLimitError && error.retryAfter !== null
+          ? Math.min(error.retryAfter, maxDelay)
+          : getBackoffDelay(attempt, baseDelay, maxDelay);
+        console.log(`⚠️ ${error.message}`);
+        console.log(`⏳ Retrying in ${(delay / 1000).toFixed(1)} seconds (retry ${attempt}/${maxRetries})...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Send a request and return its result
+   * @param {string} method - HTTP method
+   * @param {string} url - Path
+   * @param {Object} [requestOptions] - See requestRaw
+   * @returns {Promise<*>} The "result" field of the response
+   */
+  async function request(method, url, requestOptions = {}) {
+    const body = await requestRaw(method, url, requestOptions);
+    return body ? body.result : body;
+  }
+
+  /**
+   * Get every item of a paged list endpoint
+   * @param {string} url - Path (e.g. '/store/products')
+   * @param {Object} [params] - Extra query parameters
+   * @param {number} [pageSize=100] - Items per request
+   * @returns {Promise<Array>} All items
+   */
+  async function paginate(url, params = {}, pageSize = DEFAULT_PAGE_SIZE) {
+    const items = [];
+    let offset = 0;
+
+    while (true) {
+      const body = await requestRaw('get', url, { params: { ...params, offset, limit: pageSize } });
+      const page = Array.isArray(body.result) ? body.result : [];
+      items.push(...page);
+
+      const total = body.paging ? body.paging.total : items.length;
+      offset += page.length;
+      if (page.length === 0 || offset >= total) {
+        return items;
+      }
+    }
+  }
+
+  /**
+   * Upload a local file to the Printful file library
+   * @param {string} filePath - Path to the file
+   * @param {Object} [fields] - Extra form fields (e.g. { type: 'mockup' })
+   * @returns {Promise<Object>} File record (id, url, ...)
+   */
+  function uploadFile(filePath, fields = {}) {
+    return request('post', '/files', {
+      // New form (and stream) per attempt, a consumed stream can't be sent again
+      data: () => {
+        const form = new FormData();
+        form.append('file', fs.createReadStream(filePath), path.basename(filePath));
+        Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+        return form;
+      }
+    });
+  }
+
+  return {
+    storeType,
+    request,
+    requestRaw,
+    paginate,
+    uploadFile,
+    get: (url, params) => request('get', url, { params }),
+    post: (url, data) => request('post', url, { data }),
+    put: (url, data) => request('put', url, { data }),
+    delete: (url) => request('delete', url)
+  };
+}
+
+module.exports = {
+  createPrintfulClient,
+  getStoreCredentials,
+  getBackoffDelay,
+  parseRetryAfter,
+  isRetryable,
+  PrintfulError,
+  PrintfulAuthError,
+  PrintfulRateLimitError,
+  PrintfulValidationError,
+  PrintfulPlatformStoreError,
+  PRINTFUL_API_BASE_URL
+};
@@ -0,0 +1,509 @@
+/**
+ * printfulSimulator.js
+ *
+ * This module is a local stand-in for the Printful API endpoints the pipeline uses:
+ * /stores, /products/:id, /store/products, /files, /product-templates and sync-variant images.
+ * State is kept in memory, so every start is a clean store. It enforces the 100-variant
+ * limit and answers product creation on platform stores (e.g. Etsy) with Printful's
+ * "Manual Order / API platform" error.
+ *
+ * Point the scripts at it with PRINTFUL_API_BASE_URL=http://localhost:3999 (see printfulClient.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { CATALOG_FIXTURES_DIR } = require('./variantResolver');
+
+// Configuration
+const DEFAULT_PORT = 3999;
+const MAX_SYNC_VARIANTS = 100;
+const PLATFORM_STORE_MESSAGE = 'This API endpoint applies only to Printful stores based on the Manual Order / API platform. ' +
+  'Find out more at Printful API docs.';
+
+// Stores the simulator knows; the first store of the selected type is the default store
+const DEFAULT_STORES = [
+  { id: 1000001, name: 'Simulated Manual Store', type: 'native' },
+  { id: 1000002, name: 'Simulated Etsy Store', type: 'etsy' }
+];
+
+// Matches TEMPLATE_ID in automatePrintfulProductFromTemplate.js
+const DEFAULT_TEMPLATES = [
+  {
+    id: 88599467,
+    product_id: 145,
+    external_product_id: null,
+    title: 'Gildan 18000 Sweatshirt Template',
+    available_variant_ids: [5401, 5402, 5403, 5404, 5405],
+    option_data: [],
+    colors: [{ color_name: 'Black', color_codes: ['#0b0b0b'] }],
+    sizes: ['S', 'M', 'L', 'XL', '2XL'],
+    mockup_file_url: '',
+    placements: [{ placement: 'front', technique: 'dtg' }],
+    created_at: 1735689600,
+    updated_at: 1735689600
+  }
+];
+
+/**
+ * Error answered to the client in Printful's error format
+ */
+class SimulatorError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.status = status;
+  }
+}
+
+/**
+ * Load the catalog fixtures (same format as the variant resolver cache)
+ * @param {string} dir - Fixtures directory
+ * @returns {Object<number, Object>} Catalog results ({ product, variants }) keyed by product ID
+ */
+function loadCatalog(dir) {
+  const catalog = {};
+  if (!fs.existsSync(dir)) {
+    return catalog;
+  }
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    catalog[entry.productId] = entry.result;
+  }
+  return catalog;
+}
+
+/**
+ * Parse a multipart/form-data body
+ * Good enough for the uploads the pipeline sends: text fields and whole files, no nesting
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {{fields: Object<string, string>, files: Object<string, {filename: string, size: number}>}} Parsed form
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new SimulatorError(400, 'Multipart body without boundary');
+  }
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = {};
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) break;
+
+    // Each part is "\r\n<headers>\r\n\r\n<content>\r\n"
+    const part = body.slice(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const content = part.slice(headerEnd + 4);
+      const name = (/name="([^"]*)"/i.exec(headers) || [])[1];
+      const filename = (/filename="([^"]*)"/i.exec(headers) || [])[1];
+
+      if (name && filename !== undefined) {
+        files[name] = { filename, size: content.length };
+      } else if (name) {
+        fields[name] = content.toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Get one page of a list, the way Printful pages list endpoints
+ * @param {Array} items - All items
+ * @param {Object} query - Request query (offset, limit)
+ * @returns {{items: Array, paging: {total: number, offset: number, limit: number}}} Page and paging info
+ */
+function paginate(items, query) {
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return {
+    items: items.slice(offset, offset + limit),
+    paging: { total: items.length, offset, limit }
+  };
+}
+
+/**
+ * Create the simulator app
+ * @param {Object} [options] - Simulator options
+ * @param {string} [options.storeType='manual'] - Type of the default store ('manual' or 'etsy')
+ * @param {string} [options.apiKey] - Only accept this API key (default: any non-empty key)
+ * @param {string} [options.catalogDir] - Catalog fixtures (default: fixtures/catalog/)
+ * @param {number} [options.maxVariants=100] - Sync variant limit per product
+ * @param {Array<string>} [options.unavailable] - Endpoints answered with 404, like an account that
+ *   doesn't offer them (e.g. ['GET /files'])
+ * @returns {{app: Object, state: Object}} Express app and its in-memory state
+ */
+function createPrintfulSimulator({
+  storeType = 'manual',
+  apiKey = null,
+  catalogDir = CATALOG_FIXTURES_DIR,
+  maxVariants = MAX_SYNC_VARIANTS,
+  unavailable = []
+} = {}) {
+  const defaultStoreType = storeType === 'etsy' ? 'etsy' : 'native';
+  const state = {
+    // Default store first, scripts that look up the store ID use the first one
+    stores: DEFAULT_STORES
+      .map(store => ({ ...store }))
+      .sort((a, b) => (b.type === defaultStoreType) - (a.type === defaultStoreType)),
+    catalog: loadCatalog(catalogDir),
+    templates: DEFAULT_TEMPLATES.map(template => ({ ...template })),
+    products: [],
+    files: [],
+    nextProductId: 300000001,
+    nextSyncVariantId: 4000000001,
+    nextFileId: 700000001
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.raw({ type: 'multipart/form-data', limit: '200mb' }));
+
+  /**
+   * Send a result in Printful's response format
+   */
+  function send(res, result, paging) {
+    res.json(paging ? { code: 200, result, paging } : { code: 200, result });
+  }
+
+  /**
+   * Find a catalog variant by ID
+   */
+  function findCatalogVariant(variantId) {
+    for (const { product, variants } of Object.values(state.catalog)) {
+      const variant = variants.find(entry => entry.id === Number(variantId));
+      if (variant) return { product, variant };
+    }
+    return null;
+  }
+
+  /**
+   * Find a sync product of the request's store
+   */
+  function findProduct(req) {
+    const product = state.products.find(entry =>
+      entry.sync_product.id === Number(req.params.id) && entry.storeId === req.store.id
+    );
+    if (!product) {
+      throw new SimulatorError(404, `Sync product ${req.params.id} not found`);
+    }
+    return product;
+  }
+
+  /**
+   * Turn a request's sync variants into stored sync variants
+   */
+  function buildSyncVariants(syncProductId, syncVariants) {
+    if (!Array.isArray(syncVariants) || syncVariants.length === 0) {
+      throw new SimulatorError(400, 'Sync variants are required');
+    }
+    if (syncVariants.length > maxVariants) {
+      throw new SimulatorError(400, `A sync product can have at most ${maxVariants} sync variants, got ${syncVariants.length}`);
+    }
+
+    return syncVariants.map((syncVariant, index) => {
+      const match = findCatalogVariant(syncVariant.variant_id);
+      if (!match) {
+        throw new SimulatorError(400, `Sync variant ${index}: variant ${syncVariant.variant_id} not found`);
+      }
+      return {
+        id: state.nextSyncVariantId++,
+        sync_product_id: syncProductId,
+        variant_id: match.variant.id,
+        name: match.variant.name,
+        retail_price: syncVariant.retail_price || match.variant.price,
+        files: syncVariant.files || [],
+        images: [],
+        product: { variant_id: match.variant.id, product_id: match.product.id, name: match.variant.name }
+      };
+    });
+  }
+
+  /**
+   * Summary of a sync product, as returned by the list endpoint
+   */
+  function summarize(product) {
+    return { ...product.sync_product, variants: product.sync_variants.length, synced: product.sync_variants.length };
+  }
+
+  // Every request needs an API key, and X-PF-Store-Id must name a known store
+  app.use((req, res, next) => {
+    const key = (req.headers.authorization || '').replace(/^Bearer\b\s*/i, '').trim();
+    if (!key || key === 'undefined' || (apiKey && key !== apiKey)) {
+      return next(new SimulatorError(401, 'Invalid access token'));
+    }
+
+    const storeHeader = req.headers['x-pf-store-id'];
+    req.store = storeHeader
+      ? state.stores.find(store => String(store.id) === String(storeHeader))
+      : state.stores.find(store => store.type === defaultStoreType);
+    if (!req.store) {
+      return next(new SimulatorError(404, `Store ${storeHeader} not found`));
+    }
+    if (unavailable.includes(`${req.method} ${req.path}`)) {
+      return next(new SimulatorError(404, `${req.method} ${req.path} is not available`));
+    }
+    next();
+  });
+
+  app.get('/stores', (req, res) => send(res, state.stores));
+
+  app.get('/products/:id', (req, res) => {
+    const entry = state.catalog[req.params.id];
+    if (!entry) {
+      throw new SimulatorError(404, `Product ${req.params.id} not found`);
+    }
+    send(res, entry);
+  });
+
+  app.get('/product-templates', (req, res) => {
+    const { items, paging } = paginate(state.templates, req.query);
+    send(res, { items }, paging);
+  });
+
+  app.get('/product-templates/:id', (req, res) => {
+    const template = state.templates.find(entry => entry.id === Number(req.params.id));
+    if (!template) {
+      throw new SimulatorError(404, `Product template ${req.params.id} not found`);
+    }
+    send(res, template);
+  });
+
+  app.get('/store/products', (req, res) => {
+    const products = state.products.filter(product => product.storeId === req.store.id).map(summarize);
+    const { items, paging } = paginate(products, req.query);
+    send(res, items, paging);
+  });
+
+  app.get('/store/products/:id', (req, res) => {
+    const { sync_product, sync_variants } = findProduct(req);
+    send(res, { sync_product, sync_variants });
+  });
+
+  app.post('/store/products', (req, res) => {
+    // Platform stores sync products from their platform, the API can't create them
+    if (req.store.type !== 'native') {
+      throw new SimulatorError(400, PLATFORM_STORE_MESSAGE);
+    }
+
+    const { sync_product: syncProduct = {}, template_id: templateId } = req.body || {};
+    let syncVariants = req.body && req.body.sync_variants;
+
+    if (templateId) {
+      const template = state.templates.find(entry => entry.id === Number(templateId));
+      if (!template) {
+        throw new SimulatorError(400, `Product template ${templateId} not found`);
+      }
+      syncVariants = syncVariants || template.available_variant_ids.map(variantId => ({ variant_id: variantId }));
+    }
+    if (!syncProduct.name) {
+      throw new SimulatorError(400, 'Sync product name is required');
+    }
+
+    const id = state.nextProductId++;
+    const product = {
+      storeId: req.store.id,
+      sync_product: {
+        id,
+        external_id: String(id),
+        name: syncProduct.name,
+        description: syncProduct.description || '',
+        thumbnail_url: syncProduct.thumbnail || null,
+        is_ignored: Boolean(syncProduct.is_ignored)
+      },
+      sync_variants: buildSyncVariants(id, syncVariants)
+    };
+    state.products.push(product);
+    send(res, summarize(product));
+  });
+
+  app.put('/store/products/:id', (req, res) => {
+    const product = findProduct(req);
+    const { sync_product: syncProduct = {}, sync_variants: syncVariants, files } = req.body || {};
+
+    Object.assign(product.sync_product, {
+      ...(syncProduct.name ? { name: syncProduct.name } : {}),
+      ...(syncProduct.description !== undefined ? { description: syncProduct.description } : {}),
+      ...(syncProduct.thumbnail ? { thumbnail_url: syncProduct.thumbnail } : {})
+    });
+    if (syncVariants) {
+      product.sync_variants = buildSyncVariants(product.sync_product.id, syncVariants);
+    }
+    if (files) {
+      product.sync_variants.forEach(syncVariant => { syncVariant.files = files; });
+    }
+    send(res, summarize(product));
+  });
+
+  app.delete('/store/products/:id', (req, res) => {
+    const product = findProduct(req);
+    state.products.splice(state.products.indexOf(product), 1);
+    send(res, summarize(product));
+  });
+
+  app.post('/store/products/:id/sync-variant/:syncVariantId/images', (req, res) => {
+    const product = findProduct(req);
+    const syncVariant = product.sync_variants.find(entry => entry.id === Number(req.params.syncVariantId));
+    if (!syncVariant) {
+      throw new SimulatorError(404, `Sync variant ${req.params.syncVariantId} not found`);
+    }
+    const file = state.files.find(entry => entry.id === Number(req.body && req.body.image_id));
+    if (!file) {
+      throw new SimulatorError(400, `File ${req.body && req.body.image_id} not found`);
+    }
+
+    const image = { image_id: file.id, position: req.body.position || 'front', url: file.url };
+    syncVariant.images = syncVariant.images.filter(entry => entry.position !== image.position).concat(image);
+    send(res, syncVariant);
+  });
+
+  app.get('/files', (req, res) => {
+    const { items, paging } = paginate(state.files, req.query);
+    send(res, items, paging);
+  });
+
+  app.get('/files/:id', (req, res) => {
+    const file = state.files.find(entry => entry.id === Number(req.params.id));
+    if (!file) {
+      throw new SimulatorError(404, `File ${req.params.id} not found`);
+    }
+    send(res, file);
+  });
+
+  app.delete('/files/:id', (req, res) => {
+    const file = state.files.find(entry => entry.id === Number(req.params.id));
+    if (!file) {
+      throw new SimulatorError(404, `File ${req.params.id} not found`);
+    }
+    state.files.splice(state.files.indexOf(file), 1);
+    send(res, file);
+  });
+
+  app.post('/files', (req, res) => {
+    let record;
+    if (Buffer.isBuffer(req.body)) {
+      const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+      if (!files.file) {
+        throw new SimulatorError(400, 'File is required');
+      }
+      record = { type: fields.type || fields.purpose || 'default', filename: files.file.filename, size: files.file.size };
+    } else {
+      const { url, type, filename } = req.body || {};
+      if (!url) {
+        throw new SimulatorError(400, 'File URL is required');
+      }
+      record = { type: type || 'default', filename: filename || path.basename(url.split('?')[0]), size: 0 };
+    }
+
+    const id = state.nextFileId++;
+    const file = {
+      id,
+      ...record,
+      url: `https://files.printful.test/${id}/${encodeURIComponent(record.filename)}`,
+      preview_url: `https://files.printful.test/${id}/preview.png`,
+      status: 'ok',
+      created: Math.floor(Date.now() / 1000),
+      visible: true
+    };
+    state.files.push(file);
+    send(res, file);
+  });
+
+  app.use((req, res, next) => {
+    next(new SimulatorError(404, `${req.method} ${req.path} is not simulated`));
+  });
+
+  // Errors use Printful's format: { code, result, error: { reason, message } }
+  app.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    res.status(status).json({
+      code: status,
+      result: error.message,
+      error: { reason: status >= 500 ? 'InternalError' : 'BadRequest', message: error.message }
+    });
+  });
+
+  return { app, state };
+}
+
+/**
+ * Start the simulator
+ * @param {Object} [options] - Simulator options (see createPrintfulSimulator)
+ * @param {number} [options.port=3999] - Port to listen on (0 picks a free port)
+ * @returns {Promise<{server: Object, state: Object, baseURL: string}>} Running server, its state and base URL
+ */
+function startPrintfulSimulator({ port = DEFAULT_PORT, ...options } = {}) {
+  const { app, state } = createPrintfulSimulator(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({ server, state, baseURL: `http://127.0.0.1:${server.address().port}` });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  createPrintfulSimulator,
+  startPrintfulSimulator,
+  parseMultipart,
+  MAX_SYNC_VARIANTS,
+  PLATFORM_STORE_MESSAGE
+};
+
+// If this script is run directly (not imported), start the simulator
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📋 printfulSimulator.js Help:
+
+Runs a local, in-memory stand-in for the Printful API.
+
+Usage:
+  node printfulSimulator.js [options]
+
+Options:
+  --port=PORT        Port to listen on (default: ${DEFAULT_PORT})
+  --store-type=TYPE  Default store type: manual or etsy (default: manual)
+                     With etsy, creating products fails like on a real platform store
+  --help, -h         Show this help text
+
+Then run the pipeline against it:
+  PRINTFUL_API_BASE_URL=http://127.0.0.1:${DEFAULT_PORT} node uploadToPrintful.js
+    `);
+    process.exit(0);
+  }
+
+  const portArg = args.find(arg => arg.startsWith('--port='));
+  const storeTypeArg = args.find(arg => arg.startsWith('--store-type='));
+
+  startPrintfulSimulator({
+    port: portArg ? parseInt(portArg.split('=')[1], 10) : DEFAULT_PORT,
+    storeType: storeTypeArg ? storeTypeArg.split('=')[1] : 'manual'
+  })
+    .then(({ baseURL, state }) => {
+      console.log(`✅ Printful simulator listening on ${baseURL}`);
+      console.log(`📦 Catalog products: ${Object.keys(state.catalog).join(', ') || 'none'}`);
+      console.log(`👉 Set PRINTFUL_API_BASE_URL=${baseURL} to use it`);
+    })
+    .catch(error => {
+      console.error(`❌ Could not start the Printful simulator: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -4,10 +4,9 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
-const axios = require("axios");
-const FormData = require("form-data");
+const { createPrintfulClient } = require("./printfulClient");
 
-const PRINTFUL_API_KEY = process.env.PRINTFUL_API_KEY;
+const printfulApi = createPrintfulClient();
 const EXPORT_DIR = path.join(__dirname, "export-mockups");
 
 // Replace these with your real mappings
@@ -23,35 +22,18 @@ const productVariantMap = {
 };
 
 async function uploadImageToPrintful(filePath) {
-  const form = new FormData();
-  form.append("file", fs.createReadStream(filePath));
-  form.append("purpose", "mockup");
-
-  const res = await axios.post("https://api.printful.com/files", form, {
-    headers: {
-      Authorization: `Bearer ${PRINTFUL_API_KEY}`,
-      ...form.getHeaders()
-    }
-  });
-
-  return res.data.result.id;
+  const file = await printfulApi.uploadFile(filePath, { purpose: "mockup" });
+  return file.id;
 }
 
 async function attachImageToVariant(productId, variantId, fileId) {
-  const res = await axios.post(
-    `https://api.printful.com/store/products/${productId}/sync-variant/${variantId}/images`,
+  return printfulApi.post(
+    `/store/products/${productId}/sync-variant/${variantId}/images`,
     {
       image_id: fileId,
       position: "front"
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${PRINTFUL_API_KEY}`
-      }
     }
   );
-
-  return res.data;
 }
 
 async function replaceMockups() {
@@ -83,6 +65,14 @@ async function replaceMockups() {
   }
 }
 
-replaceMockups().catch(err => {
-  console.error("❌ Error:", err.response?.data || err.message);
-});
+module.exports = {
+  uploadImageToPrintful,
+  attachImageToVariant,
+  replaceMockups
+};
+
+if (require.main === module) {
+  replaceMockups().catch(err => {
+    console.error("❌ Error:", err.data || err.message);
+  });
+}
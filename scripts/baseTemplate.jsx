@@ -3,6 +3,12 @@ var textLayer = doc.textFrames.getByName("wordText");
 
 textLayer.contents = "{{WORD}}";
 
+// Font (empty keeps the font of template.ai)
+var fontName = "{{FONT}}";
+if (fontName !== "") {
+  textLayer.textRange.characterAttributes.textFont = app.textFonts.getByName(fontName);
+}
+
 // Fill
 var fillColor = new RGBColor();
 fillColor.red = {{FILL_R}};
@@ -16,7 +22,7 @@ strokeColor.red = {{STROKE_R}};
 strokeColor.green = {{STROKE_G}};
 strokeColor.blue = {{STROKE_B}};
 textLayer.textRange.characterAttributes.strokeColor = strokeColor;
-textLayer.textRange.characterAttributes.strokeWeight = 2;
+textLayer.textRange.characterAttributes.strokeWeight = {{STROKE_WEIGHT}};
 
 // Resize artboard
 var bounds = textLayer.visibleBounds;
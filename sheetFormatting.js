@@ -0,0 +1,269 @@
+/**
+ * sheetFormatting.js
+ *
+ * This module builds the formatted layout of the Google Sheet dashboard:
+ * - A `preview` column with an =IMAGE() thumbnail of the Cloudinary design
+ * - A `status` column (draft / reviewed / listed / retired) with a dropdown
+ * - Product IDs linked to the synced product's page in the Printful dashboard
+ * - A frozen, bold header row and auto-sized columns
+ * - Titles and tags that break Etsy's limits highlighted in red
+ *
+ * The status is set in the sheet, so the formatted upload keeps each word's status from the
+ * sheet it overwrites. uploadCSVToGoogleSheet({ format: true }) applies the layout.
+ */
+
+const {
+  ETSY_TITLE_MAX_LENGTH,
+  ETSY_MAX_TAGS,
+  ETSY_TAG_MAX_LENGTH
+} = require('./etsyListingRules');
+const { columnLetter } = require('./sheetSync');
+
+// Listing statuses offered in the status dropdown; new rows start as the first one
+const DASHBOARD_STATUSES = ['draft', 'reviewed', 'listed', 'retired'];
+
+// Columns the formatted layout adds after `word`
+const PREVIEW_HEADER = 'preview';
+const STATUS_HEADER = 'status';
+
+// Printful dashboard page of a synced product, by sync product ID
+const PRINTFUL_PRODUCT_URL = 'https://www.printful.com/dashboard/sync/update?id=';
+
+// Thumbnail size in pixels (preview column width and row height)
+const THUMBNAIL_SIZE = 80;
+
+// Background of cells that break Etsy's limits
+const VIOLATION_COLOR = { red: 0.96, green: 0.8, blue: 0.8 };
+const HEADER_COLOR = { red: 0.9, green: 0.9, blue: 0.9 };
+
+/**
+ * Quote text for use inside a Sheets formula
+ * @param {string} text - Text
+ * @returns {string} Formula string literal, e.g. "say ""hi"""
+ */
+function formulaString(text) {
+  return `"${String(text).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Get a small version of a Cloudinary image URL, for thumbnails
+ * Other URLs are returned as they are.
+ * @param {string} url - Image URL
+ * @returns {string} URL with a fit-to-size transformation
+ */
+function thumbnailUrl(url) {
+  if (!/^https:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\//.test(url)) {
+    return url;
+  }
+  return url.replace('/image/upload/', `/image/upload/c_fit,w_${THUMBNAIL_SIZE * 2},h_${THUMBNAIL_SIZE * 2}/`);
+}
+
+/**
+ * Turn dashboard rows into the formatted layout's rows
+ * Adds the preview and status columns after `word` and links product IDs to the synced product
+ * (rows without a `syncProductId` keep the plain ID). The cells are formulas, so the rows have
+ * to be written with valueInputOption USER_ENTERED.
+ * @param {Array<string>} headers - Dashboard headers (see dashboardSchema.js)
+ * @param {Array<Array<string>>} rows - Dashboard rows
+ * @param {Object} [statuses] - Status already set in the sheet, keyed by word
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} Formatted headers and rows
+ */
+function formatDashboardRows(headers, rows, statuses = {}) {
+  const wordIndex = headers.indexOf('word');
+  const fileUrlIndex = headers.indexOf('fileUrl');
+  const productIdIndex = headers.indexOf('productId');
+  const syncProductIdIndex = headers.indexOf('syncProductId');
+  const insertAt = wordIndex + 1;
+
+  const formattedRows = rows.map((row) => {
+    const cells = [...row];
+    const productId = cells[productIdIndex];
+    const syncProductId = syncProductIdIndex !== -1 ? cells[syncProductIdIndex] : '';
+    if (productIdIndex !== -1 && productId && syncProductId) {
+      cells[productIdIndex] = `=HYPERLINK(${formulaString(PRINTFUL_PRODUCT_URL + syncProductId)}, ${formulaString(productId)})`;
+    }
+    const fileUrl = fileUrlIndex !== -1 ? row[fileUrlIndex] : '';
+    const preview = fileUrl ? `=IMAGE(${formulaString(thumbnailUrl(fileUrl))}, 1)` : '';
+    const status = DASHBOARD_STATUSES.includes(statuses[row[wordIndex]]) ? statuses[row[wordIndex]] : DASHBOARD_STATUSES[0];
+    cells.splice(insertAt, 0, preview, status);
+    return cells;
+  });
+
+  const formattedHeaders = [...headers];
+  formattedHeaders.splice(insertAt, 0, PREVIEW_HEADER, STATUS_HEADER);
+  return { headers: formattedHeaders, rows: formattedRows };
+}
+
+/**
+ * Read the status of every word from the sheet's current cells
+ * @param {Array<Array<*>>} sheetValues - Sheet cells, header row first
+ * @returns {Object} Status keyed by word (rows without a known status are left out)
+ */
+function readSheetStatuses(sheetValues) {
+  const [headers = [], ...rows] = sheetValues;
+  const wordIndex = headers.indexOf('word');
+  const statusIndex = headers.indexOf(STATUS_HEADER);
+  const statuses = {};
+  if (wordIndex === -1 || statusIndex === -1) {
+    return statuses;
+  }
+  for (const row of rows) {
+    if (row[wordIndex] && DASHBOARD_STATUSES.includes(row[statusIndex])) {
+      statuses[row[wordIndex]] = row[statusIndex];
+    }
+  }
+  return statuses;
+}
+
+// Etsy limit highlights, by the cell of the column's first data row (e.g. $D2)
+const ETSY_LIMIT_FORMULAS = [
+  cell => `=LEN(${cell})>${ETSY_TITLE_MAX_LENGTH}`,
+  cell => `=IFERROR(COUNTA(SPLIT(${cell}, ","))>${ETSY_MAX_TAGS}, FALSE)`,
+  cell => `=IFERROR(SUMPRODUCT(--(LEN(TRIM(SPLIT(${cell}, ",")))>${ETSY_TAG_MAX_LENGTH}))>0, FALSE)`
+];
+
+/**
+ * Check whether a conditional format rule on the sheet is an Etsy limit highlight added by this module
+ * Its one range is a single column from the first data row, and its formula is one of
+ * ETSY_LIMIT_FORMULAS for that column. Rules added by hand don't match and are kept.
+ * @param {Object} rule - Conditional format rule, as returned by spreadsheets.get
+ * @returns {boolean} Whether the rule is one of the module's
+ */
+function isEtsyLimitRule(rule) {
+  const ranges = (rule && rule.ranges) || [];
+  const condition = rule && rule.booleanRule && rule.booleanRule.condition;
+  if (ranges.length !== 1 || !condition || condition.type !== 'CUSTOM_FORMULA') {
+    return false;
+  }
+  const { startRowIndex, startColumnIndex, endColumnIndex } = ranges[0];
+  if (startRowIndex !== 1 || startColumnIndex === undefined || endColumnIndex !== startColumnIndex + 1) {
+    return false;
+  }
+  const formula = condition.values && condition.values[0] ? condition.values[0].userEnteredValue : '';
+  const cell = `$${columnLetter(startColumnIndex)}2`;
+  return ETSY_LIMIT_FORMULAS.some(build => build(cell) === formula);
+}
+
+/**
+ * Build a conditional format rule that paints a column's cells when a formula is true
+ * @param {number} sheetId - Sheet ID
+ * @param {number} column - Column index
+ * @param {number} rowCount - Number of rows, header included
+ * @param {string} formula - Custom formula, written for the column's first data row
+ * @returns {Object} addConditionalFormatRule request
+ */
+function highlightRule(sheetId, column, rowCount, formula) {
+  return {
+    addConditionalFormatRule: {
+      index: 0,
+      rule: {
+        ranges: [{ sheetId, startRowIndex: 1, endRowIndex: rowCount, startColumnIndex: column, endColumnIndex: column + 1 }],
+        booleanRule: {
+          condition: { type: 'CUSTOM_FORMULA', values: [{ userEnteredValue: formula }] },
+          format: { backgroundColor: VIOLATION_COLOR }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the batchUpdate requests that format the dashboard sheet
+ * @param {Object} options - Layout options
+ * @param {number} options.sheetId - Sheet ID
+ * @param {Array<string>} options.headers - Formatted headers (see formatDashboardRows())
+ * @param {number} options.rowCount - Number of rows, header included
+ * @param {Array<Object>} [options.existingRules] - Conditional format rules the sheet has now; the
+ *   Etsy limit highlights among them are removed first so repeated uploads don't stack them
+ * @returns {Array<Object>} Requests for spreadsheets.batchUpdate
+ */
+function buildFormattingRequests({ sheetId, headers, rowCount, existingRules = [] }) {
+  const column = header => headers.indexOf(header);
+  const columnRange = index => ({ sheetId, dimension: 'COLUMNS', startIndex: index, endIndex: index + 1 });
+  const requests = [];
+
+  // Last first, so the indexes of the rules still to delete don't shift
+  for (let index = existingRules.length - 1; index >= 0; index--) {
+    if (isEtsyLimitRule(existingRules[index])) {
+      requests.push({ deleteConditionalFormatRule: { sheetId, index } });
+    }
+  }
+
+  // Frozen, bold header row
+  requests.push({
+    updateSheetProperties: {
+      properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+      fields: 'gridProperties.frozenRowCount'
+    }
+  });
+  requests.push({
+    repeatCell: {
+      range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+      cell: { userEnteredFormat: { textFormat: { bold: true }, backgroundColor: HEADER_COLOR } },
+      fields: 'userEnteredFormat(textFormat,backgroundColor)'
+    }
+  });
+
+  // Status dropdown
+  if (column(STATUS_HEADER) !== -1 && rowCount > 1) {
+    requests.push({
+      setDataValidation: {
+        range: { sheetId, startRowIndex: 1, endRowIndex: rowCount, startColumnIndex: column(STATUS_HEADER), endColumnIndex: column(STATUS_HEADER) + 1 },
+        rule: {
+          condition: { type: 'ONE_OF_LIST', values: DASHBOARD_STATUSES.map(status => ({ userEnteredValue: status })) },
+          strict: true,
+          showCustomUi: true
+        }
+      }
+    });
+  }
+
+  // Etsy limits: title length, number of tags and tag length
+  const [titleLength, tagCount, tagLength] = ETSY_LIMIT_FORMULAS;
+  if (column('title') !== -1 && rowCount > 1) {
+    const title = `$${columnLetter(column('title'))}2`;
+    requests.push(highlightRule(sheetId, column('title'), rowCount, titleLength(title)));
+  }
+  if (column('tags') !== -1 && rowCount > 1) {
+    const tags = `$${columnLetter(column('tags'))}2`;
+    requests.push(highlightRule(sheetId, column('tags'), rowCount, tagCount(tags)));
+    requests.push(highlightRule(sheetId, column('tags'), rowCount, tagLength(tags)));
+  }
+
+  // Column widths: fit the text, then make room for the thumbnails
+  requests.push({
+    autoResizeDimensions: { dimensions: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: headers.length } }
+  });
+  if (column(PREVIEW_HEADER) !== -1) {
+    requests.push({
+      updateDimensionProperties: {
+        range: columnRange(column(PREVIEW_HEADER)),
+        properties: { pixelSize: THUMBNAIL_SIZE },
+        fields: 'pixelSize'
+      }
+    });
+    if (rowCount > 1) {
+      requests.push({
+        updateDimensionProperties: {
+          range: { sheetId, dimension: 'ROWS', startIndex: 1, endIndex: rowCount },
+          properties: { pixelSize: THUMBNAIL_SIZE },
+          fields: 'pixelSize'
+        }
+      });
+    }
+  }
+
+  return requests;
+}
+
+module.exports = {
+  formatDashboardRows,
+  readSheetStatuses,
+  buildFormattingRequests,
+  isEtsyLimitRule,
+  thumbnailUrl,
+  formulaString,
+  DASHBOARD_STATUSES,
+  PREVIEW_HEADER,
+  STATUS_HEADER
+};
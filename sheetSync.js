@@ -0,0 +1,398 @@
+/**
+ * sheetSync.js
+ *
+ * This module syncs manual-templates/ with the Google Sheet dashboard in both directions,
+ * instead of overwriting the sheet from A1 like uploadCSVToGoogleSheet() does:
+ *
+ * - Rows are matched by the `word` column; new words are appended
+ * - Only cells whose value changed are written, and columns added by hand are left alone
+ * - Edits to a row's title, description or tags in the sheet are pulled back into
+ *   manual-templates/<WORD>.json (and the listing is locked, like any hand-edited listing)
+ *
+ * .sheet-sync-state.json keeps a hash of every row's title, description and tags as of the
+ * last sync. When both the sheet and the template changed since then, the row is a conflict:
+ * neither side is overwritten and the row is listed in sheet-sync-conflicts.json.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { readDashboardTemplates, buildDashboardRows } = require('./dashboardSchema');
+const { validateEtsyListing } = require('./etsyListingRules');
+
+// Configuration
+const MANUAL_TEMPLATES_DIR = path.join(__dirname, 'manual-templates');
+const SYNC_STATE_PATH = path.join(__dirname, '.sheet-sync-state.json');
+const CONFLICT_REPORT_PATH = path.join(__dirname, 'sheet-sync-conflicts.json');
+const DEFAULT_SHEET_NAME = 'Dashboard';
+
+// Columns copywriters edit in the sheet; every other column is written from the templates
+const EDITABLE_COLUMNS = ['title', 'description', 'tags'];
+
+// Which side wins a conflict when asked to
+const PREFER_OPTIONS = ['sheet', 'templates'];
+
+/**
+ * Get the A1 column letter for a column index
+ * @param {number} index - Column index (0 = A)
+ * @returns {string} Column letter(s), e.g. A, Z, AA
+ */
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Hash a row's editable cells
+ * @param {Array<string>} cells - Title, description and tags cell text
+ * @returns {string} Hash (16 hex characters)
+ */
+function rowHash(cells) {
+  return crypto.createHash('sha256').update(JSON.stringify(cells)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Read the sync state
+ * @param {string} statePath - State file path
+ * @returns {Object} State ({ rows: { WORD: { hash, syncedAt } } })
+ */
+function readSyncState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    return { rows: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  return { ...state, rows: state.rows || {} };
+}
+
+/**
+ * Turn a tags cell back into a tag list
+ * @param {string} cell - Cell text (tags joined with ", ")
+ * @returns {Array<string>} Tags
+ */
+function parseTagsCell(cell) {
+  return cell.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Work out what a sync has to change, without changing anything
+ * @param {Object} input - Sync input
+ * @param {Array<Object>} input.templates - Saved metadata, one per word
+ * @param {Array<Array<*>>} input.sheetValues - Sheet cells, header row first
+ * @param {Object} input.state - Sync state from the last run
+ * @param {string|null} [input.prefer] - Side that wins conflicts: 'sheet', 'templates' or null (report them)
+ * @param {string} [input.now] - Sync time (default: now)
+ * @returns {Object} Plan: { cells, appendRows, firstAppendRow, pulls, conflicts, invalid, state }
+ */
+function planSheetSync({ templates, sheetValues, state, prefer = null, now = new Date().toISOString() }) {
+  const { headers, rows } = buildDashboardRows(templates);
+  const cell = (row, index) => (row && row[index] !== undefined && row[index] !== null ? String(row[index]) : '');
+
+  // Header row: keep the sheet's columns where they are, add missing ones on the right
+  const sheetHeaders = (sheetValues[0] || []).map(value => cell([value], 0));
+  const cells = [];
+  const columnIndex = {};
+  sheetHeaders.forEach((header, index) => {
+    if (header && columnIndex[header] === undefined) {
+      columnIndex[header] = index;
+    }
+  });
+  let width = sheetHeaders.length;
+  for (const header of headers) {
+    if (columnIndex[header] === undefined) {
+      columnIndex[header] = width++;
+      cells.push({ row: 1, column: columnIndex[header], value: header });
+    }
+  }
+
+  // Sheet row number (1-based, as in A1 notation) of every word
+  const sheetRows = {};
+  for (let index = 1; index < sheetValues.length; index++) {
+    const word = cell(sheetValues[index], columnIndex.word);
+    if (word && sheetRows[word] === undefined) {
+      sheetRows[word] = index + 1;
+    }
+  }
+
+  const plan = {
+    cells,
+    appendRows: [],
+    firstAppendRow: Math.max(sheetValues.length, 1) + 1,
+    pulls: [],
+    conflicts: [],
+    invalid: [],
+    state: { ...state, rows: { ...state.rows } }
+  };
+
+  templates.forEach((template, templateIndex) => {
+    const word = template.word;
+    const local = {};
+    headers.forEach((header, index) => { local[header] = rows[templateIndex][index]; });
+    const localEditable = EDITABLE_COLUMNS.map(header => local[header]);
+
+    // New word: append the whole row
+    if (sheetRows[word] === undefined) {
+      const row = new Array(width).fill('');
+      headers.forEach(header => { row[columnIndex[header]] = local[header]; });
+      plan.appendRows.push(row);
+      plan.state.rows[word] = { hash: rowHash(localEditable), syncedAt: now };
+      return;
+    }
+
+    const rowNumber = sheetRows[word];
+    const remoteRow = sheetValues[rowNumber - 1];
+    const remoteEditable = EDITABLE_COLUMNS.map(header => cell(remoteRow, columnIndex[header]));
+    const base = plan.state.rows[word] && plan.state.rows[word].hash;
+    const localHash = rowHash(localEditable);
+    const remoteHash = rowHash(remoteEditable);
+
+    // Which side's title, description and tags end up in both places
+    let winner = 'templates';
+    if (localHash !== remoteHash) {
+      if (base === localHash) {
+        winner = 'sheet';
+      } else if (base !== remoteHash) {
+        winner = prefer;
+      }
+    }
+
+    if (winner === 'sheet') {
+      const edit = {
+        word,
+        title: remoteEditable[0],
+        description: remoteEditable[1],
+        tags: parseTagsCell(remoteEditable[2])
+      };
+      const violations = validateEtsyListing(edit);
+      if (violations.length > 0) {
+        plan.invalid.push({ word, violations });
+        winner = null;
+      } else {
+        plan.pulls.push(edit);
+      }
+    } else if (winner === null) {
+      const fields = {};
+      EDITABLE_COLUMNS.forEach((header, index) => {
+        if (localEditable[index] !== remoteEditable[index]) {
+          fields[header] = { manualTemplate: localEditable[index], sheet: remoteEditable[index] };
+        }
+      });
+      plan.conflicts.push({ word, row: rowNumber, lastSyncedHash: base || null, fields });
+    }
+
+    // Cells written from the templates: every non-editable column, and the editable ones when the templates win
+    for (const header of headers) {
+      const editable = EDITABLE_COLUMNS.includes(header);
+      if (editable && winner !== 'templates') {
+        continue;
+      }
+      if (cell(remoteRow, columnIndex[header]) !== local[header]) {
+        plan.cells.push({ row: rowNumber, column: columnIndex[header], value: local[header] });
+      }
+    }
+
+    if (winner !== null) {
+      plan.state.rows[word] = { hash: winner === 'sheet' ? remoteHash : localHash, syncedAt: now };
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Create a Google Sheets client with the service account key
+ * @param {string} credentialsPath - Path to the Google credentials JSON file
+ * @returns {Object} Sheets client
+ */
+function createSheetsClient(credentialsPath) {
+  const auth = new google.auth.GoogleAuth({
+    keyFile: credentialsPath,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+  return google.sheets({ version: 'v4', auth });
+}
+
+/**
+ * Create the sheet if the spreadsheet doesn't have it yet
+ * @param {Object} sheets - Sheets client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {string} sheetName - Sheet name
+ * @returns {Promise<void>}
+ */
+async function ensureSheet(sheets, spreadsheetId, sheetName) {
+  const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId });
+  if (!spreadsheet.data.sheets.some(sheet => sheet.properties.title === sheetName)) {
+    console.log(`📄 Sheet '${sheetName}' not found, creating...`);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
+    });
+  }
+}
+
+/**
+ * Write pulled sheet edits into the manual-templates files
+ * @param {Array<Object>} pulls - Edits from planSheetSync()
+ * @param {string} templatesDir - Templates directory
+ */
+function applyPulls(pulls, templatesDir) {
+  for (const { word, title, description, tags } of pulls) {
+    const templatePath = path.join(templatesDir, `${word}.json`);
+    const template = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+    // Locked like any hand-edited listing, so the pipeline doesn't replace the copywriter's edit
+    fs.writeFileSync(templatePath, JSON.stringify({ ...template, title, description, tags, locked: true }, null, 2));
+  }
+}
+
+/**
+ * Sync manual-templates/ with the dashboard sheet in both directions
+ * @param {Object} options - Sync options
+ * @param {string} options.spreadsheetId - Google Spreadsheet ID
+ * @param {string} [options.sheetName] - Sheet name (default: 'Dashboard')
+ * @param {string} [options.templatesDir] - Templates directory (default: manual-templates/)
+ * @param {string} [options.statePath] - Sync state file (default: .sheet-sync-state.json)
+ * @param {string} [options.reportPath] - Conflict report file (default: sheet-sync-conflicts.json)
+ * @param {string|null} [options.prefer] - Side that wins conflicts: 'sheet' or 'templates' (default: report them)
+ * @param {boolean} [options.dryRun] - Only work out and print the changes
+ * @param {string} [options.credentialsPath] - Path to the Google credentials JSON file
+ * @param {Object} [options.sheets] - Sheets client (default: one made with credentialsPath)
+ * @returns {Promise<Object>} Summary: { updatedCells, appended, pulled, conflicts, invalid }
+ */
+async function syncDashboardSheet({
+  spreadsheetId,
+  sheetName = DEFAULT_SHEET_NAME,
+  templatesDir = MANUAL_TEMPLATES_DIR,
+  statePath = SYNC_STATE_PATH,
+  reportPath = CONFLICT_REPORT_PATH,
+  prefer = null,
+  dryRun = false,
+  credentialsPath = path.join(__dirname, 'google-sheets-key.json'),
+  sheets = null
+}) {
+  if (prefer !== null && !PREFER_OPTIONS.includes(prefer)) {
+    throw new Error(`Unknown conflict side "${prefer}" (use ${PREFER_OPTIONS.join(' or ')})`);
+  }
+  const client = sheets || createSheetsClient(credentialsPath);
+
+  console.log(`⏳ Syncing manual-templates/ with sheet '${sheetName}'...`);
+  await ensureSheet(client, spreadsheetId, sheetName);
+  const response = await client.spreadsheets.values.get({
+    spreadsheetId,
+    range: sheetName,
+    valueRenderOption: 'UNFORMATTED_VALUE'
+  });
+
+  const state = readSyncState(statePath);
+  const plan = planSheetSync({
+    templates: readDashboardTemplates(templatesDir),
+    sheetValues: response.data.values || [],
+    state,
+    prefer
+  });
+
+  const summary = {
+    updatedCells: plan.cells.length,
+    appended: plan.appendRows.length,
+    pulled: plan.pulls.map(pull => pull.word),
+    conflicts: plan.conflicts.map(conflict => conflict.word),
+    invalid: plan.invalid.map(entry => entry.word)
+  };
+
+  if (dryRun) {
+    console.log(`🔍 Dry run: would update ${summary.updatedCells} cells, append ${summary.appended} rows and pull ${summary.pulled.length} edits`);
+  } else {
+    const data = plan.cells.map(({ row, column, value }) => ({
+      range: `${sheetName}!${columnLetter(column)}${row}`,
+      values: [[value]]
+    }));
+    if (plan.appendRows.length > 0) {
+      data.push({ range: `${sheetName}!A${plan.firstAppendRow}`, values: plan.appendRows });
+    }
+    if (data.length > 0) {
+      // RAW keeps the cells as plain text, so the next sync compares them exactly
+      await client.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: { valueInputOption: 'RAW', data }
+      });
+    }
+    applyPulls(plan.pulls, templatesDir);
+    fs.writeFileSync(statePath, JSON.stringify({ spreadsheetId, sheetName, rows: plan.state.rows }, null, 2));
+
+    if (plan.conflicts.length > 0 || plan.invalid.length > 0) {
+      fs.writeFileSync(reportPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        conflicts: plan.conflicts,
+        invalid: plan.invalid
+      }, null, 2));
+    } else if (fs.existsSync(reportPath)) {
+      fs.unlinkSync(reportPath);
+    }
+  }
+
+  console.log(`✅ Sheet sync: ${summary.updatedCells} cells updated, ${summary.appended} rows appended, ${summary.pulled.length} edits pulled`);
+  summary.pulled.forEach(word => console.log(`📥 Pulled sheet edits into manual-templates/${word}.json (locked)`));
+  if (summary.conflicts.length > 0) {
+    console.warn(`⚠️ ${summary.conflicts.length} rows changed in both places and were left as they are: ${summary.conflicts.join(', ')}`);
+  }
+  if (summary.invalid.length > 0) {
+    console.warn(`⚠️ Sheet edits that break Etsy's rules were not pulled: ${summary.invalid.join(', ')}`);
+  }
+  if (!dryRun && (summary.conflicts.length > 0 || summary.invalid.length > 0)) {
+    console.warn(`⚠️ See ${path.relative(process.cwd(), reportPath)}`);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  syncDashboardSheet,
+  planSheetSync,
+  columnLetter,
+  rowHash,
+  EDITABLE_COLUMNS,
+  SYNC_STATE_PATH,
+  CONFLICT_REPORT_PATH
+};
+
+// Run the script
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📋 sheetSync.js Help:
+
+Syncs manual-templates/ with the Google Sheet dashboard in both directions.
+Title, description and tag edits made in the sheet are pulled back into the templates.
+
+Usage:
+  node sheetSync.js [options]
+
+Options:
+  --dry-run, -d           Show what would change without writing anything
+  --prefer=sheet          Resolve conflicts with the sheet's title, description and tags
+  --prefer=templates      Resolve conflicts with the manual-templates/ copy
+  --help, -h              Show this help text
+
+Rows changed in both places since the last sync are written to sheet-sync-conflicts.json
+and left alone until both sides match or --prefer is given.
+  `);
+    process.exit(0);
+  }
+
+  const preferArg = args.find(arg => arg.startsWith('--prefer='));
+  syncDashboardSheet({
+    spreadsheetId: process.env.GOOGLE_SHEETS_DASHBOARD_ID || '1q5gbFZTX6Upk7UgnJlMey3xfzr3QJiNTfYabJDEu4AQ',
+    prefer: preferArg ? preferArg.split('=')[1] : null,
+    dryRun: args.includes('--dry-run') || args.includes('-d')
+  })
+    .then(({ conflicts, invalid }) => process.exit(conflicts.length > 0 || invalid.length > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error(`❌ Sheet sync failed: ${error.message}`);
+      process.exit(1);
+    });
+}
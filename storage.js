@@ -0,0 +1,612 @@
+/**
+ * storage.js
+ *
+ * This module puts design and mockup uploads behind one storage interface:
+ *
+ *   upload(filePath, key, metadata) -> public URL
+ *   exists(key)                     -> whether the key is already stored
+ *   getPublicUrl(key)               -> public URL of a stored key
+ *   delete(key)                     -> remove a stored key
+ *
+ * Backends: cloudinary (default), dropbox, s3 (any S3-compatible service: AWS, R2, MinIO...)
+ * and local (a folder served by startStorageServer()). Pick one with STORAGE_BACKEND.
+ *
+ * uploadStored() keys every upload by the file's SHA-256, so an unchanged file is never
+ * uploaded twice, and records it in storage-manifest.json. Later stages look files up in the
+ * manifest with lookupStoredUrl() without any network call.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Configuration
+const STORAGE_MANIFEST_PATH = path.join(__dirname, 'storage-manifest.json');
+const DEFAULT_BACKEND = 'cloudinary';
+const LOCAL_STORAGE_DIR = path.join(__dirname, 'storage-uploads');
+const DEFAULT_LOCAL_PORT = 4000;
+
+// Content types for the files the pipeline uploads
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Hash a file's contents
+ * @param {string} filePath - Path to the file
+ * @returns {string} SHA-256 (hex)
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Get the storage key of a file: its name plus the start of its content hash
+ * @param {string} filePath - Path to the file
+ * @param {string} sha256 - The file's SHA-256
+ * @returns {string} Key, e.g. PASTA-3f1c9a0b7d2e4c51.png
+ */
+function storageKey(filePath, sha256) {
+  const extension = path.extname(filePath).toLowerCase();
+  return `${path.basename(filePath, path.extname(filePath))}-${sha256.slice(0, 16)}${extension}`;
+}
+
+/**
+ * Get the content type of a key
+ * @param {string} key - Storage key
+ * @returns {string} MIME type
+ */
+function contentType(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Create the Cloudinary backend
+ * Keys are stored as public IDs without their extension, laid out by the upload profile
+ * (see cloudinaryUploader.js): printful_uploads/<name>/<key> for versioned profiles and
+ * printful_uploads/<name> for the overwrite profile. Design files are named after their
+ * word, so <name> is the per-word subfolder. The backend is named cloudinary:<profile>, so manifest
+ * entries are only reused by the profile that uploaded them (a print upload has a print-ready URL).
+ * @param {Object} [options] - Backend options
+ * @param {string|Object} [options.profile] - Upload profile (default: CLOUDINARY_PROFILE or versioned)
+ * @returns {Object} Storage backend
+ */
+function createCloudinaryStorage({ profile = undefined } = {}) {
+  const { cloudinary, uploadToCloudinary, resolveCloudinaryProfile, buildUploadOptions } = require('./cloudinaryUploader');
+  const settings = resolveCloudinaryProfile(profile);
+  const fileName = key => path.basename(key, path.extname(key));
+  const designName = key => fileName(key).replace(/-[0-9a-f]{16}$/, '');
+  const publicId = (key) => {
+    if (!settings.versioned) {
+      return `${settings.folder}/${designName(key)}`;
+    }
+    return settings.wordFolder ? `${settings.folder}/${designName(key)}/${fileName(key)}` : `${settings.folder}/${fileName(key)}`;
+  };
+
+  return {
+    name: `cloudinary:${settings.name}`,
+    async upload(filePath, key, metadata = {}) {
+      const asset = await uploadToCloudinary(filePath, { ...metadata, profile: settings, publicId: publicId(key) });
+      return asset.print_url || asset.secure_url;
+    },
+    async exists(key) {
+      // An overwritten asset may hold other content than the key's, so it's uploaded again
+      if (!settings.versioned) {
+        return false;
+      }
+      try {
+        await cloudinary.api.resource(publicId(key));
+        return true;
+      } catch (err) {
+        const status = err.error ? err.error.http_code : err.http_code;
+        if (status === 404) {
+          return false;
+        }
+        throw new Error(`Could not check Cloudinary for ${key}: ${(err.error && err.error.message) || err.message}`);
+      }
+    },
+    async getPublicUrl(key) {
+      const { eager } = buildUploadOptions(key, { profile: settings, publicId: publicId(key) });
+      if (eager) {
+        return cloudinary.url(publicId(key), { secure: true, urlAnalytics: false, transformation: eager[0].transformation, format: eager[0].format });
+      }
+      return cloudinary.url(publicId(key), { secure: true, urlAnalytics: false, format: path.extname(key).slice(1) });
+    },
+    async delete(key) {
+      await cloudinary.uploader.destroy(publicId(key), { resource_type: 'image', invalidate: true });
+    }
+  };
+}
+
+/**
+ * Turn a Dropbox shared link into a direct download link
+ * @param {string} url - Shared link
+ * @returns {string} dl.dropboxusercontent.com link
+ */
+function directDropboxLink(url) {
+  return url.replace('www.dropbox.com', 'dl.dropboxusercontent.com').replace(/[?&]dl=0/, '');
+}
+
+/**
+ * Create the Dropbox backend
+ * Keys are stored in DROPBOX_FOLDER_PATH and shared with a public link.
+ * @param {Object} [options] - Backend options
+ * @param {Object} [options.client] - Dropbox client (default: DROPBOX_ACCESS_TOKEN, or the token manager's client)
+ * @param {string} [options.folder] - Dropbox folder (default: DROPBOX_FOLDER_PATH)
+ * @param {string} [options.profile] - Token manager profile, i.e. Dropbox account (default: DROPBOX_PROFILE)
+ * @returns {Object} Storage backend
+ */
+function createDropboxStorage({ client = null, folder = process.env.DROPBOX_FOLDER_PATH, profile = null } = {}) {
+  if (!folder) {
+    throw new Error('DROPBOX_FOLDER_PATH is not set in environment variables');
+  }
+  const folderPath = folder.endsWith('/') ? folder.slice(0, -1) : folder;
+  const filePath = key => `${folderPath}/${key}`;
+  let dropbox = client;
+
+  /**
+   * Get the Dropbox client, creating it on first use
+   * @returns {Promise<Object>} Dropbox client
+   */
+  async function getClient() {
+    if (!dropbox) {
+      if (process.env.DROPBOX_ACCESS_TOKEN) {
+        const { Dropbox } = require('dropbox');
+        dropbox = new Dropbox({ accessToken: process.env.DROPBOX_ACCESS_TOKEN });
+      } else {
+        dropbox = await require('./dropboxTokenManager').getDropboxClient({ profile });
+      }
+    }
+    return dropbox;
+  }
+
+  const backend = {
+    name: 'dropbox',
+    async upload(localPath, key) {
+      const dbx = await getClient();
+      await dbx.filesUpload({ path: filePath(key), contents: fs.readFileSync(localPath), mode: 'overwrite' });
+      return backend.getPublicUrl(key);
+    },
+    async exists(key) {
+      const dbx = await getClient();
+      try {
+        await dbx.filesGetMetadata({ path: filePath(key) });
+        return true;
+      } catch (err) {
+        if (err.status === 409) {
+          return false;
+        }
+        throw err;
+      }
+    },
+    async getPublicUrl(key) {
+      const dbx = await getClient();
+      try {
+        const link = await dbx.sharingCreateSharedLinkWithSettings({
+          path: filePath(key),
+          settings: { requested_visibility: 'public' }
+        });
+        return directDropboxLink((link.result || link).url);
+      } catch (err) {
+        const summary = err.error && (err.error.error_summary || (err.error.error && err.error.error['.tag']));
+        if (!summary || !String(summary).includes('shared_link_already_exists')) {
+          throw err;
+        }
+        // The file was shared before; reuse its link
+        const links = await dbx.sharingListSharedLinks({ path: filePath(key), direct_only: true });
+        const existing = (links.result || links).links[0];
+        if (!existing) {
+          throw new Error(`Dropbox says ${filePath(key)} is shared but returned no link`);
+        }
+        return directDropboxLink(existing.url);
+      }
+    },
+    async delete(key) {
+      const dbx = await getClient();
+      await dbx.filesDeleteV2({ path: filePath(key) });
+    }
+  };
+  return backend;
+}
+
+/**
+ * HMAC-SHA256
+ * @param {Buffer|string} key - Key
+ * @param {string} text - Text
+ * @returns {Buffer} Digest
+ */
+function hmac(key, text) {
+  return crypto.createHmac('sha256', key).update(text).digest();
+}
+
+/**
+ * Encode a path for an S3 canonical request (every segment URI-encoded, slashes kept)
+ * @param {string} pathname - URL path
+ * @returns {string} Encoded path
+ */
+function encodeS3Path(pathname) {
+  return pathname.split('/')
+    .map(segment => encodeURIComponent(decodeURIComponent(segment)).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL
+ * @param {Object} [request.headers] - Headers to sign besides host, x-amz-date and x-amz-content-sha256
+ * @param {string} request.payloadHash - SHA-256 (hex) of the body
+ * @param {string} request.region - Region (e.g. us-east-1, or auto for R2)
+ * @param {string} request.accessKeyId - Access key ID
+ * @param {string} request.secretAccessKey - Secret access key
+ * @param {Date} [request.date] - Signing time (default: now)
+ * @returns {Object} Headers to send, Authorization included
+ */
+function signS3Request({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const signed = { ...headers, host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const query = [...searchParams].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    encodeS3Path(pathname),
+    query,
+    names.map(name => `${name}:${values[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  const { host: _host, ...sent } = signed;
+  return {
+    ...sent,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * Create the S3-compatible backend
+ * Objects are addressed path-style (<endpoint>/<bucket>/<key>), which AWS, R2 and MinIO all accept.
+ * @param {Object} [options] - Backend options (default: the S3_* environment variables)
+ * @param {string} [options.endpoint] - Endpoint, e.g. https://s3.us-east-1.amazonaws.com
+ * @param {string} [options.bucket] - Bucket
+ * @param {string} [options.region] - Region (default: us-east-1)
+ * @param {string} [options.accessKeyId] - Access key ID
+ * @param {string} [options.secretAccessKey] - Secret access key
+ * @param {string} [options.prefix] - Key prefix, e.g. designs/
+ * @param {string} [options.publicUrl] - Public base URL of the bucket (default: <endpoint>/<bucket>)
+ * @returns {Object} Storage backend
+ */
+function createS3Storage({
+  endpoint = process.env.S3_ENDPOINT,
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefix = process.env.S3_PREFIX || '',
+  publicUrl = process.env.S3_PUBLIC_URL
+} = {}) {
+  const missing = Object.entries({ S3_ENDPOINT: endpoint, S3_BUCKET: bucket, S3_ACCESS_KEY_ID: accessKeyId, S3_SECRET_ACCESS_KEY: secretAccessKey })
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+  if (missing.length > 0) {
+    throw new Error(`S3 storage needs ${missing.join(', ')} in environment variables`);
+  }
+  const base = endpoint.replace(/\/+$/, '');
+  const objectUrl = key => `${base}/${bucket}/${prefix}${key}`;
+  const publicBase = (publicUrl || `${base}/${bucket}`).replace(/\/+$/, '');
+  const emptyHash = crypto.createHash('sha256').update('').digest('hex');
+
+  /**
+   * Send a signed request for a key
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Object} [body] - Body and its headers
+   * @returns {Promise<Object>} axios response (any status)
+   */
+  function send(method, key, { data = undefined, payloadHash = emptyHash, headers = {} } = {}) {
+    const url = objectUrl(key);
+    return axios.request({
+      method,
+      url,
+      data,
+      headers: signS3Request({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey }),
+      maxBodyLength: Infinity,
+      validateStatus: () => true
+    });
+  }
+
+  return {
+    name: 's3',
+    async upload(filePath, key) {
+      const body = fs.readFileSync(filePath);
+      const response = await send('PUT', key, {
+        data: body,
+        payloadHash: crypto.createHash('sha256').update(body).digest('hex'),
+        headers: { 'content-type': contentType(key) }
+      });
+      if (response.status >= 300) {
+        throw new Error(`S3 upload of ${key} failed with HTTP ${response.status}`);
+      }
+      return `${publicBase}/${prefix}${key}`;
+    },
+    async exists(key) {
+      const response = await send('HEAD', key);
+      if (response.status === 404) {
+        return false;
+      } else if (response.status >= 300) {
+        throw new Error(`Could not check S3 for ${key}: HTTP ${response.status}`);
+      }
+      return true;
+    },
+    async getPublicUrl(key) {
+      return `${publicBase}/${prefix}${key}`;
+    },
+    async delete(key) {
+      const response = await send('DELETE', key);
+      if (response.status >= 300 && response.status !== 404) {
+        throw new Error(`S3 delete of ${key} failed with HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+/**
+ * Create the local backend: files are copied into a folder that startStorageServer() serves
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.dir] - Folder (default: STORAGE_LOCAL_DIR or storage-uploads/)
+ * @param {string} [options.publicUrl] - Base URL the folder is served at
+ *   (default: STORAGE_PUBLIC_URL or http://127.0.0.1:4000)
+ * @returns {Object} Storage backend
+ */
+function createLocalStorage({
+  dir = process.env.STORAGE_LOCAL_DIR || LOCAL_STORAGE_DIR,
+  publicUrl = process.env.STORAGE_PUBLIC_URL || `http://127.0.0.1:${DEFAULT_LOCAL_PORT}`
+} = {}) {
+  const keyPath = key => path.join(dir, key);
+  const base = publicUrl.replace(/\/+$/, '');
+
+  return {
+    name: 'local',
+    async upload(filePath, key) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.copyFileSync(filePath, keyPath(key));
+      return `${base}/${encodeURIComponent(key)}`;
+    },
+    async exists(key) {
+      return fs.existsSync(keyPath(key));
+    },
+    async getPublicUrl(key) {
+      return `${base}/${encodeURIComponent(key)}`;
+    },
+    async delete(key) {
+      fs.rmSync(keyPath(key), { force: true });
+    }
+  };
+}
+
+// Backend factories by STORAGE_BACKEND name
+const STORAGE_BACKENDS = {
+  cloudinary: createCloudinaryStorage,
+  dropbox: createDropboxStorage,
+  s3: createS3Storage,
+  local: createLocalStorage
+};
+
+/**
+ * Create a storage backend
+ * @param {string} [name] - Backend name (default: STORAGE_BACKEND or cloudinary)
+ * @param {Object} [options] - Backend options
+ * @returns {Object} Storage backend
+ */
+function createStorage(name = process.env.STORAGE_BACKEND || DEFAULT_BACKEND, options = {}) {
+  const factory = STORAGE_BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}" (use ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Read the storage manifest
+ * @param {string} [manifestPath] - Manifest file
+ * @returns {Object} Manifest ({ files: { '<local path>': { sha256, backend, key, url, uploadedAt } } })
+ */
+function readStorageManifest(manifestPath = STORAGE_MANIFEST_PATH) {
+  if (!fs.existsSync(manifestPath)) {
+    return { files: {} };
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  return { ...manifest, files: manifest.files || {} };
+}
+
+/**
+ * Get a file's manifest key: its path relative to the manifest's folder
+ * @param {string} filePath - Path to the file
+ * @param {string} manifestPath - Manifest file
+ * @returns {string} Manifest key with forward slashes, e.g. export/PASTA.png
+ */
+function manifestKey(filePath, manifestPath) {
+  return path.relative(path.dirname(path.resolve(manifestPath)), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Look up a file's stored URL in the manifest, without any network call
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.backend] - Only accept uploads to this backend ("cloudinary" accepts every
+ *   Cloudinary profile, "cloudinary:print" only the print profile)
+ * @param {string} [options.manifestPath] - Manifest file
+ * @returns {string|null} URL, or null when the file was never uploaded or changed since
+ */
+function lookupStoredUrl(filePath, { backend = null, manifestPath = STORAGE_MANIFEST_PATH } = {}) {
+  const entry = readStorageManifest(manifestPath).files[manifestKey(filePath, manifestPath)];
+  if (!entry || !fs.existsSync(filePath)) {
+    return null;
+  }
+  if (backend && entry.backend !== backend && !entry.backend.startsWith(`${backend}:`)) {
+    return null;
+  }
+  return entry.sha256 === hashFile(filePath) ? entry.url : null;
+}
+
+/**
+ * Upload a file unless the same content is already stored
+ * In order: the manifest entry for this path, a manifest entry for the same content under
+ * another path, the backend already holding the key, and only then an upload.
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Upload options
+ * @param {Object} [options.storage] - Storage backend (default: createStorage())
+ * @param {string} [options.manifestPath] - Manifest file
+ * @param {Object} [options.metadata] - Passed to the backend's upload(), e.g. { word, cuisine, batchId }
+ *   for Cloudinary tags and context
+ * @returns {Promise<Object>} { url, key, sha256, reused } where reused is 'manifest', 'remote' or false
+ */
+async function uploadStored(filePath, { storage = createStorage(), manifestPath = STORAGE_MANIFEST_PATH, metadata = {} } = {}) {
+  const sha256 = hashFile(filePath);
+  const key = storageKey(filePath, sha256);
+  const manifest = readStorageManifest(manifestPath);
+  const localKey = manifestKey(filePath, manifestPath);
+  const fileName = path.basename(filePath);
+
+  const known = [manifest.files[localKey], ...Object.values(manifest.files)]
+    .find(entry => entry && entry.backend === storage.name && entry.sha256 === sha256);
+  let url;
+  let reused;
+  if (known) {
+    console.log(`♻️ ${fileName} is unchanged, reusing ${known.url}`);
+    url = known.url;
+    reused = 'manifest';
+  } else if (await storage.exists(key)) {
+    url = await storage.getPublicUrl(key);
+    console.log(`♻️ ${fileName} is already on ${storage.name}: ${url}`);
+    reused = 'remote';
+  } else {
+    console.log(`⏳ Uploading ${fileName} to ${storage.name}...`);
+    url = await storage.upload(filePath, key, metadata);
+    console.log(`✅ Uploaded ${fileName}: ${url}`);
+    reused = false;
+  }
+
+  if (!manifest.files[localKey] || manifest.files[localKey].url !== url) {
+    manifest.files[localKey] = {
+      sha256,
+      backend: storage.name,
+      key: known ? known.key : key,
+      url,
+      uploadedAt: known ? known.uploadedAt : new Date().toISOString()
+    };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  return { url, key: manifest.files[localKey].key, sha256, reused };
+}
+
+/**
+ * Serve a local storage folder over HTTP
+ * @param {Object} [options] - Server options
+ * @param {string} [options.dir] - Folder (default: STORAGE_LOCAL_DIR or storage-uploads/)
+ * @param {number} [options.port=4000] - Port to listen on (0 picks a free port)
+ * @returns {Promise<{server: Object, baseURL: string}>} Running server and its base URL
+ */
+function startStorageServer({ dir = process.env.STORAGE_LOCAL_DIR || LOCAL_STORAGE_DIR, port = DEFAULT_LOCAL_PORT } = {}) {
+  const express = require('express');
+  const app = express();
+  app.use(express.static(dir, { index: false, dotfiles: 'ignore' }));
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({ server, baseURL: `http://127.0.0.1:${server.address().port}` });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  createStorage,
+  createCloudinaryStorage,
+  createDropboxStorage,
+  createS3Storage,
+  createLocalStorage,
+  uploadStored,
+  lookupStoredUrl,
+  readStorageManifest,
+  startStorageServer,
+  signS3Request,
+  hashFile,
+  storageKey,
+  STORAGE_BACKENDS,
+  STORAGE_MANIFEST_PATH
+};
+
+// Run the script
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h') || args.length === 0) {
+    console.log(`
+📋 storage.js Help:
+
+Uploads files to the storage backend in STORAGE_BACKEND (cloudinary, dropbox, s3 or local).
+Files already stored with the same content are not uploaded again (see storage-manifest.json).
+
+Usage:
+  node storage.js <file> [<file>...]   Upload files and print their URLs
+  node storage.js --serve              Serve the local backend's folder over HTTP
+
+Options:
+  --backend=NAME     Backend to use instead of STORAGE_BACKEND
+  --port=PORT        Port for --serve (default: ${DEFAULT_LOCAL_PORT})
+  --help, -h         Show this help text
+  `);
+    process.exit(0);
+  }
+
+  const backendArg = args.find(arg => arg.startsWith('--backend='));
+  const portArg = args.find(arg => arg.startsWith('--port='));
+
+  if (args.includes('--serve')) {
+    startStorageServer({ port: portArg ? parseInt(portArg.split('=')[1], 10) : DEFAULT_LOCAL_PORT })
+      .then(({ baseURL }) => {
+        console.log(`✅ Serving ${process.env.STORAGE_LOCAL_DIR || LOCAL_STORAGE_DIR} on ${baseURL}`);
+        console.log(`👉 Set STORAGE_PUBLIC_URL to the address Printful can reach it at`);
+      })
+      .catch((error) => {
+        console.error(`❌ Could not start the storage server: ${error.message}`);
+        process.exit(1);
+      });
+  } else {
+    (async () => {
+      const storage = createStorage(backendArg ? backendArg.split('=')[1] : undefined);
+      for (const filePath of args.filter(arg => !arg.startsWith('--'))) {
+        const { url } = await uploadStored(filePath, { storage });
+        console.log(url);
+      }
+    })().catch((error) => {
+      console.error(`❌ Upload failed: ${error.message}`);
+      process.exit(1);
+    });
+  }
+}
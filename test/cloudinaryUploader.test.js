@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  uploadToCloudinary,
+  buildUploadOptions,
+  resolveCloudinaryProfile,
+  cloudinary
+} = require('../cloudinaryUploader');
+const { createCloudinaryStorage, uploadStored, lookupStoredUrl } = require('../storage');
+const { tempDir } = require('./helpers');
+
+cloudinary.config({ cloud_name: 'demo' });
+
+/**
+ * Write a design file to a temporary directory, removed after the test
+ * @param {Object} t - Test context
+ * @returns {string} Path to PASTA.png
+ */
+function designFile(t) {
+  const filePath = path.join(tempDir(t, 'cloudinary-'), 'PASTA.png');
+  fs.writeFileSync(filePath, 'pasta design');
+  return filePath;
+}
+
+const HASH = crypto.createHash('sha256').update('pasta design').digest('hex').slice(0, 16);
+
+test('the overwrite profile replaces printful_uploads/<name> in place', (t) => {
+  const options = buildUploadOptions(designFile(t), { profile: 'overwrite', word: 'PASTA' });
+
+  assert.strictEqual(options.public_id, 'printful_uploads/PASTA');
+  assert.strictEqual(options.overwrite, true);
+  assert.strictEqual(options.invalidate, true);
+  assert.strictEqual(options.eager, undefined);
+});
+
+test('the versioned profile gives every content its own public ID in the word folder', (t) => {
+  const options = buildUploadOptions(designFile(t), {
+    profile: 'versioned',
+    word: 'PASTA',
+    cuisine: 'Italian',
+    batchId: '20250501T120000',
+    context: { designer: 'sam' }
+  });
+
+  assert.strictEqual(options.public_id, `printful_uploads/PASTA/PASTA-${HASH}`);
+  assert.strictEqual(options.overwrite, false);
+  assert.deepStrictEqual(options.tags, ['word:PASTA', 'cuisine:Italian', 'batch:20250501T120000']);
+  assert.deepStrictEqual(options.context, { word: 'PASTA', cuisine: 'Italian', batch: '20250501T120000', designer: 'sam' });
+});
+
+test('the print profile adds an eager trimmed version sized for 300 DPI', (t) => {
+  const options = buildUploadOptions(designFile(t), { profile: 'print', word: 'PASTA' });
+
+  assert.deepStrictEqual(options.eager, [{
+    transformation: [{ effect: 'trim' }, { width: 3600, height: 4800, crop: 'fit' }],
+    format: 'png'
+  }]);
+  assert.strictEqual(options.eager_async, false);
+  assert.deepStrictEqual(options.tags, ['word:PASTA'], 'missing metadata leaves no empty tags');
+});
+
+test('resolveCloudinaryProfile extends a named profile and rejects unknown ones', () => {
+  const profile = resolveCloudinaryProfile({ extends: 'print', folder: 'drops', printArea: { widthInches: 10, heightInches: 10, dpi: 150 } });
+
+  assert.strictEqual(profile.name, 'print');
+  assert.strictEqual(profile.folder, 'drops');
+  assert.strictEqual(profile.versioned, true);
+  assert.throws(() => resolveCloudinaryProfile('forever'), /Unknown Cloudinary profile "forever"/);
+  assert.deepStrictEqual(
+    buildUploadOptions('PASTA.png', { profile, publicId: 'drops/PASTA' }).eager[0].transformation[1],
+    { width: 1500, height: 1500, crop: 'fit' }
+  );
+});
+
+test('uploadToCloudinary returns the asset record', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const upload = t.mock.method(cloudinary.uploader, 'upload', async (file, options) => ({
+    public_id: options.public_id,
+    version: 1714564800,
+    secure_url: `https://res.cloudinary.com/demo/image/upload/v1714564800/${options.public_id}.png`,
+    bytes: 48213,
+    width: 2000,
+    height: 400,
+    format: 'png',
+    tags: options.tags,
+    context: { custom: options.context },
+    eager: [{ secure_url: 'https://res.cloudinary.com/demo/image/upload/e_trim/c_fit,h_4800,w_3600/v1714564800/print.png' }]
+  }));
+
+  const asset = await uploadToCloudinary(designFile(t), { profile: 'print', word: 'PASTA' });
+
+  assert.strictEqual(upload.mock.callCount(), 1);
+  assert.deepStrictEqual(asset, {
+    public_id: `printful_uploads/PASTA/PASTA-${HASH}`,
+    version: 1714564800,
+    secure_url: `https://res.cloudinary.com/demo/image/upload/v1714564800/printful_uploads/PASTA/PASTA-${HASH}.png`,
+    bytes: 48213,
+    width: 2000,
+    height: 400,
+    format: 'png',
+    tags: ['word:PASTA'],
+    context: { word: 'PASTA' },
+    print_url: 'https://res.cloudinary.com/demo/image/upload/e_trim/c_fit,h_4800,w_3600/v1714564800/print.png'
+  });
+});
+
+test('the Cloudinary storage backend lays keys out by profile', async (t) => {
+  const calls = [];
+  t.mock.method(cloudinary.api, 'resource', async (publicId) => {
+    calls.push(publicId);
+    const error = new Error('Not found');
+    error.error = { http_code: 404 };
+    throw error;
+  });
+  const key = `PASTA-${HASH}.png`;
+
+  const versioned = createCloudinaryStorage({ profile: 'versioned' });
+  const overwrite = createCloudinaryStorage({ profile: 'overwrite' });
+  const print = createCloudinaryStorage({ profile: 'print' });
+
+  assert.strictEqual(await versioned.exists(key), false);
+  assert.deepStrictEqual(calls, [`printful_uploads/PASTA/PASTA-${HASH}`]);
+  assert.strictEqual(await overwrite.exists(key), false, 'overwritten assets are never trusted');
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(await versioned.getPublicUrl(key), `https://res.cloudinary.com/demo/image/upload/v1/printful_uploads/PASTA/PASTA-${HASH}.png`);
+  assert.strictEqual(await overwrite.getPublicUrl(key), 'https://res.cloudinary.com/demo/image/upload/v1/printful_uploads/PASTA.png');
+  assert.strictEqual(await print.getPublicUrl(key), `https://res.cloudinary.com/demo/image/upload/e_trim/c_fit,h_4800,w_3600/v1/printful_uploads/PASTA/PASTA-${HASH}.png`);
+});
+
+test('switching to the print profile does not reuse uploads of another profile', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const filePath = designFile(t);
+  const manifestPath = path.join(path.dirname(filePath), 'storage-manifest.json');
+  const upload = t.mock.method(cloudinary.uploader, 'upload', async (file, options) => ({
+    public_id: options.public_id,
+    secure_url: `https://res.cloudinary.com/demo/image/upload/v1/${options.public_id}.png`,
+    eager: options.eager ? [{ secure_url: `https://res.cloudinary.com/demo/image/upload/e_trim/v1/${options.public_id}.png` }] : undefined
+  }));
+  t.mock.method(cloudinary.api, 'resource', async () => {
+    const error = new Error('Not found');
+    error.error = { http_code: 404 };
+    throw error;
+  });
+
+  const versioned = await uploadStored(filePath, { storage: createCloudinaryStorage({ profile: 'versioned' }), manifestPath });
+  const print = await uploadStored(filePath, { storage: createCloudinaryStorage({ profile: 'print' }), manifestPath });
+  const again = await uploadStored(filePath, { storage: createCloudinaryStorage({ profile: 'print' }), manifestPath });
+
+  assert.strictEqual(upload.mock.callCount(), 2);
+  assert.strictEqual(versioned.url, `https://res.cloudinary.com/demo/image/upload/v1/printful_uploads/PASTA/PASTA-${HASH}.png`);
+  assert.strictEqual(print.reused, false);
+  assert.strictEqual(print.url, `https://res.cloudinary.com/demo/image/upload/e_trim/v1/printful_uploads/PASTA/PASTA-${HASH}.png`);
+  assert.strictEqual(again.reused, 'manifest');
+  assert.strictEqual(lookupStoredUrl(filePath, { manifestPath, backend: 'cloudinary' }), print.url);
+  assert.strictEqual(lookupStoredUrl(filePath, { manifestPath, backend: 'cloudinary:versioned' }), null);
+});
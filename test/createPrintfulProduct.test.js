@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findVariantId, extractUniqueColors } = require('../createPrintfulProduct');
+const { result: catalog } = require('../fixtures/catalog/product-145.json');
+
+test('findVariantId finds a variant by size and color', () => {
+  const variant = catalog.variants.find(entry => entry.color === 'Sport Grey' && entry.size === 'M');
+
+  assert.strictEqual(findVariantId(catalog.variants, 'M', 'Sport Grey'), variant.id);
+});
+
+test('findVariantId matches other spellings of colors and sizes', () => {
+  const variant = catalog.variants.find(entry => entry.color === 'Forest Green' && entry.size === '2XL');
+
+  assert.strictEqual(findVariantId(catalog.variants, 'xxl', 'FOREST-GREEN'), variant.id);
+});
+
+test('findVariantId returns null for a missing variant', () => {
+  assert.strictEqual(findVariantId(catalog.variants, 'M', 'Neon Purple'), null);
+});
+
+test('extractUniqueColors lists every color once, lowercased', () => {
+  const colors = extractUniqueColors(catalog.variants);
+
+  assert.strictEqual(colors.length, new Set(catalog.variants.map(variant => variant.color)).size);
+  assert.ok(colors.includes('sport grey'));
+  assert.ok(colors.every(color => color === color.toLowerCase()));
+});
+
+test('extractUniqueColors skips variants without a color', () => {
+  assert.deepStrictEqual(extractUniqueColors([{ color: 'Black' }, { color: '' }, { color: 'black' }]), ['black']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, formatCsv, formatCsvField } = require('../csv');
+
+test('formatCsv quotes every field and ends rows with CRLF', () => {
+  assert.strictEqual(formatCsv([['word', 'price'], ['PASTA', 29.99], ['TACOS', null]]),
+    '"word","price"\r\n"PASTA","29.99"\r\n"TACOS",""\r\n');
+  assert.strictEqual(formatCsvField('A "Perfect" Gift'), '"A ""Perfect"" Gift"');
+});
+
+test('parseCsv round-trips line breaks, quotes and commas inside fields', () => {
+  const rows = [
+    ['word', 'description', 'tags'],
+    ['PASTA', 'Ready to look cute?\n\n🍝 - DETAILS\r\n- 50% cotton, 50% polyester', 'pasta, italian food'],
+    ['TACOS', 'A "Perfect" Gift', ''],
+    ['', '', '']
+  ];
+
+  assert.deepStrictEqual(parseCsv(formatCsv(rows)), rows);
+});
+
+test('parseCsv reads unquoted fields, LF line endings and a missing final line break', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFword,fill\nPASTA,#FFFFFF\nTACOS,'), [
+    ['word', 'fill'],
+    ['PASTA', '#FFFFFF'],
+    ['TACOS', '']
+  ]);
+});
+
+test('parseCsv rejects broken quoting with the line number', () => {
+  assert.throws(() => parseCsv('"word"\n"PASTA\n'), /line 2: quoted field is never closed/);
+  assert.throws(() => parseCsv('"word"\n"PASTA"x,1\n'), /line 2: unexpected "x" after a closing quote/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  buildDescription,
+  renderTemplate,
+  loadDescriptionTemplate,
+  validateTemplate,
+  listProductTypes,
+  getProductLabel,
+  loadProductDetails,
+  buildProductName
+} = require('../descriptionTemplates');
+const { tempDir } = require('./helpers');
+
+const SLOTS = {
+  word: 'TACOS',
+  cuisine: 'Mexican',
+  emojis: '🌮🌶️',
+  intro: 'Ready to look cute and feel cozy?',
+  relatedFoods: ['enchiladas', 'chiles rellenos']
+};
+
+test('listProductTypes lists the shipped templates', () => {
+  assert.deepStrictEqual(listProductTypes(), ['hoodie', 'sweatshirt', 'tee']);
+});
+
+test('every shipped template has all sections and only known placeholders', () => {
+  for (const productType of listProductTypes()) {
+    assert.doesNotThrow(() => loadDescriptionTemplate(productType), productType);
+  }
+});
+
+test('buildDescription fills every placeholder and keeps the standard sections word for word', () => {
+  const description = buildDescription(SLOTS, { productType: 'hoodie' });
+
+  assert.match(description, /^🌮🌶️ Ready to look cute and feel cozy\? Our "TACOS" hoodie is a nod to Mexican culture/);
+  assert.match(description, /a fan of enchiladas, chiles rellenos, or other popular dishes/);
+  assert.match(description, /🌮🌶️ - FAST PROCESSING\n\nAfter you place the order, it goes into production the same day\./);
+  assert.doesNotMatch(description, /\{\{|\}\}/);
+});
+
+test('renderTemplate throws when a placeholder has no value', () => {
+  assert.throws(
+    () => renderTemplate('{{EMOJIS}} {{INTRO}} {{WORD}}', { WORD: 'TACOS', INTRO: ' ' }),
+    /No value for \{\{EMOJIS\}\}, \{\{INTRO\}\}/
+  );
+});
+
+test('validateTemplate reports unknown placeholders and missing sections', () => {
+  const template = '{{WORD}} {{PRICE}}\n\nDETAILS\n\nFEEDBACK';
+
+  assert.deepStrictEqual(validateTemplate(template), [
+    'unknown placeholder {{PRICE}} (known placeholders: WORD, CUISINE, EMOJIS, RELATED_FOODS, INTRO)',
+    'missing the FAST PROCESSING section',
+    'missing the SATISFACTION GUARANTEE section'
+  ]);
+});
+
+test('loadDescriptionTemplate rejects unknown and broken templates', (t) => {
+  const dir = tempDir(t, 'listing-templates-');
+  fs.writeFileSync(path.join(dir, 'tank.txt'), '{{WORD}} tank top\n\nDETAILS');
+
+  assert.throws(() => loadDescriptionTemplate('mug', dir), /No description template for product type "mug" \(known types: tank\)/);
+  assert.throws(() => loadDescriptionTemplate('tank', dir), /Invalid description template .*tank\.txt: missing the FAST PROCESSING section/);
+});
+
+test('getProductLabel names each product type', () => {
+  assert.strictEqual(getProductLabel('tee'), 'T-Shirt');
+  assert.strictEqual(getProductLabel('sweatshirt'), 'Sweatshirt');
+  assert.strictEqual(getProductLabel('tank'), 'Tank');
+});
+
+test('every product type has title and tag wording of its own', () => {
+  for (const productType of listProductTypes()) {
+    const details = loadProductDetails(productType);
+    assert.ok(details.title.startsWith(`{{WORD}} ${details.label} - `), `${productType} title names the ${details.label}`);
+    assert.ok(details.tags.every(tag => tag.length <= 20), `${productType} tags fit Etsy's limit`);
+  }
+  assert.strictEqual(buildProductName('TACOS', 'hoodie'), 'TACOS Hoodie - Cozy Oversized Unisex Pullover');
+  assert.strictEqual(buildProductName('TACOS', 'tee'), 'TACOS T-Shirt - Soft Relaxed Unisex Tee');
+  assert.strictEqual(buildProductName('TACOS'), 'TACOS Sweatshirt - Cute Oversized Unisex Crewneck');
+});
+
+test('loadProductDetails rejects missing and incomplete details', (t) => {
+  const dir = tempDir(t, 'listing-templates-');
+  fs.writeFileSync(path.join(dir, 'tank.json'), JSON.stringify({ label: 'Tank Top', title: '{{WORD}} Tank Top' }));
+
+  assert.throws(() => loadProductDetails('mug', dir), /No product details for product type "mug" \(add .*mug\.json\)/);
+  assert.throws(() => loadProductDetails('tank', dir), /Invalid product details .*tank\.json: missing productName, wordTags, tags/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sharp = require('sharp');
+const { renderDesign, buildSvg, normalizeHex } = require('../designRenderer');
+const { tempDir } = require('./helpers');
+
+test('renderDesign writes a 2000px wide PNG with a transparent background', async (t) => {
+  const outputPath = path.join(tempDir(t, 'design-renderer-'), 'export', 'PASTA.png');
+
+  const result = await renderDesign({ word: 'PASTA', fill: '#C8102E', stroke: 'FFFFFF', outputPath });
+  const { data, info } = await sharp(outputPath).raw().toBuffer({ resolveWithObject: true });
+  const metadata = await sharp(outputPath).metadata();
+
+  assert.deepStrictEqual(result, { outputPath, width: 2000, height: info.height });
+  assert.strictEqual(metadata.format, 'png');
+  assert.strictEqual(metadata.width, 2000);
+  assert.ok(metadata.height < 2000, 'a word is wider than it is tall');
+  assert.strictEqual(metadata.hasAlpha, true);
+  assert.strictEqual(info.channels, 4);
+
+  const alphaAt = (x, y) => data[(y * info.width + x) * info.channels + 3];
+  assert.strictEqual(alphaAt(0, 0), 0, 'the padding is transparent');
+  assert.strictEqual(alphaAt(info.width - 1, info.height - 1), 0);
+  let opaque = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 255) opaque++;
+  }
+  assert.ok(opaque > 0, 'the text is drawn');
+});
+
+test('renderDesign honors the width option and requires a word and output path', async (t) => {
+  const outputPath = path.join(tempDir(t, 'design-renderer-'), 'TACOS.png');
+
+  const { width } = await renderDesign({ word: 'TACOS', fill: '#006847', stroke: '#000000', outputPath, width: 500 });
+
+  assert.strictEqual(width, 500);
+  await assert.rejects(renderDesign({ fill: '#000000', stroke: '#000000', outputPath }), /Word is required/);
+  await assert.rejects(renderDesign({ word: 'TACOS', fill: '#000000', stroke: '#000000' }), /Output path is required/);
+});
+
+test('buildSvg escapes the word and font and normalizes colors', () => {
+  const svg = buildSvg({ word: 'MAC & "CHEESE"', fill: normalizeHex('c8102e'), stroke: normalizeHex('#fff000'), font: 'A<B', strokeWeight: 2 });
+
+  assert.match(svg, /MAC &amp; &quot;CHEESE&quot;/);
+  assert.match(svg, /font-family="A&lt;B"/);
+  assert.match(svg, /fill="#C8102E"/);
+  assert.strictEqual(normalizeHex(' c8102e '), '#C8102E');
+  assert.throws(() => normalizeHex('red'), /Invalid hex color: red/);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { tempDir } = require('./helpers');
+
+// Set before loading the module, so no key file is written next to it
+process.env.TOKEN_ENCRYPTION_KEY = 'test-encryption-key';
+process.env.DROPBOX_APP_KEY = 'test-app-key';
+delete process.env.DROPBOX_APP_SECRET;
+delete process.env.DROPBOX_PROFILE;
+
+const {
+  encrypt,
+  decrypt,
+  getDropboxClient,
+  initializeOAuthFlow,
+  loadTokens,
+  saveTokens,
+  listTokenProfiles,
+  buildAuthorizeUrl,
+  createPkcePair,
+  DropboxAuthRequiredError
+} = require('../dropboxTokenManager');
+
+/**
+ * Mock the token endpoint
+ * @param {Object} t - Test context
+ * @param {Object|Function} reply - Response data, or a function throwing the error to reply with
+ * @returns {Object} The axios.post mock
+ */
+function tokenEndpoint(t, reply) {
+  return t.mock.method(axios, 'post', async () => (typeof reply === 'function' ? reply() : { data: reply }));
+}
+
+test('decrypt reverses encrypt', () => {
+  const tokens = JSON.stringify({ access_token: 'sl.abc', refresh_token: 'rt-123', expires_at: 1747066772000 });
+
+  assert.strictEqual(decrypt(encrypt(tokens)), tokens);
+});
+
+test('encrypt uses a new IV every time', () => {
+  const first = encrypt('same text');
+  const second = encrypt('same text');
+
+  assert.notStrictEqual(first, second);
+  assert.match(first, /^[0-9a-f]{32}:[0-9a-f]+$/);
+});
+
+test('decrypt rejects text that was not encrypted', () => {
+  assert.throws(() => decrypt('not-encrypted'));
+});
+
+test('the authorization URL uses the configured app key and a PKCE challenge', () => {
+  const { verifier, challenge } = createPkcePair();
+  const url = new URL(buildAuthorizeUrl('test-app-key', challenge));
+
+  assert.strictEqual(url.searchParams.get('client_id'), 'test-app-key');
+  assert.strictEqual(url.searchParams.get('token_access_type'), 'offline');
+  assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.strictEqual(challenge, crypto.createHash('sha256').update(verifier).digest('base64url'));
+});
+
+test('token profiles are stored separately and listed', (t) => {
+  const dir = tempDir(t, 'dropbox-tokens-');
+
+  saveTokens({ refresh_token: 'rt-shop' }, 'default', dir);
+  saveTokens({ refresh_token: 'rt-studio' }, 'studio', dir);
+
+  assert.deepStrictEqual(listTokenProfiles(dir), ['default', 'studio']);
+  assert.ok(fs.existsSync(path.join(dir, 'dropbox_tokens.enc')), 'the default profile keeps the original file');
+  assert.strictEqual(loadTokens('studio', dir).refresh_token, 'rt-studio');
+  assert.strictEqual(loadTokens('missing', dir), null);
+  assert.throws(() => saveTokens({}, '../escape', dir), /Invalid Dropbox profile name/);
+});
+
+test('tokens encrypted with the old built-in key are re-encrypted', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir(t, 'dropbox-tokens-');
+  const legacyKey = crypto.createHash('sha256').update('default-encryption-key').digest();
+  fs.writeFileSync(path.join(dir, 'dropbox_tokens.enc'), encrypt(JSON.stringify({ refresh_token: 'rt-old' }), legacyKey));
+
+  assert.strictEqual(loadTokens('default', dir).refresh_token, 'rt-old');
+  assert.throws(() => decrypt(fs.readFileSync(path.join(dir, 'dropbox_tokens.enc'), 'utf8'), legacyKey));
+});
+
+test('without a configured key a random key is kept in the token folder', (t) => {
+  const dir = tempDir(t, 'dropbox-tokens-');
+  const configured = process.env.TOKEN_ENCRYPTION_KEY;
+  delete process.env.TOKEN_ENCRYPTION_KEY;
+  t.after(() => { process.env.TOKEN_ENCRYPTION_KEY = configured; });
+
+  saveTokens({ refresh_token: 'rt-1' }, 'default', dir);
+
+  assert.match(fs.readFileSync(path.join(dir, '.key'), 'utf8'), /^[0-9a-f]{64}$/);
+  assert.strictEqual(loadTokens('default', dir).refresh_token, 'rt-1');
+});
+
+test('a profile without tokens fails fast when there is no terminal', async (t) => {
+  const post = tokenEndpoint(t, {});
+
+  await assert.rejects(
+    getDropboxClient({ profile: 'studio', interactive: false, dir: tempDir(t, 'dropbox-tokens-'), prompt: async () => assert.fail('must not prompt') }),
+    (error) => error instanceof DropboxAuthRequiredError && error.profile === 'studio' && /--login --profile=studio/.test(error.message)
+  );
+  assert.strictEqual(post.mock.callCount(), 0);
+});
+
+test('the PKCE flow exchanges the code with the verifier and no app secret', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir(t, 'dropbox-tokens-');
+  const post = tokenEndpoint(t, { access_token: 'sl.new', refresh_token: 'rt-new', expires_in: 14400, account_id: 'dbid:abc' });
+
+  const tokens = await initializeOAuthFlow({ profile: 'studio', interactive: true, dir, prompt: async () => 'auth-code' });
+
+  const params = post.mock.calls[0].arguments[1];
+  assert.strictEqual(params.get('client_id'), 'test-app-key');
+  assert.strictEqual(params.get('code'), 'auth-code');
+  assert.ok(params.get('code_verifier'));
+  assert.strictEqual(params.has('client_secret'), false);
+  assert.deepStrictEqual(loadTokens('studio', dir), tokens);
+  assert.strictEqual(tokens.account_id, 'dbid:abc');
+});
+
+test('access tokens are refreshed before they expire', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir(t, 'dropbox-tokens-');
+  saveTokens({ access_token: 'sl.old', refresh_token: 'rt-1', expires_at: Date.now() + 60 * 1000, client_id: 'old-app-key', pkce: true }, 'default', dir);
+  const post = tokenEndpoint(t, { access_token: 'sl.fresh', expires_in: 14400 });
+
+  const dbx = await getDropboxClient({ interactive: false, dir });
+
+  const params = post.mock.calls[0].arguments[1];
+  assert.strictEqual(params.get('refresh_token'), 'rt-1');
+  assert.strictEqual(params.get('client_id'), 'old-app-key', 'tokens refresh with the app key they were issued to');
+  assert.strictEqual(dbx.auth.getAccessToken(), 'sl.fresh');
+  assert.strictEqual(loadTokens('default', dir).access_token, 'sl.fresh');
+});
+
+test('a revoked refresh token needs authorization again', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const dir = tempDir(t, 'dropbox-tokens-');
+  saveTokens({ access_token: 'sl.old', refresh_token: 'rt-revoked', expires_at: 0, pkce: true }, 'default', dir);
+  tokenEndpoint(t, () => {
+    const error = new Error('Request failed with status code 400');
+    error.response = { status: 400, data: { error: 'invalid_grant' } };
+    throw error;
+  });
+
+  await assert.rejects(getDropboxClient({ interactive: false, dir }), /needs authorization \(the refresh token was revoked\)/);
+});
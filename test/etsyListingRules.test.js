@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  validateEtsyListing,
+  fixEtsyListing,
+  enforceEtsyListingRules,
+  trimTitle,
+  splitTag,
+  EtsyListingRulesError
+} = require('../etsyListingRules');
+
+const TEMPLATES_DIR = path.join(__dirname, 'fixtures', 'manual-templates');
+
+const LONG_TITLE = 'PASTA Sweatshirt - Cute Oversized Unisex Crewneck, A Perfect Gift for PASTA Lovers and ' +
+  'Italian Cuisine Enthusiasts Who Love Carbonara and Lasagna Every Night';
+
+test('validateEtsyListing accepts a listing within the rules', () => {
+  const listing = { title: 'PASTA Sweatshirt', tags: ['pasta', 'Italian Food', "chef's kiss", 'Pasta™'] };
+
+  assert.deepStrictEqual(validateEtsyListing(listing), []);
+});
+
+test('validateEtsyListing reports every broken rule', () => {
+  const tags = ['pasta', 'Pasta', 'Pasta & Pizza', 'oversized unisex sweatshirt'];
+  for (let i = 0; i < 10; i++) tags.push(`tag ${i}`);
+
+  assert.deepStrictEqual(validateEtsyListing({ title: LONG_TITLE, tags }), [
+    `title is ${LONG_TITLE.length} characters, Etsy allows 140`,
+    'listing has 14 tags, Etsy allows 13',
+    'tags[1] "Pasta" is a duplicate',
+    'tags[2] "Pasta & Pizza" has characters Etsy rejects: &',
+    'tags[3] "oversized unisex sweatshirt" is 27 characters, Etsy allows 20'
+  ]);
+});
+
+test('trimTitle cuts at the last clause or whole word that fits', () => {
+  assert.strictEqual(
+    trimTitle(LONG_TITLE),
+    'PASTA Sweatshirt - Cute Oversized Unisex Crewneck, A Perfect Gift for PASTA Lovers and ' +
+    'Italian Cuisine Enthusiasts Who Love Carbonara'
+  );
+  assert.strictEqual(trimTitle('  PASTA   Sweatshirt '), 'PASTA Sweatshirt');
+  assert.strictEqual(trimTitle('x'.repeat(200)).length, 140);
+});
+
+test('splitTag packs words into tags of at most 20 characters', () => {
+  assert.deepStrictEqual(splitTag('oversized unisex sweatshirt gift'), ['oversized unisex', 'sweatshirt gift']);
+  assert.deepStrictEqual(splitTag('supercalifragilisticexpialidocious'), ['supercalifragilistic']);
+  assert.deepStrictEqual(splitTag('pasta lover'), ['pasta lover']);
+});
+
+test('fixEtsyListing pads a short tag list to 13 from the word and cuisine', () => {
+  const listing = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'TACOS.json'), 'utf8'));
+
+  const { listing: fixed, fixes, violations } = fixEtsyListing(listing, { cuisine: 'Mexican' });
+
+  assert.deepStrictEqual(violations, []);
+  assert.deepStrictEqual(fixed.tags, [
+    'Mexican Cuisine',
+    'Taco Lover',
+    'tacos',
+    'tacos sweatshirt',
+    'tacos lover',
+    'tacos gift',
+    'tacos crewneck',
+    'mexican food',
+    'mexican gift',
+    'mexican food lover',
+    'foodie gift',
+    'food lover gift',
+    'food sweatshirt'
+  ]);
+  assert.match(fixes[0], /^Added 11 tags to reach 13/);
+  assert.deepStrictEqual(listing.tags, ['Mexican Cuisine', 'Taco Lover'], 'the input listing is not changed');
+});
+
+test('fixEtsyListing trims the title and cleans, splits and de-duplicates tags', () => {
+  const listing = {
+    word: 'PASTA',
+    title: LONG_TITLE,
+    tags: ['Pasta & Pizza!', 'pasta', 'PASTA', 'oversized unisex sweatshirt', '!!!']
+  };
+
+  const { listing: fixed, fixes, violations } = fixEtsyListing(listing);
+
+  assert.deepStrictEqual(violations, []);
+  assert.ok(fixed.title.length <= 140);
+  assert.deepStrictEqual(fixed.tags.slice(0, 5), ['Pasta Pizza', 'pasta', 'oversized unisex', 'sweatshirt', 'pasta sweatshirt']);
+  assert.strictEqual(fixed.tags.length, 13);
+  assert.deepStrictEqual(fixes.slice(0, 6), [
+    `Trimmed title from ${LONG_TITLE.length} to ${fixed.title.length} characters`,
+    'Removed characters Etsy rejects from tag "Pasta & Pizza!" → "Pasta Pizza"',
+    'Dropped duplicate tag "PASTA"',
+    'Split tag "oversized unisex sweatshirt" into "oversized unisex", "sweatshirt"',
+    'Dropped tag "!!!" (no usable characters)',
+    'Added 9 tags to reach 13: pasta sweatshirt, pasta lover, pasta gift, pasta crewneck, foodie gift, food lover gift, ' +
+      'food sweatshirt, cozy sweatshirt, oversized sweatshirt'
+  ]);
+});
+
+test('fixEtsyListing pads with the tags of the listing\'s product type', () => {
+  const listing = { word: 'PASTA', title: 'PASTA Hoodie', tags: ['pasta'] };
+
+  const hoodie = fixEtsyListing({ ...listing, productType: 'hoodie' }).listing;
+  const tee = fixEtsyListing(listing, { productType: 'tee' }).listing;
+
+  assert.deepStrictEqual(hoodie.tags.slice(0, 5), ['pasta', 'pasta hoodie', 'pasta lover', 'pasta gift', 'pasta pullover']);
+  assert.ok(hoodie.tags.includes('food hoodie'));
+  assert.deepStrictEqual(tee.tags.slice(0, 5), ['pasta', 'pasta shirt', 'pasta lover', 'pasta gift', 'pasta tee']);
+  for (const tags of [hoodie.tags, tee.tags]) {
+    assert.strictEqual(tags.length, 13);
+    assert.ok(!tags.some(tag => /sweatshirt|crewneck/.test(tag)), `no sweatshirt tags in ${tags.join(', ')}`);
+  }
+});
+
+test('fixEtsyListing keeps the first 13 tags', () => {
+  const tags = Array.from({ length: 15 }, (_, i) => `tag ${i}`);
+
+  const { listing: fixed, fixes } = fixEtsyListing({ title: 'PASTA', tags });
+
+  assert.deepStrictEqual(fixed.tags, tags.slice(0, 13));
+  assert.deepStrictEqual(fixes, [
+    'Dropped tag "tag 13" (Etsy allows 13 tags)',
+    'Dropped tag "tag 14" (Etsy allows 13 tags)'
+  ]);
+});
+
+test('enforceEtsyListingRules returns the fixed listing and logs the fixes', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+
+  const fixed = enforceEtsyListingRules({ title: LONG_TITLE, tags: ['pasta'] }, { word: 'PASTA', cuisine: 'Italian' });
+
+  assert.deepStrictEqual(validateEtsyListing(fixed), []);
+  assert.strictEqual(fixed.tags.length, 13);
+  assert.match(log.mock.calls[0].arguments[0], /Fixed 2 Etsy rule issues in the PASTA listing/);
+});
+
+test('EtsyListingRulesError lists the rules a listing still breaks', () => {
+  const error = new EtsyListingRulesError('PASTA', ['title is 141 characters, Etsy allows 140']);
+
+  assert.ok(error instanceof Error);
+  assert.strictEqual(error.name, 'EtsyListingRulesError');
+  assert.strictEqual(error.message, "Listing for PASTA breaks Etsy's listing rules: title is 141 characters, Etsy allows 140");
+  assert.deepStrictEqual(error.violations, ['title is 141 characters, Etsy allows 140']);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runGc, collectReferences, findOrphans, cloudinaryPublicId, formatBytes } = require('../gc');
+const { cloudinary } = require('../cloudinaryUploader');
+const { createPrintfulClient } = require('../printfulClient');
+const { startPrintfulSimulator } = require('../printfulSimulator');
+const { tempDir } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const OLD = new Date(Date.now() - 30 * DAY).toISOString();
+const CLOUD = 'https://res.cloudinary.com/demo/image/upload';
+
+/**
+ * Start the Printful simulator with a product using one uploaded file, plus one unused file
+ * @param {Object} t - Test context
+ * @param {Object} [options] - Simulator options (see printfulSimulator.js)
+ * @returns {Promise<Object>} { client, state, usedFile, unusedFile }
+ */
+async function printfulStore(t, options = {}) {
+  const { server, state, baseURL } = await startPrintfulSimulator({ port: 0, ...options });
+  t.after(() => server.close());
+  const client = createPrintfulClient({ apiKey: 'test-key', baseURL, maxRetries: 0 });
+
+  const usedFile = await client.post('/files', { url: `${CLOUD}/v1/printful_uploads/PASTA/PASTA-aaaa.png` });
+  const unusedFile = await client.post('/files', { url: 'https://example.com/old-mockup.png', type: 'mockup' });
+  state.files.forEach((file) => {
+    file.created = Math.floor((Date.now() - 30 * DAY) / 1000);
+    file.size = 2048;
+  });
+  await client.post('/store/products', {
+    sync_product: { name: 'PASTA Sweatshirt' },
+    sync_variants: [{ variant_id: 5401, files: [{ id: usedFile.id, url: usedFile.url }] }]
+  });
+  return { client, state, usedFile, unusedFile };
+}
+
+/**
+ * Create manual-templates/ and product-info/ folders, removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} templates - File name to JSON content for manual-templates/
+ * @returns {Object} { templatesDir, productInfoDir, manifestPath }
+ */
+function localFiles(t, templates) {
+  const dir = tempDir(t, 'gc-');
+  const templatesDir = path.join(dir, 'manual-templates');
+  const productInfoDir = path.join(dir, 'product-info');
+  fs.mkdirSync(templatesDir);
+  fs.mkdirSync(productInfoDir);
+  Object.entries(templates).forEach(([name, content]) => fs.writeFileSync(path.join(templatesDir, name), JSON.stringify(content)));
+  return { templatesDir, productInfoDir, manifestPath: path.join(dir, 'storage-manifest.json') };
+}
+
+/**
+ * Mock the Cloudinary listing with resources
+ * @param {Object} t - Test context
+ * @param {Array<Object>} resources - Resources to list
+ */
+function cloudinaryAssets(t, resources) {
+  t.mock.method(cloudinary.api, 'resources', async () => ({ resources }));
+}
+
+test('cloudinaryPublicId reads the public ID from delivery URLs', () => {
+  assert.strictEqual(cloudinaryPublicId(`${CLOUD}/v1747066756/printful_uploads/PASTA.png`), 'printful_uploads/PASTA');
+  assert.strictEqual(cloudinaryPublicId(`${CLOUD}/e_trim/c_fit,h_4800,w_3600/v1/printful_uploads/PASTA/PASTA-aaaa.png`), 'printful_uploads/PASTA/PASTA-aaaa');
+  assert.strictEqual(cloudinaryPublicId(`${CLOUD}/c_fit,w_160/printful_uploads/TACOS.png?_a=1`), 'printful_uploads/TACOS');
+  assert.strictEqual(cloudinaryPublicId('https://example.com/PASTA.png'), null);
+});
+
+test('references come from templates, product info and live products', async (t) => {
+  const { client, usedFile } = await printfulStore(t);
+  const { templatesDir, productInfoDir } = localFiles(t, {
+    'PASTA.json': { word: 'PASTA', fileUrl: `${CLOUD}/v1747066756/printful_uploads/PASTA.png`, tags: ['PASTA Sweatshirt'] }
+  });
+  fs.writeFileSync(path.join(productInfoDir, 'pasta.json'), JSON.stringify({ imageUrl: `${CLOUD}/v2/printful_uploads/PASTA-mockup.png` }));
+
+  const references = await collectReferences({ templatesDir, productInfoDir, clients: [client] });
+
+  assert.strictEqual(references.products, 1);
+  assert.deepStrictEqual([...references.fileIds], [usedFile.id]);
+  assert.deepStrictEqual([...references.publicIds].sort(), ['printful_uploads/PASTA', 'printful_uploads/PASTA-mockup']);
+});
+
+test('orphans are unreferenced assets older than the minimum age', async (t) => {
+  const { client, unusedFile } = await printfulStore(t);
+  cloudinaryAssets(t, [
+    { public_id: 'printful_uploads/PASTA', bytes: 1000, created_at: OLD },
+    { public_id: 'printful_uploads/PASTA/PASTA-old', bytes: 3000, created_at: OLD },
+    { public_id: 'printful_uploads/TACOS/TACOS-new', bytes: 5000, created_at: new Date().toISOString() }
+  ]);
+  const { templatesDir, productInfoDir } = localFiles(t, { 'PASTA.json': { fileUrl: `${CLOUD}/v1/printful_uploads/PASTA.png` } });
+
+  const references = await collectReferences({ templatesDir, productInfoDir, clients: [client] });
+  const orphans = await findOrphans(references, { clients: [client] });
+
+  assert.deepStrictEqual(orphans.cloudinary.map(asset => asset.public_id), ['printful_uploads/PASTA/PASTA-old']);
+  assert.deepStrictEqual(orphans.printful.map(file => file.id), [unusedFile.id]);
+  assert.deepStrictEqual(orphans.kept, { referenced: 2, recent: 1 });
+});
+
+test('a dry run reports the reclaimable bytes and deletes nothing', async (t) => {
+  const logs = [];
+  t.mock.method(console, 'log', message => logs.push(message));
+  const { client, state } = await printfulStore(t);
+  cloudinaryAssets(t, [{ public_id: 'printful_uploads/PASTA/PASTA-old', bytes: 3072, created_at: OLD }]);
+  const deleteResources = t.mock.method(cloudinary.api, 'delete_resources', async () => ({ deleted: {} }));
+
+  const { orphans, result } = await runGc({ dryRun: true, clients: [client], ...localFiles(t, {}) });
+
+  assert.strictEqual(result, null);
+  assert.strictEqual(orphans.cloudinary.length + orphans.printful.length, 2);
+  assert.ok(logs.includes('  Reclaimable: 5.0 KB'));
+  assert.strictEqual(deleteResources.mock.callCount(), 0);
+  assert.strictEqual(state.files.length, 2);
+});
+
+test('declining the confirmation deletes nothing, --yes deletes the orphans', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { client, state, usedFile } = await printfulStore(t);
+  cloudinaryAssets(t, [{ public_id: 'printful_uploads/PASTA/PASTA-old', bytes: 3072, created_at: OLD }]);
+  const deleteResources = t.mock.method(cloudinary.api, 'delete_resources', async ids => ({
+    deleted: Object.fromEntries(ids.map(id => [id, 'deleted']))
+  }));
+
+  const { manifestPath, ...dirs } = localFiles(t, {});
+  fs.writeFileSync(manifestPath, JSON.stringify({ files: {
+    'export/PASTA.png': { sha256: 'old', backend: 'cloudinary', key: 'PASTA-old.png', url: `${CLOUD}/v1/printful_uploads/PASTA/PASTA-old.png` }
+  } }));
+
+  const declined = await runGc({ clients: [client], manifestPath, ...dirs, interactive: true, ask: async () => false });
+  assert.strictEqual(declined.result, null);
+  assert.strictEqual(deleteResources.mock.callCount(), 0);
+
+  const { result } = await runGc({ yes: true, clients: [client], manifestPath, ...dirs, interactive: false, ask: async () => assert.fail('--yes must not ask') });
+
+  assert.deepStrictEqual(deleteResources.mock.calls[0].arguments[0], ['printful_uploads/PASTA/PASTA-old']);
+  assert.strictEqual(result.bytes, 3072 + 2048);
+  assert.deepStrictEqual(result.failed, []);
+  assert.deepStrictEqual(state.files.map(file => file.id), [usedFile.id], 'the referenced file is kept');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).files, {}, 'deleted uploads are not reused');
+});
+
+test('a store whose file library is not listable is skipped, Cloudinary orphans are still deleted', async (t) => {
+  const logs = [];
+  t.mock.method(console, 'log', message => logs.push(message));
+  const { client, state } = await printfulStore(t, { unavailable: ['GET /files'] });
+  cloudinaryAssets(t, [{ public_id: 'printful_uploads/PASTA/PASTA-old', bytes: 3072, created_at: OLD }]);
+  const deleteResources = t.mock.method(cloudinary.api, 'delete_resources', async ids => ({
+    deleted: Object.fromEntries(ids.map(id => [id, 'deleted']))
+  }));
+
+  const { orphans, result } = await runGc({ yes: true, clients: [client], ...localFiles(t, {}) });
+
+  assert.deepStrictEqual(orphans.printful, []);
+  assert.strictEqual(orphans.skipped[0].source, 'manual store');
+  assert.match(orphans.skipped[0].reason, /^file library not listable \(.*GET \/files is not available/);
+  assert.ok(logs.some(line => /Skipped manual store: file library not listable/.test(line)));
+  assert.deepStrictEqual(deleteResources.mock.calls[0].arguments[0], ['printful_uploads/PASTA/PASTA-old']);
+  assert.deepStrictEqual(result.deleted, ['printful_uploads/PASTA/PASTA-old']);
+  assert.strictEqual(state.files.length, 2, 'no Printful file is deleted');
+});
+
+test('a store whose products are not readable keeps every Cloudinary asset', async (t) => {
+  const { client } = await printfulStore(t, { unavailable: ['GET /store/products'] });
+  cloudinaryAssets(t, [{ public_id: 'printful_uploads/PASTA/PASTA-old', bytes: 3072, created_at: OLD }]);
+
+  const references = await collectReferences({ ...localFiles(t, {}), clients: [client] });
+  const orphans = await findOrphans(references, { clients: [client] });
+
+  assert.deepStrictEqual(orphans.cloudinary, []);
+  assert.deepStrictEqual(orphans.printful, []);
+  assert.deepStrictEqual(orphans.skipped.map(entry => entry.source), ['Cloudinary', 'manual store']);
+});
+
+test('formatBytes uses binary units', () => {
+  assert.strictEqual(formatBytes(512), '512 B');
+  assert.strictEqual(formatBytes(1536), '1.5 KB');
+  assert.strictEqual(formatBytes(5 * 1024 * 1024), '5.0 MB');
+});
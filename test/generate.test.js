@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { hexToRgb, fillScriptTemplate, preflightBlockedWords, runPreflight } = require('../generate');
+const { createJournal } = require('../pipelineJournal');
+const { tempDir } = require('./helpers');
+
+/**
+ * Write a transparent design with an opaque block in the middle
+ * @param {string} filePath - Where to write the PNG
+ * @param {number} width - Width in px
+ * @param {number} height - Height in px
+ * @returns {Promise<void>}
+ */
+async function writeDesign(filePath, width, height) {
+  const block = { create: { width: width / 2, height: height / 2, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 1 } } };
+  await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite([{ input: block, left: width / 4, top: height / 4 }])
+    .png()
+    .toFile(filePath);
+}
+
+test('hexToRgb converts #RRGGBB and RRGGBB', () => {
+  assert.deepStrictEqual(hexToRgb('#C8102E'), { r: 200, g: 16, b: 46 });
+  assert.deepStrictEqual(hexToRgb('ffffff'), { r: 255, g: 255, b: 255 });
+  assert.deepStrictEqual(hexToRgb('#000000'), { r: 0, g: 0, b: 0 });
+});
+
+test('fillScriptTemplate fills every placeholder of baseTemplate.jsx', () => {
+  const template = fs.readFileSync(path.join(__dirname, '..', 'scripts', 'baseTemplate.jsx'), 'utf8');
+  const script = fillScriptTemplate(template, {
+    word: 'TACOS',
+    fill: '#C8102E',
+    stroke: '#FFFFFF',
+    strokeWeight: 3,
+    font: 'Varsity-Bold'
+  });
+
+  assert.doesNotMatch(script, /{{\w+}}/);
+  assert.match(script, /textLayer\.contents = "TACOS";/);
+  assert.match(script, /export\/TACOS\.png/);
+  assert.match(script, /fillColor\.red = 200;/);
+  assert.match(script, /fillColor\.blue = 46;/);
+  assert.match(script, /strokeColor\.green = 255;/);
+  assert.match(script, /strokeWeight = 3;/);
+  assert.match(script, /var fontName = "Varsity-Bold";/);
+});
+
+test('fillScriptTemplate leaves the font empty when the row has none', () => {
+  const script = fillScriptTemplate('var fontName = "{{FONT}}"; // {{WORD}} {{WORD}}', {
+    word: 'PASTA',
+    fill: '#000000',
+    stroke: '#000000',
+    strokeWeight: 2,
+    font: null
+  });
+
+  assert.strictEqual(script, 'var fontName = ""; // PASTA PASTA');
+});
+
+test('preflightBlockedWords blocks failed designs, and designs with warnings when strict', () => {
+  const report = { status: 'fail', passed: ['PASTA'], warned: ['TACOS'], failed: ['SUSHI'] };
+
+  assert.deepStrictEqual(preflightBlockedWords(report), ['SUSHI']);
+  assert.deepStrictEqual(preflightBlockedWords(report, true), ['SUSHI', 'TACOS']);
+  assert.deepStrictEqual(preflightBlockedWords({ status: 'pass', passed: ['PASTA'], warned: [], failed: [] }, true), []);
+});
+
+test('runPreflight records blocked words as failed at the preflight stage and the rest as done', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir(t, 'generate-preflight-');
+  // The "top" position box is 1800x900 px; TACOS is stretched to it, SUSHI is missing
+  await writeDesign(path.join(dir, 'PASTA.png'), 1800, 900);
+  await writeDesign(path.join(dir, 'TACOS.png'), 1800, 1000);
+  const rows = ['PASTA', 'TACOS', 'SUSHI'].map(word => ({ word, placement: 'top' }));
+
+  for (const strict of [false, true]) {
+    const journal = createJournal({ filePath: path.join(dir, `pipeline-state-${strict}.json`) });
+    journal.track(rows.map(row => row.word));
+
+    const report = await runPreflight(rows, journal, { strict, exportDir: dir });
+
+    assert.deepStrictEqual(report.warned, ['TACOS']);
+    const saved = JSON.parse(fs.readFileSync(journal.filePath, 'utf8')).words;
+    assert.strictEqual(journal.getStatus('PASTA', 'preflight'), 'done');
+    assert.strictEqual(journal.getStatus('SUSHI', 'preflight'), 'failed');
+    assert.match(saved.SUSHI.preflight.error, /file: .*SUSHI\.png does not exist/);
+    assert.strictEqual(journal.getStatus('TACOS', 'preflight'), strict ? 'failed' : 'done');
+    if (strict) {
+      assert.match(saved.TACOS.preflight.error, /^aspect: /);
+    }
+  }
+});
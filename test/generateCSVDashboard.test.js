@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const generateCSVDashboard = require('../generateCSVDashboard');
+const uploadCSVToGoogleSheet = require('../uploadCSVToGoogleSheet');
+const { DASHBOARD_COLUMNS } = require('../dashboardSchema');
+const { listingSourceHash } = require('../listingLocalizer');
+const { parseCsv } = require('../csv');
+const { tempDir, makeTemplatesDir } = require('./helpers');
+
+const TEMPLATES_DIR = path.join(__dirname, 'fixtures', 'manual-templates');
+const HEADERS = DASHBOARD_COLUMNS.map(column => column.header);
+
+/**
+ * Generate the dashboard and read it back
+ * @param {Object} t - Test context
+ * @param {string} templatesDir - Templates directory
+ * @returns {Promise<Array<Object>>} Rows keyed by header, plus the header row as headers
+ */
+async function readDashboard(t, templatesDir) {
+  const outputPath = path.join(tempDir(t, 'dashboard-'), 'dashboard.csv');
+  const result = await generateCSVDashboard({ templatesDir, outputPath });
+  assert.strictEqual(result, outputPath);
+
+  const [headers, ...rows] = parseCsv(fs.readFileSync(outputPath, 'utf8'));
+  const records = rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index]])));
+  records.headers = headers;
+  return records;
+}
+
+test('generateCSVDashboard writes one row per template in the declared column order', async (t) => {
+  const rows = await readDashboard(t, TEMPLATES_DIR);
+
+  assert.deepStrictEqual(rows.headers, HEADERS);
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[0].word, 'PASTA');
+  assert.strictEqual(rows[0].fileUrl, 'https://res.cloudinary.com/demo/image/upload/printful_uploads/PASTA.png');
+  assert.strictEqual(rows[0].tags, 'Italian Food');
+  assert.strictEqual(rows[0].position, '{"top":750,"left":0}');
+  assert.strictEqual(rows[0].cuisine, 'Italian');
+  assert.strictEqual(rows[0].description, '', 'columns a template lacks are empty');
+});
+
+test('generateCSVDashboard escapes quotes, joins arrays and empties nulls', async (t) => {
+  const outputPath = path.join(tempDir(t, 'dashboard-'), 'dashboard.csv');
+
+  await generateCSVDashboard({ templatesDir: TEMPLATES_DIR, outputPath });
+
+  const tacos = fs.readFileSync(outputPath, 'utf8').split('\r\n')[2];
+  assert.match(tacos, /"TACOS Sweatshirt - A ""Perfect"" Gift"/);
+  assert.match(tacos, /"Mexican Cuisine, Taco Lover"/);
+  assert.match(tacos, /"TACOS","TACOS Sweatshirt - A ""Perfect"" Gift","",/);
+});
+
+test('generateCSVDashboard keeps line breaks in descriptions', async (t) => {
+  const description = 'Ready to look cute?\n\n🌮 - DETAILS\n- 50% cotton, 50% polyester';
+  const templatesDir = makeTemplatesDir(t, [{ word: 'TACOS', title: 'TACOS', description, tags: [] }]);
+
+  const rows = await readDashboard(t, templatesDir);
+
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].description, description);
+});
+
+test('generateCSVDashboard returns null when there are no templates', async (t) => {
+  const emptyDir = makeTemplatesDir(t);
+
+  const result = await generateCSVDashboard({ templatesDir: emptyDir, outputPath: path.join(emptyDir, 'out.csv') });
+
+  assert.strictEqual(result, null);
+  assert.ok(!fs.existsSync(path.join(emptyDir, 'out.csv')));
+});
+
+test('generateCSVDashboard adds columns per locale and leaves out outdated translations', async (t) => {
+  const pasta = { word: 'PASTA', title: 'PASTA Sweatshirt', description: 'Cozy.', tags: ['pasta'] };
+  const tacos = { word: 'TACOS', title: 'TACOS Sweatshirt', description: 'Cozy.', tags: ['tacos'] };
+  const translation = (listing, title) => ({ title, description: 'Kuschelig.', tags: ['nudeln'], sourceHash: listingSourceHash(listing) });
+  const templatesDir = makeTemplatesDir(t, [
+    { ...pasta, translations: { de: translation(pasta, 'PASTA Pullover') } },
+    { ...tacos, translations: { fr: { ...translation(tacos, 'Sweat TACOS'), sourceHash: 'made-from-old-copy' } } }
+  ]);
+
+  const rows = await readDashboard(t, templatesDir);
+
+  assert.deepStrictEqual(rows.headers, [
+    ...HEADERS, 'title_de', 'description_de', 'tags_de', 'title_fr', 'description_fr', 'tags_fr'
+  ]);
+  assert.strictEqual(rows[0].title_de, 'PASTA Pullover');
+  assert.strictEqual(rows[0].description_de, 'Kuschelig.');
+  assert.strictEqual(rows[0].tags_de, 'nudeln');
+  assert.strictEqual(rows[0].title_fr, '');
+  assert.strictEqual(rows[1].title_fr, '');
+});
+
+test('uploadCSVToGoogleSheet sends the template rows without going through a CSV', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const updates = [];
+  t.mock.method(google.auth, 'GoogleAuth', function GoogleAuth() {});
+  t.mock.method(google, 'sheets', () => ({
+    spreadsheets: {
+      get: async () => ({ data: { sheets: [{ properties: { title: 'Dashboard' } }] } }),
+      values: { update: async (request) => updates.push(request) }
+    }
+  }));
+  const description = 'Line one, with a comma\n\nLine "two"';
+  const templatesDir = makeTemplatesDir(t, [{ word: 'TACOS', description, tags: ['a', 'b'] }]);
+
+  await uploadCSVToGoogleSheet({ templatesDir, spreadsheetId: 'sheet-id' });
+
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].range, 'Dashboard!A1');
+  const [headers, row] = updates[0].requestBody.values;
+  assert.deepStrictEqual(headers, HEADERS);
+  assert.strictEqual(row[headers.indexOf('description')], description);
+  assert.strictEqual(row[headers.indexOf('tags')], 'a, b');
+});
+
+// A rule added by hand, and the title highlight left by a previous formatted upload
+const HAND_RULE = { ranges: [{ sheetId: 7, startRowIndex: 0, startColumnIndex: 0, endColumnIndex: 1 }], booleanRule: { condition: { type: 'NOT_BLANK' } } };
+const TITLE_RULE = {
+  ranges: [{ sheetId: 7, startRowIndex: 1, endRowIndex: 3, startColumnIndex: 3, endColumnIndex: 4 }],
+  booleanRule: { condition: { type: 'CUSTOM_FORMULA', values: [{ userEnteredValue: '=LEN($D2)>140' }] } }
+};
+
+test('uploadCSVToGoogleSheet formats the sheet and keeps the statuses set in it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const updates = [];
+  const batches = [];
+  t.mock.method(google.auth, 'GoogleAuth', function GoogleAuth() {});
+  t.mock.method(google, 'sheets', () => ({
+    spreadsheets: {
+      get: async () => ({ data: { sheets: [{ properties: { title: 'Dashboard', sheetId: 7 }, conditionalFormats: [HAND_RULE, TITLE_RULE] }] } }),
+      batchUpdate: async (request) => batches.push(request),
+      values: {
+        get: async () => ({ data: { values: [['word', 'preview', 'status'], ['PASTA', '', 'listed']] } }),
+        update: async (request) => updates.push(request)
+      }
+    }
+  }));
+
+  await uploadCSVToGoogleSheet({ templatesDir: TEMPLATES_DIR, spreadsheetId: 'sheet-id', format: true });
+
+  assert.strictEqual(updates[0].valueInputOption, 'USER_ENTERED');
+  const [headers, pasta, tacos] = updates[0].requestBody.values;
+  assert.deepStrictEqual(headers.slice(0, 3), ['word', 'preview', 'status']);
+  assert.match(pasta[1], /^=IMAGE\("https:\/\/res\.cloudinary\.com\//);
+  assert.strictEqual(pasta[2], 'listed');
+  assert.strictEqual(tacos[2], 'draft');
+  assert.strictEqual(batches.length, 1);
+  const requests = batches[0].requestBody.requests;
+  assert.deepStrictEqual(requests.filter(request => request.deleteConditionalFormatRule), [{ deleteConditionalFormatRule: { sheetId: 7, index: 1 } }]);
+  assert.ok(requests.some(request => request.setDataValidation));
+});
@@ -0,0 +1,69 @@
+/**
+ * test/helpers.js
+ *
+ * Helpers shared by the test files: temporary directories, manual-templates folders and a
+ * scripted LLM provider.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a temporary directory, removed after the test
+ * @param {Object} t - Test context
+ * @param {string} [prefix='test-'] - Directory name prefix
+ * @returns {string} Directory path
+ */
+function tempDir(t, prefix = 'test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Save a manual-templates file
+ * @param {string} templatesDir - Templates directory
+ * @param {Object} template - Saved metadata, written to <word>.json
+ */
+function saveTemplate(templatesDir, template) {
+  fs.writeFileSync(path.join(templatesDir, `${template.word}.json`), JSON.stringify(template, null, 2));
+}
+
+/**
+ * Create a manual-templates directory, removed after the test
+ * @param {Object} t - Test context
+ * @param {Array<Object>} [templates=[]] - Templates to save
+ * @returns {string} Directory
+ */
+function makeTemplatesDir(t, templates = []) {
+  const dir = tempDir(t, 'manual-templates-');
+  templates.forEach(template => saveTemplate(dir, template));
+  return dir;
+}
+
+/**
+ * Provider that replies with the given messages in order and records its requests
+ * Each request is recorded with a copy of its messages, as they were when it was sent.
+ * @param {Array<string|Object>} replies - Reply text, or objects sent as JSON
+ * @returns {Object} Provider with a requests array
+ */
+function scriptedProvider(replies) {
+  const requests = [];
+  return {
+    name: 'scripted',
+    requests,
+    complete: async (request) => {
+      requests.push({ ...request, messages: [...request.messages] });
+      const reply = replies[requests.length - 1];
+      return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    }
+  };
+}
+
+module.exports = {
+  tempDir,
+  saveTemplate,
+  makeTemplatesDir,
+  scriptedProvider
+};
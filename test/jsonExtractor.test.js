@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractJson, repairJson, describeRepairs, JsonExtractionError } = require('../jsonExtractor');
+
+const REPLIES_DIR = path.join(__dirname, 'fixtures', 'llm-replies');
+
+// Listings and translations always have a title
+const hasTitle = (value) => typeof value.title === 'string';
+
+// One test per recorded reply: <name>.txt is the reply, <name>.expected.json the result or error
+for (const file of fs.readdirSync(REPLIES_DIR).filter(name => name.endsWith('.txt')).sort()) {
+  const name = path.basename(file, '.txt');
+
+  test(`extractJson handles the ${name} reply`, () => {
+    const reply = fs.readFileSync(path.join(REPLIES_DIR, file), 'utf8');
+    const expected = JSON.parse(fs.readFileSync(path.join(REPLIES_DIR, `${name}.expected.json`), 'utf8'));
+
+    if (expected.error) {
+      assert.throws(() => extractJson(reply, { accept: hasTitle }), (error) => {
+        assert.ok(error instanceof JsonExtractionError);
+        assert.ok(error.message.startsWith(expected.error), error.message);
+        return true;
+      });
+      return;
+    }
+
+    const result = extractJson(reply, { accept: hasTitle });
+    assert.deepStrictEqual(result.value, expected.value);
+    assert.deepStrictEqual(result.repairs, expected.repairs);
+  });
+}
+
+test('extractJson leaves curly quotes inside valid strings alone', () => {
+  const { value, repairs } = extractJson('{"title": "A “Perfect” Gift", "tags": []}');
+
+  assert.strictEqual(value.title, 'A “Perfect” Gift');
+  assert.deepStrictEqual(repairs, []);
+});
+
+test('extractJson takes the first object without an accept check and counts the others', () => {
+  const { value, candidates } = extractJson('{"a": 1} and {"b": 2}');
+
+  assert.deepStrictEqual(value, { a: 1 });
+  assert.strictEqual(candidates, 2);
+});
+
+test('extractJson reports why every object was rejected', () => {
+  assert.throws(
+    () => extractJson('{"word": "TACOS"} {"title": ', { accept: hasTitle }),
+    (error) => error.candidates === 1 && /JSON object is not usable/.test(error.message)
+  );
+});
+
+test('repairJson escapes quotes inside a string opened with a curly quote', () => {
+  const { text, repairs } = repairJson('{“intro”: “Say "ciao" to cozy!”}');
+
+  assert.deepStrictEqual(JSON.parse(text), { intro: 'Say "ciao" to cozy!' });
+  assert.deepStrictEqual(repairs, ['smart-quotes']);
+});
+
+test('describeRepairs turns repair names into a log line', () => {
+  assert.strictEqual(
+    describeRepairs(['code-fence', 'trailing-commas']),
+    'took the JSON out of a ``` code block, removed trailing commas'
+  );
+});
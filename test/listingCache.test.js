@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  getListing,
+  listingCacheKey,
+  writeCachedListing,
+  findNewestCachedListing
+} = require('../listingCache');
+const { tempDir, saveTemplate } = require('./helpers');
+
+/**
+ * Create empty cache and manual-templates directories, removed after the test
+ * @param {Object} t - Test context
+ * @returns {{cacheDir: string, templatesDir: string}} Directories
+ */
+function makeDirs(t) {
+  const root = tempDir(t, 'listing-cache-');
+  const templatesDir = path.join(root, 'manual-templates');
+  fs.mkdirSync(templatesDir);
+  return { cacheDir: path.join(root, '.listing-cache'), templatesDir };
+}
+
+/**
+ * Listing generator that counts its calls
+ * @returns {Function} Generator with a calls array
+ */
+function countingGenerator() {
+  const generate = async (word, options) => {
+    generate.calls.push({ word, options });
+    return { word, title: `${word} Sweatshirt #${generate.calls.length}`, description: 'Cozy.', tags: ['pasta'] };
+  };
+  generate.calls = [];
+  return generate;
+}
+
+const REVIEWED = { word: 'PASTA', title: 'Reviewed PASTA', description: 'Reviewed.', tags: ['pasta'], fileUrl: 'https://example.com/PASTA.png' };
+
+test('getListing generates once and then reads the cache', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+  const options = { ...dirs, generate, provider: 'stub', cuisine: 'Italian' };
+
+  const first = await getListing('PASTA', options);
+  const second = await getListing('PASTA', options);
+
+  assert.strictEqual(first.source, 'generated');
+  assert.strictEqual(second.source, 'cache');
+  assert.deepStrictEqual(second.listing, first.listing);
+  assert.strictEqual(generate.calls.length, 1);
+  assert.deepStrictEqual(generate.calls[0].options, { cuisine: 'Italian', productType: 'sweatshirt', provider: 'stub', model: undefined });
+});
+
+test('getListing misses the cache when the model or prompt inputs change', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+
+  await getListing('PASTA', { ...dirs, generate, provider: 'local', model: 'llama3.1' });
+  await getListing('PASTA', { ...dirs, generate, provider: 'local', model: 'qwen2.5' });
+  await getListing('PASTA', { ...dirs, generate, provider: 'local', model: 'qwen2.5', productType: 'tee' });
+  await getListing('PASTA', { ...dirs, generate, provider: 'local', model: 'qwen2.5', productType: 'tee' });
+
+  assert.strictEqual(generate.calls.length, 3);
+  assert.strictEqual(fs.readdirSync(dirs.cacheDir).length, 3);
+});
+
+test('listingCacheKey depends on the word, prompt version and model', () => {
+  const base = { word: 'PASTA', provider: 'openrouter', model: 'openai/gpt-4' };
+
+  assert.strictEqual(listingCacheKey(base), listingCacheKey({ ...base }));
+  assert.notStrictEqual(listingCacheKey(base), listingCacheKey({ ...base, word: 'TACOS' }));
+  assert.notStrictEqual(listingCacheKey(base), listingCacheKey({ ...base, promptVersion: 1 }));
+  assert.notStrictEqual(listingCacheKey(base), listingCacheKey({ ...base, model: 'openai/gpt-4o' }));
+  assert.match(listingCacheKey(base), /^[0-9a-f]{16}$/);
+});
+
+test('getListing with regenerate skips the cache and refreshes it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+
+  await getListing('PASTA', { ...dirs, generate, provider: 'stub' });
+  const regenerated = await getListing('PASTA', { ...dirs, generate, provider: 'stub', regenerate: true });
+  const cached = await getListing('PASTA', { ...dirs, generate, provider: 'stub' });
+
+  assert.strictEqual(regenerated.source, 'generated');
+  assert.strictEqual(cached.listing.title, 'PASTA Sweatshirt #2');
+  assert.strictEqual(generate.calls.length, 2);
+});
+
+test('getListing reuses an existing template with an empty cache and no flags', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+  saveTemplate(dirs.templatesDir, REVIEWED);
+
+  const kept = await getListing('PASTA', { ...dirs, generate, provider: 'stub' });
+  const otherModel = await getListing('PASTA', { ...dirs, generate, provider: 'local', model: 'qwen2.5' });
+
+  assert.strictEqual(kept.source, 'kept');
+  assert.deepStrictEqual(kept.listing, { word: 'PASTA', title: 'Reviewed PASTA', description: 'Reviewed.', tags: ['pasta'] });
+  assert.strictEqual(otherModel.source, 'kept', 'a new model does not replace reviewed copy either');
+  assert.strictEqual(generate.calls.length, 0);
+  assert.ok(!fs.existsSync(dirs.cacheDir), 'nothing is generated or cached');
+});
+
+test('getListing with regenerate replaces an existing template\'s copy', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+  saveTemplate(dirs.templatesDir, REVIEWED);
+
+  const { listing, source } = await getListing('PASTA', { ...dirs, generate, provider: 'stub', regenerate: true });
+
+  assert.strictEqual(source, 'generated');
+  assert.strictEqual(listing.title, 'PASTA Sweatshirt #1');
+});
+
+test('getListing with keep reuses the reviewed copy in manual-templates', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+  saveTemplate(dirs.templatesDir, REVIEWED);
+
+  const { listing, source } = await getListing('PASTA', { ...dirs, generate, keep: true });
+
+  assert.strictEqual(source, 'kept');
+  assert.deepStrictEqual(listing, { word: 'PASTA', title: 'Reviewed PASTA', description: 'Reviewed.', tags: ['pasta'] });
+  assert.strictEqual(generate.calls.length, 0);
+});
+
+test('getListing with keep falls back to the newest cached copy from any model', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+  await getListing('PASTA', { ...dirs, generate, provider: 'local', model: 'llama3.1' });
+
+  const { listing, source } = await getListing('PASTA', { ...dirs, generate, provider: 'openrouter', keep: true });
+
+  assert.strictEqual(source, 'kept');
+  assert.strictEqual(listing.title, 'PASTA Sweatshirt #1');
+  assert.strictEqual(generate.calls.length, 1);
+});
+
+test('getListing never replaces a locked listing, even when regenerating', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const dirs = makeDirs(t);
+  const generate = countingGenerator();
+  saveTemplate(dirs.templatesDir, { ...REVIEWED, locked: true });
+
+  const { listing, source } = await getListing('PASTA', { ...dirs, generate, regenerate: true });
+
+  assert.strictEqual(source, 'locked');
+  assert.strictEqual(listing.title, 'Reviewed PASTA');
+  assert.strictEqual(generate.calls.length, 0);
+  assert.match(log.mock.calls[0].arguments[0], /PASTA listing is locked, not regenerating it/);
+});
+
+test('getListing rejects a locked file without a listing', async (t) => {
+  const dirs = makeDirs(t);
+  saveTemplate(dirs.templatesDir, { word: 'PASTA', locked: true });
+
+  await assert.rejects(
+    getListing('PASTA', { ...dirs, generate: countingGenerator() }),
+    /manual-templates\/PASTA\.json is locked but has no title, description and tags/
+  );
+});
+
+test('findNewestCachedListing does not mix up words that share a prefix', (t) => {
+  const { cacheDir } = makeDirs(t);
+  writeCachedListing({ word: 'HOT-DOG', provider: 'stub', model: 'stub' }, { title: 'HOT-DOG' }, cacheDir);
+
+  assert.strictEqual(findNewestCachedListing('HOT', cacheDir), null);
+  assert.strictEqual(findNewestCachedListing('HOT-DOG', cacheDir).listing.title, 'HOT-DOG');
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  scoreListing,
+  rankListings,
+  generateBestListing,
+  saveListingCandidates,
+  readListingCandidates,
+  swapListingCandidate,
+  candidatesFilePath
+} = require('../listingCandidates');
+const { getListing } = require('../listingCache');
+const { makeTemplatesDir, saveTemplate } = require('./helpers');
+
+const SECTIONS = '🌮 - DETAILS\n\n🌮 - FAST PROCESSING\n\n🌮 - 100% SATISFACTION GUARANTEE\n\n🌮 - FEEDBACK';
+const TAGS = ['tacos', 'taco lover', 'mexican food', 'foodie gift', 'taco tuesday', 'taco sweatshirt', 'mexican gift',
+  'street food', 'food lover gift', 'cozy sweatshirt', 'unisex crewneck', 'chef gift', 'cooking gift'];
+
+const STRONG = {
+  word: 'TACOS',
+  title: 'TACOS Sweatshirt - Cute Oversized Unisex Crewneck, A Perfect Gift for TACOS Lovers and Mexican Cuisine Enthusiasts. Taco Tuesday Gift Idea',
+  description: `Cozy.\n\n${SECTIONS}`,
+  tags: TAGS
+};
+const WEAK = {
+  word: 'TACOS',
+  title: 'Cute Oversized Unisex Crewneck Sweatshirt for TACOS fans',
+  description: 'Cozy.\n\n🌮 - DETAILS',
+  tags: ['tacos', 'Tacos', 'taco & burrito lover']
+};
+
+/**
+ * Listing generator that returns the given listings (or throws the given errors) in order
+ * @param {Array<Object|Error>} results - Listings or errors
+ * @returns {Function} Generator
+ */
+function scriptedGenerator(results) {
+  let call = 0;
+  return async () => {
+    const result = results[call++];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+}
+
+test('scoreListing gives full points to a listing that passes every check', () => {
+  const { score, breakdown } = scoreListing(STRONG);
+
+  assert.strictEqual(breakdown.keywordPlacement, 25);
+  assert.strictEqual(breakdown.tagCoverage, 20);
+  assert.strictEqual(breakdown.tagUniqueness, 15);
+  assert.strictEqual(breakdown.sections, 20);
+  assert.strictEqual(breakdown.titleLength, Math.round(STRONG.title.length / 140 * 200) / 10);
+  assert.ok(score > 95);
+});
+
+test('scoreListing takes points off for each weak spot', () => {
+  const { breakdown } = scoreListing(WEAK);
+
+  assert.strictEqual(breakdown.keywordPlacement, 12.5, 'the word is past the first 40 characters');
+  assert.strictEqual(breakdown.tagCoverage, 3.1, '2 of 13 usable tags');
+  assert.strictEqual(breakdown.tagUniqueness, 10, '2 of 3 tags are unique');
+  assert.strictEqual(breakdown.sections, 5, '1 of 4 sections');
+});
+
+test('scoreListing gives no title points to a title over 140 characters', () => {
+  assert.strictEqual(scoreListing({ ...STRONG, title: `TACOS ${'x'.repeat(140)}` }).breakdown.titleLength, 0);
+});
+
+test('rankListings sorts best first and keeps the first of equal candidates', () => {
+  const ranked = rankListings([WEAK, STRONG, { ...STRONG }], 'TACOS');
+
+  assert.deepStrictEqual(ranked.map(entry => entry.candidate), [2, 3, 1]);
+});
+
+test('generateBestListing keeps the best candidate and returns the others', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  const result = await generateBestListing('TACOS', { count: 2, generate: scriptedGenerator([WEAK, STRONG]) });
+
+  assert.strictEqual(result.listing, STRONG);
+  assert.strictEqual(result.losers.length, 1);
+  assert.strictEqual(result.losers[0].listing, WEAK);
+  assert.ok(result.score > result.losers[0].score);
+});
+
+test('generateBestListing skips failed candidates and fails only when all fail', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const result = await generateBestListing('TACOS', {
+    count: 2,
+    generate: scriptedGenerator([new Error('still invalid'), WEAK])
+  });
+  assert.strictEqual(result.listing, WEAK);
+  assert.deepStrictEqual(result.losers, []);
+
+  await assert.rejects(
+    generateBestListing('TACOS', { count: 2, generate: scriptedGenerator([new Error('first'), new Error('second')]) }),
+    /second/
+  );
+});
+
+test('swapListingCandidate puts a candidate in manual-templates and keeps the old listing as a candidate', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const templatesDir = makeTemplatesDir(t);
+  const result = await generateBestListing('TACOS', { count: 2, generate: scriptedGenerator([STRONG, WEAK]) });
+  saveListingCandidates('TACOS', result, templatesDir);
+  saveTemplate(templatesDir, { ...STRONG, fileUrl: 'https://example.com/TACOS.png' });
+
+  const updated = swapListingCandidate('TACOS', 1, templatesDir);
+
+  assert.strictEqual(updated.title, WEAK.title);
+  assert.strictEqual(updated.fileUrl, 'https://example.com/TACOS.png');
+  assert.strictEqual(updated.locked, true);
+  const saved = readListingCandidates('TACOS', templatesDir);
+  assert.strictEqual(saved.candidates[0].listing.title, STRONG.title);
+  assert.strictEqual(saved.chosen.score, result.losers[0].score);
+  assert.throws(() => swapListingCandidate('TACOS', 2, templatesDir), /Candidate 2 does not exist for TACOS \(choose 1-1\)/);
+});
+
+test('getListing with candidates saves the losers next to manual-templates', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const templatesDir = makeTemplatesDir(t);
+  const cacheDir = path.join(templatesDir, '.listing-cache');
+
+  const { listing } = await getListing('TACOS', {
+    candidates: 3,
+    generate: scriptedGenerator([WEAK, STRONG, WEAK]),
+    provider: 'stub',
+    cacheDir,
+    templatesDir
+  });
+
+  assert.strictEqual(listing.title, STRONG.title);
+  assert.ok(fs.existsSync(candidatesFilePath('TACOS', templatesDir)));
+  assert.strictEqual(readListingCandidates('TACOS', templatesDir).candidates.length, 2);
+});
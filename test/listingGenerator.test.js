@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const axios = require('axios');
+const {
+  generateListing,
+  parseListingResponse,
+  validateListing,
+  extractField,
+  extractTags
+} = require('../listingGenerator');
+const { scriptedProvider } = require('./helpers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'openrouter');
+
+/**
+ * Load a recorded OpenRouter chat completion
+ * @param {string} name - Fixture name
+ * @returns {Object} Response body
+ */
+function loadFixture(name) {
+  return require(path.join(FIXTURES_DIR, `${name}.json`));
+}
+
+const VALID_REPLY = JSON.stringify({
+  title: 'PASTA Sweatshirt',
+  emojis: '🍝',
+  intro: 'Cozy.',
+  relatedFoods: ['lasagna'],
+  cuisine: 'Italian',
+  tags: ['pasta']
+});
+
+test('generateListing sends the prompt to OpenRouter and parses the reply', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: loadFixture('listing-clean') }));
+
+  const listing = await generateListing('TACOS', { cuisine: 'Mexican', provider: 'openrouter' });
+
+  assert.strictEqual(post.mock.callCount(), 1);
+  const [url, body] = post.mock.calls[0].arguments;
+  assert.strictEqual(url, 'https://openrouter.ai/api/v1/chat/completions');
+  assert.strictEqual(body.model, 'openai/gpt-4');
+  assert.match(body.messages[0].content, /says "TACOS"/);
+  assert.match(body.messages[0].content, /The cuisine is Mexican/);
+
+  assert.strictEqual(listing.word, 'TACOS');
+  assert.strictEqual(listing.emojis, '🌮🌶️🥑');
+  assert.deepStrictEqual(listing.tags.slice(0, 2), ['Mexican Cuisine', 'Taco Lover']);
+});
+
+test('generateListing builds the description from the template and the model\'s values', async (t) => {
+  t.mock.method(axios, 'post', async () => ({ data: loadFixture('listing-clean') }));
+
+  const listing = await generateListing('TACOS', { cuisine: 'Mexican', provider: 'openrouter' });
+
+  assert.strictEqual(listing.productType, 'sweatshirt');
+  assert.deepStrictEqual(listing.relatedFoods, ['enchiladas', 'chiles rellenos']);
+  assert.match(listing.description, /^🌮🌶️🥑 Ready to look cute and feel cozy\? Our "TACOS" sweatshirt is a nod to Mexican culture/);
+  assert.match(listing.description, /a fan of enchiladas, chiles rellenos, or other popular dishes/);
+  for (const section of ['DETAILS', 'FAST PROCESSING', '100% SATISFACTION GUARANTEE', 'FEEDBACK']) {
+    assert.ok(listing.description.includes(`🌮🌶️🥑 - ${section}`), `has the ${section} section`);
+  }
+  assert.doesNotMatch(listing.description, /\{\{/);
+});
+
+test('generateListing uses the product type\'s template and name', async () => {
+  const provider = scriptedProvider([VALID_REPLY]);
+
+  const listing = await generateListing('PASTA', { provider, productType: 'tee' });
+
+  assert.match(provider.requests[0].messages[0].content, /for a t-shirt that says "PASTA"/);
+  assert.match(provider.requests[0].messages[0].content, /PASTA T-Shirt - Soft Relaxed Unisex Tee, A Perfect Gift/);
+  assert.doesNotMatch(provider.requests[0].messages[0].content, /Crewneck/);
+  assert.match(listing.description, /Our "PASTA" tee is a nod to Italian culture/);
+  assert.match(listing.description, /100% combed and ring-spun cotton/);
+});
+
+test('generateListing keeps the cuisine from words.csv over the model\'s', async () => {
+  const provider = scriptedProvider([VALID_REPLY]);
+
+  const listing = await generateListing('PASTA', { provider, cuisine: 'Sicilian' });
+
+  assert.strictEqual(listing.cuisine, 'Sicilian');
+  assert.match(listing.description, /a nod to Sicilian culture/);
+});
+
+test('generateListing leaves out the cuisine hint without a cuisine', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: loadFixture('listing-clean') }));
+
+  await generateListing('TACOS', { provider: 'openrouter' });
+
+  assert.doesNotMatch(post.mock.calls[0].arguments[1].messages[0].content, /The cuisine is/);
+});
+
+test('generateListing uses the configured model and temperature on a local endpoint', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: loadFixture('listing-clean') }));
+  process.env.LLM_BASE_URL = 'http://127.0.0.1:8080/v1/';
+  t.after(() => { delete process.env.LLM_BASE_URL; });
+
+  await generateListing('TACOS', { provider: 'local', model: 'qwen2.5', temperature: 0.2 });
+
+  const [url, body] = post.mock.calls[0].arguments;
+  assert.strictEqual(url, 'http://127.0.0.1:8080/v1/chat/completions');
+  assert.strictEqual(body.model, 'qwen2.5');
+  assert.strictEqual(body.temperature, 0.2);
+});
+
+test('generateListing with the stub provider is offline and deterministic', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => { throw new Error('no network'); });
+
+  const first = await generateListing('PASTA', { cuisine: 'Italian', provider: 'stub' });
+  const second = await generateListing('PASTA', { cuisine: 'Italian', provider: 'stub' });
+
+  assert.strictEqual(post.mock.callCount(), 0);
+  assert.deepStrictEqual(first, second);
+  assert.deepStrictEqual(validateListing(first), []);
+  assert.match(first.title, /Italian/);
+});
+
+test('generateListing re-prompts with the validation errors', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = scriptedProvider([JSON.stringify({ title: 'PASTA', tags: [] }), VALID_REPLY]);
+
+  const listing = await generateListing('PASTA', { provider });
+
+  assert.strictEqual(listing.title, 'PASTA Sweatshirt');
+  assert.strictEqual(provider.requests.length, 2);
+  const retry = provider.requests[1].messages;
+  assert.strictEqual(retry.length, 3);
+  assert.strictEqual(retry[1].role, 'assistant');
+  assert.match(retry[2].content, /listing\.emojis is required/);
+  assert.match(retry[2].content, /listing\.relatedFoods is required/);
+  assert.match(retry[2].content, /listing\.tags must have at least 1 item/);
+});
+
+test('generateListing gives up after maxAttempts invalid replies', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = scriptedProvider(['no json here', 'still none']);
+
+  await assert.rejects(
+    generateListing('PASTA', { provider, maxAttempts: 2 }),
+    /Listing for PASTA is still invalid after 2 attempts: listing is not JSON \(Reply has no JSON object\)/
+  );
+  assert.strictEqual(provider.requests.length, 2);
+});
+
+test('validateListing reports wrong types and empty values', () => {
+  const reply = { title: ' ', emojis: '🍝', intro: 'x', relatedFoods: 'lasagna', cuisine: 'Italian', tags: ['ok', 3] };
+  assert.deepStrictEqual(validateListing(reply), [
+    'listing.title must not be empty',
+    'listing.relatedFoods must be an array, got string',
+    'listing.tags[1] must be a string, got number'
+  ]);
+  assert.deepStrictEqual(validateListing(null), ['listing must be an object, got null']);
+});
+
+test('parseListingResponse finds the JSON inside prose and code fences', () => {
+  const message = loadFixture('listing-with-prose').choices[0].message.content;
+
+  const listing = parseListingResponse(message, 'PASTA');
+
+  assert.strictEqual(listing.word, 'PASTA');
+  assert.match(listing.title, /^PASTA Sweatshirt/);
+  assert.deepStrictEqual(listing.tags, ['Italian Food', 'Pasta Lover', 'Foodie Gift']);
+});
+
+test('parseListingResponse repairs the JSON models break', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const message = loadFixture('listing-malformed').choices[0].message.content;
+
+  const listing = parseListingResponse(message, 'TOMATO');
+
+  assert.strictEqual(listing.word, 'TOMATO');
+  assert.strictEqual(listing.title, 'TOMATO Sweatshirt - Cute Oversized Unisex Crewneck');
+  assert.strictEqual(listing.emojis, '🍅🌿');
+  assert.strictEqual(listing.intro, 'Say "ciao" to cozy!');
+  assert.deepStrictEqual(listing.relatedFoods, ['bruschetta', 'caprese salad']);
+  assert.strictEqual(listing.cuisine, 'Italian');
+  assert.deepStrictEqual(listing.tags, ['Tomato Lover', 'Italian Food', 'Garden Gift']);
+});
+
+test('parseListingResponse throws on a reply without JSON or labels', () => {
+  assert.throws(() => parseListingResponse('Sorry, I cannot help with that.', 'PASTA'), {
+    name: 'JsonExtractionError',
+    message: 'Reply has no JSON object'
+  });
+});
+
+test('parseListingResponse reads "Title:" style replies', () => {
+  const reply = 'Title: PASTA Sweatshirt\n\nIntro: Cozy.\n\nRelated Foods: lasagna, carbonara\n\nCuisine: Italian\n\nTags: pasta, italian food';
+
+  const listing = parseListingResponse(reply, 'PASTA');
+
+  assert.deepStrictEqual(listing, {
+    word: 'PASTA',
+    title: 'PASTA Sweatshirt',
+    emojis: '',
+    intro: 'Cozy.',
+    relatedFoods: ['lasagna', 'carbonara'],
+    cuisine: 'Italian',
+    tags: ['pasta', 'italian food']
+  });
+});
+
+const REPLY = `Title: PASTA Sweatshirt - Cute Oversized Unisex Crewneck
+
+Description: Ready to look cute and feel cozy?
+our PASTA sweatshirt is a nod to Italian culture.
+Price: 29.99
+
+Tags: pasta lover, italian food , foodie gift,, cozy sweatshirt`;
+
+test('extractField returns a field up to the next blank line', () => {
+  assert.strictEqual(extractField('Title', REPLY), 'PASTA Sweatshirt - Cute Oversized Unisex Crewneck');
+});
+
+test('extractField keeps lowercase continuation lines and stops at the next label', () => {
+  assert.strictEqual(
+    extractField('Description', REPLY),
+    'Ready to look cute and feel cozy?\nour PASTA sweatshirt is a nod to Italian culture.'
+  );
+  assert.strictEqual(extractField('Price', REPLY), '29.99');
+});
+
+test('extractField returns an empty string for a missing field', () => {
+  assert.strictEqual(extractField('Materials', REPLY), '');
+});
+
+test('extractTags splits, trims and drops empty tags', () => {
+  assert.deepStrictEqual(extractTags(REPLY), ['pasta lover', 'italian food', 'foodie gift', 'cozy sweatshirt']);
+});
+
+test('extractTags returns no tags when the reply has none', () => {
+  assert.deepStrictEqual(extractTags('Title: PASTA'), []);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  localizeTemplate,
+  translateListing,
+  parseLocales,
+  listingSourceHash
+} = require('../listingLocalizer');
+const { scriptedProvider, makeTemplatesDir } = require('./helpers');
+
+const LISTING = {
+  word: 'TACOS',
+  title: 'TACOS Sweatshirt - Cute Oversized Unisex Crewneck',
+  description: 'Ready to look cute?\n\n🌮 - DETAILS\n\n🌮 - FEEDBACK',
+  tags: ['tacos', 'taco lover', 'mexican food']
+};
+const TACOS_TEMPLATE = { ...LISTING, fileUrl: 'https://example.com/TACOS.png' };
+const GERMAN = {
+  title: 'TACOS Pullover - Süßer Oversize Unisex Rundhals',
+  description: 'Bereit, süß auszusehen?\n\n🌮 - DETAILS\n\n🌮 - FEEDBACK',
+  tags: ['tacos', 'taco liebhaber', 'mexikanisches essen']
+};
+
+
+/**
+ * Read TACOS.json back
+ * @param {string} dir - Templates directory
+ * @returns {Object} Saved metadata
+ */
+function readTacos(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'TACOS.json'), 'utf8'));
+}
+
+test('parseLocales accepts supported locales and rejects the rest', () => {
+  assert.deepStrictEqual(parseLocales(' DE, fr,de '), ['de', 'fr']);
+  assert.throws(() => parseLocales('de,pt,nl'), /Unknown locales pt, nl \(supported: de, fr, es, it\)/);
+});
+
+test('translateListing returns the translation with its source hash and model', async () => {
+  const provider = scriptedProvider([`Here you go:\n${JSON.stringify(GERMAN)}`]);
+
+  const translation = await translateListing(LISTING, 'de', { provider, model: 'test-model' });
+
+  assert.strictEqual(translation.title, GERMAN.title);
+  assert.strictEqual(translation.description, GERMAN.description);
+  assert.deepStrictEqual(translation.tags, GERMAN.tags);
+  assert.strictEqual(translation.sourceHash, listingSourceHash(LISTING));
+  assert.strictEqual(translation.provider, 'scripted');
+  assert.strictEqual(translation.model, 'test-model');
+  assert.match(provider.requests[0].messages[0].content, /German-speaking Etsy storefront/);
+  assert.strictEqual(provider.requests[0].locale, 'de');
+});
+
+test('translateListing re-prompts when a paragraph goes missing', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = scriptedProvider([{ ...GERMAN, description: 'Bereit, süß auszusehen? 🌮 - DETAILS' }, GERMAN]);
+
+  const translation = await translateListing(LISTING, 'de', { provider });
+
+  assert.strictEqual(translation.description, GERMAN.description);
+  assert.strictEqual(provider.requests.length, 2);
+  assert.match(provider.requests[1].messages[2].content, /translation\.de\.description has 1 paragraphs, the English one has 3/);
+});
+
+test('translateListing applies the Etsy title and tag rules without English padding', async () => {
+  const provider = scriptedProvider([{
+    ...GERMAN,
+    title: `TACOS Pullover - ${'sehr gemütlich '.repeat(12)}`,
+    tags: ['tacos', 'tacos', 'taco & burrito liebhaber']
+  }]);
+
+  const translation = await translateListing(LISTING, 'de', { provider });
+
+  assert.ok(translation.title.length <= 140);
+  assert.deepStrictEqual(translation.tags, ['tacos', 'taco burrito', 'liebhaber']);
+});
+
+test('translateListing gives up after maxAttempts invalid replies', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = scriptedProvider(['Désolé', 'Désolé']);
+
+  await assert.rejects(
+    translateListing(LISTING, 'fr', { provider, maxAttempts: 2 }),
+    /French translation of TACOS is still invalid after 2 attempts: translation\.fr is not JSON \(Reply has no JSON object\)/
+  );
+});
+
+test('localizeTemplate saves translations and skips locales that are up to date', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = makeTemplatesDir(t, [TACOS_TEMPLATE]);
+  const provider = scriptedProvider([GERMAN, { ...GERMAN, title: 'Sweat TACOS' }, { ...GERMAN, title: 'TACOS Pullover 2' }]);
+
+  const first = await localizeTemplate('TACOS', { locales: ['de', 'fr'], templatesDir: dir, provider });
+  const second = await localizeTemplate('TACOS', { locales: ['de', 'fr'], templatesDir: dir, provider });
+  const forced = await localizeTemplate('TACOS', { locales: ['de'], templatesDir: dir, provider, force: true });
+
+  assert.deepStrictEqual(first.translated, ['de', 'fr']);
+  assert.deepStrictEqual(second, { translated: [], skipped: ['de', 'fr'], failed: [] });
+  assert.deepStrictEqual(forced.translated, ['de']);
+  const saved = readTacos(dir);
+  assert.strictEqual(saved.fileUrl, 'https://example.com/TACOS.png');
+  assert.strictEqual(saved.translations.de.title, 'TACOS Pullover 2');
+  assert.strictEqual(saved.translations.fr.title, 'Sweat TACOS');
+});
+
+test('localizeTemplate translates again when the English listing changed', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = makeTemplatesDir(t, [{
+    ...TACOS_TEMPLATE,
+    title: 'TACOS Sweatshirt - New Title',
+    translations: { de: { ...GERMAN, sourceHash: listingSourceHash(LISTING) } }
+  }]);
+  const provider = scriptedProvider([{ ...GERMAN, title: 'TACOS Pullover - Neuer Titel' }]);
+
+  const result = await localizeTemplate('TACOS', { locales: ['de'], templatesDir: dir, provider });
+
+  assert.deepStrictEqual(result.translated, ['de']);
+  assert.strictEqual(readTacos(dir).translations.de.title, 'TACOS Pullover - Neuer Titel');
+});
+
+test('localizeTemplate keeps finished locales when another one fails', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const dir = makeTemplatesDir(t, [TACOS_TEMPLATE]);
+  const provider = scriptedProvider([GERMAN, 'nope']);
+
+  const result = await localizeTemplate('TACOS', { locales: ['de', 'es'], templatesDir: dir, provider, maxAttempts: 1 });
+
+  assert.deepStrictEqual(result.translated, ['de']);
+  assert.strictEqual(result.failed[0].locale, 'es');
+  assert.deepStrictEqual(Object.keys(readTacos(dir).translations), ['de']);
+});
+
+test('translateListing works offline with the stub provider', async () => {
+  const translation = await translateListing(LISTING, 'it', { provider: 'stub' });
+
+  assert.strictEqual(translation.title, `[it] ${LISTING.title}`);
+  assert.strictEqual(translation.model, 'stub');
+});
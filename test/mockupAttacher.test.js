@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { attachMockups, colorFromMockupFile, groupVariantsByColor } = require('../mockupAttacher');
+const { createPrintfulClient } = require('../printfulClient');
+const { startPrintfulSimulator } = require('../printfulSimulator');
+const { resolveVariants, clearMemoryCache } = require('../variantResolver');
+const { tempDir } = require('./helpers');
+
+// 1x1 transparent PNG
+const PIXEL_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * Create a PASTA sweatshirt in black, forest green and sport grey (L and XL) on the simulator
+ * @param {Object} t - Test context
+ * @param {Object} [options] - Simulator options (see printfulSimulator.js)
+ * @returns {Promise<Object>} { api, state, syncProductId, variantIds, mockupsDir }
+ */
+async function sweatshirtProduct(t, options = {}) {
+  const { server, state, baseURL } = await startPrintfulSimulator({ port: 0, ...options });
+  t.after(() => server.close());
+  t.after(clearMemoryCache);
+  const api = createPrintfulClient({ apiKey: 'test-key', baseURL, maxRetries: 0 });
+  const root = tempDir(t, 'mockup-attacher-');
+
+  const variantIds = await resolveVariants(145, { colors: ['black', 'forest green', 'sport grey'], sizes: ['L', 'XL'] }, {
+    cacheDir: path.join(root, 'catalog-cache'),
+    offline: true
+  });
+  const product = await api.post('/store/products', {
+    sync_product: { name: 'PASTA Sweatshirt' },
+    sync_variants: Object.values(variantIds).map(variantId => ({ variant_id: variantId, retail_price: '29.99' }))
+  });
+
+  const mockupsDir = path.join(root, 'export-mockups', 'PASTA');
+  fs.mkdirSync(mockupsDir, { recursive: true });
+  return { api, state, syncProductId: product.id, variantIds, mockupsDir };
+}
+
+/**
+ * Write mockup files
+ * @param {string} dir - Mockup folder
+ * @param {Array<string>} names - File names
+ * @returns {Array<string>} File paths
+ */
+function writeMockups(dir, names) {
+  return names.map((name) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, PIXEL_PNG);
+    return filePath;
+  });
+}
+
+test('colorFromMockupFile and groupVariantsByColor use normalized color names', () => {
+  assert.strictEqual(colorFromMockupFile('PASTA', 'export-mockups/PASTA/PASTA-FOREST-GREEN.png'), 'forest green');
+  assert.strictEqual(colorFromMockupFile('HOT-DOG', 'HOT-DOG-SPORT-GREY.png'), 'sport grey');
+  assert.strictEqual(colorFromMockupFile('PASTA', 'TACOS-BLACK.png'), null);
+  assert.strictEqual(colorFromMockupFile('PASTA', 'PASTA-.png'), null);
+  assert.deepStrictEqual(groupVariantsByColor({ 'forest green-L': 5428, 'forest green-XL': 5429, 'black-2XL': 5405 }), {
+    'forest green': [5428, 5429],
+    black: [5405]
+  });
+});
+
+test('attachMockups uploads one mockup per color and attaches it to every size of that color', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { api, state, syncProductId, variantIds, mockupsDir } = await sweatshirtProduct(t);
+  const [forestGreen, sportGrey, maroon] = writeMockups(mockupsDir, [
+    'PASTA-FOREST-GREEN.png',
+    'PASTA-SPORT-GREY.png',
+    'PASTA-MAROON.png',
+    'TACOS-BLACK.png'
+  ]);
+  const mockupFiles = fs.readdirSync(mockupsDir).map(file => path.join(mockupsDir, file));
+
+  const report = await attachMockups({ api, syncProductId, word: 'PASTA', mockupFiles, variantIds });
+
+  assert.deepStrictEqual(report.colorsWithoutMockup, ['black']);
+  assert.deepStrictEqual(report.mockupsWithoutVariant, [{ color: 'maroon', file: maroon }]);
+  assert.deepStrictEqual(report.errors, []);
+  assert.deepStrictEqual(report.attached.map(({ color, file }) => ({ color, file })), [
+    { color: 'forest green', file: forestGreen },
+    { color: 'sport grey', file: sportGrey }
+  ]);
+  assert.strictEqual(state.files.length, 2, 'one upload per color');
+  assert.deepStrictEqual(state.files.map(file => file.filename), ['PASTA-FOREST-GREEN.png', 'PASTA-SPORT-GREY.png']);
+
+  const { sync_variants: syncVariants } = await api.get(`/store/products/${syncProductId}`);
+  const imageFor = variantId => syncVariants.find(syncVariant => syncVariant.variant_id === variantId).images;
+  const [greenFile, greyFile] = state.files;
+  for (const size of ['L', 'XL']) {
+    assert.deepStrictEqual(imageFor(variantIds[`forest green-${size}`]), [{ image_id: greenFile.id, position: 'front', url: greenFile.url }]);
+    assert.deepStrictEqual(imageFor(variantIds[`sport grey-${size}`]), [{ image_id: greyFile.id, position: 'front', url: greyFile.url }]);
+    assert.deepStrictEqual(imageFor(variantIds[`black-${size}`]), []);
+  }
+  assert.strictEqual(report.attached[0].syncVariantIds.length, 2);
+});
+
+test('attachMockups reports failed uploads and keeps going', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { api, syncProductId, variantIds, mockupsDir } = await sweatshirtProduct(t, { unavailable: ['POST /files'] });
+  const mockupFiles = writeMockups(mockupsDir, ['PASTA-FOREST-GREEN.png', 'PASTA-BLACK.png']);
+
+  const report = await attachMockups({ api, syncProductId, word: 'PASTA', mockupFiles, variantIds });
+
+  assert.deepStrictEqual(report.attached, []);
+  assert.deepStrictEqual(report.errors.map(({ color }) => color), ['forest green', 'black']);
+  assert.match(report.errors[0].error, /POST \/files is not available/);
+  assert.deepStrictEqual(report.colorsWithoutMockup, ['sport grey']);
+});
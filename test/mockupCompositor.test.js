@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { generateMockups, calculatePlacement, colorNameFromBlank } = require('../mockupCompositor');
+const { hasFailures } = require('../mockupLog');
+const { tempDir } = require('./helpers');
+
+const PRINT_AREA = { left: 10, top: 20, width: 100, height: 50 };
+
+/**
+ * Write a solid PNG
+ * @param {string} filePath - Where to write the PNG
+ * @param {number} width - Width in px
+ * @param {number} height - Height in px
+ * @param {Object} color - { r, g, b, alpha }
+ * @returns {Promise<void>}
+ */
+async function writeImage(filePath, width, height, color) {
+  await sharp({ create: { width, height, channels: 4, background: color } }).png().toFile(filePath);
+}
+
+test('calculatePlacement fits the design into the print area and positions it by the anchor', () => {
+  const place = (design, anchor, maxSize = 1800) => calculatePlacement(design, { printArea: PRINT_AREA, maxSize, anchor });
+  const square = { width: 200, height: 200 };
+  const wide = { width: 400, height: 50 };
+
+  // A square is limited by the print area height: 50x50 with 50px to spare horizontally
+  assert.deepStrictEqual(place(square, 'top-left'), { left: 10, top: 20, width: 50, height: 50 });
+  assert.deepStrictEqual(place(square, 'center'), { left: 35, top: 20, width: 50, height: 50 });
+  assert.deepStrictEqual(place(square, 'right'), { left: 60, top: 20, width: 50, height: 50 });
+  // A wide design is limited by the width: 100x13 with 37px to spare vertically
+  assert.deepStrictEqual(place(wide, 'top'), { left: 10, top: 20, width: 100, height: 13 });
+  assert.deepStrictEqual(place(wide, 'center'), { left: 10, top: 39, width: 100, height: 13 });
+  assert.deepStrictEqual(place(wide, 'bottom-right'), { left: 10, top: 57, width: 100, height: 13 });
+  // maxSize wins when it is smaller than the print area
+  assert.deepStrictEqual(place(square, 'bottom-left', 20), { left: 10, top: 50, width: 20, height: 20 });
+
+  assert.throws(() => place(square, 'middle'), /Unknown anchor "middle"/);
+});
+
+test('colorNameFromBlank matches the Photoshop color names', () => {
+  assert.strictEqual(colorNameFromBlank('Color - Forest Green.png'), 'FOREST-GREEN');
+  assert.strictEqual(colorNameFromBlank('sport grey.jpg'), 'SPORT-GREY');
+  assert.strictEqual(colorNameFromBlank('Black.jpeg'), 'BLACK');
+});
+
+test('generateMockups writes <WORD>-<COLOR>.png per blank with the design at its placement', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = tempDir(t, 'mockup-compositor-');
+  const [designsDir, blanksDir, outputDir, logDir] = ['export', 'mockup-blanks', 'export-mockups', 'logs'].map((name) => {
+    fs.mkdirSync(path.join(root, name));
+    return path.join(root, name);
+  });
+  await writeImage(path.join(designsDir, 'PASTA.png'), 40, 20, { r: 255, g: 0, b: 0, alpha: 1 });
+  await writeImage(path.join(blanksDir, 'Color - Forest Green.png'), 60, 60, { r: 34, g: 85, b: 51, alpha: 1 });
+  await writeImage(path.join(blanksDir, 'Sport Grey.png'), 60, 60, { r: 150, g: 150, b: 150, alpha: 1 });
+  fs.writeFileSync(path.join(blanksDir, 'notes.txt'), 'not a blank');
+  const spec = { printArea: { left: 10, top: 10, width: 40, height: 40 }, maxSize: 1800, anchor: 'top-left' };
+
+  const report = await generateMockups({ designsDir, blanksDir, outputDir, spec, logDir });
+
+  assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, 'PASTA')).sort(), ['PASTA-FOREST-GREEN.png', 'PASTA-SPORT-GREY.png']);
+  assert.strictEqual(hasFailures(report), false);
+  assert.deepStrictEqual(report.totals, { designs: 1, exported: 2, failed: 0 });
+  assert.strictEqual(path.dirname(report.logPath), logDir);
+
+  const { data, info } = await sharp(path.join(outputDir, 'PASTA', 'PASTA-FOREST-GREEN.png')).raw().toBuffer({ resolveWithObject: true });
+  const pixel = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+  assert.deepStrictEqual([info.width, info.height], [60, 60]);
+  assert.deepStrictEqual(pixel(10, 10), [255, 0, 0], 'the design starts at the print area corner');
+  assert.deepStrictEqual(pixel(49, 29), [255, 0, 0], 'and keeps its 40x20 size');
+  assert.deepStrictEqual(pixel(9, 10), [34, 85, 51]);
+  assert.deepStrictEqual(pixel(10, 30), [34, 85, 51]);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseMockupLog,
+  parseMockupEvents,
+  createMockupReport,
+  hasFailures,
+  archiveMockupLog,
+  printMockupReport,
+  MOCKUP_LOG_ARCHIVE_DIR
+} = require('../mockupLog');
+const { tempDir } = require('./helpers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'mockup-logs');
+
+/**
+ * Read a mockup log fixture
+ * @param {string} name - Fixture name without .jsonl
+ * @returns {string} Log content
+ */
+function readLog(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.jsonl`), 'utf8');
+}
+
+test('parseMockupEvents keeps the events and collects lines that are not events', () => {
+  const { events, malformedLines } = parseMockupEvents(`${readLog('finished')}\n[1, 2]\n{"design":"PASTA"}\r\n`);
+
+  assert.strictEqual(events.length, 13);
+  assert.strictEqual(events[0].type, 'generation_start');
+  assert.deepStrictEqual(malformedLines, ['{"type":"mockup_exported","design":"SUSHI","color":"BL', '[1, 2]', '{"design":"PASTA"}']);
+});
+
+test('a finished log reports exported mockups, failed colors and design errors per design', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const errors = t.mock.method(console, 'error', () => {});
+  const warnings = t.mock.method(console, 'warn', () => {});
+
+  const report = parseMockupLog(readLog('finished'));
+  printMockupReport(report);
+
+  assert.strictEqual(report.complete, true);
+  assert.strictEqual(report.durationMs, 3700);
+  assert.deepStrictEqual(report.totals, { designs: 3, exported: 3, failed: 2 });
+  assert.strictEqual(report.malformedLines.length, 1);
+
+  assert.deepStrictEqual(report.designs.PASTA.exported.map(mockup => mockup.color), ['BLACK', 'FOREST-GREEN']);
+  assert.deepStrictEqual(report.designs.PASTA.failed, []);
+  assert.strictEqual(report.designs.PASTA.completed, true);
+
+  assert.deepStrictEqual(report.designs.TACOS.failed, [{ color: 'FOREST-GREEN', error: 'Smart object layer not found' }]);
+  assert.deepStrictEqual(report.designs.SUSHI, {
+    design: 'SUSHI',
+    exported: [],
+    failed: [{ color: null, error: 'Cannot open SUSHI.png' }],
+    completed: false,
+    durationMs: 40
+  });
+  assert.strictEqual(hasFailures(report), true);
+
+  assert.deepStrictEqual(errors.mock.calls.map(call => call.arguments[0]), [
+    '  ❌ TACOS-FOREST-GREEN: Smart object layer not found',
+    '  ❌ SUSHI: Cannot open SUSHI.png'
+  ]);
+  assert.deepStrictEqual(warnings.mock.calls.map(call => call.arguments[0]), ['⚠️ Skipped 1 unreadable log lines']);
+});
+
+test('a log without generation_complete is a failure even when no mockup failed', () => {
+  const report = parseMockupLog(readLog('interrupted'));
+
+  assert.strictEqual(report.complete, false);
+  assert.strictEqual(report.durationMs, null);
+  assert.deepStrictEqual(report.totals, { designs: 2, exported: 3, failed: 0 });
+  assert.strictEqual(report.designs.PASTA.completed, true);
+  assert.strictEqual(report.designs.TACOS.completed, false);
+  assert.strictEqual(hasFailures(report), true);
+});
+
+test('hasFailures is false only for a finished run without errors', () => {
+  const events = [
+    { type: 'design_start', design: 'PASTA' },
+    { type: 'mockup_exported', design: 'PASTA', color: 'BLACK', output: 'PASTA-BLACK.png', durationMs: 10 },
+    { type: 'design_complete', design: 'PASTA', durationMs: 10 },
+    { type: 'generation_complete', durationMs: 20 }
+  ];
+
+  assert.strictEqual(hasFailures(createMockupReport(events)), false);
+  assert.strictEqual(hasFailures(createMockupReport([{ type: 'generation_error', error: 'No PNG files found in /export/' }, events[3]])), true);
+});
+
+test('archiveMockupLog moves the log into a new file in the archive folder', (t) => {
+  const dir = tempDir(t, 'mockup-log-');
+  const logPath = path.join(dir, 'mockup_generation.log');
+  const archiveDir = path.join(dir, 'logs', 'mockups');
+  fs.writeFileSync(logPath, readLog('finished'));
+
+  const archivePath = archiveMockupLog(logPath, archiveDir);
+
+  assert.strictEqual(path.dirname(archivePath), archiveDir);
+  assert.match(path.basename(archivePath), /^mockup-generation-\d{4}-\d{2}-\d{2}T[\d-]+Z\.jsonl$/);
+  assert.strictEqual(fs.readFileSync(archivePath, 'utf8'), readLog('finished'));
+  assert.ok(!fs.existsSync(logPath), 'the log is removed so the next run starts a new one');
+  assert.strictEqual(MOCKUP_LOG_ARCHIVE_DIR, path.join(__dirname, '..', 'logs', 'mockups'));
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createJournal, printJournalSummary, STAGES } = require('../pipelineJournal');
+const { tempDir } = require('./helpers');
+
+/**
+ * Get a journal file path in a temporary directory
+ * @param {Object} t - Test context
+ * @returns {string} Path to pipeline-state.json
+ */
+function journalPath(t) {
+  return path.join(tempDir(t, 'pipeline-journal-'), 'pipeline-state.json');
+}
+
+/**
+ * Read a journal file from disk
+ * @param {string} filePath - Path to the journal file
+ * @returns {Object} Journal data
+ */
+function readJournal(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+test('markDone and markFailed are written to pipeline-state.json right away', (t) => {
+  const filePath = journalPath(t);
+  const journal = createJournal({ filePath });
+
+  journal.track(['PASTA', 'TACOS']);
+  assert.deepStrictEqual(Object.keys(readJournal(filePath).words.PASTA), STAGES);
+  assert.ok(STAGES.every(stage => readJournal(filePath).words.PASTA[stage].status === 'pending'));
+
+  journal.markDone('PASTA', 'cloudinary', { fileUrl: 'https://example.com/PASTA.png' });
+  journal.markFailed('TACOS', 'listing', new Error('Model returned no JSON'));
+  journal.markFailed('TACOS', 'product', 'Store is platform-based');
+
+  const { words } = readJournal(filePath);
+  assert.strictEqual(words.PASTA.cloudinary.status, 'done');
+  assert.deepStrictEqual(words.PASTA.cloudinary.data, { fileUrl: 'https://example.com/PASTA.png' });
+  assert.ok(!('data' in words.PASTA.design));
+  assert.deepStrictEqual([words.TACOS.listing.status, words.TACOS.listing.error], ['failed', 'Model returned no JSON']);
+  assert.strictEqual(words.TACOS.product.error, 'Store is platform-based');
+  assert.ok(words.TACOS.product.updatedAt);
+  assert.throws(() => journal.markDone('PASTA', 'shipping'), /Unknown pipeline stage: shipping/);
+});
+
+test('shouldSkip is only true for completed stages when resuming', (t) => {
+  const filePath = journalPath(t);
+  const first = createJournal({ filePath });
+  first.track(['PASTA']);
+  first.markDone('PASTA', 'design');
+  first.markFailed('PASTA', 'mockups', 'Smart object layer not found');
+
+  const normal = createJournal({ filePath });
+  const resumed = createJournal({ filePath, resume: true });
+
+  assert.strictEqual(normal.shouldSkip('PASTA', 'design'), false, 'a normal run redoes every stage');
+  assert.strictEqual(resumed.shouldSkip('PASTA', 'design'), true);
+  assert.strictEqual(resumed.shouldSkip('PASTA', 'mockups'), false, 'failed stages are retried');
+  assert.strictEqual(resumed.shouldSkip('PASTA', 'listing'), false, 'pending stages are run');
+  assert.strictEqual(resumed.shouldSkip('TACOS', 'design'), false, 'unknown words are run');
+});
+
+test('a resumed journal reloads the words, stage data and start time of the previous run', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const filePath = journalPath(t);
+  const first = createJournal({ filePath });
+  first.track(['PASTA', 'TACOS']);
+  first.markDone('PASTA', 'listing', { title: 'PASTA Sweatshirt' });
+  const { startedAt } = readJournal(filePath);
+
+  const resumed = createJournal({ filePath, resume: true });
+  resumed.markDone('TACOS', 'design');
+
+  assert.deepStrictEqual(resumed.words(), ['PASTA', 'TACOS']);
+  assert.strictEqual(resumed.getStatus('PASTA', 'listing'), 'done');
+  assert.deepStrictEqual(resumed.getData('PASTA', 'listing'), { title: 'PASTA Sweatshirt' });
+  assert.strictEqual(resumed.getData('PASTA', 'product'), null);
+  assert.strictEqual(resumed.getStatus('SUSHI', 'design'), 'pending');
+
+  const saved = readJournal(filePath);
+  assert.strictEqual(saved.startedAt, startedAt);
+  assert.strictEqual(saved.words.PASTA.listing.status, 'done', 'the previous run is kept when saving');
+  assert.strictEqual(saved.words.TACOS.design.status, 'done');
+
+  assert.deepStrictEqual(createJournal({ filePath }).words(), [], 'a normal run starts a fresh journal');
+  fs.writeFileSync(filePath, '{"words": ');
+  assert.deepStrictEqual(createJournal({ filePath, resume: true }).words(), [], 'an unreadable journal starts over');
+});
+
+test('summary groups each word\'s stages by status', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const journal = createJournal({ filePath: journalPath(t) });
+  journal.track(['PASTA']);
+  journal.markDone('PASTA', 'design');
+  journal.markDone('PASTA', 'preflight');
+  journal.markFailed('PASTA', 'mockups', 'Smart object layer not found');
+
+  assert.deepStrictEqual(journal.summary(), [{
+    word: 'PASTA',
+    done: ['design', 'preflight'],
+    failed: ['mockups'],
+    pending: ['cloudinary', 'listing', 'product', 'dashboard']
+  }]);
+
+  printJournalSummary(journal);
+  assert.strictEqual(
+    log.mock.calls[1].arguments[0],
+    '  PASTA: ✅ 2/7 done | ❌ failed: mockups | ⏳ pending: cloudinary, listing, product, dashboard'
+  );
+});
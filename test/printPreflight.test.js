@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sharp = require('sharp');
+const { preflightDesign, preflightDesigns, printPreflightReport } = require('../printPreflight');
+const { tempDir } = require('./helpers');
+
+// A small position box keeps the generated designs small: 200x100 px at 50 DPI
+const POSITION = { width: 200, height: 100, top: 0, left: 0 };
+const DPI = 50;
+
+/**
+ * Write a design: a transparent canvas with an opaque block in the middle
+ * @param {string} filePath - Where to write the PNG
+ * @param {Object} [options] - Design options
+ * @param {number} [options.width=200] - Canvas width
+ * @param {number} [options.height=100] - Canvas height
+ * @param {number} [options.background=0] - Background alpha (0-255)
+ * @param {boolean} [options.block=true] - Draw the opaque block
+ * @param {number} [options.haloAlpha] - Alpha of faint specks scattered over the background
+ * @param {boolean} [options.alpha=true] - Keep the alpha channel
+ * @returns {Promise<string>} The file path
+ */
+async function writeDesign(filePath, {
+  width = 200,
+  height = 100,
+  background = 0,
+  block = true,
+  haloAlpha = null,
+  alpha = true
+} = {}) {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const inBlock = block && x >= width / 4 && x < (width * 3) / 4 && y >= height / 4 && y < (height * 3) / 4;
+      const speck = haloAlpha !== null && !inBlock && x % 10 === 0 && y % 10 === 0;
+      pixels[i + 3] = inBlock ? 255 : speck ? haloAlpha : background;
+    }
+  }
+  let image = sharp(pixels, { raw: { width, height, channels: 4 } });
+  if (!alpha) {
+    image = image.flatten({ background: '#ffffff' });
+  }
+  await image.png().toFile(filePath);
+  return filePath;
+}
+
+/**
+ * Find a check in a result
+ * @param {Object} result - preflightDesign() result
+ * @param {string} name - Check name
+ * @returns {Object} The check
+ */
+function checkNamed(result, name) {
+  return result.checks.find(check => check.name === name);
+}
+
+test('a transparent design the size of its box passes', async (t) => {
+  const file = await writeDesign(path.join(tempDir(t, 'preflight-'), 'PASTA.png'));
+
+  const result = await preflightDesign(file, { position: POSITION, dpi: DPI });
+
+  assert.strictEqual(result.status, 'pass');
+  assert.strictEqual(result.effectiveDpi, 50);
+  assert.deepStrictEqual(result.checks.map(check => check.name), ['format', 'size', 'aspect', 'transparency', 'halo']);
+});
+
+test('small designs warn and very small designs fail', async (t) => {
+  const dir = tempDir(t, 'preflight-');
+  const small = await writeDesign(path.join(dir, 'SMALL.png'), { width: 160, height: 80 });
+  const tiny = await writeDesign(path.join(dir, 'TINY.png'), { width: 60, height: 30 });
+
+  const smallResult = await preflightDesign(small, { position: POSITION, dpi: DPI });
+  const tinyResult = await preflightDesign(tiny, { position: POSITION, dpi: DPI });
+
+  assert.strictEqual(checkNamed(smallResult, 'size').status, 'warn');
+  assert.strictEqual(smallResult.effectiveDpi, 40);
+  assert.strictEqual(checkNamed(tinyResult, 'size').status, 'fail');
+  assert.match(checkNamed(tinyResult, 'size').message, /prints at 15 DPI; needs 200x100 px/);
+});
+
+test('a design with another shape than its box warns that it is stretched', async (t) => {
+  const file = await writeDesign(path.join(tempDir(t, 'preflight-'), 'TALL.png'), { width: 200, height: 200 });
+
+  const result = await preflightDesign(file, { position: POSITION, dpi: DPI });
+
+  assert.strictEqual(result.status, 'warn');
+  assert.match(checkNamed(result, 'aspect').message, /is 1.00:1 but the position box is 2.00:1/);
+});
+
+test('designs without a transparent background or without artwork fail', async (t) => {
+  const dir = tempDir(t, 'preflight-');
+  const noAlpha = await writeDesign(path.join(dir, 'FLAT.png'), { alpha: false });
+  const opaque = await writeDesign(path.join(dir, 'OPAQUE.png'), { background: 255 });
+  const empty = await writeDesign(path.join(dir, 'EMPTY.png'), { block: false });
+
+  const results = await Promise.all([noAlpha, opaque, empty].map(file => preflightDesign(file, { position: POSITION, dpi: DPI })));
+
+  assert.deepStrictEqual(results.map(result => result.status), ['fail', 'fail', 'fail']);
+  assert.match(checkNamed(results[0], 'transparency').message, /no alpha channel/);
+  assert.match(checkNamed(results[1], 'transparency').message, /no transparent pixels/);
+  assert.match(checkNamed(results[2], 'transparency').message, /completely transparent/);
+});
+
+test('faint pixels away from the artwork warn as halo', async (t) => {
+  const dir = tempDir(t, 'preflight-');
+  const hazy = await writeDesign(path.join(dir, 'HAZY.png'), { haloAlpha: 20 });
+  const shadowed = await writeDesign(path.join(dir, 'SHADOW.png'), { haloAlpha: 200 });
+
+  const hazyResult = await preflightDesign(hazy, { position: POSITION, dpi: DPI });
+  const shadowedResult = await preflightDesign(shadowed, { position: POSITION, dpi: DPI });
+
+  assert.strictEqual(checkNamed(hazyResult, 'halo').status, 'warn');
+  assert.strictEqual(checkNamed(shadowedResult, 'halo').status, 'pass', 'solid specks are artwork, not halo');
+});
+
+test('preflightDesigns reports every word and fails on a missing design', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir(t, 'preflight-');
+  // The "top" position box is 1800x900 px of the 150 DPI front print area
+  await writeDesign(path.join(dir, 'PASTA.png'), { width: 1800, height: 900 });
+
+  const report = await preflightDesigns([{ word: 'PASTA', placement: 'top' }, { word: 'TACOS', placement: 'top' }], { exportDir: dir });
+  printPreflightReport(report);
+
+  assert.strictEqual(report.status, 'fail');
+  assert.strictEqual(report.designs.PASTA.status, 'pass');
+  assert.deepStrictEqual(report.passed, ['PASTA']);
+  assert.deepStrictEqual(report.failed, ['TACOS']);
+  assert.match(checkNamed(report.designs.TACOS, 'file').message, /TACOS.png does not exist/);
+});
@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  createPrintfulClient,
+  getBackoffDelay,
+  parseRetryAfter,
+  PrintfulError,
+  PrintfulAuthError,
+  PrintfulRateLimitError,
+  PrintfulValidationError,
+  PrintfulPlatformStoreError
+} = require('../printfulClient');
+
+/**
+ * Start a local HTTP server that answers with the given responses in order
+ * @param {Object} t - Test context
+ * @param {Array<Object|Function>} responses - { status, body, headers }, or (req, res) => void to answer by hand;
+ *   the last one repeats
+ * @returns {Promise<Object>} { baseURL, requests } - requests holds { method, url, headers } per request
+ */
+async function startServer(t, responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    const response = responses[Math.min(requests.length, responses.length) - 1];
+    req.resume();
+    if (typeof response === 'function') {
+      response(req, res);
+      return;
+    }
+    const { status = 200, body = { code: status, result: {} }, headers = {} } = response;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { baseURL: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+/**
+ * Create a client for a local server that retries without waiting
+ * @param {string} baseURL - Server URL
+ * @param {Object} [options] - Extra client options
+ * @returns {Object} Printful client
+ */
+function testClient(baseURL, options = {}) {
+  return createPrintfulClient({ apiKey: 'test-key', storeId: 42, baseURL, maxRetries: 2, baseDelay: 1, maxDelay: 5, ...options });
+}
+
+const SERVER_ERROR = { status: 502, body: { code: 502, error: { message: 'Bad gateway' } } };
+const OK = { status: 200, body: { code: 200, result: { id: 1 } } };
+
+test('GET, PUT and DELETE are retried after server errors', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { baseURL, requests } = await startServer(t, [SERVER_ERROR, OK]);
+  const client = testClient(baseURL);
+
+  assert.deepStrictEqual(await client.get('/store/products/1'), { id: 1 });
+  assert.deepStrictEqual(await client.put('/store/products/1', { name: 'PASTA' }), { id: 1 });
+  assert.deepStrictEqual(await client.delete('/store/products/1'), { id: 1 });
+
+  assert.deepStrictEqual(requests.map(request => request.method), ['GET', 'GET', 'PUT', 'DELETE']);
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer test-key');
+  assert.strictEqual(requests[0].headers['x-pf-store-id'], '42');
+});
+
+test('POST is not retried after a server error or a dropped connection', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const failing = await startServer(t, [SERVER_ERROR, OK]);
+  const dropping = await startServer(t, [(req, res) => res.destroy(), OK]);
+
+  await assert.rejects(testClient(failing.baseURL).post('/store/products', {}), (error) => {
+    assert.ok(error instanceof PrintfulError);
+    assert.strictEqual(error.status, 502);
+    return true;
+  });
+  await assert.rejects(testClient(dropping.baseURL).post('/files', { url: 'https://example.com/PASTA.png' }), /POST \/files failed/);
+
+  assert.strictEqual(failing.requests.length, 1, 'the product is created at most once');
+  assert.strictEqual(dropping.requests.length, 1, 'the file is added at most once');
+});
+
+test('POST is retried on 429 and when the connection was refused', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const { baseURL, requests } = await startServer(t, [
+    { status: 429, body: { code: 429, error: { message: 'Too many requests' } }, headers: { 'Retry-After': '0' } },
+    OK
+  ]);
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const closedURL = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+
+  assert.deepStrictEqual(await testClient(baseURL).post('/store/products', {}), { id: 1 });
+  assert.strictEqual(requests.length, 2);
+
+  log.mock.resetCalls();
+  await assert.rejects(testClient(closedURL).post('/store/products', {}), error => error.code === 'ECONNREFUSED');
+  assert.strictEqual(log.mock.calls.filter(call => /Retrying/.test(call.arguments[0])).length, 2);
+});
+
+test('getBackoffDelay doubles per attempt, stays within half and all of the delay and is capped', (t) => {
+  const random = t.mock.method(Math, 'random', () => 0);
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => getBackoffDelay(attempt, 1000, 30000)), [500, 1000, 2000, 4000]);
+  assert.strictEqual(getBackoffDelay(10, 1000, 30000), 15000, 'capped at maxDelay before the jitter');
+
+  random.mock.mockImplementation(() => 0.999999);
+  assert.deepStrictEqual([1, 2, 3].map(attempt => getBackoffDelay(attempt, 1000, 30000)), [1000, 2000, 4000]);
+  assert.strictEqual(getBackoffDelay(10, 1000, 30000), 30000);
+
+  random.mock.restore();
+  for (let i = 0; i < 50; i++) {
+    const delay = getBackoffDelay(3, 1000, 30000);
+    assert.ok(delay >= 2000 && delay <= 4000, `${delay} is between 2000 and 4000`);
+  }
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.strictEqual(parseRetryAfter('5'), 5000);
+  assert.strictEqual(parseRetryAfter('0'), 0);
+  assert.strictEqual(parseRetryAfter(''), null);
+  assert.strictEqual(parseRetryAfter(undefined), null);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+  assert.strictEqual(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0, 'dates in the past mean now');
+
+  const delay = parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+  assert.ok(delay > 28000 && delay <= 30000, `${delay} is about 30 seconds`);
+});
+
+test('a 429 waits for Retry-After, and throws PrintfulRateLimitError when it persists', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const RATE_LIMITED = { status: 429, body: { code: 429, error: { message: 'Too many requests' } }, headers: { 'Retry-After': '1' } };
+  const recovering = await startServer(t, [RATE_LIMITED, OK]);
+  const limited = await startServer(t, [RATE_LIMITED]);
+
+  const started = Date.now();
+  assert.deepStrictEqual(await testClient(recovering.baseURL, { maxDelay: 60000 }).get('/store'), { id: 1 });
+  assert.ok(Date.now() - started >= 900, 'waited for the Retry-After delay, not the backoff');
+  assert.ok(log.mock.calls.some(call => call.arguments[0] === '⏳ Retrying in 1.0 seconds (retry 1/2)...'));
+
+  await assert.rejects(testClient(limited.baseURL, { maxRetries: 0 }).get('/store'), (error) => {
+    assert.ok(error instanceof PrintfulRateLimitError);
+    assert.strictEqual(error.retryAfter, 1000);
+    return true;
+  });
+});
+
+test('paginate follows offset and limit until paging.total items are loaded', async (t) => {
+  const items = ['a', 'b', 'c', 'd', 'e'].map(name => ({ name }));
+  const { baseURL, requests } = await startServer(t, [(req, res) => {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const offset = Number(query.get('offset'));
+    const limit = Number(query.get('limit'));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ code: 200, result: items.slice(offset, offset + limit), paging: { total: items.length, offset, limit } }));
+  }]);
+
+  const all = await testClient(baseURL).paginate('/files', { type: 'default' }, 2);
+
+  assert.deepStrictEqual(all, items);
+  assert.deepStrictEqual(requests.map(request => request.url), [
+    '/files?type=default&offset=0&limit=2',
+    '/files?type=default&offset=2&limit=2',
+    '/files?type=default&offset=4&limit=2'
+  ]);
+});
+
+test('failed requests become typed errors', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const cases = [
+    [401, 'Invalid token', PrintfulAuthError, /Printful authentication failed \(401\): Invalid token/],
+    [403, 'No access to store', PrintfulAuthError, /\(403\)/],
+    [400, 'Missing sync_variants', PrintfulValidationError, /Printful rejected POST \/store\/products \(400\): Missing sync_variants/],
+    [404, 'Not found', PrintfulValidationError, /\(404\)/],
+    [400, 'This API endpoint applies only to Printful stores based on the Manual Order / API platform.', PrintfulPlatformStoreError, /Store is platform-based/],
+    [500, 'Internal error', PrintfulError, /Printful error on POST \/store\/products \(500\): Internal error/]
+  ];
+
+  for (const [status, message, ErrorClass, pattern] of cases) {
+    const { baseURL } = await startServer(t, [{ status, body: { code: status, error: { message } } }]);
+    await assert.rejects(testClient(baseURL, { maxRetries: 0 }).post('/store/products', {}), (error) => {
+      assert.strictEqual(error.constructor, ErrorClass, `${status} ${message}`);
+      assert.match(error.message, pattern);
+      assert.strictEqual(error.status, status);
+      assert.deepStrictEqual(error.data, { code: status, error: { message } });
+      return true;
+    });
+  }
+});
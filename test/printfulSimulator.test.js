@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  createPrintfulClient,
+  PrintfulValidationError,
+  PrintfulPlatformStoreError
+} = require('../printfulClient');
+const { startPrintfulSimulator, MAX_SYNC_VARIANTS, PLATFORM_STORE_MESSAGE } = require('../printfulSimulator');
+const { tempDir } = require('./helpers');
+
+// 1x1 transparent PNG
+const PIXEL_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * Start the simulator on a free port, stopped after the test
+ * @param {Object} t - Test context
+ * @param {Object} [options] - Simulator options (see printfulSimulator.js)
+ * @returns {Promise<Object>} { state, baseURL, client } - client talks to the simulator without retries
+ */
+async function startSimulator(t, options = {}) {
+  const { server, state, baseURL } = await startPrintfulSimulator({ port: 0, ...options });
+  t.after(() => server.close());
+  return { state, baseURL, client: createPrintfulClient({ apiKey: 'test-key', baseURL, maxRetries: 0 }) };
+}
+
+/**
+ * Sync variants for the first catalog variants of a product
+ * @param {Object} state - Simulator state
+ * @param {number} productId - Catalog product ID
+ * @param {number} count - Number of sync variants
+ * @returns {Array<Object>} Sync variants
+ */
+function syncVariants(state, productId, count) {
+  const { variants } = state.catalog[productId];
+  return Array.from({ length: count }, (_, index) => ({ variant_id: variants[index % variants.length].id, retail_price: '39.99' }));
+}
+
+test('a product with more than 100 sync variants is rejected with a 400', async (t) => {
+  const { state, client } = await startSimulator(t);
+  const product = variantCount => ({ sync_product: { name: 'PASTA Sweatshirt' }, sync_variants: syncVariants(state, 145, variantCount) });
+
+  await assert.rejects(client.post('/store/products', product(MAX_SYNC_VARIANTS + 1)), (error) => {
+    assert.ok(error instanceof PrintfulValidationError);
+    assert.strictEqual(error.status, 400);
+    assert.match(error.message, /at most 100 sync variants, got 101/);
+    return true;
+  });
+  const created = await client.post('/store/products', product(MAX_SYNC_VARIANTS));
+
+  assert.strictEqual(created.variants, 100);
+  assert.strictEqual(state.products.length, 1);
+});
+
+test('creating a product in an Etsy store fails with PrintfulPlatformStoreError', async (t) => {
+  const { state, client } = await startSimulator(t, { storeType: 'etsy' });
+
+  await assert.rejects(
+    client.post('/store/products', { sync_product: { name: 'PASTA Sweatshirt' }, sync_variants: syncVariants(state, 145, 1) }),
+    (error) => {
+      assert.ok(error instanceof PrintfulPlatformStoreError);
+      assert.strictEqual(error.status, 400);
+      assert.strictEqual(error.data.error.message, PLATFORM_STORE_MESSAGE);
+      return true;
+    }
+  );
+  assert.strictEqual((await client.get('/stores'))[0].type, 'etsy', 'the Etsy store is the default store');
+  assert.strictEqual(state.products.length, 0);
+});
+
+test('createPrintfulClient reaches the simulator through PRINTFUL_API_BASE_URL', async (t) => {
+  const { baseURL } = await startSimulator(t);
+  const previous = process.env.PRINTFUL_API_BASE_URL;
+  t.after(() => {
+    if (previous === undefined) delete process.env.PRINTFUL_API_BASE_URL;
+    else process.env.PRINTFUL_API_BASE_URL = previous;
+  });
+  process.env.PRINTFUL_API_BASE_URL = baseURL;
+
+  const stores = await createPrintfulClient({ apiKey: 'test-key', maxRetries: 0 }).get('/stores');
+
+  assert.deepStrictEqual(stores.map(store => store.name), ['Simulated Manual Store', 'Simulated Etsy Store']);
+});
+
+test('a product, an uploaded file and an attached mockup image round trip', async (t) => {
+  const { state, client } = await startSimulator(t);
+  const filePath = path.join(tempDir(t, 'printful-simulator-'), 'PASTA-black.png');
+  fs.writeFileSync(filePath, PIXEL_PNG);
+
+  const created = await client.post('/store/products', {
+    sync_product: { name: 'PASTA Sweatshirt' },
+    sync_variants: syncVariants(state, 145, 2)
+  });
+  const mockup = await client.uploadFile(filePath, { type: 'mockup' });
+  const { sync_variants: [syncVariant] } = await client.get(`/store/products/${created.id}`);
+  await client.post(`/store/products/${created.id}/sync-variant/${syncVariant.id}/images`, { image_id: mockup.id, position: 'front' });
+
+  assert.strictEqual(mockup.filename, 'PASTA-black.png');
+  assert.strictEqual(mockup.type, 'mockup');
+  assert.strictEqual(mockup.size, PIXEL_PNG.length);
+  assert.strictEqual((await client.get(`/files/${mockup.id}`)).url, mockup.url);
+
+  const { sync_product: product, sync_variants: variants } = await client.get(`/store/products/${created.id}`);
+  assert.strictEqual(product.name, 'PASTA Sweatshirt');
+  assert.deepStrictEqual(variants[0].images, [{ image_id: mockup.id, position: 'front', url: mockup.url }]);
+  assert.deepStrictEqual(variants[1].images, []);
+});
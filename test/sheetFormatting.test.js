@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  formatDashboardRows,
+  readSheetStatuses,
+  buildFormattingRequests,
+  isEtsyLimitRule,
+  thumbnailUrl,
+  formulaString
+} = require('../sheetFormatting');
+
+const HEADERS = ['word', 'title', 'tags', 'productId', 'syncProductId', 'fileUrl'];
+const CLOUDINARY_URL = 'https://res.cloudinary.com/demo/image/upload/printful_uploads/PASTA.png';
+
+test('formatDashboardRows adds preview and status columns and links product IDs', () => {
+  const rows = [
+    ['PASTA', 'PASTA Sweatshirt', 'pasta', '145', '382917465', CLOUDINARY_URL],
+    ['TACOS', 'TACOS Sweatshirt', 'tacos', '145', '', '']
+  ];
+
+  const formatted = formatDashboardRows(HEADERS, rows, { PASTA: 'listed', TACOS: 'sold out' });
+
+  assert.deepStrictEqual(formatted.headers, ['word', 'preview', 'status', 'title', 'tags', 'productId', 'syncProductId', 'fileUrl']);
+  const [pasta, tacos] = formatted.rows;
+  assert.strictEqual(pasta[1], '=IMAGE("https://res.cloudinary.com/demo/image/upload/c_fit,w_160,h_160/printful_uploads/PASTA.png", 1)');
+  assert.strictEqual(pasta[2], 'listed');
+  assert.strictEqual(pasta[5], '=HYPERLINK("https://www.printful.com/dashboard/sync/update?id=382917465", "145")');
+  assert.strictEqual(pasta[7], CLOUDINARY_URL, 'the design URL itself stays text');
+  assert.deepStrictEqual(tacos.slice(0, 3), ['TACOS', '', 'draft'], 'unknown statuses start over as draft');
+  assert.strictEqual(tacos[5], '145', 'products that were never synced have no page to link to');
+  assert.strictEqual(rows[0][3], '145', 'the input rows are not changed');
+});
+
+test('thumbnailUrl only resizes Cloudinary URLs and formulaString doubles quotes', () => {
+  assert.strictEqual(thumbnailUrl('https://example.com/PASTA.png'), 'https://example.com/PASTA.png');
+  assert.strictEqual(formulaString('A "Perfect" Gift'), '"A ""Perfect"" Gift"');
+});
+
+test('readSheetStatuses reads known statuses by word', () => {
+  const statuses = readSheetStatuses([
+    ['word', 'preview', 'status'],
+    ['PASTA', '', 'reviewed'],
+    ['TACOS', '', 'maybe'],
+    ['', '', 'listed']
+  ]);
+
+  assert.deepStrictEqual(statuses, { PASTA: 'reviewed' });
+  assert.deepStrictEqual(readSheetStatuses([['word', 'title']]), {});
+  assert.deepStrictEqual(readSheetStatuses([]), {});
+});
+
+test('buildFormattingRequests freezes the header, adds the dropdown, highlights Etsy limits and sizes columns', () => {
+  const { headers } = formatDashboardRows(HEADERS, []);
+
+  const requests = buildFormattingRequests({ sheetId: 7, headers, rowCount: 3 });
+  const kinds = requests.map(request => Object.keys(request)[0]);
+
+  assert.ok(!kinds.includes('deleteConditionalFormatRule'));
+  assert.strictEqual(requests.find(r => r.updateSheetProperties).updateSheetProperties.properties.gridProperties.frozenRowCount, 1);
+
+  const validation = requests.find(r => r.setDataValidation).setDataValidation;
+  assert.deepStrictEqual(validation.range, { sheetId: 7, startRowIndex: 1, endRowIndex: 3, startColumnIndex: 2, endColumnIndex: 3 });
+  assert.deepStrictEqual(validation.rule.condition.values.map(value => value.userEnteredValue), ['draft', 'reviewed', 'listed', 'retired']);
+  assert.strictEqual(validation.rule.strict, true);
+
+  const formulas = requests.filter(r => r.addConditionalFormatRule)
+    .map(r => r.addConditionalFormatRule.rule.booleanRule.condition.values[0].userEnteredValue);
+  assert.deepStrictEqual(formulas, [
+    '=LEN($D2)>140',
+    '=IFERROR(COUNTA(SPLIT($E2, ","))>13, FALSE)',
+    '=IFERROR(SUMPRODUCT(--(LEN(TRIM(SPLIT($E2, ",")))>20))>0, FALSE)'
+  ]);
+
+  assert.ok(kinds.indexOf('autoResizeDimensions') < kinds.lastIndexOf('updateDimensionProperties'),
+    'the preview column is sized after the auto-size');
+});
+
+test('buildFormattingRequests skips row rules for a sheet with only a header', () => {
+  const { headers } = formatDashboardRows(HEADERS, []);
+
+  const kinds = buildFormattingRequests({ sheetId: 7, headers, rowCount: 1 }).map(request => Object.keys(request)[0]);
+
+  assert.ok(!kinds.includes('setDataValidation'));
+  assert.ok(!kinds.includes('addConditionalFormatRule'));
+  assert.ok(kinds.includes('updateSheetProperties'));
+});
+
+test('buildFormattingRequests removes its own highlights from the last upload and keeps rules added by hand', () => {
+  const { headers } = formatDashboardRows(HEADERS, []);
+  const previous = buildFormattingRequests({ sheetId: 7, headers, rowCount: 5 })
+    .filter(request => request.addConditionalFormatRule)
+    .map(request => request.addConditionalFormatRule.rule);
+  const byHand = {
+    ranges: [{ sheetId: 7, startRowIndex: 1, endRowIndex: 5, startColumnIndex: 3, endColumnIndex: 4 }],
+    booleanRule: { condition: { type: 'TEXT_CONTAINS', values: [{ userEnteredValue: 'Pasta' }] }, format: {} }
+  };
+  // Same formula as a highlight, but over two columns
+  const byHandWithFormula = {
+    ranges: [{ sheetId: 7, startRowIndex: 1, endRowIndex: 5, startColumnIndex: 3, endColumnIndex: 5 }],
+    booleanRule: previous[0].booleanRule
+  };
+  // The title highlight from an upload where the title was column C
+  const moved = {
+    ranges: [{ sheetId: 7, startRowIndex: 1, endRowIndex: 5, startColumnIndex: 2, endColumnIndex: 3 }],
+    booleanRule: { condition: { type: 'CUSTOM_FORMULA', values: [{ userEnteredValue: '=LEN($C2)>140' }] }, format: {} }
+  };
+  const existingRules = [previous[0], byHand, previous[1], byHandWithFormula, previous[2], moved];
+
+  const deleted = buildFormattingRequests({ sheetId: 7, headers, rowCount: 3, existingRules })
+    .filter(request => request.deleteConditionalFormatRule)
+    .map(request => request.deleteConditionalFormatRule);
+
+  assert.deepStrictEqual(deleted, [5, 4, 2, 0].map(index => ({ sheetId: 7, index })));
+  assert.strictEqual(isEtsyLimitRule(byHand), false);
+  assert.strictEqual(isEtsyLimitRule({}), false);
+});
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { syncDashboardSheet, planSheetSync, columnLetter, rowHash } = require('../sheetSync');
+const { DASHBOARD_COLUMNS } = require('../dashboardSchema');
+const { tempDir, saveTemplate } = require('./helpers');
+
+const HEADERS = DASHBOARD_COLUMNS.map(column => column.header);
+const PASTA = { word: 'PASTA', title: 'PASTA Sweatshirt', description: 'Cozy.\n\nDETAILS', tags: ['pasta', 'italian food'], price: '29.99' };
+const TACOS = { word: 'TACOS', title: 'TACOS Sweatshirt', description: 'Warm.', tags: ['tacos'], price: '29.99' };
+
+/**
+ * Sheets client backed by an in-memory grid
+ * @param {Array<Array<string>>} grid - Cells, header row first
+ * @returns {Object} Sheets client with grid and batches (every batchUpdate's data)
+ */
+function fakeSheets(grid = []) {
+  const client = {
+    grid,
+    batches: [],
+    spreadsheets: {
+      get: async () => ({ data: { sheets: [{ properties: { title: 'Dashboard' } }] } }),
+      batchUpdate: async () => ({}),
+      values: {
+        get: async () => ({ data: { values: client.grid.map(row => [...row]) } }),
+        batchUpdate: async ({ requestBody }) => {
+          client.batches.push(requestBody.data);
+          for (const { range, values } of requestBody.data) {
+            const [, letters, number] = range.match(/!([A-Z]+)(\d+)$/);
+            const column = [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+            values.forEach((row, rowOffset) => {
+              const target = client.grid[Number(number) - 1 + rowOffset] || (client.grid[Number(number) - 1 + rowOffset] = []);
+              row.forEach((value, columnOffset) => { target[column + columnOffset] = value; });
+            });
+          }
+        }
+      }
+    }
+  };
+  return client;
+}
+
+/**
+ * Create manual-templates and state paths in a temporary directory, removed after the test
+ * @param {Object} t - Test context
+ * @param {Array<Object>} templates - Templates to save
+ * @returns {Object} Sync options (templatesDir, statePath, reportPath, spreadsheetId)
+ */
+function makeWorkspace(t, templates) {
+  const root = tempDir(t, 'sheet-sync-');
+  const templatesDir = path.join(root, 'manual-templates');
+  fs.mkdirSync(templatesDir);
+  templates.forEach(template => saveTemplate(templatesDir, template));
+  return {
+    templatesDir,
+    statePath: path.join(root, '.sheet-sync-state.json'),
+    reportPath: path.join(root, 'sheet-sync-conflicts.json'),
+    spreadsheetId: 'sheet-id'
+  };
+}
+
+/**
+ * Read a manual-templates file
+ * @param {string} templatesDir - Templates directory
+ * @param {string} word - Design word
+ * @returns {Object} Saved metadata
+ */
+function readTemplate(templatesDir, word) {
+  return JSON.parse(fs.readFileSync(path.join(templatesDir, `${word}.json`), 'utf8'));
+}
+
+/**
+ * Get a cell of the fake sheet by header
+ * @param {Object} sheets - Fake sheets client
+ * @param {string} word - Row's word
+ * @param {string} header - Column header
+ * @returns {string} Cell value
+ */
+function sheetCell(sheets, word, header) {
+  const headers = sheets.grid[0];
+  const row = sheets.grid.find(cells => cells[headers.indexOf('word')] === word);
+  return row[headers.indexOf(header)];
+}
+
+/**
+ * Silence the sync's console output
+ * @param {Object} t - Test context
+ */
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+test('columnLetter converts column indexes to A1 letters', () => {
+  assert.deepStrictEqual([0, 25, 26, 51, 52, 701, 702].map(columnLetter), ['A', 'Z', 'AA', 'AZ', 'BA', 'ZZ', 'AAA']);
+});
+
+test('syncDashboardSheet fills an empty sheet and then writes nothing when nothing changed', async (t) => {
+  quiet(t);
+  const options = makeWorkspace(t, [PASTA, TACOS]);
+  const sheets = fakeSheets();
+
+  const first = await syncDashboardSheet({ ...options, sheets });
+  const second = await syncDashboardSheet({ ...options, sheets });
+
+  assert.strictEqual(first.appended, 2);
+  assert.deepStrictEqual(sheets.grid[0], HEADERS);
+  assert.strictEqual(sheetCell(sheets, 'PASTA', 'description'), 'Cozy.\n\nDETAILS');
+  assert.strictEqual(second.updatedCells, 0);
+  assert.strictEqual(second.appended, 0);
+  assert.strictEqual(sheets.batches.length, 1);
+});
+
+test('syncDashboardSheet updates only changed cells and keeps columns added by hand', async (t) => {
+  quiet(t);
+  const options = makeWorkspace(t, [PASTA, TACOS]);
+  const sheets = fakeSheets();
+  await syncDashboardSheet({ ...options, sheets });
+  sheets.grid[0].push('notes');
+  sheets.grid[1].push('check the photo');
+
+  saveTemplate(options.templatesDir, { ...PASTA, price: '34.99' });
+  saveTemplate(options.templatesDir, { ...TACOS, title: 'TACOS Sweatshirt - New' });
+  const summary = await syncDashboardSheet({ ...options, sheets });
+
+  assert.strictEqual(summary.updatedCells, 2);
+  const ranges = sheets.batches[1].map(update => update.range).sort();
+  assert.deepStrictEqual(ranges, [`Dashboard!B3`, `Dashboard!${columnLetter(HEADERS.indexOf('price'))}2`].sort());
+  assert.strictEqual(sheetCell(sheets, 'PASTA', 'price'), '34.99');
+  assert.strictEqual(sheetCell(sheets, 'PASTA', 'notes'), 'check the photo');
+  assert.strictEqual(sheetCell(sheets, 'TACOS', 'title'), 'TACOS Sweatshirt - New');
+});
+
+test('syncDashboardSheet appends new words below the existing rows', async (t) => {
+  quiet(t);
+  const options = makeWorkspace(t, [PASTA]);
+  const sheets = fakeSheets();
+  await syncDashboardSheet({ ...options, sheets });
+
+  saveTemplate(options.templatesDir, TACOS);
+  const summary = await syncDashboardSheet({ ...options, sheets });
+
+  assert.strictEqual(summary.appended, 1);
+  assert.strictEqual(sheets.grid.length, 3);
+  assert.strictEqual(sheetCell(sheets, 'TACOS', 'tags'), 'tacos');
+});
+
+test('syncDashboardSheet pulls title, description and tag edits into the template and locks it', async (t) => {
+  quiet(t);
+  const options = makeWorkspace(t, [PASTA]);
+  const sheets = fakeSheets();
+  await syncDashboardSheet({ ...options, sheets });
+  const headers = sheets.grid[0];
+  sheets.grid[1][headers.indexOf('title')] = 'PASTA Sweatshirt - Edited';
+  sheets.grid[1][headers.indexOf('tags')] = 'pasta, carbonara , ';
+
+  const summary = await syncDashboardSheet({ ...options, sheets });
+  const again = await syncDashboardSheet({ ...options, sheets });
+
+  assert.deepStrictEqual(summary.pulled, ['PASTA']);
+  const saved = readTemplate(options.templatesDir, 'PASTA');
+  assert.strictEqual(saved.title, 'PASTA Sweatshirt - Edited');
+  assert.deepStrictEqual(saved.tags, ['pasta', 'carbonara']);
+  assert.strictEqual(saved.description, PASTA.description);
+  assert.strictEqual(saved.price, '29.99');
+  assert.strictEqual(saved.locked, true);
+  assert.deepStrictEqual(again.pulled, []);
+});
+
+test('syncDashboardSheet reports rows changed on both sides and overwrites neither', async (t) => {
+  quiet(t);
+  const options = makeWorkspace(t, [PASTA]);
+  const sheets = fakeSheets();
+  await syncDashboardSheet({ ...options, sheets });
+  sheets.grid[1][sheets.grid[0].indexOf('title')] = 'PASTA - Sheet Edit';
+  saveTemplate(options.templatesDir, { ...PASTA, title: 'PASTA - Template Edit' });
+
+  const summary = await syncDashboardSheet({ ...options, sheets });
+
+  assert.deepStrictEqual(summary.conflicts, ['PASTA']);
+  assert.strictEqual(sheetCell(sheets, 'PASTA', 'title'), 'PASTA - Sheet Edit');
+  assert.strictEqual(readTemplate(options.templatesDir, 'PASTA').title, 'PASTA - Template Edit');
+  const report = JSON.parse(fs.readFileSync(options.reportPath, 'utf8'));
+  assert.deepStrictEqual(report.conflicts[0].fields, {
+    title: { manualTemplate: 'PASTA - Template Edit', sheet: 'PASTA - Sheet Edit' }
+  });
+
+  // Picking a side resolves it and removes the report
+  const resolved = await syncDashboardSheet({ ...options, sheets, prefer: 'templates' });
+  assert.deepStrictEqual(resolved.conflicts, []);
+  assert.strictEqual(sheetCell(sheets, 'PASTA', 'title'), 'PASTA - Template Edit');
+  assert.ok(!fs.existsSync(options.reportPath));
+});
+
+test('syncDashboardSheet treats a differing row without sync state as a conflict', async (t) => {
+  quiet(t);
+  const options = makeWorkspace(t, [PASTA]);
+  const row = HEADERS.map(header => ({ word: 'PASTA', title: 'Old title' }[header] || ''));
+  const sheets = fakeSheets([[...HEADERS], row]);
+
+  const summary = await syncDashboardSheet({ ...options, sheets });
+
+  assert.deepStrictEqual(summary.conflicts, ['PASTA']);
+  assert.strictEqual(sheetCell(sheets, 'PASTA', 'title'), 'Old title');
+  assert.strictEqual(sheetCell(sheets, 'PASTA', 'price'), '29.99', 'other columns are still written');
+});
+
+test('planSheetSync does not pull sheet edits that break Etsy rules', () => {
+  const sheetValues = [HEADERS, HEADERS.map(header => ({ word: 'PASTA', title: 'x'.repeat(141), description: PASTA.description, tags: 'pasta' }[header] || ''))];
+  const base = rowHash([PASTA.title, PASTA.description, PASTA.tags.join(', ')]);
+
+  const plan = planSheetSync({ templates: [PASTA], sheetValues, state: { rows: { PASTA: { hash: base } } } });
+
+  assert.deepStrictEqual(plan.pulls, []);
+  assert.strictEqual(plan.invalid[0].word, 'PASTA');
+  assert.match(plan.invalid[0].violations[0], /title is 141 characters/);
+  assert.strictEqual(plan.state.rows.PASTA.hash, base, 'the row keeps its last synced hash');
+});
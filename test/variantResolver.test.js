@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  getCatalogProduct,
+  resolveVariantId,
+  resolveVariants,
+  normalizeColor,
+  normalizeSize,
+  clearMemoryCache
+} = require('../variantResolver');
+const { tempDir } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const CACHED = { product: { id: 145 }, variants: [{ id: 1, color: 'Black', size: 'S' }] };
+const DOWNLOADED = { product: { id: 145 }, variants: [{ id: 2, color: 'Black', size: 'S' }] };
+
+/**
+ * Create a catalog cache directory, optionally holding product 145
+ * @param {Object} t - Test context
+ * @param {number} [ageHours] - Age of the cached product; no cache file when omitted
+ * @returns {string} Cache directory
+ */
+function catalogCache(t, ageHours = null) {
+  const cacheDir = tempDir(t, 'catalog-cache-');
+  t.after(clearMemoryCache);
+  if (ageHours !== null) {
+    fs.writeFileSync(path.join(cacheDir, 'product-145.json'), JSON.stringify({
+      fetchedAt: new Date(Date.now() - ageHours * HOUR).toISOString(),
+      productId: 145,
+      result: CACHED
+    }));
+  }
+  return cacheDir;
+}
+
+/**
+ * Fake catalog download that counts its calls
+ * @param {Object|Error} reply - Catalog result, or an error to throw
+ * @returns {Function} Download function with a calls array
+ */
+function fakeDownload(reply) {
+  const download = async (productId, apiKey) => {
+    download.calls.push({ productId, apiKey });
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  download.calls = [];
+  return download;
+}
+
+test('a cached product within the TTL is used without downloading', async (t) => {
+  const cacheDir = catalogCache(t, 1);
+  const download = fakeDownload(DOWNLOADED);
+
+  const first = await getCatalogProduct(145, { cacheDir, ttlHours: 24, offline: false, download });
+  clearMemoryCache();
+  const second = await getCatalogProduct(145, { cacheDir, ttlHours: 24, offline: false, download });
+
+  assert.deepStrictEqual(first, CACHED);
+  assert.deepStrictEqual(second, CACHED, 'read from disk again after the memory cache is cleared');
+  assert.strictEqual(download.calls.length, 0);
+});
+
+test('an expired product is downloaded again and the cache is rewritten', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const cacheDir = catalogCache(t, 48);
+  const download = fakeDownload(DOWNLOADED);
+
+  const result = await getCatalogProduct(145, { cacheDir, ttlHours: 24, offline: false, apiKey: 'test-key', download });
+  const again = await getCatalogProduct(145, { cacheDir, ttlHours: 24, offline: false, download });
+
+  assert.deepStrictEqual(result, DOWNLOADED);
+  assert.strictEqual(again, result, 'the second call is served from memory');
+  assert.deepStrictEqual(download.calls, [{ productId: 145, apiKey: 'test-key' }]);
+  const saved = JSON.parse(fs.readFileSync(path.join(cacheDir, 'product-145.json'), 'utf8'));
+  assert.deepStrictEqual(saved.result, DOWNLOADED);
+  assert.ok(Date.now() - new Date(saved.fetchedAt).getTime() < HOUR);
+});
+
+test('an expired product is kept when downloading fails, refresh skips the cache', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const cacheDir = catalogCache(t, 48);
+
+  const stale = await getCatalogProduct(145, { cacheDir, ttlHours: 24, offline: false, download: fakeDownload(new Error('offline')) });
+  const refreshed = await getCatalogProduct(145, { cacheDir, ttlHours: 24, offline: false, refresh: true, download: fakeDownload(DOWNLOADED) });
+
+  assert.deepStrictEqual(stale, CACHED);
+  assert.deepStrictEqual(refreshed, DOWNLOADED);
+});
+
+test('offline mode resolves from the catalog fixtures without downloading', async (t) => {
+  const cacheDir = catalogCache(t);
+  const download = fakeDownload(new Error('offline mode must not download'));
+  const options = { cacheDir, offline: true, download };
+
+  const tee = await getCatalogProduct(71, options);
+  const sweatshirt = await getCatalogProduct(145, options);
+
+  assert.strictEqual(tee.product.title, 'Unisex Staple T-Shirt | Bella + Canvas 3001');
+  assert.strictEqual(sweatshirt.variants.length, 112);
+  assert.strictEqual(download.calls.length, 0);
+  await assert.rejects(getCatalogProduct(999, options), /Catalog product 999 is not cached and offline mode is on/);
+});
+
+test('color and size aliases resolve to the catalog variants', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const options = { cacheDir: catalogCache(t), offline: true };
+
+  assert.strictEqual(await resolveVariantId(145, 'SPORT-GREY', 'xxl', options), 5461);
+  assert.strictEqual(await resolveVariantId(145, 'Color - Forest Green', ' 3xl ', options), 5430);
+  assert.strictEqual(await resolveVariantId(71, 'white', 'Small', options), 4019);
+  assert.strictEqual(await resolveVariantId(71, 'Sport Grey', 'S', options), null, 'the tee has no Sport Grey');
+
+  const variants = await resolveVariants(71, { colors: ['BLACK', 'white'], sizes: ['xxl', 'medium'] }, options);
+
+  assert.deepStrictEqual(variants, { 'black-M': 4013, 'black-2XL': 4017, 'white-M': 4020, 'white-2XL': 4023 });
+});
+
+test('normalizeColor and normalizeSize accept every spelling', () => {
+  for (const color of ['Sport Grey', 'SPORT-GREY', 'sport_grey', 'Color - Sport Grey', '  sport   grey ']) {
+    assert.strictEqual(normalizeColor(color), 'sport grey');
+  }
+  assert.deepStrictEqual(['xxl', '2xl', ' 2XL ', 'XXXXXL', 'large'].map(normalizeSize), ['2XL', '2XL', '2XL', '5XL', 'L']);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadWords, validateWords, defaultWordConfig, WORDS_SCHEMA, DEFAULTS } = require('../wordsConfig');
+const { tempDir } = require('./helpers');
+
+const COLUMNS = WORDS_SCHEMA.map(field => field.column);
+
+/**
+ * Get the validation errors for some rows
+ * @param {Array<Object>} rows - Raw rows
+ * @param {Array<string>} [columns] - Header columns
+ * @returns {Array<string>} One error per line of the thrown message
+ */
+function errorsFor(rows, columns = COLUMNS) {
+  try {
+    validateWords(rows, columns);
+  } catch (error) {
+    const [heading, ...errors] = error.message.split('\n');
+    assert.strictEqual(heading, 'Invalid words.csv:');
+    return errors.map(line => line.replace(/^ {2}- /, ''));
+  }
+  assert.fail('validateWords did not throw');
+}
+
+test('rows with only word, fill and stroke get the defaults', async (t) => {
+  const csvPath = path.join(tempDir(t, 'words-config-'), 'words.csv');
+  fs.writeFileSync(csvPath, 'word, fill ,stroke\nPASTA,#c8102e,FFFFFF\nTACOS,006847,#000000\n');
+
+  const rows = await loadWords(csvPath);
+
+  assert.deepStrictEqual(rows[0], { ...DEFAULTS, word: 'PASTA', fill: '#C8102E', stroke: '#FFFFFF' });
+  assert.deepStrictEqual(rows[1], { ...DEFAULTS, word: 'TACOS', fill: '#006847', stroke: '#000000' });
+  assert.deepStrictEqual(defaultWordConfig('SUSHI'), { ...DEFAULTS, word: 'SUSHI', fill: null, stroke: null });
+});
+
+test('colors and sizes are split on |, and the other optional columns are parsed', () => {
+  const [row] = validateWords([{
+    word: 'PASTA',
+    fill: '#C8102E',
+    stroke: '#FFFFFF',
+    product_id: '71',
+    price: '$24.5',
+    colors: 'Black | Sport Grey||White',
+    sizes: 's|m| xl ',
+    font: ' Varsity Bold ',
+    stroke_weight: '0',
+    placement: 'Center',
+    cuisine: 'Italian',
+    product_type: 'Tee'
+  }], COLUMNS);
+
+  assert.deepStrictEqual(row, {
+    word: 'PASTA',
+    fill: '#C8102E',
+    stroke: '#FFFFFF',
+    productId: 71,
+    price: '24.50',
+    colors: ['black', 'sport grey', 'white'],
+    sizes: ['S', 'M', 'XL'],
+    font: 'Varsity Bold',
+    strokeWeight: 0,
+    placement: 'center',
+    cuisine: 'Italian',
+    productType: 'tee'
+  });
+});
+
+test('unknown columns and duplicate words are reported', () => {
+  const errors = errorsFor(
+    [{ word: 'PASTA', fill: '#C8102E', stroke: '#FFFFFF', colour: 'black' }, { word: ' PASTA ', fill: '#C8102E', stroke: '#FFFFFF' }],
+    ['word', 'fill', 'stroke', 'colour']
+  );
+
+  assert.deepStrictEqual(errors, [
+    `unknown column "colour" (known columns: ${COLUMNS.join(', ')})`,
+    'line 3: duplicate word "PASTA"'
+  ]);
+});
+
+test('every bad value is reported with its line and column', () => {
+  const errors = errorsFor([
+    { word: 'PASTA', fill: 'red', stroke: '#FFF', price: '29.999' },
+    { word: 'TACOS/2', fill: '#C8102E', stroke: '', price: '0', placement: 'back', colors: ' | ' },
+    { word: 'SUSHI', fill: '#C8102E', stroke: '#FFFFFF', product_id: '14.5', stroke_weight: '-1', font: 'My "Font"' }
+  ]);
+
+  assert.deepStrictEqual(errors, [
+    'line 2: fill "red" is not a hex color like #C8102E',
+    'line 2: stroke "#FFF" is not a hex color like #C8102E',
+    'line 2: price "29.999" is not a price like 29.99',
+    'line 3: word "TACOS/2" cannot be used as a file name',
+    'line 3: "stroke" is required',
+    'line 3: price "0" is not a price like 29.99',
+    'line 3: colors " | " has no items (separate items with "|")',
+    'line 3: placement "back" is not one of: top, center, left-chest',
+    'line 4: product_id "14.5" is not a positive whole number',
+    'line 4: font "My "Font"" contains quotes or backslashes',
+    'line 4: stroke_weight "-1" is not a number of 0 or more'
+  ]);
+});
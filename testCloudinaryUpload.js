@@ -35,9 +35,9 @@ async function findTestImage() {
 async function testDirectCloudinaryUpload(filePath) {
   console.log(`\n🧪 Testing direct Cloudinary upload...`);
   try {
-    const url = await uploadToCloudinary(filePath);
+    const asset = await uploadToCloudinary(filePath);
     console.log(`✅ Direct Cloudinary upload successful!`);
-    console.log(`🔗 URL: ${url}`);
+    console.log(`🔗 URL: ${asset.secure_url} (public ID ${asset.public_id}, version ${asset.version})`);
     return true;
   } catch (error) {
     console.error(`❌ Direct Cloudinary upload failed:`, error.message);
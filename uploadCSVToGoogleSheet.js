@@ -1,21 +1,32 @@
 const fs = require('fs');
 const { google } = require('googleapis');
 const path = require('path');
+const { parseCsv } = require('./csv');
+const { readDashboardTemplates, buildDashboardRows } = require('./dashboardSchema');
+const { formatDashboardRows, readSheetStatuses, buildFormattingRequests } = require('./sheetFormatting');
 
 /**
- * Uploads CSV data to a Google Sheet
+ * Uploads the listing dashboard to a Google Sheet
+ * Rows are built straight from the manual-templates JSON files (see dashboardSchema.js);
+ * pass csvPath instead to upload a CSV file as it is.
+ * With format, the sheet gets the formatted layout from sheetFormatting.js (thumbnails,
+ * status dropdown, linked product IDs, Etsy limit highlighting); statuses set in the sheet are kept.
  * @param {Object} options - Configuration options
- * @param {string} options.csvPath - Path to the CSV file
+ * @param {string} [options.templatesDir] - Directory containing JSON templates (default: manual-templates)
+ * @param {string} [options.csvPath] - Path to a CSV file to upload instead of the templates
  * @param {string} options.spreadsheetId - Google Spreadsheet ID
  * @param {string} options.sheetName - Name of the sheet (default: 'Dashboard')
  * @param {string} options.credentialsPath - Path to the Google credentials JSON file
+ * @param {boolean} [options.format] - Apply the formatted layout (default: false, plain text)
  * @returns {Promise<void>}
  */
 async function uploadCSVToGoogleSheet({
-  csvPath,
+  templatesDir = 'manual-templates',
+  csvPath = null,
   spreadsheetId,
   sheetName = 'Dashboard',
   credentialsPath = 'google-sheets-key.json',
+  format = false,
 }) {
   try {
     // Initialize auth with service account
@@ -28,16 +39,17 @@ async function uploadCSVToGoogleSheet({
     const sheets = google.sheets({ version: 'v4', auth });
 
     // Ensure the sheet exists
+    let sheet = null;
     try {
       console.log(`📄 Checking if sheet '${sheetName}' exists...`);
       const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId });
-      const sheetExists = spreadsheet.data.sheets.some(
+      sheet = spreadsheet.data.sheets.find(
         s => s.properties.title === sheetName
-      );
+      ) || null;
 
-      if (!sheetExists) {
+      if (!sheet) {
         console.log(`📄 Sheet '${sheetName}' not found, creating...`);
-        await sheets.spreadsheets.batchUpdate({
+        const created = await sheets.spreadsheets.batchUpdate({
           spreadsheetId,
           requestBody: {
             requests: [
@@ -49,6 +61,7 @@ async function uploadCSVToGoogleSheet({
             ]
           }
         });
+        sheet = { properties: created.data.replies[0].addSheet.properties, conditionalFormats: [] };
         console.log(`✅ Created sheet '${sheetName}'`);
       } else {
         console.log(`✅ Sheet '${sheetName}' already exists`);
@@ -58,17 +71,26 @@ async function uploadCSVToGoogleSheet({
       // Continue anyway, as the API might auto-create the sheet
     }
 
-    // Read CSV content
-    const csvContent = fs.readFileSync(csvPath, 'utf-8');
-    
-    // Parse CSV into rows and columns
-    // This handles quoted fields properly
-    const rows = csvContent
-      .trim()
-      .split('\n')
-      .map((line) => line.split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/).map(cell => cell.replace(/^"|"$/g, '')));
+    // Header row and one row per template
+    let rows;
+    if (csvPath) {
+      rows = parseCsv(fs.readFileSync(csvPath, 'utf-8'));
+    } else {
+      const { headers, rows: templateRows } = buildDashboardRows(readDashboardTemplates(templatesDir));
+      rows = [headers, ...templateRows];
+    }
+
+    if (format) {
+      if (!sheet) {
+        throw new Error(`Sheet '${sheetName}' could not be found or created, so it can't be formatted`);
+      }
+      // The status is set in the sheet, so read it before overwriting the rows
+      const current = await sheets.spreadsheets.values.get({ spreadsheetId, range: sheetName });
+      const formatted = formatDashboardRows(rows[0], rows.slice(1), readSheetStatuses(current.data.values || []));
+      rows = [formatted.headers, ...formatted.rows];
+    }
 
-    // Update the sheet with the CSV data
+    // Update the sheet with the dashboard rows
     await sheets.spreadsheets.values.update({
       spreadsheetId,
       range: `${sheetName}!A1`, // Keep the sheet name in the range, but ensure it exists first
@@ -76,11 +98,26 @@ async function uploadCSVToGoogleSheet({
       requestBody: { values: rows },
     });
 
-    console.log(`✅ Uploaded dashboard to Google Sheet: https://docs.google.com/spreadsheets/d/${spreadsheetId}`);
+    if (format) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: buildFormattingRequests({
+            sheetId: sheet.properties.sheetId,
+            headers: rows[0],
+            rowCount: rows.length,
+            existingRules: sheet.conditionalFormats || []
+          })
+        }
+      });
+      console.log(`🎨 Formatted sheet '${sheetName}' (thumbnails, status dropdown, Etsy limit highlighting)`);
+    }
+
+    console.log(`✅ Uploaded ${rows.length - 1} dashboard rows to Google Sheet: https://docs.google.com/spreadsheets/d/${spreadsheetId}`);
   } catch (err) {
     console.error('❌ Failed to upload CSV to Google Sheets:', err.message);
     throw err; // Re-throw the error so the calling function can handle it
   }
 }
 
-module.exports = uploadCSVToGoogleSheet;
\ No newline at end of file
+module.exports = uploadCSVToGoogleSheet;
@@ -3,7 +3,7 @@
  * 
  * This script completes the end-to-end pipeline by:
  * 1. Processing all PNG files in the export/ directory
- * 2. Using generateListingFromOpenRouter.js to create content for each one with best-seller format
+ * 2. Using listingGenerator.js to create content for each one with best-seller format
  * 3. Uploading PNG files to Printful with proper positioning
  * 4. Creating draft listings on Etsy through Printful's API
  */
@@ -11,15 +11,23 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const FormData = require('form-data');
 const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
-const generateListing = require('./generateListingFromOpenRouter');
+const { getListing, readManualTemplate, isListingLocked } = require('./listingCache');
+const { localizeTemplate, parseLocales, LISTING_LOCALES } = require('./listingLocalizer');
+const { enforceEtsyListingRules, validateEtsyListing, EtsyListingRulesError } = require('./etsyListingRules');
+const { buildProductName } = require('./descriptionTemplates');
 const generateCSVDashboard = require('./generateCSVDashboard');
 const uploadCSVToGoogleSheet = require('./uploadCSVToGoogleSheet');
+const { syncDashboardSheet } = require('./sheetSync');
 const { uploadFileWithFallbackStrategy } = require('./fileUploader');
+const { createJournal } = require('./pipelineJournal');
+const { loadWords, defaultWordConfig, WORDS_CSV_PATH } = require('./wordsConfig');
+const { getPlacementPosition } = require('./createPrintfulProduct');
+const { resolveVariants } = require('./variantResolver');
+const { attachMockups, printMockupAttachmentReport } = require('./mockupAttacher');
+const { createPrintfulClient, PrintfulAuthError, PrintfulPlatformStoreError } = require('./printfulClient');
 
 // Configuration
 const PRINTFUL_API_KEY = process.env.PRINTFUL_API_KEY;
@@ -27,13 +35,18 @@ const PRINTFUL_STORE_ID = process.env.PRINTFUL_STORE_ID;
 const EXPORT_DIR = path.join(__dirname, 'export');
 const EXPORT_MOCKUPS_DIR = path.join(__dirname, 'export-mockups');
 const MANUAL_TEMPLATES_DIR = path.join(__dirname, 'manual-templates');
-const GILDAN_18000_PRODUCT_ID = 145; // Gildan 18000 Heavy Blend Crewneck Sweatshirt
 
 // Command line arguments
 const args = process.argv.slice(2);
 const DRY_RUN = args.includes('--dry-run') || args.includes('-d');
 const TEMPLATE_ONLY = args.includes('--template-only'); // Default to syncing unless explicitly overridden
 const SYNC_ONLY = args.includes('--sync-only') || args.includes('-s');
+const RESUME = args.includes('--resume');
+const KEEP_LISTING = args.includes('--keep-listing');
+const SHEET_SYNC = args.includes('--sheet-sync');
+// Tags this run's Cloudinary uploads (see README-cloudinary-profiles.md)
+const UPLOAD_BATCH_ID = process.env.CLOUDINARY_BATCH_ID || new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+const FORMAT_SHEET = args.includes('--format-sheet');
 
 // Backward compatibility note for --attempt-sync flag
 if (args.includes('--attempt-sync')) {
@@ -52,13 +65,31 @@ Options:
   --limit=N, -l=N       Process only N files
   --template-only       Skip product syncing (create templates only)
   --sync-only, -s       Skip template creation and only sync products
+  --resume              Skip stages already completed in pipeline-state.json
+  --regenerate-listing  Ask the model for new listing copy for every word
+  --regenerate-listing=WORD[,WORD]
+                        Ask for new listing copy for these words only
+  --keep-listing        For words without a saved listing, reuse the newest cached one
+                        even if the prompt or model changed (saved listings are always kept)
+  --candidates=N        Generate N listings per word and keep the best-scoring one
+                        (the others go to manual-templates/candidates/)
+  --localize            Translate each saved listing for LISTING_LOCALES (default: de,fr,es,it)
+  --localize=de,fr      Translate each saved listing for these locales only
+  --sheet-sync          Sync the dashboard sheet both ways instead of overwriting it
+                        (pulls title/description/tag edits back, see sheetSync.js)
+  --format-sheet        Upload the dashboard with thumbnails, a status dropdown and
+                        Etsy limit highlighting (see sheetFormatting.js)
   --help, -h            Show this help text
 
+Listings are cached in .listing-cache/ by word, prompt version and model. Set
+"locked": true in manual-templates/<WORD>.json to keep a hand-edited listing.
+
 Examples:
   node uploadToPrintful.js                   # Create templates and sync products
   node uploadToPrintful.js --limit=1         # Process only one file
   node uploadToPrintful.js --dry-run         # Test without making API calls
   node uploadToPrintful.js --template-only   # Create templates only (no syncing)
+  node uploadToPrintful.js --regenerate-listing=TACOS   # New copy for TACOS only
   `);
   process.exit(0);
 }
@@ -76,17 +107,52 @@ if (limitArg) {
   }
 }
 
-// We'll fetch these dynamically from the Printful API
-let VARIANT_IDS = {};
+// Check for --candidates=N (listing candidates to pick the best from)
+let CANDIDATES;
+const candidatesArg = args.find(arg => arg.startsWith('--candidates='));
+if (candidatesArg) {
+  CANDIDATES = parseInt(candidatesArg.split('=')[1], 10);
+  if (isNaN(CANDIDATES) || CANDIDATES <= 0) {
+    CANDIDATES = undefined;
+    console.warn('⚠️ Invalid candidates value. Using LLM_CANDIDATES or 1.');
+  }
+}
+
+// Check for --regenerate-listing (every word) or --regenerate-listing=WORD[,WORD]
+let REGENERATE_LISTING = false;
+const regenerateArg = args.find(arg => arg === '--regenerate-listing' || arg.startsWith('--regenerate-listing='));
+if (regenerateArg) {
+  REGENERATE_LISTING = regenerateArg.includes('=')
+    ? regenerateArg.split('=')[1].split(',').map(word => word.trim().toUpperCase()).filter(Boolean)
+    : true;
+}
 
-// Create Axios instance for Printful API
-const printfulApi = axios.create({
-  baseURL: 'https://api.printful.com',
-  headers: {
-    'Authorization': `Bearer ${PRINTFUL_API_KEY}`,
-    'Content-Type': 'application/json'
+// Check for --localize (LISTING_LOCALES) or --localize=LOCALE[,LOCALE]
+let LOCALIZE = false;
+const localizeArg = args.find(arg => arg === '--localize' || arg.startsWith('--localize='));
+if (localizeArg) {
+  LOCALIZE = localizeArg.includes('=') ? localizeArg.split('=')[1] : true;
+}
+// Locales to translate to, checked in main()
+let LOCALIZE_LOCALES = null;
+
+/**
+ * Check whether new listing copy was requested for a word
+ * @param {string} word - Design word
+ * @returns {boolean} True for --regenerate-listing or --regenerate-listing=<word>
+ */
+function shouldRegenerateListing(word) {
+  if (REGENERATE_LISTING === true) {
+    return true;
   }
-});
+  return Array.isArray(REGENERATE_LISTING) && REGENERATE_LISTING.includes(word.toUpperCase());
+}
+
+// Per-word settings from words.csv (product, price, colors, sizes, placement, cuisine, product type)
+let WORD_CONFIGS = {};
+
+// Printful API client (store credentials, retries and typed errors, see printfulClient.js)
+const printfulApi = createPrintfulClient();
 
 /**
  * Get all PNG files from the export directory
@@ -104,6 +170,16 @@ async function getPngFilesFromExport() {
   }
 }
 
+/**
+ * Get the words.csv settings for a word
+ * Words without a row in words.csv use the defaults (Gildan 18000, 29.99, default colors)
+ * @param {string} word - Design word
+ * @returns {Object} Word config
+ */
+function getWordConfig(word) {
+  return WORD_CONFIGS[word] || defaultWordConfig(word);
+}
+
 /**
  * Extract word from file path
  * @param {string} filePath - Path to PNG file
@@ -119,9 +195,10 @@ function extractWordFromFilePath(filePath) {
  * Only uploads design files, not mockups
  * @param {string} filePath - Path to file
  * @param {boolean} isDryRun - Whether to run in dry-run mode
+ * @param {Object} [metadata] - Upload metadata ({ word, cuisine }) for Cloudinary tags and context
  * @returns {Promise<string>} File URL
  */
-async function uploadFileToPrintful(filePath, isDryRun = DRY_RUN) {
+async function uploadFileToPrintful(filePath, isDryRun = DRY_RUN, metadata = {}) {
   try {
     const fileName = path.basename(filePath);
     
@@ -134,8 +211,8 @@ async function uploadFileToPrintful(filePath, isDryRun = DRY_RUN) {
     // Use our new upload strategy with fallback
     console.log(`⏳ Uploading ${fileName} to Printful using improved upload strategy...`);
     
-    // Upload file using Cloudinary
-    const fileUrl = await uploadFileWithFallbackStrategy(filePath);
+    // Upload the file to the storage backend (skipped when the same design is already stored)
+    const fileUrl = await uploadFileWithFallbackStrategy(filePath, false, { batchId: UPLOAD_BATCH_ID, ...metadata });
     
     console.log(`✅ File successfully uploaded to Printful: ${fileName}`);
     return fileUrl;
@@ -279,19 +356,20 @@ async function waitForMockupGeneration(taskKey, maxAttempts = 10, initialDelay =
  * @param {string} designName - The design name (e.g., 'TACOS')
  * @param {string} fileUrl - Direct URL to the uploaded design file
  * @param {Array<number>} variantIds - Array of Printful variant IDs
+ * @param {Object} position - Design position from the word's placement
  * @returns {Promise<Object>} - Template information
  */
-async function createProductTemplate(designName, fileUrl, variantIds) {
+async function createProductTemplate(designName, fileUrl, variantIds, position) {
   console.log(`\n❌ Printful does not support template creation via API.`);
   console.log(`👉 Create your template manually here: https://www.printful.com/dashboard/product-templates/create`);
   console.log(`🖼️ Use the uploaded file URL: ${fileUrl}`);
   console.log(`📦 Suggested variants (first 5): ${variantIds.slice(0, 5).join(', ')}...`);
   
   console.log(`\n📐 Suggested positioning:`);
-  console.log(`   - Width: 1800px`);
-  console.log(`   - Height: 900px`);
-  console.log(`   - Top: 0`);
-  console.log(`   - Left: 0`);
+  console.log(`   - Width: ${position.width}px`);
+  console.log(`   - Height: ${position.height}px`);
+  console.log(`   - Top: ${position.top}`);
+  console.log(`   - Left: ${position.left}`);
   
   console.log(`📋 Metadata will be saved for easy copy/paste\n`);
 
@@ -308,9 +386,11 @@ async function createProductTemplate(designName, fileUrl, variantIds) {
  * @param {string} word - Product word
  * @param {Object} listingContent - Listing content from OpenRouter
  * @param {Object} manualMockup - Mockup data
+ * @param {Object} config - Word config from words.csv (price, placement, productType)
+ * @param {Object} variantIds - Map of color-size to variant ID
  * @returns {Promise<Object>} Created product
  */
-async function createProductWithEtsySync(word, listingContent, manualMockup) {
+async function createProductWithEtsySync(word, listingContent, manualMockup, config, variantIds) {
   try {
     // Extract mockup URL - simplified for direct access
     const mockupUrl = manualMockup.mockups[0].mockup_url;
@@ -319,18 +399,22 @@ async function createProductWithEtsySync(word, listingContent, manualMockup) {
     console.log(`⏳ Creating product with ${mockupFiles.length} custom mockups`);
     
     // Prepare sync variants with files for each variant
-    console.log(`⚠️ Limiting from ${Object.entries(VARIANT_IDS).length} to 100 variants due to Printful API limits`);
-    const syncVariants = Object.entries(VARIANT_IDS)
-      .slice(0, 100) // LIMIT TO 100 VARIANTS MAX
+    console.log(`⚠️ Limiting from ${Object.entries(variantIds).length} to 100 variants due to Printful API limits`);
+    const position = getPlacementPosition(config.placement);
+    const productVariantIds = Object.fromEntries(
+      Object.entries(variantIds).slice(0, 100) // LIMIT TO 100 VARIANTS MAX
+    );
+    const syncVariants = Object.entries(productVariantIds)
       .map(([colorSize, variantId]) => ({
         variant_id: variantId,
-        retail_price: '29.99', // Set your retail price
+        retail_price: config.price,
         is_enabled: true,
         files: [
           {
             url: mockupUrl,
             type: 'default',
-            placement: 'front'
+            placement: 'front',
+            position
           }
         ]
       }));
@@ -349,7 +433,7 @@ async function createProductWithEtsySync(word, listingContent, manualMockup) {
     // Prepare the request payload based on store type
     const payload = {
       sync_product: {
-        name: `${word} Sweatshirt - Cute Oversized Unisex Crewneck`,
+        name: buildProductName(word, config.productType),
         thumbnail: mockupUrl, // Use the direct mockup URL
         is_ignored: false
       },
@@ -389,119 +473,134 @@ async function createProductWithEtsySync(word, listingContent, manualMockup) {
     }, null, 2));
     
     // Create product with appropriate format
+    let product;
     try {
-      const response = await printfulApi.post('/store/products', payload);
-      return response.data.result;
+      product = await printfulApi.post('/store/products', payload);
     } catch (apiError) {
       console.error(`❌ API Error Details:`);
-      if (apiError.response) {
-        console.error(`Status: ${apiError.response.status}`);
-        console.error(`Response data: ${JSON.stringify(apiError.response.data, null, 2)}`);
-        
-        // Check for specific error messages
-        if (apiError.response.data && apiError.response.data.error) {
-          console.error(`Error code: ${apiError.response.data.error.code || 'N/A'}`);
-          console.error(`Error message: ${apiError.response.data.error.message || 'N/A'}`);
-        }
-      } else if (apiError.request) {
-        console.error(`No response received: ${apiError.request}`);
+      if (apiError.status) {
+        console.error(`Status: ${apiError.status}`);
+        console.error(`Response data: ${JSON.stringify(apiError.data, null, 2)}`);
       } else {
-        console.error(`Error setting up request: ${apiError.message}`);
+        console.error(`No response received: ${apiError.message}`);
       }
       throw apiError;
     }
     
     console.log(`✅ Product created: ${listingContent.title}`);
     
-    // If we have custom mockups, upload them and attach to the product
+    // Attach the custom mockups per color (one upload per color, shared by all sizes)
     if (mockupFiles.length > 0) {
-      console.log(`⏳ Uploading ${mockupFiles.length} custom mockups...`);
-      
-      const productId = response.data.result.id;
-      
-      for (const mockupFile of mockupFiles) {
-        try {
-          // Extract color from filename (assuming format: word-COLOR.png)
-          const fileName = path.basename(mockupFile);
-          const colorMatch = fileName.match(/-([A-Z]+)\.png$/);
-          const color = colorMatch ? colorMatch[1].toLowerCase() : null;
-          
-          console.log(`⏳ Uploading mockup: ${fileName} (color: ${color || 'unknown'})`);
-          
-          // Upload the mockup file to Printful
-          const form = new FormData();
-          form.append('file', fs.createReadStream(mockupFile));
-          form.append('type', 'mockup');
-          
-          const fileResponse = await printfulApi.post('/files', form, {
-            headers: {
-              ...form.getHeaders()
-            }
-          });
-          
-          const fileId = fileResponse.data.result.id;
-          console.log(`✅ Mockup uploaded: ${fileName} (ID: ${fileId})`);
-          
-          // Find matching variants for this color
-          if (color) {
-            const matchingVariants = Object.entries(VARIANT_IDS)
-              .filter(([colorSize]) => colorSize.toLowerCase().startsWith(color.toLowerCase()))
-              .map(([_, variantId]) => variantId);
-            
-            if (matchingVariants.length > 0) {
-              console.log(`📊 Found ${matchingVariants.length} matching variants for color ${color}`);
-              
-              // Attach the mockup to each matching variant
-              for (const variantId of matchingVariants) {
-                try {
-                  await printfulApi.post(`/store/products/${productId}/sync-variants/${variantId}/mockup`, {
-                    mockup_id: fileId,
-                    placement: 'front'
-                  });
-                  console.log(`✅ Attached mockup to variant ${variantId}`);
-                } catch (attachError) {
-                  console.error(`❌ Error attaching mockup to variant ${variantId}:`, attachError.message);
-                }
-              }
-            } else {
-              console.log(`⚠️ No matching variants found for color ${color}`);
-            }
-          }
-        } catch (mockupError) {
-          console.error(`❌ Error processing mockup ${mockupFile}:`, mockupError.message);
-        }
+      console.log(`⏳ Attaching ${mockupFiles.length} custom mockups...`);
+      try {
+        product.mockupReport = await attachMockups({
+          api: printfulApi,
+          syncProductId: product.id,
+          word,
+          mockupFiles,
+          variantIds: productVariantIds
+        });
+        printMockupAttachmentReport(word, product.mockupReport);
+      } catch (mockupError) {
+        // The product exists at this point, so don't fail the sync over its mockups
+        console.error(`❌ Error attaching mockups: ${mockupError.message}`);
       }
     }
     
+    return product;
   } catch (error) {
     console.error(`❌ Error creating product:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Save the synced product's ID in manual-templates/<WORD>.json
+ * The dashboard links the word's product ID to this product's page in the Printful dashboard.
+ * @param {string} word - Product word
+ * @param {number} syncProductId - ID of the synced product
+ */
+function recordSyncProductId(word, syncProductId) {
+  const template = readManualTemplate(word, MANUAL_TEMPLATES_DIR);
+  if (!template || !syncProductId) {
+    return;
+  }
+  fs.writeFileSync(
+    path.join(MANUAL_TEMPLATES_DIR, `${word}.json`),
+    JSON.stringify({ ...template, syncProductId }, null, 2)
+  );
+}
+
 /**
  * Process a single file
  * @param {string} filePath - Path to PNG file
+ * @param {boolean} isDryRun - Whether to run in dry-run mode
+ * @param {Object} [journal] - Pipeline journal used to skip and record per-word stages
  * @returns {Promise<void>}
  */
-async function processFile(filePath, isDryRun = DRY_RUN) {
+async function processFile(filePath, isDryRun = DRY_RUN, journal = null) {
   const word = extractWordFromFilePath(filePath);
+  const config = getWordConfig(word);
   console.log(`\n🔄 Processing: ${word}`);
+  console.log(`📦 Product ${config.productId} at $${config.price} (${config.colors.length} colors, ${config.sizes ? config.sizes.join('/') : 'all sizes'}, ${config.placement} placement)`);
+  
+  // Never record dry runs in the journal
+  if (isDryRun) {
+    journal = null;
+  }
   
   try {
     // Step 1: Generate listing content with best-seller format
-    console.log(`⏳ Generating listing content for ${word}...`);
-    const listingContent = await generateListing(word);
-    
-    // Ensure the content follows the best-seller format
-    if (!listingContent.description.includes('DETAILS') ||
-        !listingContent.description.includes('FAST PROCESSING') ||
-        !listingContent.description.includes('SATISFACTION GUARANTEE')) {
-      console.log(`⚠️ Warning: Generated content may not follow the best-seller format. Check the output.`);
+    let listingContent;
+    let listingLocked = false;
+    const regenerate = shouldRegenerateListing(word);
+    // A listing locked after an interrupted run wins over the one in the journal
+    const lockedSince = isListingLocked(readManualTemplate(word, MANUAL_TEMPLATES_DIR));
+    if (journal && !regenerate && !lockedSince && journal.shouldSkip(word, 'listing') && journal.getData(word, 'listing')) {
+      console.log(`⏭️ Reusing listing content generated in a previous run`);
+      // Listings saved before the Etsy rules existed may still need fixing
+      const savedListing = journal.getData(word, 'listing');
+      listingContent = enforceEtsyListingRules(savedListing, {
+        word,
+        cuisine: savedListing.cuisine || config.cuisine,
+        productType: config.productType
+      });
+    } else {
+      console.log(`⏳ Getting listing content for ${word}...`);
+      try {
+        const { listing, source } = await getListing(word, {
+          cuisine: config.cuisine,
+          productType: config.productType,
+          regenerate,
+          keep: KEEP_LISTING,
+          candidates: CANDIDATES
+        });
+        listingLocked = source === 'locked';
+        
+        if (listingLocked) {
+          // Hand-edited copy is never changed, so it has to meet Etsy's rules already
+          const violations = validateEtsyListing(listing);
+          if (violations.length > 0) {
+            throw new EtsyListingRulesError(word, violations);
+          }
+          listingContent = listing;
+        } else {
+          // Fix the title and tags for Etsy before anything is saved or sent to Printful
+          listingContent = enforceEtsyListingRules(listing, {
+            word,
+            cuisine: listing.cuisine || config.cuisine,
+            productType: config.productType
+          });
+        }
+      } catch (listingError) {
+        if (journal) journal.markFailed(word, 'listing', listingError);
+        throw listingError;
+      }
+      
+      if (journal) journal.markDone(word, 'listing', listingContent);
+      console.log(`✅ Listing content ready`);
     }
     
-    console.log(`✅ Listing content generated`);
-    
     if (isDryRun) {
       console.log(`🔍 DRY RUN: Would upload file to Printful: ${filePath}`);
       console.log(`🔍 DRY RUN: Would create product with Etsy sync using:`);
@@ -518,7 +617,21 @@ async function processFile(filePath, isDryRun = DRY_RUN) {
     let manualMockup;
     try {
       // Upload the original design file to Printful using our new strategy
-      fileUrl = await uploadFileToPrintful(filePath, isDryRun);
+      if (journal && journal.shouldSkip(word, 'cloudinary') && journal.getData(word, 'cloudinary')) {
+        fileUrl = journal.getData(word, 'cloudinary').fileUrl;
+        console.log(`⏭️ Reusing uploaded design: ${fileUrl}`);
+      } else {
+        try {
+          fileUrl = await uploadFileToPrintful(filePath, isDryRun, {
+            word,
+            cuisine: listingContent.cuisine || config.cuisine
+          });
+        } catch (error) {
+          if (journal) journal.markFailed(word, 'cloudinary', error);
+          throw error;
+        }
+        if (journal) journal.markDone(word, 'cloudinary', { fileUrl });
+      }
       
       // Check if we need to generate mockups with Photoshop
       const mockupDir = path.join(EXPORT_MOCKUPS_DIR, word);
@@ -570,6 +683,9 @@ async function processFile(filePath, isDryRun = DRY_RUN) {
       };
       
       console.log(`📊 Found ${mockupFiles.length} local mockup files for ${word}`);
+      if (journal && mockupFiles.length > 0 && !journal.shouldSkip(word, 'mockups')) {
+        journal.markDone(word, 'mockups');
+      }
     } catch (uploadError) {
       console.error(`❌ Error uploading to Printful: ${uploadError.message}`);
       
@@ -594,22 +710,40 @@ async function processFile(filePath, isDryRun = DRY_RUN) {
       return null;
     }
     
+    // Variants for this word's product, colors and sizes
+    const variantIds = await getVariantIds(config);
+    
     // Create product template if not in sync-only mode
     if (!SYNC_ONLY) {
       try {
-        const variantIds = Object.values(VARIANT_IDS);
-        const templateInfo = await createProductTemplate(word, fileUrl, variantIds);
+        const position = getPlacementPosition(config.placement);
+        const templateInfo = await createProductTemplate(word, fileUrl, Object.values(variantIds), position);
         
         // Save metadata for manual template creation
+        const previousTemplate = readManualTemplate(word, MANUAL_TEMPLATES_DIR);
         const listingOutput = {
           word,
+          productId: config.productId,
+          price: config.price,
+          colors: config.colors,
+          sizes: config.sizes,
+          placement: config.placement,
+          position,
+          productType: config.productType,
+          cuisine: listingContent.cuisine || config.cuisine,
           fileUrl,
           title: listingContent.title,
           description: listingContent.description,
           tags: listingContent.tags,
           dropboxLink: manualMockup.mockups[0].mockup_url,
           localMockups: manualMockup.mockups[0].local_mockup_files || [],
-          createdAt: new Date().toISOString()
+          createdAt: new Date().toISOString(),
+          // Keep the lock so the hand-edited listing stays protected in later runs
+          ...(listingLocked ? { locked: true } : {}),
+          // Keep earlier translations; localizing redoes the ones made from different English copy
+          ...(previousTemplate && previousTemplate.translations ? { translations: previousTemplate.translations } : {}),
+          // Keep the link to the product synced in an earlier run
+          ...(previousTemplate && previousTemplate.syncProductId ? { syncProductId: previousTemplate.syncProductId } : {})
         };
         
         fs.writeFileSync(
@@ -619,6 +753,19 @@ async function processFile(filePath, isDryRun = DRY_RUN) {
         
         console.log(`✅ Saved metadata for ${word} to manual-templates/${word}.json`);
         
+        // Translations are extra copy, so a failed locale doesn't stop the product
+        if (LOCALIZE_LOCALES) {
+          try {
+            const { translated, skipped, failed } = await localizeTemplate(word, {
+              locales: LOCALIZE_LOCALES,
+              templatesDir: MANUAL_TEMPLATES_DIR
+            });
+            console.log(`🌍 ${word} translations: ${translated.length} new, ${skipped.length} up to date, ${failed.length} failed`);
+          } catch (localizeError) {
+            console.warn(`⚠️ Could not translate the ${word} listing: ${localizeError.message}`);
+          }
+        }
+        
         // If template-only mode, stop here
         if (TEMPLATE_ONLY) {
           console.log(`⚠️ Template-only mode: Skipping product sync for ${word}`);
@@ -635,16 +782,37 @@ async function processFile(filePath, isDryRun = DRY_RUN) {
     
     // Step 5: Create product with Etsy sync if not in template-only mode
     if (!TEMPLATE_ONLY) {
+      if (journal && journal.shouldSkip(word, 'product')) {
+        console.log(`⏭️ Product already synced in a previous run`);
+        return { product: journal.getData(word, 'product'), word };
+      }
+      
+      if (Object.keys(variantIds).length === 0) {
+        console.warn(`⚠️ No valid variant IDs for ${word} — keeping the template only.`);
+        return { templateOnly: true, word };
+      }
+      
       try {
         console.log(`\n⚠️ Attempting to sync product (may fail with platform-based stores)...`);
-        const product = await createProductWithEtsySync(word, listingContent, manualMockup);
+        const product = await createProductWithEtsySync(word, listingContent, manualMockup, config, variantIds);
+        recordSyncProductId(word, product && product.id);
+        if (journal) {
+          const mockupReport = product && product.mockupReport;
+          journal.markDone(word, 'product', {
+            id: product && product.id,
+            mockupColors: mockupReport ? mockupReport.attached.map(entry => entry.color) : [],
+            colorsWithoutMockup: mockupReport ? mockupReport.colorsWithoutMockup : []
+          });
+        }
         console.log(`✅ Successfully processed ${word}`);
         return { product, word };
       } catch (syncError) {
-        if (syncError.response && syncError.response.status === 400 &&
-            syncError.response.data && syncError.response.data.error &&
-            syncError.response.data.error.message &&
-            syncError.response.data.error.message.includes('Manual Order / API platform')) {
+        if (journal) journal.markFailed(word, 'product', syncError);
+        // A bad API key fails every product, so stop the run instead of trying the next file
+        if (syncError instanceof PrintfulAuthError) {
+          throw syncError;
+        }
+        if (syncError instanceof PrintfulPlatformStoreError) {
           console.log(`\n⚠️ Store type limitation detected: Your Printful store is platform-based.`);
           console.log(`⚠️ Product syncing is only available for Manual Order / API platform stores.`);
           console.log(`⚠️ Please use the template information saved to manual-templates/${word}.json for manual creation.`);
@@ -662,6 +830,9 @@ async function processFile(filePath, isDryRun = DRY_RUN) {
     return { word };
   } catch (error) {
     console.error(`❌ Error processing ${word}:`, error.message);
+    if (error instanceof PrintfulAuthError) {
+      throw error;
+    }
     // Continue with next file
     return null;
   }
@@ -671,40 +842,21 @@ async function processFile(filePath, isDryRun = DRY_RUN) {
  * Main function
  */
 /**
- * Get variant IDs for Gildan 18000 sweatshirt
- * @returns {Promise<Object>} Variant IDs
+ * Get variant IDs for a word's catalog product, limited to its colors and sizes
+ * The catalog comes from the variant resolver's disk cache (see variantResolver.js)
+ * @param {Object} config - Word config from words.csv (productId, colors, sizes)
+ * @returns {Promise<Object>} Map of color-size to variant ID
  */
-async function getVariantIds() {
+async function getVariantIds(config) {
+  const { productId, colors, sizes } = config;
+  
   try {
-    console.log(`⏳ Getting variant IDs for Gildan 18000 sweatshirt...`);
-    
-    // Get product information
-    const response = await printfulApi.get(`/products/${GILDAN_18000_PRODUCT_ID}`);
-    const variants = response.data.result.variants;
-    
-    // Define allowed colors to stay under the 100-variant limit
-    const allowedColors = [
-      'black', 'navy', 'maroon', 'forest green', 'dark heather',
-      'military green', 'light blue', 'sport grey', 'light pink', 'white'
-    ];
-
-    // Create a map of color-size to variant ID
-    const variantIds = {};
-    for (const variant of variants) {
-      const color = variant.color.toLowerCase();
-      const size = variant.size;
-      if (allowedColors.includes(color)) {
-        const key = `${color}-${size}`;
-        variantIds[key] = variant.id;
-        console.log(`✅ Including variant: ${color} ${size} (ID: ${variant.id})`);
-      }
-    }
-    
-    console.log(`✅ Found ${Object.keys(variantIds).length} variants`);
+    const variantIds = await resolveVariants(productId, { colors, sizes });
+    console.log(`✅ Found ${Object.keys(variantIds).length} variants for product ${productId}`);
     return variantIds;
   } catch (error) {
     console.error(`❌ Error getting variant IDs:`, error.message);
-    console.log(`⚠️ Warning: Unable to fetch variant IDs for product ID ${GILDAN_18000_PRODUCT_ID}`);
+    console.log(`⚠️ Warning: Unable to fetch variant IDs for product ID ${productId}`);
     console.log(`⚠️ This may be because the product ID is incorrect or the API is unavailable.`);
     
     // Return an empty object to prevent errors, but let the main script handle what to do
@@ -718,14 +870,10 @@ async function getVariantIds() {
  */
 async function getStoreInfo() {
   try {
-    const response = await axios.get('https://api.printful.com/stores', {
-      headers: {
-        'Authorization': `Bearer ${PRINTFUL_API_KEY}`
-      }
-    });
+    const stores = await printfulApi.get('/stores');
     
-    if (response.data && response.data.result && response.data.result.length > 0) {
-      const store = response.data.result[0]; // Use the first store
+    if (stores && stores.length > 0) {
+      const store = stores[0]; // Use the first store
       console.log(`✅ Found store: ${store.name} (ID: ${store.id}, Type: ${store.type || 'unknown'})`);
       return store;
     } else {
@@ -742,6 +890,8 @@ async function getStoreInfo() {
  * @param {Object} options - Options for the upload process
  * @param {boolean} options.dryRun - Run in dry-run mode (no actual API calls)
  * @param {number} options.limit - Limit the number of files to process
+ * @param {Object} [options.journal] - Pipeline journal shared with generate.js
+ * @param {Array<string>} [options.skipWords] - Words whose designs were blocked by the print preflight
  * @returns {Promise<Array>} Results of all processed files
  */
 async function main(options = {}) {
@@ -751,6 +901,23 @@ async function main(options = {}) {
     // Override command-line arguments with options if provided
     const isDryRun = options.dryRun !== undefined ? options.dryRun : DRY_RUN;
     const fileLimit = options.limit !== undefined ? options.limit : LIMIT;
+    const journal = options.journal || (RESUME ? createJournal({ resume: true }) : null);
+    
+    if (KEEP_LISTING && REGENERATE_LISTING === true) {
+      throw new Error('Cannot use both --keep-listing and --regenerate-listing (use --regenerate-listing=WORD to keep all but some words)');
+    }
+    if (LOCALIZE) {
+      LOCALIZE_LOCALES = LOCALIZE === true ? LISTING_LOCALES : parseLocales(LOCALIZE);
+      console.log(`🌍 Translating listings for ${LOCALIZE_LOCALES.join(', ')}`);
+    }
+    
+    // Per-word product settings (validated against the words.csv schema)
+    WORD_CONFIGS = {};
+    if (fs.existsSync(WORDS_CSV_PATH)) {
+      const rows = await loadWords();
+      rows.forEach(row => { WORD_CONFIGS[row.word] = row; });
+      console.log(`📋 Loaded settings for ${rows.length} words from words.csv`);
+    }
     
     // Create export-mockups directory if it doesn't exist
     if (!fs.existsSync(EXPORT_MOCKUPS_DIR)) {
@@ -792,28 +959,32 @@ async function main(options = {}) {
     let files = await getPngFilesFromExport();
     console.log(`📁 Found ${files.length} PNG files in export directory`);
     
+    // Leave out the words the caller blocked
+    const skipWords = options.skipWords || [];
+    if (skipWords.length > 0) {
+      files = files.filter(file => {
+        const word = extractWordFromFilePath(file);
+        if (!skipWords.includes(word)) return true;
+        console.log(`⛔ Skipping ${word}: blocked by the print preflight`);
+        return false;
+      });
+    }
+    
     // Apply limit if specified
     if (fileLimit < files.length) {
       files = files.slice(0, fileLimit);
       console.log(`🔍 Processing only the first ${fileLimit} files due to limit option`);
     }
     
-    // Get variant IDs if not in dry run mode
-    if (!isDryRun) {
-      VARIANT_IDS = await getVariantIds();
-      
-      // Check if variant IDs were successfully retrieved
-      if (Object.keys(VARIANT_IDS).length === 0) {
-        console.warn('⚠️ No valid variant IDs returned — switching to template-only mode.');
-        global.TEMPLATE_ONLY = true;
-      }
+    if (journal && !isDryRun) {
+      journal.track(files.map(extractWordFromFilePath));
     }
     
     // Process each file
     const results = [];
     for (const file of files) {
       // Pass isDryRun to processFile
-      const result = await processFile(file, isDryRun);
+      const result = await processFile(file, isDryRun, journal);
       if (result) {
         results.push(result);
       }
@@ -857,7 +1028,7 @@ async function main(options = {}) {
     
     // Generate and upload dashboard to Google Sheets if not in dry run mode
     if (!isDryRun) {
-      await generateAndUploadDashboard();
+      await generateAndUploadDashboard(journal);
     }
     
     console.log('\n✨ Done!');
@@ -878,9 +1049,15 @@ if (require.main === module) {
 
 /**
  * Generate and upload dashboard to Google Sheets
+ * @param {Object} [journal] - Pipeline journal to record the dashboard stage in
  * @returns {Promise<void>}
  */
-async function generateAndUploadDashboard() {
+async function generateAndUploadDashboard(journal = null) {
+  // Words whose manual template ends up as a dashboard row
+  const dashboardWords = journal
+    ? journal.words().filter(word => fs.existsSync(path.join(MANUAL_TEMPLATES_DIR, `${word}.json`)))
+    : [];
+  
   try {
     console.log('\n📊 Generating and uploading dashboard...');
     
@@ -898,15 +1075,27 @@ async function generateAndUploadDashboard() {
     // Get spreadsheet ID from environment variable or use the hardcoded one
     const spreadsheetId = process.env.GOOGLE_SHEETS_DASHBOARD_ID || '1q5gbFZTX6Upk7UgnJlMey3xfzr3QJiNTfYabJDEu4AQ';
     
-    // Upload to Google Sheets
-    await uploadCSVToGoogleSheet({
-      csvPath,
-      spreadsheetId,
-      credentialsPath: path.join(__dirname, 'google-sheets-key.json'),
-    });
+    if (SHEET_SYNC) {
+      // Only changed cells are written, and edits made in the sheet come back to manual-templates/
+      await syncDashboardSheet({
+        spreadsheetId,
+        templatesDir: MANUAL_TEMPLATES_DIR,
+        credentialsPath: path.join(__dirname, 'google-sheets-key.json'),
+      });
+    } else {
+      // Upload to Google Sheets (rows straight from the templates, not re-read from the CSV)
+      await uploadCSVToGoogleSheet({
+        templatesDir: MANUAL_TEMPLATES_DIR,
+        spreadsheetId,
+        credentialsPath: path.join(__dirname, 'google-sheets-key.json'),
+        format: FORMAT_SHEET,
+      });
+    }
     
+    dashboardWords.forEach(word => journal.markDone(word, 'dashboard'));
     console.log('✅ Dashboard successfully uploaded to Google Sheets');
   } catch (err) {
+    dashboardWords.forEach(word => journal.markFailed(word, 'dashboard', err));
     console.error('❌ Failed to generate and upload dashboard:', err.message);
   }
 }
@@ -0,0 +1,314 @@
+/**
+ * variantResolver.js
+ *
+ * This module answers "which Printful variant is color X in size Y" for any catalog product.
+ * The catalog product and its variants are downloaded once and cached on disk with a TTL,
+ * so runs don't hit /products/:id every time. Color and size names are normalized, so
+ * "Sport Grey", "sport grey" and "SPORT-GREY" (from mockup file names) all match.
+ *
+ * Offline mode (PRINTFUL_CATALOG_OFFLINE=1 or { offline: true }) never calls the API: it
+ * reads the cache, even if stale, and falls back to the fixtures in fixtures/catalog/.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createPrintfulClient } = require('./printfulClient');
+
+// Configuration
+const CATALOG_CACHE_DIR = path.join(__dirname, '.catalog-cache');
+const CATALOG_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'catalog');
+const CATALOG_TTL_HOURS = parseFloat(process.env.PRINTFUL_CATALOG_TTL_HOURS) || 24 * 7;
+const CATALOG_OFFLINE = process.env.PRINTFUL_CATALOG_OFFLINE === '1';
+
+// Size spellings that mean the same Printful size
+const SIZE_ALIASES = {
+  XXL: '2XL',
+  XXXL: '3XL',
+  XXXXL: '4XL',
+  XXXXXL: '5XL',
+  SMALL: 'S',
+  MEDIUM: 'M',
+  LARGE: 'L'
+};
+
+// Catalogs already loaded in this process, keyed by product ID
+const memoryCache = {};
+
+/**
+ * Normalize a color name
+ * "Sport Grey", "SPORT-GREY", "sport_grey" and "Color - Sport Grey" all become "sport grey"
+ * @param {string} color - Color name
+ * @returns {string} Normalized color name
+ */
+function normalizeColor(color) {
+  return String(color || '')
+    .replace(/^color\s*-\s*/i, '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Normalize a size name
+ * "xxl", "2xl" and " 2XL " all become "2XL"
+ * @param {string} size - Size name
+ * @returns {string} Normalized size name
+ */
+function normalizeSize(size) {
+  const cleaned = String(size || '').replace(/\s+/g, '').toUpperCase();
+  return SIZE_ALIASES[cleaned] || cleaned;
+}
+
+/**
+ * Get the cache file path for a product
+ * @param {string} dir - Cache or fixtures directory
+ * @param {number} productId - Printful catalog product ID
+ * @returns {string} File path
+ */
+function catalogFilePath(dir, productId) {
+  return path.join(dir, `product-${productId}.json`);
+}
+
+/**
+ * Read a cached catalog entry
+ * @param {string} filePath - Cache file path
+ * @returns {Object|null} Cache entry ({ fetchedAt, productId, result }) or null
+ */
+function readCatalogFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return entry && entry.result && Array.isArray(entry.result.variants) ? entry : null;
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable catalog cache ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Download a catalog product from the Printful API
+ * @param {number} productId - Printful catalog product ID
+ * @param {string} apiKey - Printful API key
+ * @returns {Promise<Object>} Catalog result ({ product, variants })
+ */
+async function downloadCatalogProduct(productId, apiKey) {
+  console.log(`⏳ Downloading catalog product ${productId} from Printful...`);
+  const client = createPrintfulClient({ apiKey });
+  return client.get(`/products/${productId}`);
+}
+
+/**
+ * Get a catalog product and its variants, from cache when possible
+ * @param {number} productId - Printful catalog product ID
+ * @param {Object} [options] - Resolver options
+ * @param {string} [options.cacheDir] - Cache directory (default: .catalog-cache/)
+ * @param {string} [options.fixturesDir] - Fixtures used offline (default: fixtures/catalog/)
+ * @param {number} [options.ttlHours] - Cache lifetime (default: PRINTFUL_CATALOG_TTL_HOURS or 7 days)
+ * @param {boolean} [options.offline] - Never call the API (default: PRINTFUL_CATALOG_OFFLINE=1)
+ * @param {boolean} [options.refresh] - Ignore the cache and download again
+ * @param {string} [options.apiKey] - Printful API key (default: PRINTFUL_API_KEY)
+ * @param {Function} [options.download] - Downloads a product: (productId, apiKey) => catalog result (default: the Printful API)
+ * @returns {Promise<Object>} Catalog result ({ product, variants })
+ */
+async function getCatalogProduct(productId, {
+  cacheDir = CATALOG_CACHE_DIR,
+  fixturesDir = CATALOG_FIXTURES_DIR,
+  ttlHours = CATALOG_TTL_HOURS,
+  offline = CATALOG_OFFLINE,
+  refresh = false,
+  apiKey = process.env.PRINTFUL_API_KEY,
+  download = downloadCatalogProduct
+} = {}) {
+  const memoryKey = `${cacheDir}:${productId}`;
+  if (!refresh && memoryCache[memoryKey]) {
+    return memoryCache[memoryKey];
+  }
+
+  const cacheFile = catalogFilePath(cacheDir, productId);
+  const cached = refresh ? null : readCatalogFile(cacheFile);
+  const ageHours = cached ? (Date.now() - new Date(cached.fetchedAt).getTime()) / 3600000 : Infinity;
+
+  if (cached && (offline || ageHours < ttlHours)) {
+    memoryCache[memoryKey] = cached.result;
+    return cached.result;
+  }
+
+  if (offline) {
+    const fixture = readCatalogFile(catalogFilePath(fixturesDir, productId));
+    if (!fixture) {
+      throw new Error(`Catalog product ${productId} is not cached and offline mode is on (looked in ${cacheDir} and ${fixturesDir})`);
+    }
+    memoryCache[memoryKey] = fixture.result;
+    return fixture.result;
+  }
+
+  try {
+    const result = await download(productId, apiKey);
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify({
+      fetchedAt: new Date().toISOString(),
+      productId,
+      result
+    }, null, 2));
+    console.log(`✅ Cached ${result.variants.length} variants for product ${productId}`);
+    memoryCache[memoryKey] = result;
+    return result;
+  } catch (error) {
+    // A stale cache is better than no catalog at all
+    if (cached) {
+      console.warn(`⚠️ Could not refresh catalog product ${productId} (${error.message}), using cache from ${cached.fetchedAt}`);
+      memoryCache[memoryKey] = cached.result;
+      return cached.result;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the variant for a color and size in a list of catalog variants
+ * @param {Array<Object>} variants - Catalog variants
+ * @param {string} color - Color name in any spelling
+ * @param {string} size - Size name in any spelling
+ * @returns {Object|null} Matching variant or null
+ */
+function findVariant(variants, color, size) {
+  const wantedColor = normalizeColor(color);
+  const wantedSize = normalizeSize(size);
+  return variants.find(variant =>
+    normalizeColor(variant.color) === wantedColor && normalizeSize(variant.size) === wantedSize
+  ) || null;
+}
+
+/**
+ * Resolve a single variant ID
+ * @param {number} productId - Printful catalog product ID
+ * @param {string} color - Color name in any spelling (e.g. 'SPORT-GREY')
+ * @param {string} size - Size name in any spelling (e.g. 'xxl')
+ * @param {Object} [options] - Resolver options (see getCatalogProduct)
+ * @returns {Promise<number|null>} Variant ID or null when the product has no such variant
+ */
+async function resolveVariantId(productId, color, size, options = {}) {
+  const { variants } = await getCatalogProduct(productId, options);
+  const variant = findVariant(variants, color, size);
+  return variant ? variant.id : null;
+}
+
+/**
+ * Resolve the variant IDs for a set of colors and sizes
+ * @param {number} productId - Printful catalog product ID
+ * @param {Object} [selection] - Which variants to include
+ * @param {Array<string>} [selection.colors] - Colors in any spelling (all colors if omitted)
+ * @param {Array<string>} [selection.sizes] - Sizes in any spelling (all sizes if omitted)
+ * @param {Object} [options] - Resolver options (see getCatalogProduct)
+ * @returns {Promise<Object>} Map of "<color>-<size>" (normalized color) to variant ID
+ */
+async function resolveVariants(productId, { colors = null, sizes = null } = {}, options = {}) {
+  const { variants } = await getCatalogProduct(productId, options);
+  const wantedColors = colors ? colors.map(normalizeColor) : null;
+  const wantedSizes = sizes ? sizes.map(normalizeSize) : null;
+
+  const variantIds = {};
+  for (const variant of variants) {
+    const color = normalizeColor(variant.color);
+    const size = normalizeSize(variant.size);
+    if ((!wantedColors || wantedColors.includes(color)) && (!wantedSizes || wantedSizes.includes(size))) {
+      variantIds[`${color}-${size}`] = variant.id;
+    }
+  }
+
+  // Tell the user about colors or sizes the product doesn't come in
+  if (wantedColors) {
+    const available = new Set(variants.map(variant => normalizeColor(variant.color)));
+    const missing = wantedColors.filter(color => !available.has(color));
+    if (missing.length > 0) {
+      console.warn(`⚠️ Product ${productId} has no color: ${missing.join(', ')}`);
+    }
+  }
+  if (wantedSizes) {
+    const available = new Set(variants.map(variant => normalizeSize(variant.size)));
+    const missing = wantedSizes.filter(size => !available.has(size));
+    if (missing.length > 0) {
+      console.warn(`⚠️ Product ${productId} has no size: ${missing.join(', ')}`);
+    }
+  }
+
+  return variantIds;
+}
+
+/**
+ * List the colors and sizes of a catalog product
+ * @param {number} productId - Printful catalog product ID
+ * @param {Object} [options] - Resolver options (see getCatalogProduct)
+ * @returns {Promise<{colors: Array<string>, sizes: Array<string>}>} Catalog color and size names
+ */
+async function listOptions(productId, options = {}) {
+  const { variants } = await getCatalogProduct(productId, options);
+  return {
+    colors: [...new Set(variants.map(variant => variant.color))],
+    sizes: [...new Set(variants.map(variant => variant.size))]
+  };
+}
+
+/**
+ * Forget catalogs loaded in this process (the disk cache is kept)
+ */
+function clearMemoryCache() {
+  Object.keys(memoryCache).forEach(key => delete memoryCache[key]);
+}
+
+module.exports = {
+  getCatalogProduct,
+  resolveVariantId,
+  resolveVariants,
+  findVariant,
+  listOptions,
+  normalizeColor,
+  normalizeSize,
+  clearMemoryCache,
+  CATALOG_CACHE_DIR,
+  CATALOG_FIXTURES_DIR
+};
+
+// If this script is run directly (not imported), show or refresh a catalog product
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📋 variantResolver.js Help:
+
+Downloads a Printful catalog product into the local cache and lists its colors and sizes.
+
+Usage:
+  node variantResolver.js --product=ID [options]
+
+Options:
+  --product=ID     Catalog product ID (default: 145, Gildan 18000)
+  --refresh        Download again even if the cache is still fresh
+  --offline        Only use the cache and fixtures/catalog/
+  --help, -h       Show this help text
+    `);
+    process.exit(0);
+  }
+
+  const productArg = args.find(arg => arg.startsWith('--product='));
+  const productId = productArg ? parseInt(productArg.split('=')[1], 10) : 145;
+
+  listOptions(productId, {
+    refresh: args.includes('--refresh'),
+    offline: args.includes('--offline') || CATALOG_OFFLINE
+  })
+    .then(({ colors, sizes }) => {
+      console.log(`🎨 Colors (${colors.length}): ${colors.join(', ')}`);
+      console.log(`📏 Sizes (${sizes.length}): ${sizes.join(', ')}`);
+    })
+    .catch(error => {
+      console.error(`❌ Error loading catalog product ${productId}: ${error.message}`);
+      process.exit(1);
+    });
+}
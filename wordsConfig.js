@@ -0,0 +1,282 @@
+/**
+ * wordsConfig.js
+ *
+ * This module loads words.csv and validates every row against a declared schema.
+ * Besides the required word,fill,stroke columns a row can set its own catalog product,
+ * price, colors, sizes, font, stroke weight, print placement and cuisine, so one CSV can
+ * drive a mixed catalog. Missing optional values fall back to the defaults below, which
+ * match the values that used to be hardcoded in the pipeline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { PLACEMENT_POSITIONS } = require('./createPrintfulProduct');
+const { listProductTypes, DEFAULT_PRODUCT_TYPE } = require('./descriptionTemplates');
+
+const WORDS_CSV_PATH = path.join(__dirname, 'words.csv');
+
+// Separator for list columns (commas already separate the CSV columns)
+const LIST_SEPARATOR = '|';
+
+// Defaults used when an optional column is missing or empty
+const DEFAULTS = {
+  productId: 145, // Gildan 18000 Heavy Blend Crewneck Sweatshirt
+  price: '29.99',
+  // Colors kept by default to stay under the 100-variant limit
+  colors: [
+    'black', 'navy', 'maroon', 'forest green', 'dark heather',
+    'military green', 'light blue', 'sport grey', 'light pink', 'white'
+  ],
+  sizes: null, // All sizes of the product
+  font: null, // Renderer default (template.ai font or DESIGN_FONT)
+  strokeWeight: 2,
+  placement: 'top',
+  cuisine: null,
+  productType: DEFAULT_PRODUCT_TYPE // Description template in listing-templates/
+};
+
+/**
+ * Parse a required, trimmed string
+ * @param {string} value - Raw value
+ * @returns {string} Trimmed value
+ */
+function parseString(value) {
+  return value.trim();
+}
+
+/**
+ * Parse a hex color (#RRGGBB or RRGGBB)
+ * @param {string} value - Raw value
+ * @returns {string} Color as #RRGGBB
+ */
+function parseHexColor(value) {
+  const cleaned = value.trim().replace(/^#/, '');
+  if (!/^[0-9a-fA-F]{6}$/.test(cleaned)) {
+    throw new Error(`"${value}" is not a hex color like #C8102E`);
+  }
+  return `#${cleaned.toUpperCase()}`;
+}
+
+/**
+ * Parse a positive integer
+ * @param {string} value - Raw value
+ * @returns {number} Parsed integer
+ */
+function parsePositiveInteger(value) {
+  if (!/^\d+$/.test(value.trim()) || parseInt(value, 10) <= 0) {
+    throw new Error(`"${value}" is not a positive whole number`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse a price with up to two decimals
+ * @param {string} value - Raw value
+ * @returns {string} Price formatted with two decimals (as Printful expects)
+ */
+function parsePrice(value) {
+  const cleaned = value.trim().replace(/^\$/, '');
+  if (!/^\d+(\.\d{1,2})?$/.test(cleaned) || parseFloat(cleaned) <= 0) {
+    throw new Error(`"${value}" is not a price like 29.99`);
+  }
+  return parseFloat(cleaned).toFixed(2);
+}
+
+/**
+ * Parse a non-negative number
+ * @param {string} value - Raw value
+ * @returns {number} Parsed number
+ */
+function parseNonNegativeNumber(value) {
+  const number = Number(value.trim());
+  if (value.trim() === '' || isNaN(number) || number < 0) {
+    throw new Error(`"${value}" is not a number of 0 or more`);
+  }
+  return number;
+}
+
+/**
+ * Parse a list separated by LIST_SEPARATOR
+ * @param {string} value - Raw value (e.g. 'Black|Sport Grey')
+ * @returns {Array<string>} List items
+ */
+function parseList(value) {
+  const items = value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+  if (items.length === 0) {
+    throw new Error(`"${value}" has no items (separate items with "${LIST_SEPARATOR}")`);
+  }
+  return items;
+}
+
+// Column schema: CSV column -> row property, whether it is required and how it is parsed
+const WORDS_SCHEMA = [
+  {
+    column: 'word',
+    key: 'word',
+    required: true,
+    parse: (value) => {
+      const word = parseString(value);
+      // The word is used as a file name (export/<WORD>.png) and inside the Illustrator script
+      if (!/^[^\\/:*?"<>|]+$/.test(word)) {
+        throw new Error(`"${value}" cannot be used as a file name`);
+      }
+      return word;
+    }
+  },
+  { column: 'fill', key: 'fill', required: true, parse: parseHexColor },
+  { column: 'stroke', key: 'stroke', required: true, parse: parseHexColor },
+  { column: 'product_id', key: 'productId', parse: parsePositiveInteger },
+  { column: 'price', key: 'price', parse: parsePrice },
+  { column: 'colors', key: 'colors', parse: (value) => parseList(value).map(color => color.toLowerCase()) },
+  { column: 'sizes', key: 'sizes', parse: (value) => parseList(value).map(size => size.toUpperCase()) },
+  {
+    column: 'font',
+    key: 'font',
+    parse: (value) => {
+      const font = parseString(value);
+      if (/["\\]/.test(font)) {
+        throw new Error(`"${value}" contains quotes or backslashes`);
+      }
+      return font;
+    }
+  },
+  { column: 'stroke_weight', key: 'strokeWeight', parse: parseNonNegativeNumber },
+  {
+    column: 'placement',
+    key: 'placement',
+    parse: (value) => {
+      const placement = parseString(value).toLowerCase();
+      if (!PLACEMENT_POSITIONS[placement]) {
+        throw new Error(`"${value}" is not one of: ${Object.keys(PLACEMENT_POSITIONS).join(', ')}`);
+      }
+      return placement;
+    }
+  },
+  { column: 'cuisine', key: 'cuisine', parse: parseString },
+  {
+    column: 'product_type',
+    key: 'productType',
+    parse: (value) => {
+      const productType = parseString(value).toLowerCase();
+      const productTypes = listProductTypes();
+      if (!productTypes.includes(productType)) {
+        throw new Error(`"${value}" is not one of: ${productTypes.join(', ')}`);
+      }
+      return productType;
+    }
+  }
+];
+
+/**
+ * Get the default config for a word that is not in words.csv
+ * @param {string} word - Design word
+ * @returns {Object} Word config with default values
+ */
+function defaultWordConfig(word) {
+  return { word, fill: null, stroke: null, ...DEFAULTS };
+}
+
+/**
+ * Validate one CSV row and apply defaults
+ * @param {Object} raw - Row as read by csv-parser
+ * @param {number} line - Line number in the CSV (for error messages)
+ * @returns {{row: Object, errors: Array<string>}} Normalized row and validation errors
+ */
+function validateRow(raw, line) {
+  const row = {};
+  const errors = [];
+
+  for (const field of WORDS_SCHEMA) {
+    const value = raw[field.column];
+
+    if (value === undefined || value.trim() === '') {
+      if (field.required) {
+        errors.push(`line ${line}: "${field.column}" is required`);
+      } else {
+        row[field.key] = DEFAULTS[field.key];
+      }
+      continue;
+    }
+
+    try {
+      row[field.key] = field.parse(value);
+    } catch (error) {
+      errors.push(`line ${line}: ${field.column} ${error.message}`);
+    }
+  }
+
+  return { row, errors };
+}
+
+/**
+ * Validate all rows of words.csv
+ * @param {Array<Object>} rawRows - Rows as read by csv-parser
+ * @param {Array<string>} columns - Header columns
+ * @returns {Array<Object>} Normalized rows
+ * @throws {Error} Listing every problem found in the file
+ */
+function validateWords(rawRows, columns) {
+  const knownColumns = WORDS_SCHEMA.map(field => field.column);
+  const errors = columns
+    .filter(column => !knownColumns.includes(column))
+    .map(column => `unknown column "${column}" (known columns: ${knownColumns.join(', ')})`);
+
+  const rows = [];
+  const seen = new Set();
+  rawRows.forEach((raw, index) => {
+    // Line 1 is the header
+    const line = index + 2;
+    const result = validateRow(raw, line);
+    errors.push(...result.errors);
+
+    if (result.row.word) {
+      if (seen.has(result.row.word)) {
+        errors.push(`line ${line}: duplicate word "${result.row.word}"`);
+      }
+      seen.add(result.row.word);
+    }
+    rows.push(result.row);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid words.csv:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return rows;
+}
+
+/**
+ * Load and validate words.csv
+ * @param {string} [csvPath] - Path to the CSV (default: words.csv in the project root)
+ * @returns {Promise<Array<Object>>} Validated rows with defaults applied
+ */
+function loadWords(csvPath = WORDS_CSV_PATH) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let columns = [];
+    fs.createReadStream(csvPath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('headers', (headers) => { columns = headers; })
+      .on('data', (data) => rows.push(data))
+      .on('end', () => {
+        try {
+          resolve(validateWords(rows, columns));
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('error', reject);
+  });
+}
+
+module.exports = {
+  loadWords,
+  validateWords,
+  validateRow,
+  defaultWordConfig,
+  WORDS_SCHEMA,
+  DEFAULTS,
+  LIST_SEPARATOR,
+  WORDS_CSV_PATH
+};